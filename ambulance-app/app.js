@@ -1,8 +1,12 @@
 /**
  * app.js — Project Suraksha Ambulance Driver PWA
  *
+ * Position comes from the SimPath route simulator (a drill) or, in LIVE GPS
+ * mode, from navigator.geolocation; the header toggle switches between them
+ * and the mode is reported to the engine with the corridor.
+ *
  * All corridor engine calls go through PORT 3000 via proxy:
- *   REST   →  /corridor/route, /corridor/telemetry  (proxied → port 3001)
+ *   REST   →  /corridor/route, /corridor/telemetry/batch  (proxied → port 3001)
  *   Socket →  /socket.io/  (WebSocket proxied → port 3001)
  *
  * This means ONE ngrok tunnel (port 3000) is all you need.
@@ -13,16 +17,16 @@
 // Everything goes through the SAME origin (port 3000 / ngrok URL).
 // No hardcoded port 3001 — works on localhost AND ngrok AND any IP.
 const CORRIDOR_API   = window.location.origin + '/corridor';   // proxied REST
-const SECURITY_TOKEN = 'SURAKSHA_SECURE_TOKEN_2024';
 const GPS_POLL_MS    = 3000;
 const GPS_OPTIONS    = { enableHighAccuracy: true, timeout: 10000, maximumAge: 2000 };
+const GPS_MAX_ACCURACY_M = 50;    // coarser fixes (cell towers, indoors) would snap to the wrong road
+const GPS_MAX_AGE_MS     = 10000; // a fix the browser cached this long ago is not where we are now
+const GPS_HEADING_MIN_M  = 5;     // below this, movement between fixes is mostly GPS jitter
+const ARRIVAL_RADIUS_M   = 30;    // live GPS: this close to the destination counts as arrived
+const POSITION_MODE_LABEL = { SIMULATION: '🎮 SIMULATION', LIVE: '📡 LIVE GPS' };
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
 
-const HOSPITALS = {
-    '26.9021,75.7792': 'SMS Hospital',
-    '26.8694,75.8002': 'Fortis Escorts',
-    '26.9124,75.8051': 'Jaipur Junction Hospital',
-    '26.8540,75.8107': 'Santokba Durlabhji',
-};
+let hospitals = {}; // id → registry entry, loaded from GET /hospitals
 
 // ── State ────────────────────────────────────────────────────────
 let selectedVehicleId   = 'AMB-001';
@@ -41,9 +45,48 @@ let pickupMarker        = null;
 let intersectionMarkers = {};
 let junctionData        = [];
 let toastTimer          = null;
+let lastReleased        = null; // { name, reason, at } — shown briefly on the junction card
+let currentIncident     = null; // open incident this vehicle is assigned to, see engine incidents.js
+let fieldAlerts         = {};   // type → latest alert this vehicle raised, see engine fieldAlerts.js
+// Where the position comes from: SIMULATION (SimPath along the route, a drill) or LIVE (this phone's GPS)
+let positionMode        = localStorage.getItem('suraksha.positionMode') === 'LIVE' ? 'LIVE' : 'SIMULATION';
+let gpsWatchId          = null;
+let lastGpsFix          = null; // { lat, lon, accuracy, at, speedMps, heading } — last accepted real fix
+let lastSentFixAt       = null; // live GPS: each fix is sent once, stamped with when it was taken
+
+// ── Request signing ──────────────────────────────────────────────
+// Every engine call is signed with this vehicle's key (issued by the control
+// room, see green-corridor-engine/src/auth.js). The signed path is the engine
+// path, i.e. without the /corridor proxy prefix.
+const enc = new TextEncoder();
+const toHex = buf => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+const keyStorageName = id => `suraksha.key.${id}`;
+
+function vehicleKey() {
+    return localStorage.getItem(keyStorageName(selectedVehicleId)) || '';
+}
+
+async function signParts(method, path, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce     = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const bodyHash  = toHex(await crypto.subtle.digest('SHA-256', enc.encode(body)));
+    const key = await crypto.subtle.importKey('raw', enc.encode(vehicleKey()), { name:'HMAC', hash:'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, enc.encode([method, path, timestamp, nonce, bodyHash].join('\n')));
+    return { clientId: selectedVehicleId, timestamp, nonce, signature: toHex(mac) };
+}
+
+async function engineFetch(path, { method = 'GET', body } = {}) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const sig = await signParts(method, path, payload);
+    const headers = { 'X-Client-Id':sig.clientId, 'X-Timestamp':sig.timestamp, 'X-Nonce':sig.nonce, 'X-Signature':sig.signature };
+    if (payload) headers['Content-Type'] = 'application/json';
+    return fetch(`${CORRIDOR_API}${path}`, { method, headers, body: payload || undefined });
+}
 
 // Simulation State
 let simPath             = null;
+let tripRouteCoords     = [];    // route geometry, so the simulator can take over mid-trip
+let tripArrived         = false; // the trip record ends ARRIVED rather than STOPPED
 let currentRouteSteps   = [];
 let currentStepIndex    = 0;
 
@@ -65,29 +108,76 @@ function gotoScreen(id) {
 
 // ── Login → Dispatch ─────────────────────────────────────────────
 function gotoDispatch() {
+    const key = document.getElementById('vehicleKey').value.trim();
+    if (!key) { showToast(`🔑 Enter the key issued for ${selectedVehicleId}`, 'emergency'); return; }
+    if (!window.crypto?.subtle) { showToast('🔒 Open the app over HTTPS or localhost to sign requests', 'emergency'); return; }
+    localStorage.setItem(keyStorageName(selectedVehicleId), key);
     document.getElementById('hdrVehicle').textContent = selectedVehicleId;
     gotoScreen('screen-dispatch');
     document.getElementById('gpsCoords') ? null : null;
     connectSocket();
+    loadAssignedIncident();
 }
 
 function selectVehicle(btn) {
     document.querySelectorAll('.vehicle-btn').forEach(b => b.classList.remove('selected'));
     btn.classList.add('selected');
     selectedVehicleId = btn.dataset.id;
+    document.getElementById('vehicleKey').value = vehicleKey();
 }
 
+// Remembered key for the default vehicle
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('vehicleKey').value = vehicleKey();
+    loadHospitals();
+    // Live GPS runs before a trip too, so the route starts from where the vehicle really is
+    renderPositionMode();
+    if (positionMode === 'LIVE' && navigator.geolocation) startGps();
+
+    // Offline-first: the shell is cached by sw.js, telemetry waits in the outbox
+    navigator.serviceWorker?.register('/ambulance-app/sw.js').catch(() => {});
+    window.addEventListener('online', flushOutbox);
+    window.addEventListener('offline', renderNetStatus);
+    setInterval(flushOutbox, OUTBOX_FLUSH_MS);
+    if (window.indexedDB) flushOutbox();
+});
+
 function setCriticality(level, btn) {
     selectedCriticality = level;
     ['critHigh','critMed','critLow'].forEach(id => document.getElementById(id).classList.remove('active'));
     btn.classList.add('active');
 }
 
+// ── Hospitals (registry, see green-corridor-engine/src/hospitals.js) ──
+async function loadHospitals() {
+    try {
+        const res  = await fetch(`${CORRIDOR_API}/hospitals`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        hospitals = Object.fromEntries(data.hospitals.map(h => [h.id, h]));
+        renderHospitalOptions();
+    } catch (e) {
+        console.warn('Hospital list failed:', e);
+        showToast(`⚠ Could not load hospitals\n${e.message}`, 'emergency');
+    }
+}
+
+function renderHospitalOptions() {
+    const sel = document.getElementById('destSelect');
+    const current = sel.value;
+    const label = h => `${h.name}${h.specialties.length ? ` · ${h.specialties.join(', ')}` : ''}${h.diversion ? ' — ON DIVERSION' : h.capacity === 0 ? ' — FULL' : ''}`;
+    sel.innerHTML = '<option value="">— Select Hospital —</option>'
+        + Object.values(hospitals).map(h => `<option value="${h.id}"${h.diversion ? ' disabled' : ''}>${label(h)}</option>`).join('')
+        + '<option value="custom">Custom Coordinates…</option>';
+    if (current && (current === 'custom' || (hospitals[current] && !hospitals[current].diversion))) sel.value = current;
+    onDestChange();
+}
+
 function onDestChange() {
     const val = document.getElementById('destSelect').value;
     const cd  = document.getElementById('customDest');
     if (val === 'custom') { cd.classList.remove('hidden'); destination = null; }
-    else if (val) { cd.classList.add('hidden'); const [lat,lon] = val.split(',').map(parseFloat); destination = { lat, lon, name: HOSPITALS[val] || 'Hospital' }; }
+    else if (hospitals[val]) { cd.classList.add('hidden'); const h = hospitals[val]; destination = { id: h.id, lat: h.lat, lon: h.lon, name: h.name }; }
     else { cd.classList.add('hidden'); destination = null; }
 }
 
@@ -103,6 +193,80 @@ function onPickupChange() {
     else { cp.classList.add('hidden'); pickupLocation = null; }
 }
 
+// ── Assigned incident: pickup, hospital and criticality come from it ──
+const NEXT_STAGE     = { DISPATCHED:'EN_ROUTE', EN_ROUTE:'ON_SCENE', ON_SCENE:'TRANSPORTING', TRANSPORTING:'AT_HOSPITAL' };
+const STAGE_LABEL    = { EN_ROUTE:'🚑 EN ROUTE', ON_SCENE:'📍 ON SCENE', TRANSPORTING:'🏥 TRANSPORTING', AT_HOSPITAL:'✅ AT HOSPITAL' };
+const TRIAGE_TO_CRIT = { RED:'HIGH', YELLOW:'MEDIUM', GREEN:'LOW' };
+
+async function loadAssignedIncident() {
+    try {
+        const res  = await engineFetch('/incidents?open=true');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        setIncident(data.incidents[0] || null); // newest first
+    } catch (e) { console.warn('Incident lookup failed:', e); }
+}
+
+function setIncident(incident) {
+    currentIncident = incident && incident.state !== 'CLOSED' ? incident : null;
+    const card = document.getElementById('incidentCard');
+    card.classList.toggle('hidden', !currentIncident);
+    renderStage();
+    if (!currentIncident) return;
+
+    const hospital = hospitals[currentIncident.hospitalId];
+    document.getElementById('incidentId').textContent    = `${currentIncident.id} · ${currentIncident.triage}`;
+    document.getElementById('incidentState').textContent = currentIncident.state.replace('_', ' ');
+    document.getElementById('incidentNotes').textContent = [currentIncident.address, currentIncident.notes].filter(Boolean).join('\n') || 'No caller notes';
+    document.getElementById('incidentDest').textContent  = hospital ? `→ ${hospital.name}` : '→ hospital not set';
+    if (tripActive) return;
+
+    // Pre-fill the dispatch screen from the incident
+    pickupLocation = { lat: currentIncident.lat, lon: currentIncident.lon, name: `Incident ${currentIncident.id}` };
+    if (hospital && !hospital.diversion) {
+        document.getElementById('destSelect').value = hospital.id;
+        onDestChange();
+    }
+    const crit = TRIAGE_TO_CRIT[currentIncident.triage];
+    const btn  = { HIGH:'critHigh', MEDIUM:'critMed', LOW:'critLow' }[crit];
+    if (btn) setCriticality(crit, document.getElementById(btn));
+}
+
+function onIncidentUpdated(incident) {
+    const mine = incident.vehicles.some(v => v.vehicleId === selectedVehicleId);
+    if (mine && incident.state === 'CLOSED' && currentIncident?.id === incident.id) {
+        showToast(`✔ Incident ${incident.id} closed by control room`, 'success');
+    }
+    if (mine || currentIncident?.id === incident.id) setIncident(mine ? incident : null);
+}
+
+function renderStage() {
+    const btn  = document.getElementById('stageBtn');
+    const next = currentIncident && NEXT_STAGE[currentIncident.state];
+    btn.classList.toggle('hidden', !tripActive || !next);
+    if (next) btn.textContent = `MARK ${STAGE_LABEL[next]}`;
+}
+
+function advanceStage() {
+    const next = currentIncident && NEXT_STAGE[currentIncident.state];
+    if (next) reportStage(next);
+}
+
+async function reportStage(state) {
+    if (!currentIncident) return;
+    try {
+        const res  = await engineFetch(`/incidents/${encodeURIComponent(currentIncident.id)}/state`, {
+            method: 'POST', body: { state, vehicleId: selectedVehicleId },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        setIncident(data);
+        showToast(`${STAGE_LABEL[state]}\nReported to control room`, 'success');
+    } catch (e) {
+        showToast(`⚠ Stage update failed\n${e.message}`, 'emergency');
+    }
+}
+
 // ── Simulation Engine & Turn-by-Turn ───────────────────────────
 class SimPath {
     constructor(coordinates, speedKmh = 50) {
@@ -166,6 +330,110 @@ class SimPath {
     }
 }
 
+// ── Live GPS ─────────────────────────────────────────────────────
+function startGps() {
+    if (gpsWatchId != null) return;
+    gpsWatchId = navigator.geolocation.watchPosition(onGpsFix, onGpsError, GPS_OPTIONS);
+}
+
+function stopGps() {
+    if (gpsWatchId != null) navigator.geolocation.clearWatch(gpsWatchId);
+    gpsWatchId = null;
+    lastGpsFix = null;
+}
+
+function onGpsError(err) {
+    // A timeout only means no fix yet (tunnel, indoors); the watch keeps trying
+    if (err.code === err.TIMEOUT) return;
+    showToast(`⚠ GPS unavailable\n${err.message}`, 'emergency');
+}
+
+function onGpsFix(pos) {
+    if (positionMode !== 'LIVE') return;
+    const { latitude: lat, longitude: lon, accuracy, speed, heading } = pos.coords;
+    const at = pos.timestamp;
+    if (accuracy > GPS_MAX_ACCURACY_M) return;
+    if (Date.now() - at > GPS_MAX_AGE_MS) return;
+    if (lastGpsFix && at <= lastGpsFix.at) return; // the same fix delivered twice
+
+    // Prefer what the receiver reports; many phones leave both null, so derive them from the last fix
+    const prev  = lastGpsFix;
+    const moved = prev ? haversineM(prev.lat, prev.lon, lat, lon) : 0;
+    const speedMps = Number.isFinite(speed) ? speed
+        : prev ? moved / ((at - prev.at) / 1000)
+        : 0;
+    const headingDeg = Number.isFinite(heading) && speedMps > 1 ? heading
+        : prev && moved >= GPS_HEADING_MIN_M ? bearingDeg(prev.lat, prev.lon, lat, lon)
+        : prev?.heading ?? null;
+
+    lastGpsFix = { lat, lon, accuracy, at, speedMps, heading: headingDeg };
+    currentPosition = { lat, lon };
+    updateDriverMarker();
+    renderPositionMode();
+    if (!tripActive) return;
+    updateTurnByTurn(currentPosition);
+    if (destination && !tripArrived && haversineM(lat, lon, destination.lat, destination.lon) <= ARRIVAL_RADIUS_M) onArrived();
+}
+
+// ── Position Mode (simulation ⇄ live GPS) ────────────────────────
+function renderPositionMode() {
+    const btn = document.getElementById('modeToggle');
+    if (btn) {
+        const fix = positionMode === 'LIVE'
+            ? (lastGpsFix ? ` ±${Math.round(lastGpsFix.accuracy)}m` : ' · NO FIX')
+            : '';
+        btn.textContent = POSITION_MODE_LABEL[positionMode] + fix;
+        btn.className   = `mode-toggle ${positionMode === 'LIVE' ? 'live' : 'sim'}`;
+    }
+    if (positionMode === 'LIVE' && lastGpsFix && tripActive) {
+        const compass = lastGpsFix.heading == null ? '' : ` ${COMPASS[Math.round(lastGpsFix.heading / 45) % 8]}`;
+        document.getElementById('statSpeed').textContent = `${Math.round(lastGpsFix.speedMps * 3.6)} km/h${compass}`;
+    }
+    if (tripActive) {
+        document.getElementById('hdrStatus').innerHTML = `<span class="status-dot active"></span> ${positionMode === 'LIVE' ? 'LIVE GPS' : 'SIMULATION'}`;
+    }
+}
+
+function togglePositionMode() {
+    setPositionMode(positionMode === 'LIVE' ? 'SIMULATION' : 'LIVE');
+}
+
+function setPositionMode(mode) {
+    if (mode === positionMode) return;
+    if (mode === 'LIVE' && !navigator.geolocation) { showToast('⚠ This device has no GPS\nStaying on simulation', 'emergency'); return; }
+    positionMode = mode;
+    localStorage.setItem('suraksha.positionMode', mode);
+
+    if (mode === 'LIVE') {
+        if (simPath) { simPath.stop(); simPath = null; }
+        startGps();
+        showToast('📡 LIVE GPS\nFollowing this phone\'s position', 'emergency');
+    } else {
+        stopGps();
+        // Carry on from where the vehicle is rather than from the start of the route
+        if (tripActive && !tripArrived) startSimulation(tripRouteCoords.slice(nearestRouteIndex(currentPosition)));
+        showToast('🎮 SIMULATION\nDrill — position is simulated', 'success');
+    }
+    renderPositionMode();
+    if (tripActive) reportPositionSource();
+}
+
+// The control room tells drills from real calls by this (see engine POST /corridors/:id/position-source)
+function reportPositionSource() {
+    engineFetch(`/corridors/${encodeURIComponent(selectedVehicleId)}/position-source`, {
+        method:'POST', body: { source: positionMode },
+    }).catch(() => {});
+}
+
+function nearestRouteIndex(pos) {
+    let best = 0, bestD = Infinity;
+    tripRouteCoords.forEach((c, i) => {
+        const d = haversineM(pos.lat, pos.lon, c.lat, c.lon);
+        if (d < bestD) { bestD = d; best = i; }
+    });
+    return best;
+}
+
 const TBT_ICONS = {
     'turn left': '↰', 'turn rig': '↱', 'turn sli': '↖', 'turn sha': '↰',
     'straight': '↑', 'depart': '🚗', 'arrive': '🎯', 'roundabo': '↻'
@@ -176,7 +444,7 @@ function updateTurnByTurn(pos) {
     
     // Check distance to NEXT instruction's maneuver point
     const step = currentRouteSteps[currentStepIndex];
-    const d = haversineM(pos.lat, pos.lon, step.location.lat, step.location.location[0]); // OSRM is [lon,lat]
+    const d = haversineM(pos.lat, pos.lon, step.location.lat, step.location.location[0]); // step locations are [lon,lat]
     
     const banner = document.getElementById('tbtBanner');
     const icon = document.getElementById('tbtIcon');
@@ -228,13 +496,57 @@ function connectSocket() {
     script.onload = () => {
         try {
             // Connect to port 3000 — proxy forwards to port 3001 automatically
-            socket = io(window.location.origin, { transports: ['websocket', 'polling'] });
-            socket.on('connect', () => socket.emit('join_dashboard'));
+            // The handshake is signed afresh on every (re)connect
+            socket = io(window.location.origin, {
+                transports: ['websocket', 'polling'],
+                auth: cb => signParts('SOCKET', '/socket.io', '').then(cb),
+            });
+            socket.on('connect_error', err => showToast(`🔒 ${err.message}`, 'emergency'));
+            socket.on('connect', () => {
+                // Everything for this vehicle arrives in its own room (the dashboard room is control-room only)
+                socket.emit('join_vehicle', { id: selectedVehicleId });
+            });
             socket.on('signal_state_updated', p => {
                 if (p?.id && p?.state) { updateJunctionState(p.id, p.state); updateIntersectionMarker(p.id, p.state); }
             });
-            socket.on('current_stats', stats => updateStatsBanner(stats));
+            socket.on('current_stats', stats => {
+                // Stats are tagged per vehicle; ignore other vehicles' corridors
+                if (stats?.vehicleId && stats.vehicleId !== selectedVehicleId) return;
+                updateStatsBanner(stats);
+            });
+            socket.on('intersection_released', onIntersectionReleased);
+            socket.on('route_set', onRouteReplaced);
+            socket.on('vehicle_stale', e => {
+                if (e.vehicleId !== selectedVehicleId) return;
+                const wave = document.getElementById('waveIndicator');
+                wave.textContent = 'SIGNAL LOST'; wave.className = 'wave-indicator warning';
+                showToast('📵 Telemetry lost\nHeld signals released until GPS returns', 'emergency');
+            });
+            socket.on('vehicle_resumed', e => {
+                if (e.vehicleId === selectedVehicleId) showToast('📶 Telemetry restored\nCorridor resumed', 'success');
+            });
+            socket.on('hospital_alert_ack', alert => {
+                if (alert.vehicleId !== selectedVehicleId) return;
+                const name = hospitals[alert.hospitalId]?.name || alert.hospitalId;
+                showToast(`🏥 ${name} acknowledged\n${alert.note || 'Team is ready for the patient'}`, 'success');
+            });
+            socket.on('hospitals_updated', p => {
+                hospitals = Object.fromEntries((p.hospitals || []).map(h => [h.id, h]));
+                renderHospitalOptions();
+            });
+            socket.on('dispatch_assigned', onDispatchAssigned);
+            socket.on('incident_updated', onIncidentUpdated);
+            socket.on('field_alert_updated', onFieldAlertUpdated);
+            socket.on('box_cleared', r => {
+                if (r.vehicleId === selectedVehicleId) showToast(`🚦 Junction box cleared\n${r.name || r.intersectionId} — marshal is holding traffic`, 'success');
+            });
+            socket.on('nearby_broadcast', b => {
+                showToast(`📡 Emergency broadcast from ${b.from}\n${b.reason || 'Emergency vehicle nearby — give way'}`, 'emergency');
+            });
+            socket.on('conflict_resolved', onConflictResolved);
+            socket.on('conflict_released', onConflictReleased);
             socket.on('priority_signal_change', event => {
+                if (event?.vehicleId && event.vehicleId !== selectedVehicleId) return;
                 showToast(`🚨 GREEN AHEAD\n${event.intersectionId}\nTTI: ${Math.round(event.ttiSeconds || 0)}s`, 'success');
                 const el = document.getElementById('statCleared');
                 el.textContent = parseInt(el.textContent || 0) + 1;
@@ -245,6 +557,60 @@ function connectSocket() {
     document.head.appendChild(script);
 }
 
+// ── Conflict arbitration (another emergency vehicle at the same junction) ──
+function selectedVehicleType() {
+    return document.querySelector(`.vehicle-btn[data-id="${selectedVehicleId}"]`)?.dataset.type || 'amb';
+}
+
+function onConflictResolved(decision) {
+    const { winner, loser, intersectionId, reason } = decision;
+    if (loser.vehicleId === selectedVehicleId) {
+        const entry = junctionData.find(j => j.id === intersectionId);
+        if (entry) entry.status = 'hold';
+        renderNextJunction();
+        showToast(`✋ HOLD at ${intersectionId}\n${winner.vehicleId} goes first\n${reason}`, 'emergency');
+    } else if (winner.vehicleId === selectedVehicleId) {
+        showToast(`✅ Priority at ${intersectionId}\n${loser.vehicleId} is holding\n${reason}`, 'success');
+    }
+}
+
+function onConflictReleased(event) {
+    if (event.vehicleId !== selectedVehicleId) return;
+    const entry = junctionData.find(j => j.id === event.intersectionId);
+    if (entry && entry.status === 'hold') entry.status = 'pending';
+    renderNextJunction();
+    showToast(`▶ ${event.intersectionId} released\n${event.clearedBy} has passed`, 'success');
+}
+
+// ── Junction passed → signal released by the engine ──
+function onIntersectionReleased(event) {
+    // Junctions dropped by a re-route are replaced by route_set, not passed
+    if (event.vehicleId !== selectedVehicleId || event.reason === 'REROUTED') return;
+    const entry = junctionData.find(j => j.id === event.intersectionId);
+    if (entry) entry.status = 'passed';
+    const m = intersectionMarkers[event.intersectionId];
+    if (m) m.setStyle({fillColor:'#1e3a5f',color:'#38bdf8',fillOpacity:.7});
+    lastReleased = { name: event.name || event.intersectionId, reason: event.reason, at: Date.now() };
+    renderNextJunction();
+}
+
+// ── Off route → engine recomputed the corridor to the destination ──
+function onRouteReplaced(route) {
+    if (route.vehicleId !== selectedVehicleId || !route.rerouted) return;
+    Object.values(intersectionMarkers).forEach(m => navMap?.removeLayer(m));
+    intersectionMarkers = {};
+    junctionData = route.intersections.map(i => ({...i, status:'pending'}));
+    plotIntersectionsOnMap(route.intersections);
+    if (route.geometry?.coordinates?.length) {
+        tripRouteCoords = route.geometry.coordinates.map(([lon,lat]) => ({lat,lon}));
+        drawRoutePolyline(tripRouteCoords);
+    }
+    currentRouteSteps = route.steps || [];
+    currentStepIndex = 0;
+    renderJunctionList();
+    showToast(`↪ Off route — corridor recalculated\n${route.intersectionCount} junctions ahead`, 'emergency');
+}
+
 // ── Start Emergency ──────────────────────────────────────────────
 async function startEmergency() {
     if (tripActive) { stopEmergency(); return; }
@@ -271,21 +637,76 @@ async function startEmergency() {
             const lon = parseFloat(document.getElementById('destLon').value);
             if (isNaN(lat)||isNaN(lon)) { showToast('⚠ Enter valid destination coordinates','emergency'); return; }
             destination = { lat, lon, name: 'Custom Destination' };
-        } else if (val) {
-            const [lat,lon] = val.split(',').map(parseFloat);
-            destination = { lat, lon, name: HOSPITALS[val]||'Hospital' };
+        } else if (hospitals[val]) {
+            const h = hospitals[val];
+            destination = { id: h.id, lat: h.lat, lon: h.lon, name: h.name };
         } else { showToast('⚠ Please select a destination hospital','emergency'); return; }
     }
 
+    if (positionMode === 'LIVE' && !lastGpsFix) { showToast('📡 Waiting for a GPS fix\nTry again in a moment', 'emergency'); return; }
+
+    showTripScreen();
+    if (currentIncident?.state === 'DISPATCHED') reportStage('EN_ROUTE');
+
+    // Engine route Origin -> Pickup -> Dest: corridor intersections, geometry and steps
+    try {
+        const res  = await engineFetch('/route', {
+            method:'POST',
+            body: { vehicleId:selectedVehicleId, vehicleType:selectedVehicleType(), criticality:selectedCriticality, hospitalId:destination.id || undefined, positionSource:positionMode, waypoints:[
+                {lat:currentPosition.lat,lon:currentPosition.lon},
+                {lat:pickupLocation.lat,lon:pickupLocation.lon},
+                {lat:destination.lat,lon:destination.lon},
+            ] },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        loadTripRoute(data);
+    } catch(e) {
+        console.warn('Corridor route fetch fail:', e);
+        showToast(`⚠ Corridor route failed\n${e.message}`, 'emergency');
+    }
+
+    placeTripMarkers();
+    telemetryInterval = setInterval(sendTelemetry, GPS_POLL_MS);
+    sendTelemetry();
+}
+
+// ── Dispatched by the control room: the corridor already exists, just drive it ──
+function onDispatchAssigned(assignment) {
+    if (assignment.vehicleId !== selectedVehicleId) return;
+    // A trip in progress was replaced by the dispatcher; the engine has already moved on
+    clearInterval(telemetryInterval); telemetryInterval = null;
+    if (simPath) { simPath.stop(); simPath = null; }
+    if (navMap) {
+        Object.values(intersectionMarkers).forEach(m => navMap.removeLayer(m));
+        intersectionMarkers = {};
+    }
+
+    if (assignment.incidentId) setIncident(assignment.incident);
+    selectedCriticality = assignment.criticality || selectedCriticality;
+    pickupLocation = { lat: assignment.incident.lat, lon: assignment.incident.lon, name: assignment.incidentId ? `Incident ${assignment.incidentId}` : 'Incident' };
+    destination    = assignment.destination;
+
+    showTripScreen();
+    if (currentIncident?.state === 'DISPATCHED') reportStage('EN_ROUTE');
+    loadTripRoute(assignment.route);
+    placeTripMarkers();
+    reportPositionSource(); // the dispatcher started this corridor without knowing
+    telemetryInterval = setInterval(sendTelemetry, GPS_POLL_MS);
+    sendTelemetry();
+    showToast(`📟 DISPATCHED\nIncident${destination.id ? ` → ${destination.name}` : ''}\nETA ${Math.round((assignment.route.durationSec || 0) / 60)} min`, 'emergency');
+}
+
+function showTripScreen() {
     tripActive = true;
     const btn = document.getElementById('emergencyBtn');
     btn.classList.add('active-trip');
     document.querySelector('.emergency-label').textContent = 'TRIP ACTIVE';
     document.querySelector('.emergency-sub').textContent   = 'Tap to STOP emergency';
-    document.getElementById('hdrStatus').innerHTML = '<span class="status-dot active"></span> SIMULATION';
+    renderPositionMode();
     document.getElementById('navVehicle').textContent = selectedVehicleId;
     const icons = { HIGH:'🔴', MEDIUM:'🟡', LOW:'🟢' };
-    document.getElementById('navCriticality').textContent = `${icons[selectedCriticality]} ${selectedCriticality}`;
+    document.getElementById('navCriticality').textContent = `${icons[selectedCriticality] || ''} ${selectedCriticality}`;
 
     initNavMap(currentPosition);
     gotoScreen('screen-nav');
@@ -296,35 +717,26 @@ async function startEmergency() {
     document.getElementById('tbtIcon').textContent = '🚗';
     document.getElementById('tbtDist').textContent = '...';
     document.getElementById('tbtText').textContent = 'Generating route simulation...';
+    renderStage();
+}
 
-    // 1. Fetch Engine Route -> Get Corridor Intersections (Pickup to Dest)
-    try {
-        const res  = await fetch(`${CORRIDOR_API}/route`, {
-            method:'POST', headers:{'Content-Type':'application/json'},
-            body: JSON.stringify({ waypoints:[{lat:pickupLocation.lat,lon:pickupLocation.lon},{lat:destination.lat,lon:destination.lon}] }),
-        });
-        const data = await res.json();
-        if (data.intersections?.length) {
-            junctionData = data.intersections.map(i => ({...i, status:'pending'}));
-            renderJunctionList();
-            plotIntersectionsOnMap(data.intersections);
-        }
-    } catch(e) { console.warn('Corridor route fetch fail:', e); }
-
-    // 2. Fetch OSRM Route with Steps (Origin -> Pickup -> Dest)
-    await fetchOSRMRoute(currentPosition, pickupLocation, destination);
+function loadTripRoute(route) {
+    if (route.intersections?.length) {
+        junctionData = route.intersections.map(i => ({...i, status:'pending'}));
+        renderJunctionList();
+        plotIntersectionsOnMap(route.intersections);
+    }
+    followEngineRoute(route);
+}
 
-    // Setup map markers
+function placeTripMarkers() {
     if (navMap) {
         if (destMarker) navMap.removeLayer(destMarker);
         destMarker = L.circleMarker([destination.lat,destination.lon], {radius:12,fillColor:'#22c55e',color:'#86efac',weight:2,fillOpacity:.9}).addTo(navMap).bindPopup(`🏥 ${destination.name}`);
         
         if (pickupMarker) navMap.removeLayer(pickupMarker);
-        pickupMarker = L.circleMarker([pickupLocation.lat,pickupLocation.lon], {radius:10,fillColor:'#f59e0b',color:'#fcd34d',weight:2,fillOpacity:.9}).addTo(navMap).bindPopup(`📍 Pickup Point`);
+        pickupMarker = L.circleMarker([pickupLocation.lat,pickupLocation.lon], {radius:10,fillColor:'#f59e0b',color:'#fcd34d',weight:2,fillOpacity:.9}).addTo(navMap).bindPopup(`📍 ${pickupLocation.name || 'Pickup Point'}`);
     }
-
-    telemetryInterval = setInterval(sendTelemetry, GPS_POLL_MS);
-    sendTelemetry();
 }
 // ── Nav Map ──────────────────────────────────────────────────────
 function initNavMap(src) {
@@ -347,64 +759,57 @@ function drawRoutePolyline(waypoints) {
     navMap.fitBounds(routePolyline.getBounds(),{padding:[40,40]});
 }
 
-async function fetchOSRMRoute(start, mid, end) {
-    try {
-        // Fetch full route: Start -> Pickup -> Dest with Turn-by-Turn steps
-        const url = `https://router.project-osrm.org/route/v1/driving/${start.lon},${start.lat};${mid.lon},${mid.lat};${end.lon},${end.lat}?overview=full&geometries=geojson&steps=true`;
-        const r = await fetch(url);
-        const d = await r.json();
-        
-        if (d.code === 'Ok' && d.routes?.[0]?.geometry?.coordinates?.length) {
-            const coordsGeoJSON = d.routes[0].geometry.coordinates;
-            const routeCoords = coordsGeoJSON.map(([lon,lat]) => ({lat,lon}));
-            drawRoutePolyline(routeCoords);
-            
-            if (socket) {
-                socket.emit('set_fleet_route', { id: selectedVehicleId, route: routeCoords });
-            }
-            
-            // Extract turn-by-turn steps
-            currentRouteSteps = [];
-            d.routes[0].legs.forEach(leg => {
-                if (leg.steps) {
-                    leg.steps.forEach(step => {
-                        // Store maneuver geometry and text for the TBT banner
-                        currentRouteSteps.push({
-                            location: { lat: step.maneuver.location[1], location: step.maneuver.location },
-                            maneuver: step.maneuver,
-                            name: step.name,
-                            distance: step.distance
-                        });
-                    });
-                }
-            });
-            currentStepIndex = 0;
-
-            // Stop existing simulation if any
-            if (simPath) simPath.stop();
-            
-            // Start simulation
-            showToast('▶ Starting simulation to pickup location', 'success');
-            simPath = new SimPath(routeCoords, 60); // 60 km/h simulation
-            simPath.onPositionChange = (pos) => {
-                currentPosition = pos;
-                updateDriverMarker();
-                updateTurnByTurn(pos);
-            };
-            simPath.onArrival = () => {
-                document.getElementById('tbtIcon').textContent = '🏁';
-                document.getElementById('tbtDist').textContent = 'DONE';
-                document.getElementById('tbtText').textContent = 'Arrived at Destination';
-                showToast('Arrived at hospital!', 'success');
-            };
-        }
-    } catch(e) { console.warn('OSRM error', e); }
+// Geometry and steps come from the same engine route as the corridor
+function followEngineRoute(route) {
+    const routeCoords = (route.geometry?.coordinates || []).map(([lon,lat]) => ({lat,lon}));
+    if (routeCoords.length < 2) { showToast('⚠ Engine returned no route geometry', 'emergency'); return; }
+    drawRoutePolyline(routeCoords);
+
+    if (socket) {
+        socket.emit('set_fleet_route', { id: selectedVehicleId, route: routeCoords });
+    }
+
+    currentRouteSteps = route.steps || [];
+    currentStepIndex = 0;
+    tripRouteCoords = routeCoords;
+    tripArrived = false;
+
+    // Stop existing simulation if any
+    if (simPath) { simPath.stop(); simPath = null; }
+
+    if (positionMode === 'LIVE') {
+        showToast('📡 Following live GPS to pickup location', 'success');
+        return;
+    }
+    showToast('▶ Starting simulation to pickup location', 'success');
+    startSimulation(routeCoords);
+}
+
+function startSimulation(routeCoords) {
+    if (simPath) simPath.stop();
+    simPath = null;
+    if (routeCoords.length < 2) return;
+    simPath = new SimPath(routeCoords, 60); // 60 km/h simulation
+    simPath.onPositionChange = (pos) => {
+        currentPosition = pos;
+        updateDriverMarker();
+        updateTurnByTurn(pos);
+    };
+    simPath.onArrival = onArrived;
+}
+
+function onArrived() {
+    document.getElementById('tbtIcon').textContent = '🏁';
+    document.getElementById('tbtDist').textContent = 'DONE';
+    document.getElementById('tbtText').textContent = 'Arrived at Destination';
+    tripArrived = true;
+    showToast('Arrived at hospital!', 'success');
 }
 
 function plotIntersectionsOnMap(intersections) {
     if (!navMap) return;
     intersections.forEach(ix => {
-        const m = L.circleMarker([ix.lat,ix.lon],{radius:10,fillColor:'#334155',color:'#475569',weight:2,fillOpacity:.6}).addTo(navMap).bindPopup(`🚦 ${ix.id}`);
+        const m = L.circleMarker([ix.lat,ix.lon],{radius:10,fillColor:'#334155',color:'#475569',weight:2,fillOpacity:.6}).addTo(navMap).bindPopup(`🚦 ${ix.name || ix.id}`);
         intersectionMarkers[ix.id] = m;
     });
 }
@@ -446,6 +851,17 @@ function renderNextJunction() {
         if (d < nearestDist) { nearestDist = d; nearest = j; }
     });
 
+    // Briefly confirm the junction just passed before moving on to the next one
+    if (lastReleased && Date.now() - lastReleased.at < 6000) {
+        nameEl.textContent = lastReleased.name;
+        subEl.textContent  = lastReleased.reason === 'MAX_HOLD' ? 'Hold time expired - signal released' : 'Passed - signal released';
+        sigEl.textContent  = String.fromCodePoint(0x2705); // checkmark
+        badge.textContent  = 'PASSED';
+        badge.className    = 'njc-badge green';
+        card.className     = 'next-junction-card';
+        return;
+    }
+
     if (!nearest) {
         nameEl.textContent = 'All junctions cleared!';
         subEl.textContent  = 'Corridor active to destination';
@@ -460,14 +876,20 @@ function renderNextJunction() {
         ? (Math.round(nearestDist) + ' m ahead')
         : ((nearestDist / 1000).toFixed(1) + ' km ahead');
 
-    nameEl.textContent = nearest.id;
+    nameEl.textContent = nearest.name || nearest.id; // managed signals carry registry names
 
     if (nearest.status === 'green') {
         sigEl.textContent = String.fromCodePoint(0x1F7E2); // green circle
         badge.textContent = 'GREEN';
         badge.className   = 'njc-badge green';
-        subEl.textContent = distText + ' - Pre-cleared';
+        subEl.textContent = distText + ' - Pre-cleared' + (nearest.approach?.id ? ` from ${nearest.approach.id}` : '');
         card.className    = 'next-junction-card state-green';
+    } else if (nearest.status === 'hold') {
+        sigEl.textContent = String.fromCodePoint(0x270B); // raised hand
+        badge.textContent = 'HOLD';
+        badge.className   = 'njc-badge red';
+        subEl.textContent = distText + ' - Yield to priority vehicle';
+        card.className    = 'next-junction-card state-red';
     } else if (nearest.status === 'red') {
         sigEl.textContent = String.fromCodePoint(0x1F534); // red circle
         badge.textContent = 'LOCKED';
@@ -484,9 +906,11 @@ function renderNextJunction() {
 }
 
 function updateJunctionState(id, signalStates) {
-    const states = Object.values(signalStates).map(s => s?.state || s);
     const entry  = junctionData.find(j => j.id === id);
-    if (!entry) return;
+    if (!entry || entry.status === 'passed') return; // recovery phases after we passed are not ours
+    // Only our own approach counts — another leg's green is still a red for us
+    const mine   = entry.approach?.id && signalStates[entry.approach.id];
+    const states = mine ? [mine.state || mine] : Object.values(signalStates).map(s => s?.state || s);
     if (states.includes('GREEN'))         entry.status = 'green';
     else if (states.includes('HARD_RED')) entry.status = 'red';
     renderNextJunction();
@@ -496,7 +920,8 @@ function updateJunctionState(id, signalStates) {
 function updateStatsBanner(stats) {
     const dist = stats.distanceToSignalM ?? null;
     const spd  = stats.velocityKmh ?? null;
-    if (spd != null) document.getElementById('statSpeed').textContent = Number(spd).toFixed(0) + ' km/h';
+    // Live GPS shows the receiver's own speed (see renderPositionMode)
+    if (spd != null && positionMode !== 'LIVE') document.getElementById('statSpeed').textContent = Number(spd).toFixed(0) + ' km/h';
 
     const wave = document.getElementById('waveIndicator');
     if (stats.shouldTrigger) {
@@ -514,24 +939,140 @@ function updateStatsBanner(stats) {
 // ── Telemetry ────────────────────────────────────────────────────
 async function sendTelemetry() {
     if (!tripActive||!currentPosition) return;
+    let timestamp = Math.floor(Date.now()/1000);
+    if (positionMode === 'LIVE') {
+        // Nothing new from the receiver — the engine's watchdog should see the gap, not a repeat
+        if (!lastGpsFix || lastGpsFix.at === lastSentFixAt) return;
+        lastSentFixAt = lastGpsFix.at;
+        timestamp = Math.floor(lastGpsFix.at/1000);
+    }
     updateDriverMarker();
     if (destination) {
         const d = haversineM(currentPosition.lat,currentPosition.lon,destination.lat,destination.lon);
         document.getElementById('statDist').textContent = d>1000 ? `${(d/1000).toFixed(1)} km` : `${Math.round(d)} m`;
-        const eta = d/(40*1000/3600);
+        const speedMps = positionMode === 'LIVE' && lastGpsFix?.speedMps > 2 ? lastGpsFix.speedMps : 40*1000/3600;
+        const eta = d/speedMps;
         document.getElementById('statETA').textContent = eta>60 ? `${Math.floor(eta/60)}m ${Math.round(eta%60)}s` : `${Math.round(eta)}s`;
     }
+    const fix = { id:selectedVehicleId, lat:currentPosition.lat, lon:currentPosition.lon, timestamp };
     try {
-        await fetch(`${CORRIDOR_API}/telemetry`, {
-            method:'POST', headers:{'Content-Type':'application/json'},
-            body: JSON.stringify({ id:selectedVehicleId, lat:currentPosition.lat, lon:currentPosition.lon, timestamp:Math.floor(Date.now()/1000) }),
-        });
-    } catch(_) {}
+        await enqueueFix(fix);
+    } catch (_) {
+        // No IndexedDB (e.g. private browsing): send it live and lose it if that fails
+        engineFetch('/telemetry', { method:'POST', body: fix }).catch(() => {});
+        return;
+    }
+    await flushOutbox();
+}
+
+// ── Telemetry Outbox ─────────────────────────────────────────────
+// Every fix is queued in IndexedDB with its original timestamp and a sequence
+// number, then flushed in order to /telemetry/batch. In a dead zone the queue
+// just grows; once the network is back the engine replays the late fixes
+// without re-triggering junctions already passed (see engine sessions.js).
+const OUTBOX_DB       = 'suraksha';
+const OUTBOX_STORE    = 'outbox';
+const OUTBOX_BATCH    = 200;   // the engine takes up to 500 per request
+const OUTBOX_FLUSH_MS = 10000;
+let outboxDb      = null;
+let flushing      = null;      // the flush in progress, if any
+let flushAgain    = false;     // a fix was queued while it was sending
+let queuedCount   = 0;
+let engineReached = true;      // false after a flush failed on the network
+
+function openOutbox() {
+    if (outboxDb) return Promise.resolve(outboxDb);
+    return new Promise((resolve, reject) => {
+        const req = indexedDB.open(OUTBOX_DB, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath:'seq' });
+        req.onsuccess = () => { outboxDb = req.result; resolve(outboxDb); };
+        req.onerror   = () => reject(req.error);
+    });
+}
+
+/** Runs fn(store) in one transaction; resolves with the result of the request it returns, if any. */
+async function outboxTx(mode, fn) {
+    const db = await openOutbox();
+    return new Promise((resolve, reject) => {
+        const tx  = db.transaction(OUTBOX_STORE, mode);
+        const req = fn(tx.objectStore(OUTBOX_STORE));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror    = () => reject(tx.error);
+    });
+}
+
+// The counter outlives reloads so a fix queued before one never shares a seq with one after
+function nextSeq() {
+    const seq = (parseInt(localStorage.getItem('suraksha.telemetrySeq'), 10) || 0) + 1;
+    localStorage.setItem('suraksha.telemetrySeq', String(seq));
+    return seq;
+}
+
+async function enqueueFix(fix) {
+    await outboxTx('readwrite', store => store.add({ ...fix, seq: nextSeq() }));
+    queuedCount++;
+    renderNetStatus();
+}
+
+/**
+ * Sends queued fixes of the signed-in vehicle, oldest first; whatever fails
+ * stays queued. A fix queued while a flush is sending goes out as soon as that
+ * flush is done, not on the next OUTBOX_FLUSH_MS tick; the returned promise
+ * covers both.
+ */
+function flushOutbox() {
+    if (flushing) { flushAgain = true; return flushing; }
+    flushing = (async () => {
+        do {
+            flushAgain = false;
+            await drainOutbox();
+        } while (flushAgain);
+        flushing = null;
+    })();
+    return flushing;
+}
+
+async function drainOutbox() {
+    try {
+        for (;;) {
+            const all   = await outboxTx('readonly', store => store.getAll());
+            const fixes = all.filter(f => f.id === selectedVehicleId).slice(0, OUTBOX_BATCH);
+            queuedCount = all.length;
+            if (!fixes.length || !navigator.onLine) break;
+
+            const res = await engineFetch('/telemetry/batch', {
+                method:'POST',
+                body: { id:selectedVehicleId, fixes: fixes.map(({ seq, lat, lon, timestamp }) => ({ seq, lat, lon, timestamp })) },
+            });
+            engineReached = true;
+            // A malformed batch will never be accepted; anything else (auth, engine loading) is retried
+            if (!res.ok && res.status !== 400) break;
+            const { lastSeq } = res.ok ? await res.json() : { lastSeq: fixes[fixes.length - 1].seq };
+            const done = fixes.filter(f => f.seq <= lastSeq);
+            await outboxTx('readwrite', store => { done.forEach(f => store.delete(f.seq)); });
+            queuedCount -= done.length;
+            if (fixes.length < OUTBOX_BATCH) break;
+        }
+    } catch (_) {
+        engineReached = false;
+    } finally {
+        renderNetStatus();
+    }
+}
+
+function renderNetStatus() {
+    const el = document.getElementById('netStatus');
+    if (!el) return;
+    const offline = !navigator.onLine || !engineReached;
+    const queued  = queuedCount > 0 ? `${queuedCount} QUEUED` : '';
+    el.textContent = offline ? ['OFFLINE', queued].filter(Boolean).join(' · ') : queued || 'ONLINE';
+    el.className   = `net-status ${offline ? 'offline' : queued ? 'queued' : ''}`;
 }
 
 // ── Stop Emergency ───────────────────────────────────────────────
 function stopEmergency() {
     tripActive = false;
+    renderStage();
     clearInterval(telemetryInterval); telemetryInterval = null;
     if (simPath) { simPath.stop(); simPath = null; }
     currentRouteSteps = [];
@@ -539,6 +1080,11 @@ function stopEmergency() {
     if (socket) {
         socket.emit('clear_fleet_route', { id: selectedVehicleId });
     }
+    // Queued fixes belong to this trip, so they go in before it ends
+    const reason = tripArrived ? 'ARRIVED' : 'STOPPED';
+    flushOutbox().finally(() => engineFetch(`/corridors/${encodeURIComponent(selectedVehicleId)}`, {
+        method:'DELETE', body: { reason },
+    }).catch(() => {}));
     
     const btn = document.getElementById('emergencyBtn');
     btn.classList.remove('active-trip');
@@ -546,7 +1092,7 @@ function stopEmergency() {
     document.querySelector('.emergency-sub').textContent   = 'Tap to activate Green Corridor';
     document.getElementById('hdrStatus').innerHTML = '<span class="status-dot standby"></span> STANDBY';
     gotoScreen('screen-dispatch');
-    showToast('⏹ Emergency stopped. Simulation ended.', '');
+    showToast(positionMode === 'LIVE' ? '⏹ Emergency stopped.' : '⏹ Emergency stopped. Simulation ended.', '');
     
     if (navMap) {
         if (routePolyline) { navMap.removeLayer(routePolyline); routePolyline=null; }
@@ -556,6 +1102,7 @@ function stopEmergency() {
         intersectionMarkers={};
     }
     junctionData=[];
+    lastReleased=null;
     const card = document.getElementById('nextJunctionCard');
     if(card) { card.className='next-junction-card'; }
     const nameEl = document.getElementById('njcName');
@@ -568,11 +1115,84 @@ function stopEmergency() {
     if(badge) { badge.textContent='—'; badge.className='njc-badge'; }
 }
 // ── Panic Buttons ────────────────────────────────────────────────
-function requestPolice()  { showToast('🚔 Police support requested!\nControl room notified.', 'emergency'); }
-function alertHospital()  { showToast(`🏥 Hospital alert sent!\n${destination?.name||'Hospital'} — patient arriving.`, 'success'); }
-function broadcastAlert() { showToast('📡 Emergency broadcast sent!\nNearby units notified.', 'emergency'); }
+// Police requests and broadcasts go to the control room's alert queue over
+// the socket; acknowledgements and assignments come back as field_alert_updated.
+const ALERT_BUTTON = { POLICE_REQUEST: '.float-btn.police', BROADCAST: '.float-btn.broadcast' };
+const ALERT_LABEL  = { POLICE_REQUEST: '🚔 Police request', BROADCAST: '📡 Broadcast' };
+
+function raiseAlert(type, defaultReason) {
+    if (!socket?.connected) { showToast('⚠ Not connected to the control room\nAlert not sent', 'emergency'); return; }
+    const reason = prompt(`${ALERT_LABEL[type]} — reason`, defaultReason);
+    if (reason === null) return;
+    socket.timeout(8000).emit('raise_alert', {
+        type,
+        lat: currentPosition?.lat,
+        lon: currentPosition?.lon,
+        reason: reason.trim() || defaultReason,
+    }, (err, res) => {
+        if (err || res?.error) { showToast(`⚠ ${ALERT_LABEL[type]} failed\n${err ? 'No answer from the engine' : res.error}`, 'emergency'); return; }
+        fieldAlerts[type] = res.alert;
+        renderHelpStatus();
+        const reached = res.alert.reached?.length ? `\n${res.alert.reached.length} nearby unit(s) notified.` : '';
+        showToast(`${ALERT_LABEL[type]} sent!\nWaiting for the control room.${reached}`, 'emergency');
+    });
+}
+
+function requestPolice()  { raiseAlert('POLICE_REQUEST', 'Police support needed'); }
+async function alertHospital() {
+    if (!destination?.id) { showToast('🏥 No registered hospital for this trip', 'emergency'); return; }
+    try {
+        const res  = await engineFetch(`/hospitals/${encodeURIComponent(destination.id)}/alerts`, {
+            method: 'POST',
+            body: { vehicleId: selectedVehicleId, criticality: selectedCriticality, message: `${selectedCriticality} criticality patient arriving` },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        showToast(`🏥 Hospital alert sent!\n${destination.name} — waiting for acknowledgement.`, 'success');
+    } catch (e) {
+        showToast(`⚠ Hospital alert failed\n${e.message}`, 'emergency');
+    }
+}
+function broadcastAlert() { raiseAlert('BROADCAST', 'Emergency vehicle approaching — clear the way'); }
+
+function onFieldAlertUpdated({ action, alert }) {
+    if (alert.vehicleId === selectedVehicleId) {
+        fieldAlerts[alert.type] = alert;
+        renderHelpStatus();
+        const label = ALERT_LABEL[alert.type];
+        if (action === 'ACKNOWLEDGED') showToast(`✔ ${label} acknowledged\nControl room is on it.`, 'success');
+        if (action === 'ASSIGNED')     showToast(`🚔 ${alert.assignedUnit.name || alert.assignedUnit.id} is on the way`, 'success');
+        if (action === 'ESCALATED')    showToast(`⬆ ${label} escalated\nSupervisor informed.`, 'success');
+        if (action === 'RESOLVED')     showToast(`✔ ${label} closed by control room`, 'success');
+    } else if (action === 'ASSIGNED' && alert.assignedUnit?.id === selectedVehicleId) {
+        showToast(`🚔 Assist ${alert.vehicleId}\n${alert.reason || 'Police support requested'}`, 'emergency');
+    }
+}
+
+function renderHelpStatus() {
+    const box = document.getElementById('helpStatus');
+    const lines = Object.values(fieldAlerts).filter(a => a.status !== 'RESOLVED').map(a => {
+        const status = a.status === 'ASSIGNED' ? `${a.assignedUnit.id} coming` : a.status === 'OPEN' ? 'waiting…' : 'acknowledged';
+        return `${ALERT_LABEL[a.type]}: ${status}${a.escalation ? ' ⬆' : ''}`;
+    });
+    box.textContent = lines.join('\n');
+    box.classList.toggle('hidden', !lines.length);
+    Object.entries(ALERT_BUTTON).forEach(([type, selector]) => {
+        const btn = document.querySelector(selector), a = fieldAlerts[type];
+        const open = a && a.status !== 'RESOLVED';
+        btn?.classList.toggle('pending', !!open && a.status === 'OPEN');
+        btn?.classList.toggle('acked', !!open && a.status !== 'OPEN');
+    });
+}
 
 // ── Haversine ────────────────────────────────────────────────────
+function bearingDeg(lat1,lon1,lat2,lon2) {
+    const toRad = d => d * Math.PI / 180;
+    const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
 function haversineM(lat1,lon1,lat2,lon2) {
     const R = 6371000; // Radius of the earth in m
     const dLat = (lat2 - lat1) * Math.PI / 180;
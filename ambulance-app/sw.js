@@ -0,0 +1,51 @@
+/**
+ * sw.js — Project Suraksha Ambulance Driver PWA service worker
+ *
+ * Keeps the app shell (and the Leaflet library it needs) in a cache so the
+ * app still opens in a coverage dead zone. Shell files are fetched network
+ * first, so a deploy reaches drivers as soon as they are back online, and
+ * served from the cache when the network fails. Engine calls (/corridor,
+ * /socket.io) are never cached — telemetry queued offline lives in the app's
+ * IndexedDB outbox instead (see app.js).
+ */
+'use strict';
+
+const CACHE_NAME = 'suraksha-driver-v1';
+const SHELL = [
+    '/ambulance-app/',
+    '/ambulance-app/index.html',
+    '/ambulance-app/app.js',
+    '/ambulance-app/style.css',
+    '/ambulance-app/manifest.json',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drop caches from earlier versions of the shell
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(n => n !== CACHE_NAME).map(n => caches.delete(n))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    const isShell = SHELL.includes(url.origin === self.location.origin ? url.pathname : url.href);
+    if (!isShell) return; // engine REST, sockets and map tiles go straight to the network
+
+    event.respondWith(fetch(request)
+        .then(res => {
+            if (res.ok) {
+                const copy = res.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return res;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })));
+});
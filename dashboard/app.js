@@ -10,16 +10,12 @@
 // same Express server (port 3000) — relative URLs, no CORS needed.
 const SIGNAL_API = '';
 const CORRIDOR_API = 'http://localhost:3001';
-const SECURITY_TOKEN = 'SURAKSHA_SECURE_TOKEN_2024';
 
 // Default route — overridden by the UI dropdowns
 // (kept as a fallback if the user hasn't picked a route yet)
 const DEFAULT_SRC = { lat: 26.8694796, lon: 75.8002381 };
 const DEFAULT_DST = { lat: 26.8540329, lon: 75.8107415 };
 
-// Normal-traffic speed baseline for "Time Saved" (km/h)
-const BASELINE_SPEED_KMH = 25;
-
 // Simulated ambulance speed (km/h) — controls virtual timestamp advancement.
 // Must be realistic (30-60 km/h) so the corridor engine reports sane velocities.
 const SIM_SPEED_KMH = 40;
@@ -31,12 +27,14 @@ let pulseMarker = null;
 let intersectionMarkers = {};  // id → L.circleMarker
 let managedIntersections = []; // from port 3000
 let selectedDirection = 'N';
+let releasedIntersections = new Set(); // passed by the vehicle and handed back to normal operation
 
 let simRunning = false;
 let simInterval = null;
 let simWaypoints = [];
 let simIndex = 0;
 let simStartTime = null;
+let simTripId = null; // engine trip record of the running simulation, see /analytics/trips/:id
 let simDistanceCovered = 0;
 let simSpeedSamples = [];
 let simTriggeredCount = 0;
@@ -47,33 +45,69 @@ let currentTriage = 'RED';
 let lastPosition = null;
 let socket = null;
 let simPolyline = null;
+let networkLayer = null;  // road network around the viewport, loaded from /map/bbox
 
-// Emergency Fleet definition
-// id, label shown on map tag, type (amb|fire|police), base lat/lon, popup desc
-const EMERGENCY_FLEET = [
-    { id: 'AMB-001', label: 'AMB-001', type: 'amb', lat: 26.8952, lon: 75.7872, desc: 'City Hospital Ambulance 1' },
-    { id: 'AMB-002', label: 'AMB-002', type: 'amb', lat: 26.8862, lon: 75.7880, desc: 'City Hospital Ambulance 2' },
-    { id: 'AMB-003', label: 'AMB-003', type: 'amb', lat: 26.9002, lon: 75.7902, desc: 'Regional Trauma Unit' },
-    { id: 'FIRE-001', label: 'FIRE-001', type: 'fire', lat: 26.9125, lon: 75.7855, desc: 'Central Fire Station Truck 1' },
-    { id: 'POLICE-001', label: 'POLICE-001', type: 'police', lat: 26.8980, lon: 75.8055, desc: 'Traffic Response Unit' },
-];
+// Emergency fleet, loaded from the engine's registry (GET /dispatch/fleet)
+// id, label shown on map tag, type (amb|fire|police), last known or base lat/lon, popup desc
+let emergencyFleet = [];
+let fleetBadges = {}; // id → badge state, kept across fleet reloads
 
 // The vehicle that DRIVES in the simulation (selected via UI)
 let SIM_VEHICLE_ID = 'AMB-001';
 
+// ── Request signing ────────────────────────────────────────────────
+// The control room signs engine calls with the operator token printed by
+// the corridor engine (OPERATOR_TOKEN); see green-corridor-engine/src/auth.js.
+const OPERATOR_TOKEN_KEY = 'suraksha.operatorToken';
+const enc = new TextEncoder();
+const toHex = buf => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+
+function operatorToken() {
+    let token = sessionStorage.getItem(OPERATOR_TOKEN_KEY);
+    if (!token) {
+        token = (prompt('Operator token (printed by the corridor engine on startup):') || '').trim();
+        if (token) sessionStorage.setItem(OPERATOR_TOKEN_KEY, token);
+    }
+    return token || '';
+}
+
+async function signParts(method, path, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const bodyHash = toHex(await crypto.subtle.digest('SHA-256', enc.encode(body)));
+    const key = await crypto.subtle.importKey('raw', enc.encode(operatorToken()), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, enc.encode([method, path, timestamp, nonce, bodyHash].join('\n')));
+    return { clientId: 'operator', timestamp, nonce, signature: toHex(mac) };
+}
+
+// Signed call to the corridor engine; a rejected signature clears the stored token
+async function engineFetch(path, { method = 'GET', body } = {}) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const sig = await signParts(method, path, payload);
+    const headers = { 'X-Client-Id': sig.clientId, 'X-Timestamp': sig.timestamp, 'X-Nonce': sig.nonce, 'X-Signature': sig.signature };
+    if (payload) headers['Content-Type'] = 'application/json';
+    const res = await fetch(`${CORRIDOR_API}${path}`, { method, headers, body: payload || undefined });
+    if (res.status === 401) {
+        const { error } = await res.clone().json().catch(() => ({}));
+        if (error === 'Bad signature') sessionStorage.removeItem(OPERATOR_TOKEN_KEY);
+    }
+    return res;
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     initMap();
     loadIntersections();
 
-    // Populate vehicle select
-    const vSel = document.getElementById('vehicleSelect');
-    if (vSel) {
-        vSel.innerHTML = EMERGENCY_FLEET.map(v =>
-            `<option value="${v.id}">${v.id} — ${v.desc}</option>`
-        ).join('');
-    }
+    renderKeyOptions([]);
+    loadFleet();
+    loadHospitals();
 
     connectSocket();
+    loadIncidents();
+    loadFieldAlerts();
+    loadCorridors();
+    loadTripList();
+    loadAnalytics();
     startLiveClock();
     updateSystemStatus('connecting', 'Connecting to backends…');
 
@@ -132,12 +166,67 @@ function initMap() {
         maxZoom: 19,
     }).addTo(map);
 
-    // Plot all fleet vehicles
-    plotFleet();
+    // Road network is loaded for the visible area only, once zoomed in
+    networkLayer = L.layerGroup().addTo(map);
+    let networkTimer = null;
+    map.on('moveend', () => {
+        clearTimeout(networkTimer);
+        networkTimer = setTimeout(loadNetwork, 300);
+    });
+
+    // PICK in the dispatch card: the next click sets the incident
+    map.on('click', e => {
+        if (!pickingIncident) return;
+        pickingIncident = false;
+        selectedIncidentId = null; // a new location, not one of the open incidents
+        renderIncidents();
+        map.getContainer().style.cursor = '';
+        setIncident(e.latlng.lat, e.latlng.lng);
+        recommendDispatch();
+    });
 
     logEvent('info', '\ud83d\uddfa Map initialized — Jaipur road network');
 }
 
+// ── Road Network (on demand, per viewport) ───────────
+const NETWORK_MIN_ZOOM = 15;
+const networkRenderer = L.canvas({ padding: 0.2 });
+let networkRequest = 0;
+
+async function loadNetwork() {
+    const request = ++networkRequest;
+    if (map.getZoom() < NETWORK_MIN_ZOOM) {
+        networkLayer.clearLayers();
+        return;
+    }
+    const b = map.getBounds().pad(0.2);
+    const query = new URLSearchParams({
+        minLat: b.getSouth().toFixed(5), minLon: b.getWest().toFixed(5),
+        maxLat: b.getNorth().toFixed(5), maxLon: b.getEast().toFixed(5),
+    });
+    try {
+        const res = await fetch(`${CORRIDOR_API}/map/bbox?${query}`);
+        const data = await res.json();
+        if (request !== networkRequest) return; // the map moved again meanwhile
+        if (!res.ok) throw new Error(data.error);
+
+        networkLayer.clearLayers();
+        data.edges.forEach(e => {
+            L.polyline(e.coordinates.map(([lon, lat]) => [lat, lon]), {
+                renderer: networkRenderer, color: '#475569', weight: 1.5, opacity: 0.7, interactive: false,
+            }).addTo(networkLayer);
+        });
+        data.intersections.forEach(n => {
+            L.circleMarker([n.lat, n.lon], {
+                renderer: networkRenderer, radius: 2, color: '#64748b', fillOpacity: 0.8, weight: 0,
+            }).addTo(networkLayer).bindTooltip(n.highway || 'junction');
+        });
+        if (data.truncated) logEvent('warning', '⚠ Road network truncated for this view — zoom in for full detail');
+    } catch (e) {
+        if (request === networkRequest) logEvent('error', `❌ Road network load failed: ${e.message}`);
+    }
+}
+
 // Vehicle Icon Builder
 function makeVehicleIcon(type, active) {
     const palette = {
@@ -177,12 +266,77 @@ function makeVehicleIcon(type, active) {
     });
 }
 
+// ── Fleet (the engine's registry, see green-corridor-engine/src/fleet.js) ──
+const FLEET_ICONS = { amb: 'fa-truck-medical', fire: 'fa-fire-flame-curved', police: 'fa-shield-halved' };
+
+// Engine vehicle → dashboard entry, placed where it was last seen or else at its base
+const fleetEntry = v => ({
+    id: v.id,
+    label: v.id,
+    type: v.type,
+    lat: v.position?.lat ?? v.baseLat,
+    lon: v.position?.lon ?? v.baseLon,
+    desc: v.name,
+    inService: v.inService,
+    available: v.available,
+});
+
+async function loadFleet() {
+    try {
+        const res = await engineFetch('/dispatch/fleet');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        setFleet(data.vehicles);
+    } catch (e) {
+        const list = document.getElementById('fleetList');
+        if (list) list.innerHTML = `<div class="fleet-name" style="color:#ef4444">Fleet unavailable: ${e.message}</div>`;
+    }
+}
+
+function setFleet(vehicles) {
+    emergencyFleet = vehicles.map(fleetEntry);
+    policeUnits = emergencyFleet
+        .filter(v => v.type === 'police' && v.inService)
+        .map(v => ({ id: v.id, name: v.desc, available: v.available }));
+
+    // Populate vehicle select, keeping the current choice while it still exists
+    const vSel = document.getElementById('vehicleSelect');
+    if (vSel) {
+        vSel.innerHTML = emergencyFleet.map(v =>
+            `<option value="${v.id}">${v.id} — ${v.desc}</option>`
+        ).join('');
+        if (emergencyFleet.some(v => v.id === SIM_VEHICLE_ID)) vSel.value = SIM_VEHICLE_ID;
+    }
+    renderFleetList();
+    plotFleet();
+    renderKeyOptions();
+    renderFieldAlerts();
+}
+
+function renderFleetList() {
+    const list = document.getElementById('fleetList');
+    if (!list) return;
+    list.innerHTML = emergencyFleet.map(v => `
+        <div class="fleet-item" id="fleet-${v.id}">
+            <div class="fleet-icon ${v.type}"><i class="fa-solid ${FLEET_ICONS[v.type] || 'fa-question'}"></i></div>
+            <div class="fleet-info">
+                <span class="fleet-id">${v.id}</span>
+                <span class="fleet-name">${v.desc}</span>
+            </div>
+            <span class="fleet-badge standby" id="fbadge-${v.id}">STANDBY</span>
+        </div>`).join('') || '<div class="fleet-name">No vehicles registered</div>';
+    Object.entries(fleetBadges).forEach(([id, state]) => setFleetBadge(id, state));
+}
+
 // Plot All Fleet Vehicles
 function plotFleet() {
-    EMERGENCY_FLEET.forEach(v => {
+    if (!map) return;
+    Object.values(fleetMarkers).forEach(m => map.removeLayer(m));
+    fleetMarkers = {};
+    emergencyFleet.forEach(v => {
         const isActive = v.id === SIM_VEHICLE_ID;
         const marker = L.marker([v.lat, v.lon], {
-            icon: makeVehicleIcon(v.type, false),
+            icon: makeVehicleIcon(v.type, ['active', 'drill'].includes(fleetBadges[v.id])),
             zIndexOffset: isActive ? 1000 : 0,
         }).addTo(map);
 
@@ -200,24 +354,31 @@ function plotFleet() {
 
 // Promote vehicle to ACTIVE on simulation start
 function setVehicleActive(id) {
-    const v = EMERGENCY_FLEET.find(x => x.id === id);
+    const v = emergencyFleet.find(x => x.id === id);
     if (!v || !fleetMarkers[id]) return;
     fleetMarkers[id].setIcon(makeVehicleIcon(v.type, true));
     setFleetBadge(id, 'active');
 }
 
 function setVehicleStandby(id) {
-    const v = EMERGENCY_FLEET.find(x => x.id === id);
+    const v = emergencyFleet.find(x => x.id === id);
     if (!v || !fleetMarkers[id]) return;
     fleetMarkers[id].setIcon(makeVehicleIcon(v.type, false));
     setFleetBadge(id, 'standby');
 }
 
+const FLEET_BADGE_TEXT = { active: 'ACTIVE', standby: 'STANDBY', stale: 'STALE', drill: 'DRILL' };
+const FLEET_BADGE_COLOR = { stale: '#f59e0b', drill: '#38bdf8' };
+
 function setFleetBadge(id, state) {
+    fleetBadges[id] = state;
     const badge = document.getElementById(`fbadge-${id}`);
     if (!badge) return;
     badge.className = `fleet-badge ${state}`;
-    badge.textContent = state === 'active' ? 'ACTIVE' : 'STANDBY';
+    badge.textContent = FLEET_BADGE_TEXT[state] || state.toUpperCase();
+    // Telemetry lost, or a simulated drill — make either impossible to mistake for a real call
+    badge.style.color = FLEET_BADGE_COLOR[state] || '';
+    badge.style.borderColor = FLEET_BADGE_COLOR[state] || '';
 }
 
 // Move the active vehicle marker on each sim step
@@ -242,17 +403,21 @@ function moveAmbulance(lat, lon) {
     createAmbulancePulse(latlng);
 }
 
-// Intersection markers
+// Intersection markers — managed signals come from the engine's registry
 async function loadIntersections() {
     try {
-        const res = await fetch(`${SIGNAL_API}/api/v1/signal/intersections`);
+        const res = await fetch(`${CORRIDOR_API}/intersections?enabled=true`);
         const data = await res.json();
         managedIntersections = data.intersections || [];
+        renderKeyOptions();
+
+        // Redraw from scratch — the registry may have changed under us
+        Object.values(intersectionMarkers).forEach(m => map.removeLayer(m));
+        intersectionMarkers = {};
 
-        // Draw on map only (dropdown was removed)
         managedIntersections.forEach(intx => {
             const marker = L.circleMarker(
-                [intx.location.lat, intx.location.lng],
+                [intx.lat, intx.lon],
                 {
                     radius: 14,
                     fillColor: '#334155',
@@ -267,40 +432,101 @@ async function loadIntersections() {
 
         logEvent('info', `📍 Loaded ${managedIntersections.length} managed intersections`);
     } catch (e) {
-        logEvent('error', '❌ Could not load intersections from port 3000');
+        logEvent('error', '❌ Could not load intersections from the corridor engine registry');
     }
 }
 
 function buildIntersectionPopup(intx, phase) {
+    const dirButtons = (intx.approaches || []).map(a =>
+        `<button class="dir-btn${a.id === selectedDirection ? ' selected' : ''}" onclick="triggerManual('${a.id}')">${a.id}</button>`
+    ).join(' ');
     return `
         <div style="color:#e2e8f0;font-family:JetBrains Mono,monospace;line-height:1.6">
             <b>${intx.id}</b><br>
             ${intx.name}<br>
-            <span style="color:#94a3b8">Phase:</span> ${phase}
+            <span style="color:#94a3b8">Phase:</span> ${phase}<br>
+            <span style="color:#94a3b8">Approach:</span> ${dirButtons}<br>
+            <button onclick="manualPreempt('${intx.id}')">GREEN ${selectedDirection}</button>
+            <button onclick="manualRelease('${intx.id}')">RELEASE</button>
         </div>`;
 }
 
-function setIntersectionState(id, signalStates) {
+function setIntersectionState(id, signalStates, approach, mode) {
     const marker = intersectionMarkers[id];
     if (!marker) return;
+    if (mode === 'PREEMPT') releasedIntersections.delete(id);
 
     // Determine dominant colour from signal states
     const states = Object.values(signalStates).map(s => s?.state || s);
     let colour, border;
-    if (states.includes('GREEN')) { colour = '#22c55e'; border = '#86efac'; }
+    if (mode === 'RECOVERY') { colour = '#b45309'; border = '#f59e0b'; }
+    else if (states.includes('GREEN')) { colour = '#22c55e'; border = '#86efac'; }
     else if (states.includes('HARD_RED')) { colour = '#7f1d1d'; border = '#ef4444'; }
+    else if (releasedIntersections.has(id)) { colour = '#1e3a5f'; border = '#38bdf8'; }
     else { colour = '#1e293b'; border = '#475569'; }
 
     marker.setStyle({ fillColor: colour, color: border, fillOpacity: 0.8 });
 
+    // Show which approach holds the green, not just "green somewhere"
+    const greenLegs = Object.entries(signalStates).filter(([, s]) => (s?.state || s) === 'GREEN').map(([d]) => d);
+    const tooltip = mode === 'RECOVERY' ? `RECOVERY ${greenLegs.join('/')}`
+        : greenLegs.length && greenLegs.length < Object.keys(signalStates).length ? `GREEN from ${approach || greenLegs.join('/')}`
+        : releasedIntersections.has(id) ? 'PASSED ✓ RELEASED'
+        : null;
+    marker.unbindTooltip();
+    if (tooltip) marker.bindTooltip(tooltip, { permanent: true, direction: 'top', offset: [0, -12] });
+
     const intx = managedIntersections.find(i => i.id === id);
     if (intx) marker.setPopupContent(buildIntersectionPopup(intx, Object.entries(signalStates).map(([d, s]) => `${d}:${(s?.state || s)}`).join(' ')));
 }
 
+function markReleased(id, reason) {
+    releasedIntersections.add(id);
+    const marker = intersectionMarkers[id];
+    if (!marker) return;
+    marker.setStyle({ fillColor: '#1e3a5f', color: '#38bdf8', fillOpacity: 0.8 });
+    marker.unbindTooltip();
+    marker.bindTooltip(reason === 'PASSED' ? 'PASSED ✓ RELEASED' : `RELEASED (${reason})`, { permanent: true, direction: 'top', offset: [0, -12] });
+}
+
+// Operator override on one approach of a managed intersection
+async function manualPreempt(id) {
+    try {
+        const res = await engineFetch(`/intersections/${encodeURIComponent(id)}/preempt`, {
+            method: 'POST',
+            body: { approach: selectedDirection },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        logEvent('warning', `🚦 Manual GREEN at ${id} from ${selectedDirection}`);
+    } catch (e) {
+        logEvent('error', `❌ Manual preempt at ${id} failed: ${e.message}`);
+    }
+}
+
+async function manualRelease(id) {
+    try {
+        const res = await engineFetch(`/intersections/${encodeURIComponent(id)}/release`, { method: 'POST' });
+        if (!res.ok) throw new Error((await res.json()).error);
+        logEvent('info', `🚦 ${id} released to normal operation`);
+    } catch (e) {
+        logEvent('error', `❌ Release at ${id} failed: ${e.message}`);
+    }
+}
+
 // Socket.io Init
 function connectSocket() {
     try {
-        socket = io(CORRIDOR_API, { transports: ['websocket', 'polling'] });
+        // The handshake is signed afresh on every (re)connect
+        socket = io(CORRIDOR_API, {
+            transports: ['websocket', 'polling'],
+            auth: cb => signParts('SOCKET', '/socket.io', '').then(cb),
+        });
+
+        socket.on('connect_error', err => {
+            updateSystemStatus('error', 'ENGINE AUTH FAILED');
+            logEvent('error', `🔒 Socket.io: ${err.message}`);
+        });
 
         socket.on('connect', () => {
             socket.emit('join_dashboard');
@@ -311,15 +537,139 @@ function connectSocket() {
             updateSystemStatus('live', 'SYSTEM LIVE');
         });
 
-        // Real-time telemetry stats from the corridor engine
+        // Real-time telemetry stats from the corridor engine.
+        // Stats are tagged per vehicle — the panel follows the simulated vehicle.
         socket.on('current_stats', stats => {
+            if (stats.vehicleId && simRunning && stats.vehicleId !== SIM_VEHICLE_ID) return;
             updateGreenWavePanel(stats);
         });
 
+        // Telemetry watchdog — vehicle went silent / came back
+        socket.on('vehicle_stale', e => {
+            setFleetBadge(e.vehicleId, 'stale');
+            logEvent('error', `📵 ${e.vehicleId} STALE — no telemetry for ${e.silentSec}s, ${e.suspended.length} preemption(s) suspended`);
+            if (e.vehicleId === SIM_VEHICLE_ID || !simRunning) {
+                const badge = document.getElementById('waveBadge');
+                badge.className = 'wave-badge warning';
+                badge.textContent = '⬤ SIGNAL LOST';
+            }
+        });
+
+        socket.on('vehicle_resumed', e => {
+            setFleetBadge(e.vehicleId, 'active');
+            logEvent('success', `📶 ${e.vehicleId} telemetry resumed${e.resumed.length ? ` — re-requested ${e.resumed.join(', ')}` : ''}`);
+        });
+
+        // Vehicle cleared the junction — signal handed back to normal operation
+        socket.on('intersection_released', e => {
+            // Time saved is measured per junction passed — refresh it from the engine
+            if (e.reason === 'PASSED' && e.vehicleId === SIM_VEHICLE_ID) refreshTimeSaved();
+            // Another corridor still holds it — the signal stays preempted for that vehicle
+            if (e.stillHeldBy) {
+                logEvent('info', `🔁 ${e.vehicleId} let go of ${e.intersectionId} (${e.reason}) — still held for ${e.stillHeldBy}`);
+                return;
+            }
+            releasedIntersections.add(e.intersectionId);
+            const steps = (e.recovery || []).map(s => `${s.type} ${s.seconds}s`).join(', ');
+            logEvent(e.reason === 'MAX_HOLD' ? 'warning' : 'success',
+                `🔓 ${e.intersectionId} released (${e.reason}) after ${e.heldSec}s by ${e.vehicleId}${steps ? ` → recovery: ${steps}` : ''}`);
+            markReleased(e.intersectionId, e.reason);
+        });
+
+        // Managed intersection registry changed (create / update / import / delete)
+        socket.on('intersections_updated', () => loadIntersections());
+
+        // Signal controller failures (driver could not reach the intersection)
+        socket.on('controller_error', e => {
+            logEvent('error', `❌ Controller ${e.controller} ${e.operation} failed at ${e.intersectionId}: ${e.error}`);
+        });
+
+        // Conflict arbitration between corridors
+        socket.on('conflict_resolved', d => {
+            logEvent('warning', `⚖ ${d.intersectionId}: ${d.winner.vehicleId} before ${d.loser.vehicleId} (HOLD) — ${d.reason}`);
+            showToast(`⚖ CONFLICT at ${d.intersectionId}\n${d.winner.vehicleId} goes first\n${d.loser.vehicleId} holds`);
+        });
+
+        socket.on('conflict_released', d => {
+            logEvent('info', `▶ ${d.vehicleId} released at ${d.intersectionId} — ${d.clearedBy} has passed`);
+        });
+
+        // Hospital registry and pre-arrival alerts (see green-corridor-engine/src/hospitals.js)
+        socket.on('hospitals_updated', data => setHospitals(data.hospitals || []));
+        socket.on('fleet_updated', data => setFleet(data.vehicles || []));
+        socket.on('hospital_alert', a => {
+            logEvent('warning', `🏥 ${a.vehicleId} → ${a.hospitalId}: ${a.message}`);
+        });
+        socket.on('hospital_alert_ack', a => {
+            logEvent('success', `🏥 ${a.hospitalId} acknowledged ${a.vehicleId}'s alert`);
+        });
+
+        socket.on('incident_updated', incident => {
+            const previous = openIncidents.get(incident.id);
+            if (!previous) logEvent('warning', `🆘 Incident ${incident.id} (${incident.triage}) opened`);
+            else if (previous.state !== incident.state) logEvent('info', `🆘 ${incident.id}: ${previous.state} → ${incident.state}`);
+            if (incident.state === 'CLOSED') openIncidents.delete(incident.id);
+            else openIncidents.set(incident.id, incident);
+            renderIncidents();
+        });
+
+        // Junction marshals (see green-corridor-engine/src/junctionFeed.js and /marshal)
+        socket.on('box_cleared', r => {
+            const where = r.name || r.intersectionId;
+            logEvent('success', `🚦 Box cleared at ${where}${r.vehicleId ? ` for ${r.vehicleId}` : ''}${r.note ? ` — ${r.note}` : ''}`);
+            showToast(`🚦 Box cleared\n${where}${r.vehicleId ? ` → ${r.vehicleId}` : ''}`);
+        });
+
+        // Fixes a driver app queued in a dead zone, replayed onto its trip (nothing re-triggered)
+        socket.on('telemetry_backfilled', b => {
+            const secs = Math.max(0, Math.round(b.to - b.from));
+            logEvent('info', `📶 ${b.vehicleId} back online — ${b.count} queued fix${b.count === 1 ? '' : 'es'} (${secs}s offline) added to its trip`);
+        });
+
+        // Crew police requests and broadcasts (see green-corridor-engine/src/fieldAlerts.js)
+        socket.on('field_alert', ({ alert, repeated, reached }) => {
+            logEvent('warning', `${ALERT_ICONS[alert.type]} ${alert.vehicleId}${repeated ? ' (again)' : ''}: ${alert.reason || alert.type}${reached.length ? ` → ${reached.join(', ')}` : ''}`);
+            if (!repeated) showToast(`${ALERT_ICONS[alert.type]} ${alert.vehicleId}\n${alert.reason || alert.type}`);
+            fieldAlertQueue.set(alert.id, alert);
+            renderFieldAlerts();
+        });
+        socket.on('field_alert_updated', ({ action, alert }) => {
+            logEvent('info', `${ALERT_ICONS[alert.type]} ${alert.vehicleId}'s alert ${action.toLowerCase()}${alert.assignedUnit && action === 'ASSIGNED' ? ` → ${alert.assignedUnit.id}` : ''}`);
+            if (alert.status === 'RESOLVED') fieldAlertQueue.delete(alert.id);
+            else fieldAlertQueue.set(alert.id, alert);
+            renderFieldAlerts();
+        });
+
+        socket.on('vehicle_dispatched', d => {
+            logEvent('success', `📟 ${d.vehicleId} dispatched to incident${d.hospitalId ? ` → ${d.hospitalId}` : ''}`);
+            loadCorridors();
+        });
+
+        // Per-vehicle corridor lifecycle
+        socket.on('route_set', data => {
+            if (data.rerouted) logEvent('warning', `↪ ${data.vehicleId} left its route — corridor re-routed, ${data.intersectionCount} intersections to destination`);
+            else logEvent('info', `🛣 Corridor set for ${data.vehicleId}${data.positionSource === 'SIMULATION' ? ' (DRILL)' : ''} — ${data.intersectionCount} intersections`);
+            loadCorridors();
+        });
+
+        // The driver app switched between its simulator and live GPS
+        socket.on('position_source', data => {
+            if (data.source === 'LIVE') logEvent('warning', `📡 ${data.vehicleId} is on LIVE GPS — real call`);
+            else logEvent('info', `🎮 ${data.vehicleId} is on SIMULATION — drill`);
+            loadCorridors();
+        });
+
+        socket.on('corridor_ended', data => {
+            logEvent('warning', `⏹ Corridor ended for ${data.vehicleId}${data.reason ? ` (${data.reason})` : ''}`);
+            loadCorridors();
+            loadTripList();
+            loadAnalytics();
+        });
+
         // Real-time intersection states from the signal bridge
         socket.on('signal_state_updated', payload => {
             if (payload && payload.id && payload.state) {
-                setIntersectionState(payload.id, payload.state);
+                setIntersectionState(payload.id, payload.state, payload.approach, payload.mode);
             }
         });
 
@@ -331,7 +681,9 @@ function connectSocket() {
         // ── Mobile app telemetry → move vehicle marker on dashboard map ──
         // Emitted by server.js /telemetry endpoint after every GPS update from phone.
         socket.on('fleet_update', data => {
-            const { id, lat, lon } = data;
+            // Prefer the engine's map-matched position; raw GPS when off-route
+            const { id } = data;
+            const { lat, lon } = data.snapped || data;
             if (!id || lat == null || lon == null) return;
 
             // Move the vehicle marker if it exists on the map
@@ -339,7 +691,7 @@ function connectSocket() {
                 fleetMarkers[id].setLatLng([lat, lon]);
 
                 // Make the icon pulse (active state)
-                const v = EMERGENCY_FLEET.find(x => x.id === id);
+                const v = emergencyFleet.find(x => x.id === id);
                 if (v) fleetMarkers[id].setIcon(makeVehicleIcon(v.type, true));
             }
 
@@ -352,8 +704,8 @@ function connectSocket() {
                 logEvent('info', `📍 [MOBILE] ${id} → ${lat.toFixed(5)}, ${lon.toFixed(5)}`);
             }
 
-            // Update fleet badge
-            setFleetBadge(id, 'active');
+            // Update fleet badge — fixes from the driver app's simulator are a drill
+            setFleetBadge(id, data.positionSource === 'SIMULATION' ? 'drill' : 'active');
             trimFleetRoute(id, lat, lon);
         });
 
@@ -472,11 +824,13 @@ function setTriage(level) {
     logEvent('info', `🏷 Triage set to ${level}`);
 }
 
-// Direction selector
+// Direction selector — picks the approach used by manual preempt
 function triggerManual(dir) {
     selectedDirection = dir;
-    document.querySelectorAll('.dir-btn').forEach(b => b.classList.remove('selected'));
-    event.target.classList.add('selected');
+    document.querySelectorAll('.dir-btn').forEach(b => b.classList.toggle('selected', b.textContent === dir));
+    document.querySelectorAll('.leaflet-popup-content button[onclick^="manualPreempt"]').forEach(b => {
+        b.textContent = `GREEN ${dir}`;
+    });
 }
 
 
@@ -490,6 +844,345 @@ function showToast(msg) {
     toastTimeout = setTimeout(() => toast.classList.remove('show'), 4000);
 }
 
+// Current position → incident → hospital, dropping points within 50 m of the
+// previous one so the corridor engine never gets zero-length legs
+function buildSimWaypoints(fleetData) {
+    const { srcLat, srcLon, dstLat, dstLon } = getRouteCoords();
+    const legs = [
+        { lat: fleetData.lat, lon: fleetData.lon },         // Current location
+        { lat: srcLat, lon: srcLon },                       // Incident / Start
+        { lat: dstLat, lon: dstLon }                        // Hospital / Goal
+    ];
+
+    const waypoints = [];
+    for (const pt of legs) {
+        if (waypoints.length === 0 || haversineMeters(waypoints[waypoints.length - 1], pt) > 50) {
+            waypoints.push(pt);
+        }
+    }
+    if (waypoints.length < 2) {
+        throw new Error('All waypoints are too close to each other.');
+    }
+    return waypoints;
+}
+
+// ── Incidents (see green-corridor-engine/src/incidents.js) ──
+const TRIAGE_COLORS = { RED: '#ef4444', YELLOW: '#f59e0b', GREEN: '#22c55e' };
+const openIncidents = new Map(); // id → incident, kept live by incident_updated
+let selectedIncidentId = null;
+let incidentLayer = null;
+
+async function loadIncidents() {
+    try {
+        const res = await engineFetch('/incidents?open=true');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        openIncidents.clear();
+        data.incidents.forEach(i => openIncidents.set(i.id, i));
+        renderIncidents();
+    } catch (e) {
+        const list = document.getElementById('incidentList');
+        if (list) list.innerHTML = `<div class="fleet-name" style="color:#ef4444">Incidents unavailable: ${e.message}</div>`;
+    }
+}
+
+function renderIncidents() {
+    const list = document.getElementById('incidentList');
+    if (!list) return;
+    if (selectedIncidentId && !openIncidents.has(selectedIncidentId)) selectedIncidentId = null;
+
+    const incidents = Array.from(openIncidents.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    list.innerHTML = incidents.length
+        ? incidents.map(i => `
+            <div class="fleet-item" style="${i.id === selectedIncidentId ? 'outline:1px solid #38bdf8;border-radius:6px' : ''}">
+                <div class="fleet-info" onclick="selectIncident('${i.id}')" style="cursor:pointer">
+                    <span class="fleet-id" style="color:${TRIAGE_COLORS[i.triage]}">${i.id} • ${i.state.replace('_', ' ')}</span>
+                    <span class="fleet-name">${i.vehicles.map(v => v.vehicleId).join(', ') || 'unassigned'}${i.notes ? ` • ${i.notes.slice(0, 40)}` : ''}</span>
+                </div>
+                <button class="fleet-badge standby" onclick="closeIncident('${i.id}')">CLOSE</button>
+            </div>`).join('')
+        : '<div class="fleet-name" style="color:#64748b">No open incidents</div>';
+
+    if (!incidentLayer) incidentLayer = L.layerGroup().addTo(map);
+    incidentLayer.clearLayers();
+    incidents.forEach(i => L.circleMarker([i.lat, i.lon], {
+        radius: 8, fillColor: TRIAGE_COLORS[i.triage], color: '#fff', weight: 1, fillOpacity: 0.85,
+    }).addTo(incidentLayer).bindTooltip(`${i.id} • ${i.state}`).on('click', () => selectIncident(i.id)));
+}
+
+function selectIncident(id) {
+    const incident = openIncidents.get(id);
+    if (!incident) return;
+    selectedIncidentId = id;
+    setIncident(incident.lat, incident.lon);
+    const hospitalSel = document.getElementById('dispatchHospital');
+    if (incident.hospitalId && hospitalSel.querySelector(`option[value="${incident.hospitalId}"]:not([disabled])`)) hospitalSel.value = incident.hospitalId;
+    renderIncidents();
+    recommendDispatch();
+}
+
+async function createIncident() {
+    const incident = incidentInput();
+    if (!incident) { showToast('📍 Enter or pick the incident location first'); return; }
+    try {
+        const res = await engineFetch('/incidents', {
+            method: 'POST',
+            body: {
+                ...incident,
+                notes: document.getElementById('incidentNotes').value.trim(),
+                triage: currentTriage,
+                hospitalId: document.getElementById('dispatchHospital').value || undefined,
+            },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        document.getElementById('incidentNotes').value = '';
+        openIncidents.set(data.id, data);
+        selectIncident(data.id);
+    } catch (e) {
+        logEvent('error', `❌ Incident creation failed: ${e.message}`);
+    }
+}
+
+async function closeIncident(id) {
+    if (!confirm(`Close incident ${id}?`)) return;
+    try {
+        const res = await engineFetch(`/incidents/${encodeURIComponent(id)}/state`, { method: 'POST', body: { state: 'CLOSED' } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+    } catch (e) {
+        logEvent('error', `❌ Closing ${id} failed: ${e.message}`);
+    }
+}
+
+// ── Field alerts (crew police requests / broadcasts, see green-corridor-engine/src/fieldAlerts.js) ──
+const ALERT_ICONS = { POLICE_REQUEST: '🚔', BROADCAST: '📡' };
+const fieldAlertQueue = new Map(); // id → alert, kept live by field_alert / field_alert_updated
+let policeUnits = []; // in-service police vehicles, see setFleet()
+
+async function loadFieldAlerts() {
+    try {
+        const res = await engineFetch('/alerts?open=true');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        fieldAlertQueue.clear();
+        data.alerts.forEach(a => fieldAlertQueue.set(a.id, a));
+        renderFieldAlerts();
+    } catch (e) {
+        const list = document.getElementById('fieldAlertList');
+        if (list) list.innerHTML = `<div class="fleet-name" style="color:#ef4444">Alert queue unavailable: ${e.message}</div>`;
+    }
+}
+
+function renderFieldAlerts() {
+    const list = document.getElementById('fieldAlertList');
+    if (!list) return;
+    const queue = Array.from(fieldAlertQueue.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const unitOptions = policeUnits.map(u => `<option value="${u.id}">${u.id}${u.available === false ? ' (busy)' : ''}</option>`).join('');
+
+    list.innerHTML = queue.length
+        ? queue.map(a => {
+            const age = Math.round((Date.now() - Date.parse(a.createdAt)) / 60000);
+            const status = a.status === 'ASSIGNED' ? `→ ${a.assignedUnit.id}` : a.status;
+            const route = a.route ? ` • trip ${a.route.tripId}${a.route.etaSec != null ? `, ETA ${Math.round(a.route.etaSec / 60)} min` : ''}` : '';
+            return `
+            <div class="fleet-item" style="flex-wrap:wrap;${a.escalation ? 'outline:1px solid #ef4444;border-radius:6px' : ''}">
+                <div class="fleet-info" onclick="map.setView([${a.position.lat}, ${a.position.lon}], 16)" style="cursor:pointer">
+                    <span class="fleet-id" style="color:${a.status === 'OPEN' ? '#f59e0b' : '#22c55e'}">${ALERT_ICONS[a.type]} ${a.vehicleId} • ${status}${a.escalation ? ` • ⬆${a.escalation}` : ''}</span>
+                    <span class="fleet-name">${a.reason || a.type}${route} • ${age} min${a.repeats ? ` • ×${a.repeats + 1}` : ''}</span>
+                </div>
+                <div style="display:flex;gap:4px;width:100%;margin-top:4px">
+                    ${a.status === 'OPEN' ? `<button class="fleet-badge standby" onclick="fieldAlertAction('${a.id}', 'ack')">ACK</button>` : ''}
+                    <select id="alertUnit-${a.id}" style="flex:1;background:transparent;color:inherit;border:1px solid #334155;border-radius:6px">${unitOptions}</select>
+                    <button class="fleet-badge active" onclick="fieldAlertAction('${a.id}', 'assign')">ASSIGN</button>
+                    <button class="fleet-badge standby" onclick="fieldAlertAction('${a.id}', 'escalate')">ESCALATE</button>
+                    <button class="fleet-badge standby" onclick="fieldAlertAction('${a.id}', 'resolve')">✔</button>
+                </div>
+            </div>`;
+        }).join('')
+        : '<div class="fleet-name" style="color:#64748b">No open alerts</div>';
+}
+
+async function fieldAlertAction(id, action) {
+    let body = {};
+    if (action === 'assign') {
+        const unitId = document.getElementById(`alertUnit-${id}`)?.value;
+        if (!unitId) { showToast('🚔 No police unit in the fleet'); return; }
+        body = { unitId };
+    }
+    if (action === 'escalate') {
+        const reason = prompt('Escalation reason (optional)', '');
+        if (reason === null) return;
+        body = { reason };
+    }
+    try {
+        const res = await engineFetch(`/alerts/${encodeURIComponent(id)}/${action}`, { method: 'POST', body });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+    } catch (e) {
+        logEvent('error', `❌ Alert ${action} failed: ${e.message}`);
+    }
+}
+
+// ── Dispatch (nearest available vehicle, see green-corridor-engine/src/dispatch.js) ──
+let pickingIncident = false;
+let incidentMarker = null;
+
+function renderDispatchHospitals(hospitals) {
+    const sel = document.getElementById('dispatchHospital');
+    if (!sel) return;
+    const current = sel.value;
+    sel.innerHTML = '<option value="">No hospital leg</option>' +
+        hospitals.map(h => `<option value="${h.id}"${h.diversion ? ' disabled' : ''}>🏥 ${h.name}${h.diversion ? ' (diversion)' : ''}</option>`).join('');
+    if (current && sel.querySelector(`option[value="${current}"]:not([disabled])`)) sel.value = current;
+}
+
+function pickIncident() {
+    pickingIncident = true;
+    map.getContainer().style.cursor = 'crosshair';
+    showToast('📍 Click the map to place the incident');
+}
+
+function setIncident(lat, lon) {
+    document.getElementById('incidentLat').value = lat.toFixed(5);
+    document.getElementById('incidentLon').value = lon.toFixed(5);
+    if (incidentMarker) incidentMarker.setLatLng([lat, lon]);
+    else incidentMarker = L.circleMarker([lat, lon], { radius: 10, fillColor: '#ef4444', color: '#fca5a5', weight: 2, fillOpacity: 0.9 }).addTo(map).bindTooltip('Incident');
+}
+
+function incidentInput() {
+    const lat = parseFloat(document.getElementById('incidentLat').value);
+    const lon = parseFloat(document.getElementById('incidentLon').value);
+    return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null;
+}
+
+async function recommendDispatch() {
+    const list = document.getElementById('dispatchList');
+    const incident = incidentInput();
+    if (!incident) { list.innerHTML = '<div class="fleet-name" style="color:#ef4444">Enter or pick the incident location</div>'; return; }
+    setIncident(incident.lat, incident.lon);
+    list.innerHTML = '<div class="fleet-name" style="color:#64748b">Ranking vehicles…</div>';
+
+    try {
+        const vehicleType = document.getElementById('dispatchType').value || undefined;
+        const target = selectedIncidentId ? { incidentId: selectedIncidentId } : incident;
+        const res = await engineFetch('/dispatch/recommend', { method: 'POST', body: { ...target, vehicleType } });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Recommendation failed');
+
+        const rows = data.recommendations.map(r => `
+            <div class="fleet-item">
+                <div class="fleet-info">
+                    <span class="fleet-id">${r.rank}. ${r.vehicleId} • ${Math.floor(r.etaSec / 60)}m ${r.etaSec % 60}s</span>
+                    <span class="fleet-name">${(r.distanceM / 1000).toFixed(1)} km by road • from ${r.position.source === 'telemetry' ? 'last fix' : 'base'}</span>
+                </div>
+                <button class="fleet-badge active" onclick="dispatchVehicle('${r.vehicleId}')">DISPATCH</button>
+            </div>`);
+        const skipped = [
+            ...data.unavailable.map(u => `${u.vehicleId} ${u.reason === 'ON_TRIP' ? 'on trip' : 'out of service'}`),
+            ...data.unreachable.map(u => `${u.vehicleId} no road path`),
+        ];
+        list.innerHTML = (rows.length ? rows.join('') : '<div class="fleet-name" style="color:#64748b">No available vehicle</div>') +
+            (skipped.length ? `<div class="fleet-name" style="color:#64748b">${skipped.join(' • ')}</div>` : '');
+        logEvent('info', `📟 ${data.recommendations.length} vehicle(s) ranked for incident at ${incident.lat.toFixed(4)}, ${incident.lon.toFixed(4)}`);
+    } catch (e) {
+        list.innerHTML = `<div class="fleet-name" style="color:#ef4444">${e.message}</div>`;
+        logEvent('error', `❌ Dispatch ranking failed: ${e.message}`);
+    }
+}
+
+// One click: the engine starts the corridor and pushes the trip to the driver app
+async function dispatchVehicle(vehicleId) {
+    const incident = incidentInput();
+    if (!incident) return;
+    const hospitalId = document.getElementById('dispatchHospital').value || undefined;
+    try {
+        // A selected incident brings its own location, triage and hospital
+        const res = await engineFetch('/dispatch', {
+            method: 'POST',
+            body: selectedIncidentId
+                ? { vehicleId, incidentId: selectedIncidentId, hospitalId }
+                : { vehicleId, incident, hospitalId, criticality: currentTriage },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Dispatch failed');
+        document.getElementById('dispatchList').innerHTML = `<div class="fleet-name" style="color:#22c55e">${vehicleId} dispatched • ETA ${Math.round(data.route.durationSec / 60)} min</div>`;
+        showToast(`📟 ${vehicleId} DISPATCHED\nTrip ${data.tripId}`);
+    } catch (e) {
+        logEvent('error', `❌ Dispatch of ${vehicleId} failed: ${e.message}`);
+        showToast(`❌ ${e.message}`);
+    }
+}
+
+// ── Route Options (alternatives for the dispatcher) ───
+const ALT_COLORS = ['#38bdf8', '#a78bfa', '#f472b6', '#facc15', '#34d399'];
+let altPolylines = [];
+
+function clearAlternatives() {
+    altPolylines.forEach(l => map.removeLayer(l));
+    altPolylines = [];
+    const list = document.getElementById('altList');
+    if (list) list.innerHTML = '';
+}
+
+async function compareRoutes() {
+    const list = document.getElementById('altList');
+    const vehicleSelect = document.getElementById('vehicleSelect');
+    if (vehicleSelect) SIM_VEHICLE_ID = vehicleSelect.value;
+    const fleetData = emergencyFleet.find(v => v.id === SIM_VEHICLE_ID) || emergencyFleet[0];
+    clearAlternatives();
+    list.innerHTML = '<div class="fleet-name" style="color:#64748b">Finding routes…</div>';
+
+    try {
+        const res = await engineFetch('/route/alternatives', {
+            method: 'POST',
+            body: { vehicleId: SIM_VEHICLE_ID, vehicleType: fleetData.type, waypoints: buildSimWaypoints(fleetData), k: 3 },
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Alternatives failed');
+
+        const bounds = [];
+        data.alternatives.forEach((alt, i) => {
+            const latlngs = alt.geometry.coordinates.map(([lon, lat]) => [lat, lon]);
+            bounds.push(...latlngs);
+            altPolylines.push(L.polyline(latlngs, {
+                color: ALT_COLORS[i % ALT_COLORS.length],
+                weight: i === 0 ? 5 : 4,
+                opacity: 0.75,
+                dashArray: i === 0 ? null : '8 6',
+            }).addTo(map).bindTooltip(`Route ${alt.rank}`));
+        });
+        if (bounds.length) map.fitBounds(L.latLngBounds(bounds), { padding: [40, 40], maxZoom: 16 });
+
+        list.innerHTML = data.alternatives.length
+            ? data.alternatives.map((alt, i) => `
+                <div class="fleet-item">
+                    <div class="fleet-info">
+                        <span class="fleet-id" style="color:${ALT_COLORS[i % ALT_COLORS.length]}">Route ${alt.rank} • ${Math.round(alt.durationSec / 60)} min</span>
+                        <span class="fleet-name">${(alt.distanceM / 1000).toFixed(1)} km • ${alt.managedCount} managed • ${alt.unmanagedCount} unmanaged</span>
+                    </div>
+                    <button class="fleet-badge active" onclick="activateAlternative('${alt.id}')">USE</button>
+                </div>`).join('')
+            : '<div class="fleet-name" style="color:#64748b">No route found</div>';
+        logEvent('info', `🔀 ${data.count} route option(s) for ${SIM_VEHICLE_ID}`);
+    } catch (e) {
+        list.innerHTML = `<div class="fleet-name" style="color:#ef4444">${e.message}</div>`;
+        logEvent('error', `❌ Route options failed: ${e.message}`);
+    }
+}
+
+// Commit the chosen alternative as the corridor and drive it
+async function activateAlternative(altId) {
+    // Stop driving the old route without ending the corridor — activation replaces it
+    if (simRunning) {
+        simRunning = false;
+        clearTimeout(simInterval);
+        resetSimUI();
+    }
+    logEvent('info', `🔀 Using route option ${altId} for ${SIM_VEHICLE_ID}`);
+    await startSimulation(altId);
+}
+
 // Simulation Logic
 async function toggleSimulation() {
     if (simRunning) {
@@ -499,7 +1192,7 @@ async function toggleSimulation() {
     }
 }
 
-async function startSimulation() {
+async function startSimulation(altId = null) {
     const btn = document.getElementById('simBtn');
     const btnIcon = document.getElementById('simBtnIcon');
     const btnText = document.getElementById('simBtnText');
@@ -518,77 +1211,42 @@ async function startSimulation() {
 
     try {
         // Step 1: Read route from UI and build multi-leg waypoints
-        const { srcLat, srcLon, dstLat, dstLon } = getRouteCoords();
-
-        // Find vehicle data
-        const fleetData = EMERGENCY_FLEET.find(v => v.id === SIM_VEHICLE_ID) || EMERGENCY_FLEET[0];
-
-        // Current location (might be mid-route from a previous stopped simulation)
-        // Create multi-leg route (3 legs): Current Position → Src → Dst
-        const legs = [
-            { lat: fleetData.lat, lon: fleetData.lon },         // Current location
-            { lat: srcLat, lon: srcLon },                       // Incident / Start
-            { lat: dstLat, lon: dstLon }                        // Hospital / Goal
-        ];
-
-        // Filter out consecutive waypoints that are too close (e.g. within 50m)
-        // so we don't send zero-length route segments to OSRM / Corridor
-        const waypoints = [];
-        for (const pt of legs) {
-            if (waypoints.length === 0) {
-                waypoints.push(pt);
-            } else {
-                const prev = waypoints[waypoints.length - 1];
-                if (haversineMeters(prev, pt) > 50) {
-                    waypoints.push(pt);
-                }
-            }
-        }
-
-        if (waypoints.length < 2) {
-            throw new Error('All waypoints are too close to each other.');
-        }
-
-        // Step 2: Set route on the corridor engine (for TTI + signal logic)
-        const corridorRes = await fetch(`${CORRIDOR_API}/route`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ waypoints }),
-        });
+        const { dstLat, dstLon } = getRouteCoords();
+        const fleetData = emergencyFleet.find(v => v.id === SIM_VEHICLE_ID) || emergencyFleet[0];
+        const waypoints = buildSimWaypoints(fleetData);
+
+        // Step 2: Set route on the corridor engine (for TTI + signal logic) —
+        // either a fresh fastest route or the alternative the dispatcher picked
+        const corridorRes = altId
+            ? await engineFetch(`/route/alternatives/${encodeURIComponent(altId)}/activate`, {
+                method: 'POST',
+                body: { vehicleId: SIM_VEHICLE_ID, vehicleType: fleetData.type, criticality: currentTriage },
+            })
+            : await engineFetch('/route', {
+                method: 'POST',
+                body: {
+                    vehicleId: SIM_VEHICLE_ID,
+                    vehicleType: fleetData.type,
+                    criticality: currentTriage,
+                    waypoints,
+                },
+            });
         const corridorData = await corridorRes.json();
+        if (!corridorRes.ok) throw new Error(corridorData.error || 'Corridor route failed');
         simTotalIntersections = corridorData.intersectionCount || 0;
+        simTripId = corridorData.tripId || null;
+        showTimeSaved(0);
 
-        logEvent('success', `✅ Corridor route: ${corridorData.waypointCount} nodes | ${simTotalIntersections} intersections | ${Math.round(corridorData.distanceM)} m`);
+        logEvent('success', `✅ Corridor route (${corridorData.profile}): ${corridorData.waypointCount} nodes | ${simTotalIntersections} intersections | ${Math.round(corridorData.distanceM)} m | ~${Math.round(corridorData.durationSec / 60)} min`);
         if (corridorData.intersections?.length > 0) {
             corridorData.intersections.forEach(i =>
                 logEvent('info', `   📌 ${i.highway || 'crossing'} @ (${i.lat.toFixed(5)}, ${i.lon.toFixed(5)})`)
             );
         }
 
-        // Step 3: Fetch road-accurate geometry from OSRM
-        // OSRM follows exact road centerlines, so the polyline and ambulance
-        // marker will stay on real roads visible in the CartoDB tile layer.
-        let mapWaypoints = [];
-        try {
-            // OSRM expects lon,lat order and ; separated coords
-            const coordString = waypoints.map(w => `${w.lon},${w.lat}`).join(';');
-            const osrmUrl = `https://router.project-osrm.org/route/v1/driving/${coordString}?overview=full&geometries=geojson`;
-
-            const osrmRes = await fetch(osrmUrl);
-            const osrmData = await osrmRes.json();
-
-            if (osrmData.code === 'Ok' && osrmData.routes?.[0]?.geometry?.coordinates?.length > 0) {
-                // OSRM returns [lon, lat] — convert to {lat, lon} for consistency
-                mapWaypoints = osrmData.routes[0].geometry.coordinates.map(([lon, lat]) => ({ lat, lon }));
-                logEvent('success', `🛣 OSRM road route: ${mapWaypoints.length} road points`);
-            } else {
-                throw new Error('OSRM returned no route');
-            }
-        } catch (osrmErr) {
-            // Fallback: use graphml waypoints (less accurate visually)
-            mapWaypoints = corridorData.waypoints || [];
-            logEvent('warning', `⚠ OSRM unavailable — using graphml waypoints (${mapWaypoints.length} nodes)`);
-        }
+        // Step 3: Road geometry of the same corridor, straight from the engine's graph
+        const mapWaypoints = (corridorData.geometry?.coordinates || []).map(([lon, lat]) => ({ lat, lon }));
+        logEvent('success', `🛣 Road route: ${mapWaypoints.length} road points, ${(corridorData.steps || []).length} steps`);
 
         if (mapWaypoints.length === 0) {
             logEvent('error', '❌ No waypoints found for this route');
@@ -611,6 +1269,7 @@ async function startSimulation() {
             lineCap: 'round',
         }).addTo(map);
         map.fitBounds(L.latLngBounds(coords), { padding: [40, 40], maxZoom: 16 });
+        clearAlternatives();
 
         // Destination marker
         L.circleMarker([dstLat, dstLon], {
@@ -618,7 +1277,7 @@ async function startSimulation() {
         }).addTo(map).bindPopup('🏥 Destination');
 
         // Step 5: Set up simulation state
-        // Map display uses OSRM waypoints; telemetry uses every Nth OSRM point
+        // Map display uses the full geometry; telemetry uses every Nth point
         // (subsampled so we're not sending 300+ ticks per route)
         const MAX_SIM_STEPS = 80;
         const step = Math.max(1, Math.floor(mapWaypoints.length / MAX_SIM_STEPS));
@@ -685,7 +1344,6 @@ async function runSimStep() {
 
     // UI Metrics
     const distKm = simDistanceCovered / 1000;
-    const elapsedSec = (Date.now() - simStartTime) / 1000;
     const remaining = simWaypoints.length - simIndex - 1;
 
     // Distance covered
@@ -701,30 +1359,16 @@ async function runSimStep() {
         ? `${Math.floor(etaSec / 60)}m ${Math.round(etaSec % 60)}s`
         : `${Math.round(etaSec)}s`;
 
-    // Time Saved: how long it would take a normal car at BASELINE_SPEED_KMH
-    // to cover the SAME distance we've covered — minus our actual elapsed time.
-    // Positive ⟹ we're faster than baseline traffic.
-    if (distKm > 0) {
-        const baselineSec = (distKm / BASELINE_SPEED_KMH) * 3600;
-        const savedSec = Math.max(0, baselineSec - elapsedSec);
-        const savedStr = savedSec >= 60
-            ? `+${Math.floor(savedSec / 60)}m ${Math.round(savedSec % 60)}s`
-            : `+${Math.round(savedSec)}s`;
-        document.getElementById('mTimeSaved').textContent = savedStr;
-        document.getElementById('hdrTimeSaved').textContent = savedStr;
-    }
-
     // Send telemetry with virtual timestamp
     try {
-        const res = await fetch(`${CORRIDOR_API}/telemetry`, {
+        const res = await engineFetch('/telemetry', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
+            body: {
                 id: SIM_VEHICLE_ID,
                 lat: wp.lat,
                 lon: wp.lon,
                 timestamp: simTimestamp,
-            }),
+            },
         });
         const data = await res.json();
 
@@ -760,6 +1404,7 @@ function stopSimulation() {
     simRunning = false;
     clearTimeout(simInterval);
     setVehicleStandby(SIM_VEHICLE_ID);
+    endCorridor(SIM_VEHICLE_ID, 'STOPPED');
     resetSimUI();
     logEvent('warning', '⏹ Simulation stopped by user');
 }
@@ -775,12 +1420,15 @@ function endSimulation() {
     setVehicleStandby(SIM_VEHICLE_ID);
 
     // Save persistent location for the vehicle
-    const v = EMERGENCY_FLEET.find(x => x.id === SIM_VEHICLE_ID);
+    const v = emergencyFleet.find(x => x.id === SIM_VEHICLE_ID);
     if (v && lastPosition) {
         v.lat = lastPosition.lat;
         v.lon = lastPosition.lon;
     }
 
+    // The closing junction passes count too — fetch the final figure once the trip has ended
+    endCorridor(SIM_VEHICLE_ID, 'ARRIVED').then(refreshTimeSaved);
+
     logEvent('success', '✅ Ambulance reached destination. Green Corridor complete! 🏥');
     showToast('✅ Green Corridor Complete!\nAmbulance reached destination.');
     document.getElementById('waveBadge').textContent = 'CORRIDOR CLEAR';
@@ -831,6 +1479,432 @@ function logEvent(type, message) {
     while (log.children.length > 80) log.removeChild(log.lastChild);
 }
 
+// ── Active Corridors (one per vehicle) ───────────────
+async function loadCorridors() {
+    const list = document.getElementById('corridorList');
+    if (!list) return;
+    try {
+        const res = await engineFetch('/corridors');
+        const data = await res.json();
+        const corridors = data.corridors || [];
+        list.innerHTML = corridors.length
+            ? corridors.map(c => `
+                <div class="fleet-item">
+                    <div class="fleet-info">
+                        <span class="fleet-id">${c.vehicleId}</span>
+                        <span class="fleet-name">${c.intersectionCount} intersections${c.distanceM != null ? ` • ${(c.distanceM / 1000).toFixed(1)} km` : ''}${c.positionSource ? ` • ${c.positionSource === 'SIMULATION' ? 'DRILL' : 'LIVE GPS'}` : ''}</span>
+                    </div>
+                    <button class="fleet-badge active" onclick="endCorridor('${c.vehicleId}', 'CANCELLED')">END</button>
+                </div>`).join('')
+            : '<div class="fleet-name" style="color:#64748b">No active corridors</div>';
+    } catch (e) {
+        list.innerHTML = '<div class="fleet-name" style="color:#ef4444">Corridor engine unreachable</div>';
+    }
+}
+
+async function endCorridor(vehicleId, reason = 'ENDED') {
+    try {
+        await engineFetch(`/corridors/${encodeURIComponent(vehicleId)}`, { method: 'DELETE', body: { reason } });
+    } catch (_) { /* best-effort — the list refresh shows what is left */ }
+    loadCorridors();
+}
+
+// Key holders: the fleet, then every registered hospital (value "hospital:<id>")
+let knownHospitals = [];
+
+function renderKeyOptions(hospitals = knownHospitals) {
+    const kSel = document.getElementById('keyVehicle');
+    if (!kSel) return;
+    const current = kSel.value;
+    kSel.innerHTML =
+        `<optgroup label="Vehicles">${emergencyFleet.map(v => `<option value="${v.id}">${v.id}</option>`).join('')}</optgroup>` +
+        (hospitals.length ? `<optgroup label="Hospitals">${hospitals.map(h => `<option value="hospital:${h.id}">🏥 ${h.name}</option>`).join('')}</optgroup>` : '') +
+        (managedIntersections.length ? `<optgroup label="Junction marshals">${managedIntersections.map(ix => `<option value="marshal:${ix.id}">🚦 ${ix.name || ix.id}</option>`).join('')}</optgroup>` : '');
+    if (current && kSel.querySelector(`option[value="${current}"]`)) kSel.value = current;
+}
+
+async function loadHospitals() {
+    try {
+        const res = await fetch(`${CORRIDOR_API}/hospitals`);
+        const data = await res.json();
+        setHospitals(data.hospitals || []);
+    } catch (e) { console.warn('Hospital list failed:', e.message); }
+}
+
+function setHospitals(hospitals) {
+    knownHospitals = hospitals;
+    renderKeyOptions(hospitals);
+    renderDispatchHospitals(hospitals);
+}
+
+// Issue (or rotate) a vehicle's, hospital's or marshal's signing key; it is shown once to enter in the driver app / hospital / marshal page
+async function issueDriverKey() {
+    const holder = document.getElementById('keyVehicle').value;
+    const [, kind, id] = holder.match(/^(hospital|marshal):(.+)$/) || [];
+    const out = document.getElementById('issuedKey');
+    if (!confirm(`Issue a new key for ${holder}? Its current key stops working.`)) return;
+    try {
+        const path = kind
+            ? `/auth/${kind}s/${encodeURIComponent(id)}/credentials`
+            : `/auth/vehicles/${encodeURIComponent(holder)}/credentials`;
+        const res = await engineFetch(path, { method: 'POST' });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        out.textContent = `${holder}: ${data.secret}`;
+        logEvent('info', `🔑 New ${kind || 'driver'} key issued for ${holder}`);
+    } catch (e) {
+        out.textContent = `Key issue failed: ${e.message}`;
+        logEvent('error', `❌ Key issue for ${holder} failed: ${e.message}`);
+    }
+}
+
+// ── Analytics (measured by the engine, see green-corridor-engine/src/analytics.js) ──
+function formatSaved(sec) {
+    const sign = sec < 0 ? '−' : '+';
+    const abs = Math.abs(Math.round(sec));
+    return abs >= 60 ? `${sign}${Math.floor(abs / 60)}m ${abs % 60}s` : `${sign}${abs}s`;
+}
+
+function showTimeSaved(sec) {
+    document.getElementById('mTimeSaved').textContent = formatSaved(sec);
+    document.getElementById('hdrTimeSaved').textContent = formatSaved(sec);
+}
+
+// Time saved so far on the simulated trip: baseline minus actual, per junction passed
+async function refreshTimeSaved() {
+    if (!simTripId) return;
+    try {
+        const res = await engineFetch(`/analytics/trips/${encodeURIComponent(simTripId)}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        showTimeSaved(data.timeSavedSec);
+    } catch (e) {
+        logEvent('error', `❌ Time saved unavailable: ${e.message}`);
+    }
+}
+
+async function loadAnalytics() {
+    const el = document.getElementById('analyticsPanel');
+    if (!el) return;
+    try {
+        const res = await engineFetch('/analytics');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        const days = data.days.slice(-14);
+        el.innerHTML = `
+            <div class="fleet-name">${data.totals.trips} trips • ${data.totals.intersectionsPreempted} preempted • ${formatSaved(data.totals.timeSavedSec)} saved</div>
+            ${days.length ? analyticsChart(days) : '<div class="fleet-name" style="color:#64748b">No trips recorded yet</div>'}`;
+    } catch (e) {
+        el.innerHTML = '<div class="fleet-name" style="color:#ef4444">Analytics unavailable</div>';
+    }
+}
+
+// Bars: time saved per day; dots: intersections preempted (own scale)
+function analyticsChart(days) {
+    const W = 260, H = 90, pad = 14;
+    const bw = (W - pad) / days.length;
+    const maxSaved = Math.max(1, ...days.map(d => Math.abs(d.timeSavedSec)));
+    const maxPre = Math.max(1, ...days.map(d => d.intersectionsPreempted));
+    const bars = days.map((d, i) => {
+        const h = (Math.abs(d.timeSavedSec) / maxSaved) * (H - pad * 2);
+        const x = pad + i * bw;
+        const y = H - pad - h;
+        const cy = H - pad - (d.intersectionsPreempted / maxPre) * (H - pad * 2);
+        return `
+            <rect x="${x + 1}" y="${y}" width="${Math.max(2, bw - 2)}" height="${h}" fill="${d.timeSavedSec < 0 ? '#ef4444' : '#22c55e'}" opacity="0.8">
+                <title>${d.date}: ${formatSaved(d.timeSavedSec)} saved, ${d.trips} trips, median TTI ${d.medianTtiSec ?? '—'} s</title>
+            </rect>
+            <circle cx="${x + bw / 2}" cy="${cy}" r="2.5" fill="#38bdf8"><title>${d.date}: ${d.intersectionsPreempted} preempted</title></circle>`;
+    }).join('');
+    return `
+        <svg viewBox="0 0 ${W} ${H}" width="100%" style="display:block;margin-top:6px">
+            <line x1="${pad}" y1="${H - pad}" x2="${W}" y2="${H - pad}" stroke="#334155" />
+            ${bars}
+            <text x="${pad}" y="${H - 2}" fill="#64748b" font-size="8">${days[0].date}</text>
+            <text x="${W}" y="${H - 2}" fill="#64748b" font-size="8" text-anchor="end">${days[days.length - 1].date}</text>
+        </svg>
+        <div class="fleet-name" style="color:#64748b"><span style="color:#22c55e">■</span> time saved <span style="color:#38bdf8">●</span> preempted</div>`;
+}
+
+// CSV is signed like every operator call, so fetch it and hand the browser a blob
+async function downloadAnalyticsCsv() {
+    try {
+        const res = await engineFetch('/analytics?format=csv');
+        if (!res.ok) throw new Error((await res.json()).error);
+        const url = URL.createObjectURL(await res.blob());
+        const a = Object.assign(document.createElement('a'), { href: url, download: 'corridor-analytics.csv' });
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (e) {
+        logEvent('error', `❌ CSV export failed: ${e.message}`);
+    }
+}
+
+// ── Trip Replay ───────────────────────────────────────
+// Plays a recorded trip (GET /trips/:id/timeline) or an uploaded JSON/GPX
+// trace back on a layer of its own, so the live markers, counters and the
+// simulated vehicle are left alone while a replay is open.
+const REPLAY_TICK_MS = 200;
+let replay = null; // { vehicleId, events: [{ t, type, ... }], duration, cursor, next, speed, timer, triggered, total, layer, routeLayer, vehicleMarker, signals }
+
+const fmtClock = sec => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, '0')}`;
+
+async function loadTripList() {
+    const sel = document.getElementById('replayTrip');
+    if (!sel) return;
+    try {
+        const res = await engineFetch('/trips?limit=100');
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        sel.innerHTML = data.trips.length
+            ? data.trips.map(t => `<option value="${t.id}">${t.vehicleId} • ${new Date(t.startedAt).toLocaleString()} • ${t.endReason || 'ACTIVE'}</option>`).join('')
+            : '<option value="">No recorded trips</option>';
+    } catch (e) {
+        sel.innerHTML = '<option value="">Trip history unavailable</option>';
+    }
+}
+
+async function loadReplayTrip() {
+    const tripId = document.getElementById('replayTrip').value;
+    if (!tripId) return;
+    try {
+        const res = await engineFetch(`/trips/${encodeURIComponent(tripId)}/timeline`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error);
+        const started = data.events.find(e => e.type === 'started');
+        startReplay(started?.vehicleId || SIM_VEHICLE_ID, data.events, `trip ${tripId}`);
+    } catch (e) {
+        logEvent('error', `❌ Trip ${tripId} could not be loaded: ${e.message}`);
+    }
+}
+
+function loadReplayFile(file) {
+    if (!file) return;
+    file.text().then(text => {
+        const { vehicleId, events } = /\.gpx$/i.test(file.name) || text.trimStart().startsWith('<')
+            ? parseGpxTrace(text)
+            : parseJsonTrace(JSON.parse(text));
+        startReplay(vehicleId, events, file.name);
+    }).catch(e => logEvent('error', `❌ ${file.name} is not a readable trace: ${e.message}`));
+}
+
+// A saved timeline ({ events } or a bare array of events), or plain fixes [{ lat, lon, timestamp|time }]
+function parseJsonTrace(data) {
+    const items = Array.isArray(data) ? data : data.events || data.fixes || [];
+    const vehicleId = data.vehicleId || items.find(e => e.vehicleId)?.vehicleId || SIM_VEHICLE_ID;
+    const events = items.map((e, i) => {
+        if (e.type) return e;
+        const at = e.at || e.time || (e.timestamp != null ? new Date(e.timestamp * 1000).toISOString() : null);
+        return { ...e, type: 'telemetry', at, seq: i + 1 };
+    });
+    return { vehicleId, events };
+}
+
+function parseGpxTrace(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('invalid GPX');
+    const points = Array.from(doc.getElementsByTagName('trkpt'));
+    if (!points.length) throw new Error('no track points');
+    const events = points.map(pt => ({
+        type: 'telemetry',
+        lat: parseFloat(pt.getAttribute('lat')),
+        lon: parseFloat(pt.getAttribute('lon')),
+        at: pt.getElementsByTagName('time')[0]?.textContent || null,
+    }));
+    const name = doc.getElementsByTagName('name')[0]?.textContent;
+    return { vehicleId: emergencyFleet.some(v => v.id === name) ? name : SIM_VEHICLE_ID, events };
+}
+
+function startReplay(vehicleId, rawEvents, label) {
+    // Relative seconds; traces without timestamps play at one point per second
+    const times = rawEvents.map(e => Date.parse(e.at));
+    const timed = times.every(t => !isNaN(t));
+    const t0 = timed ? Math.min(...times) : 0;
+    const events = rawEvents
+        .map((e, i) => ({ ...e, t: timed ? (times[i] - t0) / 1000 : i }))
+        .sort((a, b) => a.t - b.t || (a.seq ?? 0) - (b.seq ?? 0));
+    if (!events.length) {
+        logEvent('error', `❌ ${label} has no events to replay`);
+        return;
+    }
+
+    closeReplay();
+    replay = {
+        vehicleId,
+        events,
+        duration: Math.ceil(events[events.length - 1].t),
+        cursor: 0,
+        next: 0,
+        speed: Number(document.querySelector('.replay-speed.active')?.dataset.speed) || 1,
+        timer: null,
+        triggered: new Set(),
+        total: 0,
+        layer: L.layerGroup().addTo(map),
+        routeLayer: null,
+        vehicleMarker: null,
+        signals: {}, // intersectionId → replay marker
+    };
+
+    const scrub = document.getElementById('replayScrub');
+    scrub.max = replay.duration;
+    scrub.disabled = false;
+    document.getElementById('replayPlay').disabled = false;
+    logEvent('info', `⏪ Replay loaded: ${label} — ${events.length} events over ${fmtClock(replay.duration)}`);
+    seekReplay(0);
+}
+
+/** Empty the replay layer and its counters, ready to rebuild from the start. */
+function resetReplayScene() {
+    replay.layer.clearLayers();
+    replay.routeLayer = null;
+    replay.vehicleMarker = null;
+    replay.signals = {};
+    replay.triggered.clear();
+    replay.total = 0;
+}
+
+function drawReplayRoute(route) {
+    if (!route?.length) return;
+    if (replay.routeLayer) replay.layer.removeLayer(replay.routeLayer);
+    replay.routeLayer = L.polyline(route, { color: '#f59e0b', weight: 3, opacity: 0.7, dashArray: '6 6' }).addTo(replay.layer);
+}
+
+function moveReplayVehicle(lat, lon) {
+    if (!replay.vehicleMarker) {
+        replay.vehicleMarker = L.circleMarker([lat, lon], { radius: 8, fillColor: '#f59e0b', color: '#fde68a', weight: 2, fillOpacity: 0.9 })
+            .bindTooltip(`⏪ ${replay.vehicleId}`, { direction: 'top', offset: [0, -8] })
+            .addTo(replay.layer);
+    }
+    replay.vehicleMarker.setLatLng([lat, lon]);
+}
+
+// A ring drawn over the live marker: green while preempted, blue once released
+function setReplaySignal(id, approach, released) {
+    const intx = managedIntersections.find(i => i.id === id);
+    if (!intx) return;
+    let marker = replay.signals[id];
+    if (!marker) {
+        marker = L.circleMarker([intx.lat, intx.lon], { radius: 18, weight: 3, fill: false, dashArray: '4 4' }).addTo(replay.layer);
+        replay.signals[id] = marker;
+    }
+    marker.setStyle({ color: released ? '#38bdf8' : '#22c55e' });
+    marker.unbindTooltip();
+    marker.bindTooltip(released ? `⏪ RELEASED (${released})` : `⏪ GREEN from ${approach || '—'}`, { permanent: true, direction: 'bottom', offset: [0, 12] });
+}
+
+function updateReplayStats(ev) {
+    const el = document.getElementById('replayStats');
+    if (!el) return;
+    const dist = ev?.distanceToSignalM != null ? `${Math.round(ev.distanceToSignalM)} m` : '—';
+    const tti = ev?.ttiSeconds != null ? `${Number(ev.ttiSeconds).toFixed(1)} s` : '∞';
+    el.textContent = `${replay.triggered.size} / ${Math.max(replay.total, replay.triggered.size)} signals • ${dist} • TTI ${tti}`;
+}
+
+function applyReplayEvent(ev, quiet) {
+    const log = (type, msg) => { if (!quiet) logEvent(type, `⏪ ${msg}`); };
+    switch (ev.type) {
+        case 'started':
+            drawReplayRoute(ev.route);
+            replay.total = (ev.intersections || []).length;
+            log('info', `🛣 Corridor set for ${replay.vehicleId} — ${replay.total} intersections${ev.distanceM ? `, ${Math.round(ev.distanceM)} m` : ''}`);
+            break;
+        case 'telemetry': {
+            const { lat, lon } = ev.snapped || ev;
+            if (lat == null || lon == null) break;
+            moveReplayVehicle(lat, lon);
+            updateReplayStats(ev);
+            break;
+        }
+        case 'signal_trigger':
+            replay.triggered.add(ev.intersectionId);
+            setReplaySignal(ev.intersectionId, ev.approach, null);
+            log('warning', `🚨 [GREEN TRIGGER] ${replay.vehicleId} → ${ev.intersectionId} | TTI: ${ev.ttiSeconds ?? '—'}s | ${ev.distanceToSignalM} m`);
+            break;
+        case 'signal_released':
+            setReplaySignal(ev.intersectionId, null, ev.reason || 'PASSED');
+            log('success', `🔓 ${ev.intersectionId} released (${ev.reason})`);
+            break;
+        case 'rerouted':
+            drawReplayRoute(ev.route);
+            replay.total = replay.triggered.size + (ev.intersections || []).filter(id => !replay.triggered.has(id)).length;
+            log('warning', `↪ ${replay.vehicleId} left its route — re-routed, ${Math.round(ev.distanceM)} m to destination`);
+            break;
+        case 'conflict':
+            log('warning', `⚖ ${ev.intersectionId}: ${ev.winner} before ${ev.loser} — ${ev.reason}`);
+            break;
+        case 'telemetry_lost':
+            log('error', `📵 ${replay.vehicleId} STALE — no telemetry for ${ev.silentSec}s`);
+            break;
+        case 'telemetry_resumed':
+            log('success', `📶 ${replay.vehicleId} telemetry resumed`);
+            break;
+        case 'ended':
+            log('warning', `⏹ Trip ended (${ev.reason})`);
+            break;
+    }
+}
+
+function updateReplayControls() {
+    document.getElementById('replayScrub').value = Math.floor(replay.cursor);
+    document.getElementById('replayClock').textContent = `${fmtClock(replay.cursor)} / ${fmtClock(replay.duration)}`;
+    document.getElementById('replayPlay').textContent = replay.timer ? '⏸' : '▶';
+}
+
+/** Jump anywhere: rebuild the scene from the start, quietly, up to the new position. */
+function seekReplay(sec) {
+    if (!replay) return;
+    resetReplayScene();
+    replay.cursor = Math.max(0, Math.min(replay.duration, sec));
+    replay.next = 0;
+    while (replay.next < replay.events.length && replay.events[replay.next].t <= replay.cursor) {
+        applyReplayEvent(replay.events[replay.next++], true);
+    }
+    updateReplayControls();
+}
+
+function replayTick() {
+    replay.cursor = Math.min(replay.duration, replay.cursor + (REPLAY_TICK_MS / 1000) * replay.speed);
+    while (replay.next < replay.events.length && replay.events[replay.next].t <= replay.cursor) {
+        applyReplayEvent(replay.events[replay.next++], false);
+    }
+    if (replay.cursor >= replay.duration) pauseReplay();
+    updateReplayControls();
+}
+
+function toggleReplay() {
+    if (!replay) return;
+    if (replay.timer) { pauseReplay(); return; }
+    if (replay.cursor >= replay.duration) seekReplay(0);
+    replay.timer = setInterval(replayTick, REPLAY_TICK_MS);
+    updateReplayControls();
+}
+
+function pauseReplay() {
+    clearInterval(replay.timer);
+    replay.timer = null;
+    updateReplayControls();
+}
+
+function setReplaySpeed(speed) {
+    document.querySelectorAll('.replay-speed').forEach(b => {
+        b.className = `fleet-badge ${Number(b.dataset.speed) === speed ? 'active' : 'standby'} replay-speed`;
+    });
+    if (replay) replay.speed = speed;
+}
+
+function closeReplay() {
+    if (!replay) return;
+    clearInterval(replay.timer);
+    map.removeLayer(replay.layer);
+    replay = null;
+    const stats = document.getElementById('replayStats');
+    if (stats) stats.textContent = '—';
+    document.getElementById('replayScrub').disabled = true;
+    document.getElementById('replayPlay').disabled = true;
+    document.getElementById('replayPlay').textContent = '▶';
+    document.getElementById('replayClock').textContent = '0:00 / 0:00';
+}
+
 // ── Fleet Routing (Google Maps style track) ───────────
 function drawFleetRoute(id, routeCoords) {
     if (!map) return;
@@ -861,27 +1935,25 @@ function trimFleetRoute(id, lat, lon) {
     const routeData = fleetRoutes[id];
     if (!routeData || !routeData.coords || routeData.coords.length === 0) return;
     
-    let closestIdx = 0;
-    let minDist = Infinity;
-    
-    // Only search the next 50 points to find nearest projection to avoid looping behind
-    const searchLimit = Math.min(50, routeData.coords.length);
-    
-    for (let i = 0; i < searchLimit; i++) {
-        const p = routeData.coords[i];
-        const dLat = p.lat - lat;
-        const dLon = p.lon - lon;
-        const distSq = dLat*dLat + dLon*dLon;
-        if (distSq < minDist) {
-            minDist = distSq;
-            closestIdx = i;
-        }
+    // Project onto the next 50 segments only, so the trim never loops behind
+    const coords = routeData.coords;
+    const kx = Math.cos(lat * Math.PI / 180); // shrink longitude degrees to metric scale
+    let closestIdx = 0, closest = coords[0], minDist = Infinity;
+
+    for (let i = 0; i < Math.min(50, coords.length - 1); i++) {
+        const a = coords[i], b = coords[i + 1];
+        const bx = (b.lon - a.lon) * kx, by = b.lat - a.lat;
+        const len2 = bx * bx + by * by;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, (((lon - a.lon) * kx) * bx + (lat - a.lat) * by) / len2)) : 0;
+        const p = { lat: a.lat + (b.lat - a.lat) * t, lon: a.lon + (b.lon - a.lon) * t };
+        const d = ((p.lon - lon) * kx) ** 2 + (p.lat - lat) ** 2;
+        if (d < minDist) { minDist = d; closestIdx = i + 1; closest = p; }
     }
-    
+
     if (closestIdx > 0) {
-        routeData.coords = routeData.coords.slice(closestIdx);
+        routeData.coords = coords.slice(closestIdx);
     }
-    
-    const newLatLngs = [[lat, lon], ...routeData.coords.map(c => [c.lat, c.lon])];
+
+    const newLatLngs = [[lat, lon], [closest.lat, closest.lon], ...routeData.coords.map(c => [c.lat, c.lon])];
     routeData.polyline.setLatLngs(newLatLngs);
 }
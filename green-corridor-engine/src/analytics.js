@@ -0,0 +1,206 @@
+/**
+ * analytics.js
+ * Measured corridor performance from the trip records (see trips.js).
+ *
+ * Each trip's telemetry is cut into intersection passes: from the fix where
+ * the junction is next and within APPROACH_M along the route, to the fix
+ * where it no longer is. A pass's time saved is its baseline minus the time
+ * it actually took. The baseline is, in order of preference:
+ *   historical  median time of the recorded passes, from any trip, through
+ *               the same junction that were not preempted (at least
+ *               MIN_HISTORY of them)
+ *   cycle_model free-flow time over the same distance plus the expected
+ *               wait for a vehicle arriving at random in the signal cycle,
+ *               red² / (2 · cycle) with red = cycle − cycle / approaches
+ */
+
+const APPROACH_M = 150;
+const MIN_HISTORY = 3;
+const DEFAULT_CYCLE_SEC = 90;
+const FALLBACK_SPEED_KMH = 30; // free-flow speed when the approach speed is unknown
+
+function median(values) {
+    const sorted = values.filter(v => v != null && Number.isFinite(v)).sort((a, b) => a - b);
+    if (!sorted.length) return null;
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round1 = v => (v == null ? null : Math.round(v * 10) / 10);
+
+/** Vehicle time of an event: the fix timestamp when it has one, else when it was recorded. */
+const eventSec = ev => (ev.timestamp != null ? Number(ev.timestamp) : Date.parse(ev.at) / 1000);
+
+/**
+ * Intersection passes of one trip.
+ * @returns {Array<{ intersectionId, enterSec, exitSec, actualSec, distanceM, speedKmh, preempted, ttiAtTriggerSec }>}
+ */
+function extractPasses(events) {
+    const triggers = new Map(); // intersectionId → signal_trigger event
+    events.filter(ev => ev.type === 'signal_trigger').forEach(ev => {
+        if (!triggers.has(ev.intersectionId)) triggers.set(ev.intersectionId, ev);
+    });
+
+    const passes = [];
+    let open = null; // pass in progress
+    events.filter(ev => ev.type === 'telemetry').forEach(fix => {
+        const t = eventSec(fix);
+        if (open && fix.nextIntersectionId !== open.intersectionId) {
+            const actualSec = t - open.enterSec;
+            if (actualSec > 0) passes.push({ ...open, exitSec: t, actualSec });
+            open = null;
+        }
+        if (!open && fix.nextIntersectionId && fix.distanceToSignalM != null && fix.distanceToSignalM <= APPROACH_M) {
+            const trigger = triggers.get(fix.nextIntersectionId);
+            open = {
+                intersectionId: fix.nextIntersectionId,
+                enterSec: t,
+                distanceM: fix.distanceToSignalM,
+                speedKmh: fix.speedKmh || null,
+                preempted: !!trigger,
+                ttiAtTriggerSec: trigger?.ttiSeconds ?? null,
+            };
+        }
+    });
+    return passes; // a pass still open at the end never reached its junction
+}
+
+/**
+ * @param {object} deps { trips (trips.js), intersections (registry) }
+ * @returns {{ trip(id), daily({ from, to }), byIntersection(), toCsv(days) }}
+ */
+function createAnalytics({ trips, intersections }) {
+    const cache = new Map(); // tripId → { passes, ttis }, for trips that have ended (they no longer change)
+
+    function analyse(trip) {
+        if (cache.has(trip.id)) return cache.get(trip.id);
+        const events = trips.timeline(trip.id) || [];
+        const result = {
+            passes: extractPasses(events),
+            ttis: events.filter(ev => ev.type === 'signal_trigger').map(ev => ev.ttiSeconds),
+        };
+        if (trip.endedAt) cache.set(trip.id, result);
+        return result;
+    }
+
+    const passesFor = trip => analyse(trip).passes;
+
+    const allTrips = () => trips.list({ limit: Infinity });
+
+    /** Non-preempted traversal times per junction, from every recorded trip. */
+    function history() {
+        const times = new Map(); // intersectionId → [actualSec]
+        allTrips().forEach(trip => passesFor(trip).forEach(p => {
+            if (p.preempted) return;
+            if (!times.has(p.intersectionId)) times.set(p.intersectionId, []);
+            times.get(p.intersectionId).push(p.actualSec);
+        }));
+        return times;
+    }
+
+    function expectedSignalDelaySec(intersectionId) {
+        const ix = intersections.get(intersectionId);
+        const cycle = ix?.cycleSec || DEFAULT_CYCLE_SEC;
+        const red = cycle - cycle / Math.max(2, ix?.approaches?.length || 4);
+        return (red * red) / (2 * cycle);
+    }
+
+    function baselineFor(pass, hist) {
+        const past = hist.get(pass.intersectionId) || [];
+        if (past.length >= MIN_HISTORY) return { baselineSec: median(past), method: 'historical' };
+        const freeFlowSec = pass.distanceM / ((pass.speedKmh || FALLBACK_SPEED_KMH) / 3.6);
+        return { baselineSec: freeFlowSec + expectedSignalDelaySec(pass.intersectionId), method: 'cycle_model' };
+    }
+
+    /** Only preempted passes count towards time saved; the others are the baseline. */
+    function scorePasses(passes, hist) {
+        return passes.map(p => {
+            const { baselineSec, method } = baselineFor(p, hist);
+            return {
+                intersectionId: p.intersectionId,
+                preempted: p.preempted,
+                actualSec: round1(p.actualSec),
+                baselineSec: round1(baselineSec),
+                savedSec: p.preempted ? round1(baselineSec - p.actualSec) : 0,
+                method,
+                ttiAtTriggerSec: p.ttiAtTriggerSec,
+            };
+        });
+    }
+
+    /** Per-intersection breakdown for one trip. */
+    function trip(id) {
+        const summary = trips.get(id);
+        if (!summary) return null;
+        const scored = scorePasses(passesFor(summary), history());
+        return {
+            tripId: id,
+            vehicleId: summary.vehicleId,
+            startedAt: summary.startedAt,
+            endedAt: summary.endedAt,
+            timeSavedSec: round1(scored.reduce((sum, p) => sum + p.savedSec, 0)),
+            intersections: scored,
+        };
+    }
+
+    /** Daily aggregates by trip start date (UTC), oldest first. */
+    function daily({ from, to } = {}) {
+        const hist = history();
+        const days = new Map(); // YYYY-MM-DD → accumulator
+        allTrips().forEach(summary => {
+            const date = summary.startedAt.slice(0, 10);
+            if ((from && date < from) || (to && date > to)) return;
+            if (!days.has(date)) days.set(date, { date, trips: 0, intersectionsPreempted: 0, ttis: [], timeSavedSec: 0, distanceM: 0 });
+            const day = days.get(date);
+            const passes = passesFor(summary);
+            const scored = scorePasses(passes, hist);
+            day.trips += 1;
+            // Junctions each trip went through on a preempted green; a re-trigger is not another one
+            day.intersectionsPreempted += new Set(passes.filter(p => p.preempted).map(p => p.intersectionId)).size;
+            day.distanceM += summary.drivenM || 0;
+            day.timeSavedSec += scored.reduce((sum, p) => sum + p.savedSec, 0);
+            day.ttis.push(...analyse(summary).ttis);
+        });
+
+        return Array.from(days.values())
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(({ ttis, distanceM, ...day }) => ({
+                ...day,
+                medianTtiSec: round1(median(ttis)),
+                timeSavedSec: round1(day.timeSavedSec),
+                avgTimeSavedPerTripSec: round1(day.timeSavedSec / day.trips),
+                distanceKm: round1(distanceM / 1000),
+            }));
+    }
+
+    /** Every junction that has been passed: how often, how fast, and what preemption saved there. */
+    function byIntersection() {
+        const hist = history();
+        const out = new Map();
+        allTrips().forEach(summary => scorePasses(passesFor(summary), hist).forEach(p => {
+            if (!out.has(p.intersectionId)) out.set(p.intersectionId, { intersectionId: p.intersectionId, passes: 0, preempted: 0, actual: [], saved: 0 });
+            const row = out.get(p.intersectionId);
+            row.passes += 1;
+            if (p.preempted) row.preempted += 1;
+            row.actual.push(p.actualSec);
+            row.saved += p.savedSec;
+        }));
+        return Array.from(out.values()).map(({ actual, saved, ...row }) => ({
+            ...row,
+            name: intersections.get(row.intersectionId)?.name || null,
+            medianActualSec: round1(median(actual)),
+            baselineMethod: (hist.get(row.intersectionId) || []).length >= MIN_HISTORY ? 'historical' : 'cycle_model',
+            timeSavedSec: round1(saved),
+        })).sort((a, b) => b.timeSavedSec - a.timeSavedSec);
+    }
+
+    const CSV_COLUMNS = ['date', 'trips', 'intersectionsPreempted', 'medianTtiSec', 'timeSavedSec', 'avgTimeSavedPerTripSec', 'distanceKm'];
+
+    function toCsv(days) {
+        return [CSV_COLUMNS.join(','), ...days.map(d => CSV_COLUMNS.map(c => d[c] ?? '').join(','))].join('\n') + '\n';
+    }
+
+    return { trip, daily, byIntersection, toCsv };
+}
+
+module.exports = { createAnalytics, extractPasses, median, APPROACH_M };
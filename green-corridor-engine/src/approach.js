@@ -0,0 +1,63 @@
+/**
+ * approach.js
+ * Works out which approach (leg) a vehicle enters each intersection from,
+ * using the bearing of the incoming route edge.
+ */
+
+const { haversineM, bearingDeg, bearingDiff, approachFromBearing } = require('./geo');
+const { COMPASS_BEARINGS } = require('./intersections');
+
+const COMPASS_APPROACHES = ['N', 'E', 'S', 'W'].map(id => ({ id, bearing: COMPASS_BEARINGS[id] }));
+
+/**
+ * The leg a vehicle arrives on points back the way it came: travelling on
+ * bearing 0° (northbound) it enters on the leg that points 180° (south).
+ */
+function pickApproach(approaches, travelBearing) {
+    const legs = approaches && approaches.length ? approaches : COMPASS_APPROACHES;
+    const from = (travelBearing + 180) % 360;
+    return legs.reduce((best, leg) =>
+        bearingDiff(leg.bearing, from) < bearingDiff(best.bearing, from) ? leg : best);
+}
+
+/** Index of the route waypoint closest to a point. */
+function nearestWaypointIndex(waypoints, lat, lon) {
+    let best = -1, bestD = Infinity;
+    waypoints.forEach((w, i) => {
+        const d = haversineM(lat, lon, w.lat, w.lon);
+        if (d < bestD) { bestD = d; best = i; }
+    });
+    return best;
+}
+
+/**
+ * Annotate every intersection with the approach the route enters it from.
+ * @param {Array} intersections  corridor intersections ({ id, lat, lon, approaches? })
+ * @param {Array} waypoints      ordered route points ({ lat, lon })
+ */
+function annotateApproaches(intersections, waypoints) {
+    if (!waypoints || waypoints.length < 2) return intersections;
+
+    return intersections.map(ix => {
+        const k = nearestWaypointIndex(waypoints, ix.lat, ix.lon);
+        // Incoming edge is the one ending at the junction; the first node uses its outgoing edge
+        const [from, to] = k > 0 ? [waypoints[k - 1], waypoints[k]] : [waypoints[0], waypoints[1]];
+        const travelBearing = bearingDeg(from.lat, from.lon, to.lat, to.lon);
+        const leg = pickApproach(ix.approaches, travelBearing);
+
+        return {
+            ...ix,
+            routeIndex: k,
+            approach: { id: leg.id, bearing: leg.bearing, travelBearing: Math.round(travelBearing) },
+        };
+    });
+}
+
+/** Approach id for an intersection, falling back to the straight-line bearing from `position`. */
+function approachFor(ix, position) {
+    if (ix.approach?.id) return ix.approach.id;
+    if (!position) return undefined;
+    return approachFromBearing(bearingDeg(position.lat, position.lon, ix.lat, ix.lon));
+}
+
+module.exports = { annotateApproaches, approachFor, pickApproach };
@@ -0,0 +1,131 @@
+/**
+ * arbitration.js
+ * Decides which vehicle goes first when two corridors need the same
+ * intersection from different approaches at overlapping times.
+ *
+ * Order of precedence: patient criticality → vehicle type → earliest arrival.
+ */
+
+const { haversineM } = require('./geo');
+const { approachFor } = require('./approach');
+
+const CRITICALITY_RANK = { HIGH: 3, MEDIUM: 2, LOW: 1 };
+const VEHICLE_TYPE_RANK = { amb: 3, fire: 2, police: 1 };
+
+// Dashboard triage colours map onto the driver app's criticality levels
+const TRIAGE_TO_CRITICALITY = { RED: 'HIGH', YELLOW: 'MEDIUM', GREEN: 'LOW' };
+
+const DEFAULT_SPEED_MPS = 30 * 1000 / 3600;
+
+function normalizeCriticality(value) {
+    const v = String(value || '').toUpperCase();
+    if (CRITICALITY_RANK[v]) return v;
+    return TRIAGE_TO_CRITICALITY[v] || 'MEDIUM';
+}
+
+/** Vehicle type from an explicit value, else from the fleet id prefix (AMB-001 → amb). */
+function normalizeVehicleType(value, vehicleId = '') {
+    const v = String(value || '').toLowerCase();
+    if (VEHICLE_TYPE_RANK[v]) return v;
+    const prefix = String(vehicleId).split('-')[0].toLowerCase();
+    if (prefix === 'amb' || prefix === 'fire' || prefix === 'police') return prefix;
+    return 'amb';
+}
+
+/**
+ * Estimated arrival at every not-yet-cleared intersection within the horizon,
+ * measured along the route where sessions.js has matched the vehicle to it.
+ * @returns {Array<{ intersectionId, lat, lon, etaSec, distanceM, approach }>}
+ */
+function estimateArrivals(session, { horizonSec }) {
+    if (!session.position) return [];
+    const { lat, lon } = session.position;
+    const speed = session.speedMps > 0.5 ? session.speedMps : DEFAULT_SPEED_MPS;
+
+    return session.intersections
+        .filter(ix => !session.cleared.has(ix.id))
+        .map(ix => {
+            // A straight line cuts across bends; only unmatched vehicles fall back to it
+            const along = session.routeDistances?.get(ix.id);
+            const distanceM = along ?? haversineM(lat, lon, ix.lat, ix.lon);
+            return {
+                intersectionId: ix.id,
+                lat: ix.lat,
+                lon: ix.lon,
+                distanceM,
+                etaSec: distanceM / speed,
+                approach: approachFor(ix, session.position),
+            };
+        })
+        .filter(a => a.distanceM >= 0 && a.etaSec <= horizonSec);
+}
+
+/**
+ * Compare two claims on the same intersection.
+ * @returns {{ winner, loser, reason }}
+ */
+function decide(a, b) {
+    const critA = CRITICALITY_RANK[a.criticality], critB = CRITICALITY_RANK[b.criticality];
+    if (critA !== critB) {
+        const [winner, loser] = critA > critB ? [a, b] : [b, a];
+        return { winner, loser, reason: `criticality ${winner.criticality} outranks ${loser.criticality}` };
+    }
+
+    const typeA = VEHICLE_TYPE_RANK[a.vehicleType], typeB = VEHICLE_TYPE_RANK[b.vehicleType];
+    if (typeA !== typeB) {
+        const [winner, loser] = typeA > typeB ? [a, b] : [b, a];
+        return { winner, loser, reason: `vehicle type ${winner.vehicleType} outranks ${loser.vehicleType}` };
+    }
+
+    const [winner, loser] = a.etaSec <= b.etaSec ? [a, b] : [b, a];
+    return {
+        winner,
+        loser,
+        reason: `same priority — ${winner.vehicleId} arrives first (${winner.etaSec.toFixed(0)}s vs ${loser.etaSec.toFixed(0)}s)`,
+    };
+}
+
+/**
+ * Find every pair of vehicles whose arrival windows overlap at the same
+ * intersection from different approaches, and decide each one.
+ * @returns {Array<{ intersectionId, winner, loser, reason }>}
+ */
+function findConflicts(sessions, { windowSec, horizonSec }) {
+    const claims = new Map(); // intersectionId → claims[]
+
+    sessions.forEach(session => {
+        estimateArrivals(session, { horizonSec }).forEach(arrival => {
+            const claim = {
+                ...arrival,
+                vehicleId: session.vehicleId,
+                vehicleType: session.vehicleType,
+                criticality: session.criticality,
+            };
+            if (!claims.has(arrival.intersectionId)) claims.set(arrival.intersectionId, []);
+            claims.get(arrival.intersectionId).push(claim);
+        });
+    });
+
+    const decisions = [];
+    claims.forEach((list, intersectionId) => {
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                const a = list[i], b = list[j];
+                if (a.approach === b.approach) continue; // same green serves both
+                if (Math.abs(a.etaSec - b.etaSec) > windowSec * 2) continue;
+                decisions.push({ intersectionId, ...decide(a, b) });
+            }
+        }
+    });
+    return decisions;
+}
+
+module.exports = {
+    CRITICALITY_RANK,
+    VEHICLE_TYPE_RANK,
+    normalizeCriticality,
+    normalizeVehicleType,
+    estimateArrivals,
+    decide,
+    findConflicts,
+};
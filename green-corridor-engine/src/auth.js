@@ -0,0 +1,200 @@
+/**
+ * auth.js
+ * Per-vehicle credentials and HMAC-signed requests.
+ *
+ * Every client signs every request:
+ *
+ *   X-Client-Id:   vehicle id (AMB-001), "hospital:<id>" for a receiving
+ *                  hospital, "marshal:<intersectionId>" for the traffic
+ *                  police at a junction, or "operator" for the control room
+ *   X-Timestamp:   unix seconds (must be within maxSkewSec of server time)
+ *   X-Nonce:       random, single use
+ *   X-Signature:   hex HMAC-SHA256(key, METHOD \n PATH \n TIMESTAMP \n NONCE \n sha256hex(body))
+ *
+ * Vehicles, hospitals and marshals sign with the secret issued to them (routes/auth.js);
+ * the control room signs with OPERATOR_TOKEN and may act for any vehicle
+ * (simulations) or hospital.
+ * PATH is the engine path with its query string, e.g. /trips?limit=100 even
+ * when sent via /corridor/trips?limit=100, so query parameters are signed too.
+ * Socket.io handshakes carry { clientId, timestamp, nonce, signature } in
+ * `auth`, signed as METHOD "SOCKET" on PATH "/socket.io" with an empty body.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, createJsonStore } = require('./store');
+
+const OPERATOR_ID = 'operator';
+const HOSPITAL_PREFIX = 'hospital:';
+const MARSHAL_PREFIX = 'marshal:';
+const CREDENTIALS_FILE = process.env.CREDENTIALS_FILE || path.join(DATA_DIR, 'credentials.json');
+
+// Hospital and marshal clients are never vehicles
+const isPrefixed = clientId => clientId.startsWith(HOSPITAL_PREFIX) || clientId.startsWith(MARSHAL_PREFIX);
+
+const sha256Hex = data => crypto.createHash('sha256').update(data || '').digest('hex');
+
+function canonicalString({ method, path: reqPath, timestamp, nonce, body }) {
+    return [String(method).toUpperCase(), reqPath, timestamp, nonce, sha256Hex(body)].join('\n');
+}
+
+function safeEqualHex(a, b) {
+    const bufA = Buffer.from(String(a), 'hex'), bufB = Buffer.from(String(b), 'hex');
+    return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function createAuth({ operatorToken, maxSkewSec = 30, file = CREDENTIALS_FILE } = {}) {
+    const store = createJsonStore(file, { vehicles: {} });
+    const credentials = store.load();
+    const seenNonces = new Map(); // `${clientId}:${nonce}` → expiry (ms)
+
+    const persist = () => store.save(credentials);
+
+    function issue(vehicleId) {
+        if (vehicleId === OPERATOR_ID) throw new Error(`"${OPERATOR_ID}" is reserved`);
+        const record = { secret: crypto.randomBytes(32).toString('hex'), issuedAt: new Date().toISOString() };
+        credentials.vehicles[vehicleId] = record;
+        persist();
+        return { vehicleId, ...record };
+    }
+
+    function revoke(vehicleId) {
+        if (!credentials.vehicles[vehicleId]) return false;
+        delete credentials.vehicles[vehicleId];
+        persist();
+        return true;
+    }
+
+    /** Vehicle credentials; hospital ones with { hospitals: true }, marshal ones with { marshals: true }. */
+    function list({ hospitals = false, marshals = false } = {}) {
+        const entries = Object.entries(credentials.vehicles);
+        if (hospitals) {
+            return entries.filter(([clientId]) => clientId.startsWith(HOSPITAL_PREFIX))
+                .map(([clientId, c]) => ({ hospitalId: clientId.slice(HOSPITAL_PREFIX.length), issuedAt: c.issuedAt }));
+        }
+        if (marshals) {
+            return entries.filter(([clientId]) => clientId.startsWith(MARSHAL_PREFIX))
+                .map(([clientId, c]) => ({ intersectionId: clientId.slice(MARSHAL_PREFIX.length), issuedAt: c.issuedAt }));
+        }
+        return entries.filter(([clientId]) => !isPrefixed(clientId))
+            .map(([clientId, c]) => ({ vehicleId: clientId, issuedAt: c.issuedAt }));
+    }
+
+    function sweepNonces(now) {
+        seenNonces.forEach((expiry, key) => { if (expiry < now) seenNonces.delete(key); });
+    }
+
+    function keyFor(clientId) {
+        if (clientId === OPERATOR_ID) return operatorToken;
+        return credentials.vehicles[clientId]?.secret || null;
+    }
+
+    /**
+     * @returns {{ ok: true, clientId } | { ok: false, error }}
+     */
+    function verify({ clientId, timestamp, nonce, signature, method, path: reqPath, body }) {
+        if (!clientId || !timestamp || !nonce || !signature) return { ok: false, error: 'Unsigned request' };
+
+        const key = keyFor(clientId);
+        if (!key) return { ok: false, error: `No credentials issued for ${clientId}` };
+
+        // Signed as sent, so only plain unix seconds: no "1e9", "0x…" or fractions
+        if (!/^\d+$/.test(String(timestamp))) return { ok: false, error: 'Timestamp must be integer unix seconds' };
+        const now = Date.now();
+        if (Math.abs(now / 1000 - Number(timestamp)) > maxSkewSec) return { ok: false, error: 'Timestamp outside allowed window' };
+
+        const nonceKey = `${clientId}:${nonce}`;
+        if (seenNonces.has(nonceKey)) return { ok: false, error: 'Replayed nonce' };
+
+        const expected = crypto.createHmac('sha256', key)
+            .update(canonicalString({ method, path: reqPath, timestamp, nonce, body }))
+            .digest('hex');
+        if (!safeEqualHex(signature, expected)) return { ok: false, error: 'Bad signature' };
+
+        // Only valid nonces are remembered; older ones fall outside the timestamp window anyway
+        if (seenNonces.size > 10000) sweepNonces(now);
+        seenNonces.set(nonceKey, now + maxSkewSec * 2000);
+        return { ok: true, clientId };
+    }
+
+    function verifyRequest(req) {
+        return verify({
+            clientId: req.get('X-Client-Id'),
+            timestamp: req.get('X-Timestamp'),
+            nonce: req.get('X-Nonce'),
+            signature: req.get('X-Signature'),
+            method: req.method,
+            path: req.originalUrl,
+            body: req.rawBody ? req.rawBody.toString('utf8') : '',
+        });
+    }
+
+    function principal(clientId) {
+        if (clientId === OPERATOR_ID) return { role: 'operator' };
+        if (clientId.startsWith(HOSPITAL_PREFIX)) return { role: 'hospital', hospitalId: clientId.slice(HOSPITAL_PREFIX.length) };
+        if (clientId.startsWith(MARSHAL_PREFIX)) return { role: 'marshal', intersectionId: clientId.slice(MARSHAL_PREFIX.length) };
+        return { role: 'vehicle', vehicleId: clientId };
+    }
+
+    /** Control-room only. */
+    function requireOperator(req, res, next) {
+        const result = verifyRequest(req);
+        if (!result.ok) return res.status(401).json({ error: result.error });
+        if (result.clientId !== OPERATOR_ID) return res.status(403).json({ error: 'Operator signature required' });
+        req.auth = principal(result.clientId);
+        next();
+    }
+
+    /**
+     * A vehicle or the operator. `claimedId(req)` is the vehicle the request
+     * acts for (e.g. body.id); a vehicle may only act for itself.
+     */
+    function requireSigned(claimedId = () => null) {
+        return (req, res, next) => {
+            const result = verifyRequest(req);
+            if (!result.ok) return res.status(401).json({ error: result.error });
+            if (isPrefixed(result.clientId)) return res.status(403).json({ error: 'Vehicle or operator signature required' });
+            const claimed = claimedId(req);
+            if (claimed && result.clientId !== OPERATOR_ID && claimed !== result.clientId) {
+                return res.status(403).json({ error: `Signed by ${result.clientId}, not ${claimed}` });
+            }
+            req.auth = principal(result.clientId);
+            next();
+        };
+    }
+
+    /** The hospital `hospitalId(req)` itself, or the operator. */
+    function requireHospital(hospitalId) {
+        return (req, res, next) => {
+            const result = verifyRequest(req);
+            if (!result.ok) return res.status(401).json({ error: result.error });
+            const id = hospitalId(req);
+            if (result.clientId !== OPERATOR_ID && result.clientId !== `${HOSPITAL_PREFIX}${id}`) {
+                return res.status(403).json({ error: `Signed by ${result.clientId}, not hospital ${id}` });
+            }
+            req.auth = principal(result.clientId);
+            next();
+        };
+    }
+
+    /** Socket.io middleware — rejects handshakes that are not signed by a known client. */
+    function authenticateSocket(socket, next) {
+        const result = verify({ ...(socket.handshake.auth || {}), method: 'SOCKET', path: '/socket.io', body: '' });
+        if (!result.ok) return next(new Error(`Unauthorized: ${result.error}`));
+        Object.assign(socket.data, principal(result.clientId));
+        next();
+    }
+
+    return {
+        issue,
+        revoke,
+        list,
+        verify,
+        requireOperator,
+        requireSigned,
+        requireHospital,
+        authenticateSocket,
+    };
+}
+
+module.exports = { createAuth, canonicalString, OPERATOR_ID, HOSPITAL_PREFIX, MARSHAL_PREFIX };
@@ -0,0 +1,108 @@
+/**
+ * controllers/index.js
+ * Signal-controller driver layer.
+ *
+ * Every managed intersection is bound to a driver implementing:
+ *   requestPreempt({ intersectionId, vehicleId, approach, mode? }) → Promise<state>
+ *     (approach may be a list, e.g. cross-street legs during recovery)
+ *   release({ intersectionId, vehicleId })                  → Promise<state>
+ *   getState(intersectionId)                                → Promise<state>
+ *
+ * Unbound intersections fall back to the default driver.
+ */
+
+const { createSimulatedController } = require('./simulated');
+const { createNtcipController } = require('./ntcip');
+
+/**
+ * Parse "INT-MAIN:ntcip,INT-NORTH:simulated" into [[id, driver], …].
+ */
+function parseBindings(spec) {
+    return String(spec || '')
+        .split(',')
+        .map(pair => pair.trim().split(':'))
+        .filter(([id, driver]) => id && driver);
+}
+
+function createControllerRegistry(io, { defaultDriver = 'simulated', ntcipBaseUrl, bindings = [] } = {}) {
+    const drivers = {
+        simulated: createSimulatedController(io),
+    };
+    if (ntcipBaseUrl) drivers.ntcip = createNtcipController({ baseUrl: ntcipBaseUrl });
+
+    // A binding to a driver that is not configured (e.g. ntcip without NTCIP_BASE_URL)
+    // would only fail once a corridor reaches that junction, so refuse it up front
+    if (!drivers[defaultDriver]) {
+        throw new Error(`Default controller driver "${defaultDriver}" is not available (drivers: ${Object.keys(drivers).join(', ')})`);
+    }
+    bindings.forEach(([intersectionId, driverName]) => {
+        if (!drivers[driverName]) throw new Error(`Controller binding ${intersectionId}:${driverName} names a driver that is not available`);
+    });
+    const bound = new Map(bindings);
+
+    function driverFor(intersectionId) {
+        const name = bound.get(intersectionId) || defaultDriver;
+        const driver = drivers[name];
+        if (!driver) throw new Error(`No controller driver "${name}" for ${intersectionId}`);
+        return driver;
+    }
+
+    function bind(intersectionId, driverName) {
+        if (!drivers[driverName]) throw new Error(`Unknown controller driver "${driverName}"`);
+        bound.set(intersectionId, driverName);
+    }
+
+    /** A deleted intersection falls back to the default driver. */
+    function unbind(intersectionId) {
+        bound.delete(intersectionId);
+    }
+
+    /**
+     * The simulated driver publishes its own state; hardware drivers are
+     * polled once after each command and published here.
+     */
+    function publish(intersectionId, driver, state, args) {
+        if (driver.type === 'simulated') return state;
+        io.to(['dashboard', ...(args.vehicleId ? [`vehicle:${args.vehicleId}`] : [])]).emit('signal_state_updated', {
+            id: intersectionId,
+            state: state.approaches,
+            mode: state.mode === 'PREEMPT' && args.mode ? args.mode : state.mode,
+            vehicleId: args.vehicleId ?? null,
+            approach: state.mode === 'PREEMPT' && args.approach ? [].concat(args.approach).join('/') : null,
+            controller: driver.type,
+        });
+        return state;
+    }
+
+    async function command(op, args) {
+        let driver = null;
+        try {
+            driver = driverFor(args.intersectionId);
+            const state = await driver[op](args);
+            return publish(args.intersectionId, driver, state, args);
+        } catch (err) {
+            console.error(`[controller] ${op} ${args.intersectionId} via ${driver?.type ?? 'no driver'} failed:`, err.message);
+            io.to('dashboard').emit('controller_error', {
+                intersectionId: args.intersectionId,
+                vehicleId: args.vehicleId,
+                operation: op,
+                controller: driver?.type ?? null,
+                error: err.message,
+            });
+            return null;
+        }
+    }
+
+    return {
+        bind,
+        unbind,
+        driverFor,
+        drivers: () => Object.keys(drivers),
+        bindings: () => Object.fromEntries(bound),
+        requestPreempt: args => command('requestPreempt', args),
+        release: args => command('release', args),
+        getState: intersectionId => driverFor(intersectionId).getState(intersectionId),
+    };
+}
+
+module.exports = { createControllerRegistry, parseBindings };
@@ -0,0 +1,85 @@
+/**
+ * ntcip.js
+ * NTCIP-1202-style signal controller driver over HTTP.
+ *
+ * Field controllers expose the NTCIP 1202 object tree over SNMP; this driver
+ * speaks the same objects as JSON varbinds over HTTP so it can run against
+ * the local stand-in (ntcipStandIn.js) or an SNMP→HTTP gateway in the pilot.
+ */
+
+const { DEFAULT_APPROACHES } = require('./simulated');
+
+// NTCIP 1202 v02 objects used for emergency-vehicle preemption
+const OID = {
+    preemptControlState: '1.3.6.1.4.1.1206.4.2.1.6.3.1.2', // .<preemptNumber>  1 = off, 2 = on
+    preemptState: '1.3.6.1.4.1.1206.4.2.1.6.2.1.19',       // .<preemptNumber>  2 = notActive, 8 = dwell …
+    phaseStatusGroupGreens: '1.3.6.1.4.1.1206.4.2.1.1.4.1.4', // .<group>  bitmask of green phases
+};
+
+const PREEMPT_ON = 2;
+const PREEMPT_OFF = 1;
+const PREEMPT_STATE_NOT_ACTIVE = 2;
+
+// Default NEMA phase per approach (through movements on an 8-phase dual ring)
+const DEFAULT_PHASE_MAP = { N: 4, E: 2, S: 8, W: 6 };
+
+/**
+ * @param {object} opts
+ * @param {string} opts.baseUrl      stand-in / gateway root, e.g. http://localhost:3161
+ * @param {object} [opts.preemptMap] approach → preempt input number (defaults to the phase number)
+ * @param {object} [opts.phaseMap]   approach → NEMA phase
+ * @param {number} [opts.timeoutMs]
+ */
+function createNtcipController({ baseUrl, preemptMap, phaseMap = DEFAULT_PHASE_MAP, timeoutMs = 3000 }) {
+    const preemptNumber = approach => (preemptMap || phaseMap)[approach] || 1;
+
+    async function call(path, options = {}) {
+        const res = await fetch(`${baseUrl}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' },
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        const data = await res.json();
+        if (!res.ok || data.error) throw new Error(`NTCIP ${path} failed: ${data.error || res.status}`);
+        return data;
+    }
+
+    const set = (intersectionId, varbinds) =>
+        call(`/ntcip/${encodeURIComponent(intersectionId)}/set`, { method: 'POST', body: JSON.stringify({ varbinds }) });
+
+    const get = (intersectionId, oids) =>
+        call(`/ntcip/${encodeURIComponent(intersectionId)}/get?oids=${oids.map(encodeURIComponent).join(',')}`);
+
+    async function requestPreempt({ intersectionId, approach }) {
+        const varbinds = [].concat(approach || 'N')
+            .map(a => ({ oid: `${OID.preemptControlState}.${preemptNumber(a)}`, value: PREEMPT_ON }));
+        await set(intersectionId, varbinds);
+        return getState(intersectionId);
+    }
+
+    async function release({ intersectionId }) {
+        const varbinds = DEFAULT_APPROACHES.map(a => ({ oid: `${OID.preemptControlState}.${preemptNumber(a)}`, value: PREEMPT_OFF }));
+        await set(intersectionId, varbinds);
+        return getState(intersectionId);
+    }
+
+    /** Translate the green-phase bitmask and preempt states back into per-approach states. */
+    async function getState(intersectionId) {
+        const preemptOids = DEFAULT_APPROACHES.map(a => `${OID.preemptState}.${preemptNumber(a)}`);
+        const { varbinds } = await get(intersectionId, [`${OID.phaseStatusGroupGreens}.1`, ...preemptOids]);
+        const greens = Number(varbinds[0]?.value) || 0;
+        const preempting = varbinds.slice(1).some(vb => Number(vb.value) !== PREEMPT_STATE_NOT_ACTIVE);
+
+        const approaches = Object.fromEntries(Object.entries(phaseMap).map(([approach, phase]) => {
+            // Outside preemption the normal plan is running — report NORMAL, not its greens
+            if (!preempting) return [approach, { state: 'NORMAL', phase }];
+            const isGreen = (greens & (1 << (phase - 1))) !== 0;
+            return [approach, { state: isGreen ? 'GREEN' : 'HARD_RED', phase }];
+        }));
+        return { mode: preempting ? 'PREEMPT' : 'NORMAL', approaches };
+    }
+
+    return { type: 'ntcip', requestPreempt, release, getState };
+}
+
+module.exports = { createNtcipController, OID, PREEMPT_ON, PREEMPT_OFF, PREEMPT_STATE_NOT_ACTIVE, DEFAULT_PHASE_MAP };
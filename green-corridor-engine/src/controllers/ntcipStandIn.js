@@ -0,0 +1,104 @@
+/**
+ * ntcipStandIn.js
+ * Local stand-in for an NTCIP 1202 field controller.
+ *
+ * Serves a tiny in-memory object tree per intersection over the same HTTP
+ * varbind API the ntcip driver speaks, so the driver can be exercised
+ * without hardware:
+ *
+ *   GET  /ntcip/:intersectionId/get?oids=<oid>,<oid>
+ *   POST /ntcip/:intersectionId/set   { varbinds: [{ oid, value }] }
+ *
+ * Run standalone:  node src/controllers/ntcipStandIn.js
+ */
+
+const http = require('http');
+const { OID, PREEMPT_ON, PREEMPT_STATE_NOT_ACTIVE } = require('./ntcip');
+
+const PREEMPT_STATE_DWELL = 8;
+// Normal plan: main-street through phases 2 + 6 green
+const NORMAL_GREENS = (1 << 1) | (1 << 5);
+
+function createStandIn() {
+    const controllers = new Map(); // intersectionId → Map<oid, value>
+
+    function mib(intersectionId) {
+        if (!controllers.has(intersectionId)) {
+            controllers.set(intersectionId, new Map([[`${OID.phaseStatusGroupGreens}.1`, NORMAL_GREENS]]));
+        }
+        return controllers.get(intersectionId);
+    }
+
+    /** Recompute status objects after a control write, like a controller's next scan. */
+    function scan(tree) {
+        let greens = 0;
+        for (const [oid, value] of tree) {
+            if (!oid.startsWith(`${OID.preemptControlState}.`)) continue;
+            const number = Number(oid.split('.').pop());
+            const active = value === PREEMPT_ON;
+            tree.set(`${OID.preemptState}.${number}`, active ? PREEMPT_STATE_DWELL : PREEMPT_STATE_NOT_ACTIVE);
+            // Stand-in wiring: preempt input N dwells in phase N
+            if (active) greens |= 1 << (number - 1);
+        }
+        tree.set(`${OID.phaseStatusGroupGreens}.1`, greens || NORMAL_GREENS);
+    }
+
+    function get(intersectionId, oids) {
+        const tree = mib(intersectionId);
+        return oids.map(oid => ({
+            oid,
+            value: tree.has(oid) ? tree.get(oid) : (oid.startsWith(`${OID.preemptState}.`) ? PREEMPT_STATE_NOT_ACTIVE : null),
+        }));
+    }
+
+    function set(intersectionId, varbinds) {
+        const tree = mib(intersectionId);
+        varbinds.forEach(({ oid, value }) => tree.set(oid, Number(value)));
+        scan(tree);
+        return varbinds;
+    }
+
+    return { get, set };
+}
+
+function startNtcipStandIn(port) {
+    const standIn = createStandIn();
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const match = url.pathname.match(/^\/ntcip\/([^/]+)\/(get|set)$/);
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        if (!match) return reply(404, { error: 'Unknown path' });
+
+        const intersectionId = decodeURIComponent(match[1]);
+        if (match[2] === 'get' && req.method === 'GET') {
+            const oids = (url.searchParams.get('oids') || '').split(',').filter(Boolean);
+            return reply(200, { varbinds: standIn.get(intersectionId, oids) });
+        }
+        if (match[2] === 'set' && req.method === 'POST') {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                try {
+                    const { varbinds } = JSON.parse(raw || '{}');
+                    if (!Array.isArray(varbinds)) return reply(400, { error: 'varbinds array required' });
+                    reply(200, { varbinds: standIn.set(intersectionId, varbinds) });
+                } catch (e) { reply(400, { error: e.message }); }
+            });
+            return;
+        }
+        reply(405, { error: 'Method not allowed' });
+    });
+
+    return new Promise(resolve => server.listen(port, () => resolve(server)));
+}
+
+if (require.main === module) {
+    const port = parseInt(process.env.NTCIP_STANDIN_PORT, 10) || 3161;
+    startNtcipStandIn(port).then(() => console.log(`[ntcip stand-in] listening on http://localhost:${port}`));
+}
+
+module.exports = { createStandIn, startNtcipStandIn };
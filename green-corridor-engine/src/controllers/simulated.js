@@ -0,0 +1,70 @@
+/**
+ * simulated.js
+ * In-process simulated signal controller.
+ *
+ * Keeps per-intersection signal state in memory and broadcasts every change
+ * as `signal_state_updated`, exactly like a field controller would report it.
+ */
+
+const DEFAULT_APPROACHES = ['N', 'E', 'S', 'W'];
+
+function createSimulatedController(io) {
+    const states = new Map(); // intersectionId → { mode, vehicleId, approaches: { N: { state } } }
+
+    function snapshot(intersectionId) {
+        return states.get(intersectionId) || {
+            mode: 'NORMAL',
+            vehicleId: null,
+            approaches: Object.fromEntries(DEFAULT_APPROACHES.map(a => [a, { state: 'NORMAL' }])),
+        };
+    }
+
+    function publish(intersectionId, next) {
+        states.set(intersectionId, next);
+        // The vehicle holding the junction follows its own signal; the control room sees them all
+        io.to(['dashboard', ...(next.vehicleId ? [`vehicle:${next.vehicleId}`] : [])]).emit('signal_state_updated', {
+            id: intersectionId,
+            state: next.approaches,
+            mode: next.mode,
+            vehicleId: next.vehicleId,
+            approach: next.approach,
+            controller: 'simulated',
+        });
+        return next;
+    }
+
+    /**
+     * Green the requested approach (or list of approaches), hold every other
+     * approach on HARD_RED. Recovery plans pass mode 'RECOVERY'.
+     */
+    async function requestPreempt({ intersectionId, vehicleId, approach, approaches = DEFAULT_APPROACHES, mode = 'PREEMPT' }) {
+        const ids = approaches.map(a => a.id || a); // registry approaches are { id, bearing }
+        const greens = [].concat(approach || []);
+        const legs = [...ids, ...greens.filter(g => !ids.includes(g))];
+        return publish(intersectionId, {
+            mode,
+            vehicleId,
+            approach: greens.length ? greens.join('/') : null,
+            approaches: Object.fromEntries(legs.map(a => [a, { state: !greens.length || greens.includes(a) ? 'GREEN' : 'HARD_RED' }])),
+        });
+    }
+
+    /** Return the intersection to its normal plan. */
+    async function release({ intersectionId }) {
+        const current = snapshot(intersectionId);
+        return publish(intersectionId, {
+            mode: 'NORMAL',
+            vehicleId: null,
+            approach: null,
+            approaches: Object.fromEntries(Object.keys(current.approaches).map(a => [a, { state: 'NORMAL' }])),
+        });
+    }
+
+    async function getState(intersectionId) {
+        return snapshot(intersectionId);
+    }
+
+    return { type: 'simulated', requestPreempt, release, getState };
+}
+
+module.exports = { createSimulatedController, DEFAULT_APPROACHES };
@@ -0,0 +1,172 @@
+/**
+ * directions.js
+ * Route geometry and turn-by-turn steps derived from the road graph.
+ *
+ * Steps use the shape the driver app's updateTurnByTurn already reads
+ * (originally OSRM's): { location: { lat, location: [lon, lat] },
+ * maneuver: { type, modifier, instruction, ... }, name, distance }.
+ */
+
+const { bearingDeg } = require('./geo');
+const { edgeBetween, neighborsOf } = require('./graphIndex');
+
+// A bend this sharp starts a new step even when the street name does not change
+const TURN_SPLIT_DEG = 60;
+
+const COMPASS_NAMES = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+const compassName = bearing => COMPASS_NAMES[Math.round(bearing / 45) % 8];
+
+const ordinal = n => `${n}${['th', 'st', 'nd', 'rd'][(n % 100 > 10 && n % 100 < 14) || n % 10 > 3 ? 0 : n % 10]}`;
+
+/** Signed turn angle in (-180, 180]; positive is a right turn. */
+function turnAngle(before, after) {
+    const d = ((after - before) % 360 + 540) % 360 - 180;
+    return d === -180 ? 180 : d;
+}
+
+function turnModifier(angle) {
+    const a = Math.abs(angle);
+    if (a < 20) return 'straight';
+    if (a >= 170) return 'uturn';
+    const side = angle > 0 ? 'right' : 'left';
+    if (a < 60) return `slight ${side}`;
+    if (a < 140) return side;
+    return `sharp ${side}`;
+}
+
+const lineBearing = (p, q) => bearingDeg(p[1], p[0], q[1], q[0]);
+const startBearing = coords => lineBearing(coords[0], coords[1]);
+const endBearing = coords => lineBearing(coords[coords.length - 2], coords[coords.length - 1]);
+
+/** Edges travelled along a node path; gaps in the graph fall back to straight lines. */
+function pathEdges(graph, path) {
+    const out = [];
+    for (let i = 0; i < path.length - 1; i++) {
+        const edge = edgeBetween(graph, path[i], path[i + 1]);
+        if (edge) out.push(edge);
+    }
+    return out;
+}
+
+/** Concatenate edge geometries into one GeoJSON LineString. */
+function lineString(edges) {
+    const coordinates = [];
+    edges.forEach(edge => {
+        edge.coords.forEach((c, i) => {
+            if (i === 0 && coordinates.length) return; // shared node
+            coordinates.push(c);
+        });
+    });
+    return { type: 'LineString', coordinates };
+}
+
+/** Runs of edges that read as one instruction: same street, no sharp bend, roundabouts kept whole. */
+function groupEdges(edges) {
+    const groups = [];
+    edges.forEach(edge => {
+        const last = groups[groups.length - 1];
+        const prev = last?.edges[last.edges.length - 1];
+        const sameRun = last && prev.roundabout === edge.roundabout && (edge.roundabout || (
+            prev.name === edge.name &&
+            Math.abs(turnAngle(endBearing(prev.coords), startBearing(edge.coords))) < TURN_SPLIT_DEG));
+        if (sameRun) last.edges.push(edge);
+        else groups.push({ edges: [edge], name: edge.name, roundabout: edge.roundabout });
+    });
+    groups.forEach(g => {
+        g.coords = lineString(g.edges).coordinates;
+        g.lengthM = g.edges.reduce((sum, e) => sum + e.lengthM, 0);
+    });
+    return groups;
+}
+
+function step(coord, maneuver, name, distance) {
+    const [lon, lat] = coord;
+    return {
+        location: { lat, location: [lon, lat] },
+        maneuver: { ...maneuver, location: [lon, lat] },
+        name: name || '',
+        distance: Math.round(distance),
+    };
+}
+
+/** Exits passed inside a roundabout: ring nodes (after the entry) that have a road leading off it. */
+function roundaboutExit(graph, group) {
+    const ring = new Set(group.edges.flatMap(e => [e.from, e.to]));
+    return group.edges.filter(e =>
+        Array.from(neighborsOf(graph, e.to)).some(n => !ring.has(n))).length || 1;
+}
+
+/**
+ * Turn-by-turn steps for one leg (a node path).
+ * @param {string} arrival  instruction for the final step
+ */
+function legSteps(graph, path, arrival = 'Arrive at destination') {
+    const groups = groupEdges(pathEdges(graph, path));
+    if (!groups.length) return [];
+
+    const steps = [];
+    const first = groups[0];
+    const departBearing = Math.round(startBearing(first.coords));
+    steps.push(step(first.coords[0], {
+        type: 'depart',
+        bearing_after: departBearing,
+        instruction: `Head ${compassName(departBearing)}${first.name ? ` on ${first.name}` : ''}`,
+    }, first.name, first.lengthM));
+
+    for (let i = 1; i < groups.length; i++) {
+        const prev = groups[i - 1], g = groups[i];
+        const before = Math.round(endBearing(prev.coords));
+
+        if (g.roundabout) {
+            // One step for the whole roundabout, naming the road it exits onto
+            const exitRoad = groups[i + 1];
+            const after = Math.round(exitRoad ? startBearing(exitRoad.coords) : endBearing(g.coords));
+            const exit = roundaboutExit(graph, g);
+            steps.push(step(g.coords[0], {
+                type: 'roundabout',
+                modifier: turnModifier(turnAngle(before, after)),
+                exit,
+                bearing_before: before,
+                bearing_after: after,
+                instruction: `At the roundabout, take the ${ordinal(exit)} exit${exitRoad?.name ? ` onto ${exitRoad.name}` : ''}`,
+            }, exitRoad?.name, g.lengthM + (exitRoad?.lengthM || 0)));
+            if (exitRoad) i++;
+            continue;
+        }
+
+        const after = Math.round(startBearing(g.coords));
+        const modifier = turnModifier(turnAngle(before, after));
+        const onto = g.name ? ` onto ${g.name}` : '';
+        steps.push(step(g.coords[0], {
+            type: modifier === 'straight' ? 'new name' : 'turn',
+            modifier,
+            bearing_before: before,
+            bearing_after: after,
+            instruction: modifier === 'straight' ? `Continue${onto || ' straight'}`
+                : modifier === 'uturn' ? `Make a U-turn${onto}`
+                : `Turn ${modifier}${onto}`,
+        }, g.name, g.lengthM));
+    }
+
+    const last = groups[groups.length - 1];
+    steps.push(step(last.coords[last.coords.length - 1], {
+        type: 'arrive',
+        bearing_before: Math.round(endBearing(last.coords)),
+        instruction: arrival,
+    }, last.name, 0));
+    return steps;
+}
+
+/**
+ * Geometry and steps for a multi-leg route.
+ * @param {Array<Array>} legs  node-id path per leg
+ * @returns {{ geometry, steps }}
+ */
+function buildDirections(graph, legs) {
+    const edges = legs.flatMap(path => pathEdges(graph, path));
+    const steps = legs.flatMap((path, i) =>
+        legSteps(graph, path, i === legs.length - 1 ? 'Arrive at destination' : `Arrive at stop ${i + 1}`));
+    return { geometry: lineString(edges), steps };
+}
+
+module.exports = { buildDirections, turnAngle, turnModifier };
@@ -0,0 +1,95 @@
+/**
+ * dispatch.js
+ * Nearest-available-vehicle recommendation for a new incident.
+ *
+ * Every in-service vehicle without an active corridor is routed from its last
+ * known position (fleet.js) to the incident with its own cost profile
+ * (timeRouter.js), and the fleet is ranked by that road travel time. Busy and
+ * unreachable vehicles are reported separately so the dispatcher sees why a
+ * vehicle is missing from the ranking.
+ */
+
+const { haversineM } = require('./geo');
+
+// Assumed pace between a position and the road node it snaps to (both ends); keeps off-graph points honest
+const ACCESS_SPEED_MPS = 20 / 3.6;
+const DEFAULT_LIMIT = 5;
+
+/**
+ * @param {object} deps { fleet (fleet.js), getSessions, nearestNode, findRoute (timeRouter.findRoute) }
+ * @returns {{ status(), recommend({ lat, lon, vehicleType, limit }) }}
+ */
+function createDispatcher({ fleet, getSessions, nearestNode, findRoute }) {
+    const activeCorridor = id => getSessions()?.get(id) || null;
+
+    /** Every vehicle with where it is and whether it can take a job. */
+    function status() {
+        return fleet.list().map(v => {
+            const corridor = activeCorridor(v.id);
+            return {
+                ...v,
+                position: fleet.position(v.id),
+                available: v.inService && !corridor,
+                tripId: corridor?.tripId || null,
+            };
+        });
+    }
+
+    /** Road ETA from one vehicle's position to the incident, or null when no path exists. */
+    function estimate(vehicle, position, incidentNode, incidentAccessM) {
+        const startNode = nearestNode(position.lat, position.lon);
+        if (!startNode) return null;
+        const route = findRoute(startNode.id, incidentNode.id, { profile: vehicle.type });
+        if (!route) return null;
+        const accessM = haversineM(position.lat, position.lon, startNode.lat, startNode.lon) + incidentAccessM;
+        return {
+            etaSec: Math.round(route.durationSec + accessM / ACCESS_SPEED_MPS),
+            distanceM: Math.round(route.distanceM + accessM),
+            profile: route.profile,
+        };
+    }
+
+    /**
+     * Ranked recommendation, fastest first.
+     * @param {string|string[]} vehicleType  only these types (amb | fire | police); all when empty
+     */
+    function recommend({ lat, lon, vehicleType, limit = DEFAULT_LIMIT }) {
+        const types = [].concat(vehicleType || []).flatMap(t => String(t).split(',')).map(t => t.trim().toLowerCase()).filter(Boolean);
+        const incidentNode = nearestNode(lat, lon);
+        const incidentAccessM = incidentNode ? haversineM(lat, lon, incidentNode.lat, incidentNode.lon) : 0;
+        const candidates = status().filter(v => !types.length || types.includes(v.type));
+
+        const ranked = [], unavailable = [], unreachable = [];
+        candidates.forEach(v => {
+            if (!v.available) {
+                unavailable.push({ vehicleId: v.id, type: v.type, reason: v.inService ? 'ON_TRIP' : 'OUT_OF_SERVICE', tripId: v.tripId });
+                return;
+            }
+            const eta = incidentNode ? estimate(v, v.position, incidentNode, incidentAccessM) : null;
+            if (!eta) {
+                unreachable.push({ vehicleId: v.id, type: v.type, position: v.position });
+                return;
+            }
+            ranked.push({
+                vehicleId: v.id,
+                type: v.type,
+                name: v.name,
+                position: v.position,
+                straightLineM: Math.round(haversineM(v.position.lat, v.position.lon, lat, lon)),
+                ...eta,
+            });
+        });
+
+        ranked.sort((a, b) => a.etaSec - b.etaSec || a.distanceM - b.distanceM);
+        return {
+            incident: { lat, lon, nodeId: incidentNode ? String(incidentNode.id) : null },
+            recommendations: ranked.slice(0, limit).map((r, i) => ({ rank: i + 1, ...r })),
+            unavailable,
+            unreachable,
+        };
+    }
+
+    return { status, recommend };
+}
+
+module.exports = { createDispatcher };
@@ -0,0 +1,144 @@
+/**
+ * fieldAlerts.js
+ * Alerts raised by crews from the driver app (police request, emergency
+ * broadcast) and the control room's handling of them:
+ *
+ *   OPEN → ACKNOWLEDGED → ASSIGNED → RESOLVED
+ *
+ * Acknowledging and assigning may be skipped; escalation raises `escalation`
+ * without changing the status. Every action is kept in `history`. The queue
+ * lives in memory, like hospital pre-arrival alerts; the trip log keeps the
+ * permanent record.
+ */
+
+const crypto = require('crypto');
+const { fail } = require('./httpErrors');
+
+const TYPES = ['POLICE_REQUEST', 'BROADCAST'];
+const STATUSES = ['OPEN', 'ACKNOWLEDGED', 'ASSIGNED', 'RESOLVED'];
+// Resolved alerts are dropped after this long
+const RETENTION_MS = 6 * 60 * 60 * 1000;
+
+function createFieldAlertQueue({ retentionMs = RETENTION_MS } = {}) {
+    const alerts = new Map(); // alertId → alert
+
+    function sweep(now) {
+        alerts.forEach((a, id) => {
+            if (a.resolvedAt && now - Date.parse(a.resolvedAt) > retentionMs) alerts.delete(id);
+        });
+    }
+
+    function mustGet(id) {
+        const alert = alerts.get(id);
+        if (!alert) throw fail(404, `Alert ${id} not found`);
+        return alert;
+    }
+
+    function touch(alert, action, by, extra = {}) {
+        const at = new Date().toISOString();
+        alert.updatedAt = at;
+        alert.history.push({ action, at, by, ...extra });
+        return at;
+    }
+
+    /** Newest first; `open` drops resolved ones. */
+    function list({ open = false, vehicleId } = {}) {
+        return Array.from(alerts.values())
+            .filter(a => (!open || a.status !== 'RESOLVED') && (!vehicleId || a.vehicleId === vehicleId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    function get(id) {
+        return alerts.get(id) || null;
+    }
+
+    /**
+     * A crew raised an alert. Pressing the same button again while the first
+     * is still unresolved refreshes that alert (position, route, reason)
+     * instead of queueing a duplicate.
+     * @returns {{ alert, repeated: boolean }}
+     */
+    function raise({ type, vehicleId, position, route = null, reason = null }) {
+        const kind = String(type || '').toUpperCase();
+        if (!TYPES.includes(kind)) throw fail(400, `type must be one of ${TYPES.join(', ')}`);
+        if (!vehicleId) throw fail(400, 'vehicleId is required');
+        const lat = Number(position?.lat), lon = Number(position?.lon);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw fail(400, 'position { lat, lon } is required');
+        const text = reason ? String(reason).slice(0, 500) : null;
+
+        const pending = list({ open: true, vehicleId }).find(a => a.type === kind);
+        if (pending) {
+            Object.assign(pending, { position: { lat, lon }, route, reason: text || pending.reason, repeats: pending.repeats + 1 });
+            touch(pending, 'REPEATED', vehicleId);
+            return { alert: pending, repeated: true };
+        }
+
+        sweep(Date.now());
+        const now = new Date().toISOString();
+        const alert = {
+            id: crypto.randomBytes(6).toString('hex'),
+            type: kind,
+            vehicleId,
+            position: { lat, lon },
+            route,          // { tripId, destination, hospitalId, etaSec, remainingM, nextIntersections } or null
+            reason: text,
+            status: 'OPEN',
+            escalation: 0,
+            assignedUnit: null,
+            repeats: 0,
+            history: [{ action: 'RAISED', at: now, by: vehicleId }],
+            createdAt: now,
+            updatedAt: now,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+        };
+        alerts.set(alert.id, alert);
+        return { alert, repeated: false };
+    }
+
+    function mustBeOpen(alert) {
+        if (alert.status === 'RESOLVED') throw fail(409, `Alert ${alert.id} is resolved`);
+    }
+
+    function acknowledge(id, { by = 'operator', note = null } = {}) {
+        const alert = mustGet(id);
+        mustBeOpen(alert);
+        if (alert.status !== 'OPEN') return alert; // already acknowledged (or assigned)
+        alert.status = 'ACKNOWLEDGED';
+        alert.acknowledgedAt = touch(alert, 'ACKNOWLEDGED', by, note ? { note } : {});
+        alert.acknowledgedBy = by;
+        return alert;
+    }
+
+    /** `unit` is the fleet entry responding ({ id, type, name }); assigning acknowledges too. */
+    function assign(id, unit, { by = 'operator', note = null } = {}) {
+        const alert = mustGet(id);
+        mustBeOpen(alert);
+        const at = touch(alert, 'ASSIGNED', by, { unitId: unit.id, ...(note ? { note } : {}) });
+        if (!alert.acknowledgedAt) Object.assign(alert, { acknowledgedAt: at, acknowledgedBy: by });
+        alert.status = 'ASSIGNED';
+        alert.assignedUnit = { id: unit.id, type: unit.type, name: unit.name, assignedAt: at };
+        return alert;
+    }
+
+    function escalate(id, { by = 'operator', reason = null } = {}) {
+        const alert = mustGet(id);
+        mustBeOpen(alert);
+        alert.escalation += 1;
+        touch(alert, 'ESCALATED', by, { level: alert.escalation, ...(reason ? { reason } : {}) });
+        return alert;
+    }
+
+    function resolve(id, { by = 'operator', note = null } = {}) {
+        const alert = mustGet(id);
+        mustBeOpen(alert);
+        alert.status = 'RESOLVED';
+        alert.resolvedAt = touch(alert, 'RESOLVED', by, note ? { note } : {});
+        return alert;
+    }
+
+    return { list, get, raise, acknowledge, assign, escalate, resolve };
+}
+
+module.exports = { createFieldAlertQueue, TYPES, STATUSES };
@@ -0,0 +1,107 @@
+/**
+ * fleet.js
+ * The emergency fleet: each vehicle's type and home base (persistent), plus
+ * where it was last seen (from telemetry, in memory).
+ *
+ * Dispatch recommendations (dispatch.js) start from the last known position,
+ * or from the base for a vehicle that has not reported since the engine
+ * started.
+ */
+
+const path = require('path');
+const { DATA_DIR, createJsonStore } = require('./store');
+const { fail } = require('./httpErrors');
+const { VEHICLE_TYPE_RANK } = require('./arbitration');
+
+const FLEET_FILE = process.env.FLEET_FILE || path.join(DATA_DIR, 'fleet.json');
+
+// First-run fleet; the dashboard loads its vehicles from GET /dispatch/fleet
+const SEED = [
+    { id: 'AMB-001', type: 'amb', name: 'City Hospital Ambulance 1', baseLat: 26.8952, baseLon: 75.7872 },
+    { id: 'AMB-002', type: 'amb', name: 'City Hospital Ambulance 2', baseLat: 26.8862, baseLon: 75.7880 },
+    { id: 'AMB-003', type: 'amb', name: 'Regional Trauma Unit', baseLat: 26.9002, baseLon: 75.7902 },
+    { id: 'FIRE-001', type: 'fire', name: 'Central Fire Station Truck 1', baseLat: 26.9125, baseLon: 75.7855 },
+    { id: 'POLICE-001', type: 'police', name: 'Traffic Response Unit', baseLat: 26.8980, baseLon: 75.8055 },
+];
+
+function normalize(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const baseLat = Number(merged.baseLat), baseLon = Number(merged.baseLon);
+    if (!merged.id) throw fail(400, 'id is required');
+    if (!/^[\w.-]+$/.test(String(merged.id))) throw fail(400, 'id may only contain letters, digits, "_", "-" and "."');
+    const type = String(merged.type || '').toLowerCase();
+    if (!VEHICLE_TYPE_RANK[type]) throw fail(400, `type must be one of ${Object.keys(VEHICLE_TYPE_RANK).join(', ')}`);
+    if (!Number.isFinite(baseLat) || !Number.isFinite(baseLon)) throw fail(400, 'baseLat and baseLon must be numbers');
+
+    return {
+        id: String(merged.id),
+        type,
+        name: merged.name || String(merged.id),
+        baseLat,
+        baseLon,
+        inService: merged.inService !== false, // out of service: never recommended
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+function createFleetRegistry({ file = FLEET_FILE } = {}) {
+    const store = createJsonStore(file, () => ({ vehicles: SEED.map(v => normalize(v)) }));
+    const items = new Map(store.load().vehicles.map(v => [v.id, v]));
+    const lastSeen = new Map(); // vehicleId → { lat, lon, timestamp, at }
+
+    const persist = () => store.save({ vehicles: Array.from(items.values()) });
+
+    function list({ type } = {}) {
+        return Array.from(items.values()).filter(v => !type || v.type === type);
+    }
+
+    function get(id) {
+        return items.get(id) || null;
+    }
+
+    function create(input) {
+        const v = normalize(input);
+        if (items.has(v.id)) throw fail(409, `Vehicle ${v.id} already exists`);
+        items.set(v.id, v);
+        persist();
+        return v;
+    }
+
+    function update(id, patch) {
+        const existing = items.get(id);
+        if (!existing) throw fail(404, `Vehicle ${id} not found`);
+        const v = normalize({ ...patch, id }, existing);
+        items.set(id, v);
+        persist();
+        return v;
+    }
+
+    function remove(id) {
+        const existing = items.get(id);
+        if (!existing) throw fail(404, `Vehicle ${id} not found`);
+        items.delete(id);
+        lastSeen.delete(id);
+        persist();
+        return existing;
+    }
+
+    /** Every telemetry fix, corridor or not. Unknown vehicles are ignored. */
+    function track(id, { lat, lon, timestamp }) {
+        if (!items.has(id)) return;
+        lastSeen.set(id, { lat, lon, timestamp, at: new Date().toISOString() });
+    }
+
+    /** Last known position, else the base. */
+    function position(id) {
+        const v = items.get(id);
+        if (!v) return null;
+        const seen = lastSeen.get(id);
+        return seen
+            ? { lat: seen.lat, lon: seen.lon, source: 'telemetry', at: seen.at }
+            : { lat: v.baseLat, lon: v.baseLon, source: 'base', at: null };
+    }
+
+    return { list, get, create, update, remove, track, position };
+}
+
+module.exports = { createFleetRegistry };
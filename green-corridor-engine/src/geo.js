@@ -0,0 +1,42 @@
+/**
+ * geo.js
+ * Small spherical-geometry helpers shared by the engine modules.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const toRad = deg => deg * Math.PI / 180;
+const toDeg = rad => rad * 180 / Math.PI;
+
+/** Great-circle distance in metres between two lat/lon points. */
+function haversineM(lat1, lon1, lat2, lon2) {
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return EARTH_RADIUS_M * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/** Initial bearing in degrees (0 = north, clockwise) from point 1 to point 2. */
+function bearingDeg(lat1, lon1, lat2, lon2) {
+    const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+        Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+    return (toDeg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/** Smallest absolute difference between two bearings, 0–180°. */
+function bearingDiff(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Compass side a vehicle travelling on `bearing` enters a junction from.
+ * Northbound traffic (bearing ≈ 0°) arrives on the south approach.
+ */
+function approachFromBearing(bearing) {
+    const sides = ['S', 'W', 'N', 'E'];
+    return sides[Math.round(((bearing % 360) + 360) % 360 / 90) % 4];
+}
+
+module.exports = { EARTH_RADIUS_M, haversineM, bearingDeg, bearingDiff, approachFromBearing };
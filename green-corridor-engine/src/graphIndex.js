@@ -0,0 +1,92 @@
+/**
+ * graphIndex.js
+ * Edge lookups over the mapLoader graph.
+ *
+ * graph.edges holds { source, target, ...graphml edge attributes } — the OSM
+ * tags exported by OSMnx (name, ref, highway, oneway, junction, maxspeed,
+ * length, geometry as a WKT LINESTRING). The index is built once per graph.
+ */
+
+const { haversineM } = require('./geo');
+
+const indexes = new WeakMap(); // graph → index
+
+/** OSMnx stores multi-valued tags as "['MG Road', 'NH 48']" — keep the first. */
+function firstTagValue(value) {
+    if (value == null) return null;
+    const str = String(value).trim();
+    if (!str.startsWith('[')) return str || null;
+    const m = str.match(/'([^']*)'|"([^"]*)"/);
+    return m ? (m[1] ?? m[2]) || null : null;
+}
+
+/** "LINESTRING (75.78 26.91, 75.79 26.92)" → [[lon, lat], ...] */
+function parseLineString(wkt) {
+    const m = typeof wkt === 'string' && wkt.match(/LINESTRING\s*\(([^)]+)\)/i);
+    if (!m) return null;
+    return m[1].split(',').map(pair => pair.trim().split(/\s+/).map(Number));
+}
+
+function buildIndex(graph) {
+    const edges = new Map();     // `${from}|${to}` → { edge, reversed }
+    const neighbors = new Map(); // nodeId → Set of adjacent node ids (either direction)
+    const link = (a, b) => {
+        if (!neighbors.has(a)) neighbors.set(a, new Set());
+        neighbors.get(a).add(b);
+    };
+
+    graph.edges.forEach(edge => {
+        const u = String(edge.source), v = String(edge.target);
+        edges.set(`${u}|${v}`, { edge, reversed: false });
+        // Two-way streets are usually stored once; only fill the gap, never shadow a real reverse edge
+        if (!edges.has(`${v}|${u}`)) edges.set(`${v}|${u}`, { edge, reversed: true });
+        link(u, v);
+        link(v, u);
+    });
+
+    return { edges, neighbors };
+}
+
+function indexFor(graph) {
+    if (!indexes.has(graph)) indexes.set(graph, buildIndex(graph));
+    return indexes.get(graph);
+}
+
+/**
+ * Everything directions and routing need to know about travelling from → to.
+ * @returns {{ from, to, coords: [[lon, lat]], lengthM, name, highway, roundabout, tags } | null}
+ */
+function edgeBetween(graph, from, to) {
+    const hit = indexFor(graph).edges.get(`${from}|${to}`);
+    const a = graph.nodes.get(String(from)) || graph.nodes.get(from);
+    const b = graph.nodes.get(String(to)) || graph.nodes.get(to);
+    if (!a || !b) return null;
+
+    const tags = hit ? hit.edge : {};
+    let coords = parseLineString(tags.geometry) || [[a.lon, a.lat], [b.lon, b.lat]];
+    // Stored geometry runs source → target; flip it when travelling the other way
+    const [x0, y0] = coords[0];
+    if (haversineM(y0, x0, b.lat, b.lon) < haversineM(y0, x0, a.lat, a.lon)) coords = coords.slice().reverse();
+
+    const lengthM = Number(tags.length) || coords.slice(1).reduce(
+        (sum, [lon, lat], i) => sum + haversineM(coords[i][1], coords[i][0], lat, lon), 0);
+
+    return {
+        from: String(from),
+        to: String(to),
+        coords,
+        lengthM,
+        name: firstTagValue(tags.name) || firstTagValue(tags.ref),
+        highway: firstTagValue(tags.highway),
+        roundabout: firstTagValue(tags.junction) === 'roundabout',
+        reversed: !!hit?.reversed,
+        tags,
+    };
+}
+
+/** Node ids adjacent to a node, in either direction. */
+function neighborsOf(graph, nodeId) {
+    return indexFor(graph).neighbors.get(String(nodeId)) || new Set();
+}
+
+module.exports = { edgeBetween, neighborsOf, firstTagValue, parseLineString };
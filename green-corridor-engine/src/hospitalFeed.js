@@ -0,0 +1,95 @@
+/**
+ * hospitalFeed.js
+ * Live pre-arrival feed for receiving hospitals.
+ *
+ * A corridor started with a hospitalId is announced to that hospital's
+ * Socket.io room (`hospital:<id>`): the incoming vehicle and criticality,
+ * then its ETA as telemetry arrives, then arrival — or cancellation when the
+ * corridor ends another way or is sent elsewhere.
+ *
+ * Events: incoming_vehicle, vehicle_eta, vehicle_arrived, incoming_cancelled.
+ */
+
+// ETA pushes per vehicle are at most this frequent
+const ETA_INTERVAL_SEC = 5;
+// Closer than this to the destination counts as arrived
+const ARRIVAL_RADIUS_M = 50;
+
+const room = hospitalId => `hospital:${hospitalId}`;
+
+function createHospitalFeed(io, { hospitals, etaIntervalSec = ETA_INTERVAL_SEC, arrivalRadiusM = ARRIVAL_RADIUS_M } = {}) {
+    const lastEta = new Map(); // tripId → ms of the last vehicle_eta
+    const arrived = new Set(); // tripIds already announced as arrived
+
+    const base = corridor => ({
+        hospitalId: corridor.hospitalId,
+        tripId: corridor.tripId,
+        vehicleId: corridor.vehicleId,
+        vehicleType: corridor.vehicleType,
+        criticality: corridor.criticality,
+    });
+
+    /** A corridor towards the hospital has started (or been replaced). */
+    function incoming(corridor) {
+        if (!corridor.hospitalId) return;
+        io.to(room(corridor.hospitalId)).emit('incoming_vehicle', {
+            ...base(corridor),
+            hospitalName: hospitals.get(corridor.hospitalId)?.name || corridor.hospitalId,
+            distanceM: corridor.distanceM != null ? Math.round(corridor.distanceM) : null,
+            etaSec: corridor.durationSec != null ? Math.round(corridor.durationSec) : null,
+            startedAt: corridor.startedAt,
+            timestamp: new Date().toISOString(),
+        });
+        console.log(`[hospital] ${corridor.vehicleId} → ${corridor.hospitalId} (${corridor.criticality})`);
+    }
+
+    /** After each telemetry fix: throttled ETA, and arrival once close enough. */
+    function progress(corridor, stats) {
+        if (!corridor.hospitalId || !stats || arrived.has(corridor.tripId)) return;
+        if (stats.remainingM != null && stats.remainingM <= arrivalRadiusM) {
+            announceArrival(corridor, 'NEAR_DESTINATION');
+            return;
+        }
+        const now = Date.now();
+        if (now - (lastEta.get(corridor.tripId) || 0) < etaIntervalSec * 1000) return;
+        lastEta.set(corridor.tripId, now);
+
+        const pos = stats.snapped || corridor.position;
+        io.to(room(corridor.hospitalId)).emit('vehicle_eta', {
+            ...base(corridor),
+            etaSec: stats.etaSec ?? null,
+            remainingM: stats.remainingM ?? null,
+            speedKmh: corridor.speedMps != null ? Math.round(corridor.speedMps * 3.6) : null,
+            lat: pos?.lat ?? null,
+            lon: pos?.lon ?? null,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    function announceArrival(corridor, reason) {
+        arrived.add(corridor.tripId);
+        lastEta.delete(corridor.tripId);
+        io.to(room(corridor.hospitalId)).emit('vehicle_arrived', { ...base(corridor), reason, timestamp: new Date().toISOString() });
+        console.log(`[hospital] ${corridor.vehicleId} arrived at ${corridor.hospitalId}`);
+    }
+
+    /** The corridor ended: arrival if it says so, otherwise the hospital stops expecting it. */
+    function ended(corridor, reason) {
+        if (!corridor?.hospitalId) return;
+        if (arrived.has(corridor.tripId)) {
+            arrived.delete(corridor.tripId);
+            return;
+        }
+        if (reason === 'ARRIVED') {
+            announceArrival(corridor, reason);
+            arrived.delete(corridor.tripId);
+            return;
+        }
+        lastEta.delete(corridor.tripId);
+        io.to(room(corridor.hospitalId)).emit('incoming_cancelled', { ...base(corridor), reason, timestamp: new Date().toISOString() });
+    }
+
+    return { incoming, progress, ended, room };
+}
+
+module.exports = { createHospitalFeed };
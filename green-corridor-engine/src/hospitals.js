@@ -0,0 +1,141 @@
+/**
+ * hospitals.js
+ * Persistent registry of receiving hospitals, plus the pre-arrival alerts
+ * vehicles send them.
+ *
+ * Hospitals carry their specialties and whether they can take patients right
+ * now (capacity, diversion). Alerts live in memory for a few hours; the
+ * trip record keeps the history (see trips.js).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, createJsonStore } = require('./store');
+const { fail } = require('./httpErrors');
+
+const HOSPITALS_FILE = process.env.HOSPITALS_FILE || path.join(DATA_DIR, 'hospitals.json');
+
+const SPECIALTIES = ['trauma', 'cardiac', 'burns', 'stroke', 'pediatric', 'maternity'];
+
+const SEED = [
+    { id: 'SMS', name: 'SMS Hospital (Sawai Mansingh)', lat: 26.9021, lon: 75.7792, specialties: ['trauma', 'cardiac', 'burns', 'stroke'] },
+    { id: 'FORTIS', name: 'Fortis Escorts Hospital', lat: 26.8694, lon: 75.8002, specialties: ['cardiac', 'stroke'] },
+    { id: 'JN-AREA', name: 'Jaipur Junction Area Hospital', lat: 26.9124, lon: 75.8051, specialties: ['trauma'] },
+    { id: 'SDMH', name: 'Santokba Durlabhji Hospital', lat: 26.8540, lon: 75.8107, specialties: ['trauma', 'cardiac', 'pediatric'] },
+];
+
+// Alerts are dropped this long after they were acknowledged, or after they
+// were raised when nobody ever acknowledged them
+const ALERT_RETENTION_MS = 6 * 60 * 60 * 1000;
+
+function normalize(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const lat = Number(merged.lat), lon = Number(merged.lon);
+    if (!merged.id) throw fail(400, 'id is required');
+    if (!/^[\w.-]+$/.test(String(merged.id))) throw fail(400, 'id may only contain letters, digits, "_", "-" and "."');
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw fail(400, 'lat and lon must be numbers');
+
+    if (merged.specialties != null && !Array.isArray(merged.specialties)) throw fail(400, 'specialties must be an array');
+    const specialties = (merged.specialties || []).map(s => String(s).toLowerCase());
+    const unknown = specialties.filter(s => !SPECIALTIES.includes(s));
+    if (unknown.length) throw fail(400, `Unknown specialties: ${unknown.join(', ')} — one of ${SPECIALTIES.join(', ')}`);
+
+    return {
+        id: String(merged.id),
+        name: merged.name || String(merged.id),
+        lat,
+        lon,
+        specialties: Array.from(new Set(specialties)),
+        capacity: merged.capacity != null ? Math.max(0, parseInt(merged.capacity, 10) || 0) : null, // free beds; null = not reported
+        diversion: merged.diversion === true, // on diversion: do not bring patients here
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+function createHospitalRegistry({ file = HOSPITALS_FILE } = {}) {
+    const store = createJsonStore(file, () => ({ hospitals: SEED.map(h => normalize(h)) }));
+    const items = new Map(store.load().hospitals.map(h => [h.id, h]));
+    const alerts = new Map(); // alertId → alert
+
+    const persist = () => store.save({ hospitals: Array.from(items.values()) });
+
+    /** Filter by specialty and/or only those accepting patients. */
+    function list({ specialty, accepting } = {}) {
+        return Array.from(items.values()).filter(h =>
+            (!specialty || h.specialties.includes(String(specialty).toLowerCase())) &&
+            (!accepting || (!h.diversion && h.capacity !== 0)));
+    }
+
+    function get(id) {
+        return items.get(id) || null;
+    }
+
+    function create(input) {
+        const h = normalize(input);
+        if (items.has(h.id)) throw fail(409, `Hospital ${h.id} already exists`);
+        items.set(h.id, h);
+        persist();
+        return h;
+    }
+
+    function update(id, patch) {
+        const existing = items.get(id);
+        if (!existing) throw fail(404, `Hospital ${id} not found`);
+        const h = normalize({ ...patch, id }, existing);
+        items.set(id, h);
+        persist();
+        return h;
+    }
+
+    function remove(id) {
+        const existing = items.get(id);
+        if (!existing) throw fail(404, `Hospital ${id} not found`);
+        items.delete(id);
+        persist();
+        return existing;
+    }
+
+    // ── Pre-arrival alerts ──────────────────────────────────────────────────
+
+    function sweepAlerts(now) {
+        alerts.forEach((a, id) => {
+            if (now - Date.parse(a.acknowledgedAt || a.createdAt) > ALERT_RETENTION_MS) alerts.delete(id);
+        });
+    }
+
+    function createAlert(hospitalId, fields) {
+        if (!items.has(hospitalId)) throw fail(404, `Hospital ${hospitalId} not found`);
+        sweepAlerts(Date.now());
+        const alert = {
+            id: crypto.randomBytes(6).toString('hex'),
+            hospitalId,
+            ...fields,
+            createdAt: new Date().toISOString(),
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+        };
+        alerts.set(alert.id, alert);
+        return alert;
+    }
+
+    function acknowledgeAlert(hospitalId, alertId, by) {
+        const alert = alerts.get(alertId);
+        if (!alert || alert.hospitalId !== hospitalId) throw fail(404, `Alert ${alertId} not found`);
+        if (!alert.acknowledgedAt) {
+            alert.acknowledgedAt = new Date().toISOString();
+            alert.acknowledgedBy = by;
+        }
+        return alert;
+    }
+
+    function listAlerts(hospitalId) {
+        sweepAlerts(Date.now());
+        return Array.from(alerts.values())
+            .filter(a => a.hospitalId === hospitalId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    return { list, get, create, update, remove, createAlert, acknowledgeAlert, listAlerts };
+}
+
+module.exports = { createHospitalRegistry, SPECIALTIES };
@@ -0,0 +1,20 @@
+/**
+ * httpErrors.js
+ * Errors that carry an HTTP status, thrown by the registries and turned into
+ * responses by their routes.
+ */
+
+/** An Error whose `status` the route answers with (400 / 403 / 404 / 409). */
+function fail(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+/** Wrap a synchronous route handler: a thrown `fail` becomes its status, anything else a 500. */
+const handle = fn => (req, res) => {
+    try { fn(req, res); }
+    catch (e) { res.status(e.status || 500).json({ error: e.message }); }
+};
+
+module.exports = { fail, handle };
@@ -0,0 +1,142 @@
+/**
+ * incidents.js
+ * Persistent incident registry and its dispatch lifecycle:
+ *
+ *   NEW → DISPATCHED → EN_ROUTE → ON_SCENE → TRANSPORTING → AT_HOSPITAL → CLOSED
+ *
+ * An incident only moves forward (stages may be skipped, e.g. a patient
+ * treated on scene goes straight to CLOSED). Assigning a vehicle moves a NEW
+ * incident to DISPATCHED; later stages are reported by the crew (driver app)
+ * or set by the operator, and every move is kept in `history`.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { DATA_DIR, createJsonStore } = require('./store');
+const { fail } = require('./httpErrors');
+
+const INCIDENTS_FILE = process.env.INCIDENTS_FILE || path.join(DATA_DIR, 'incidents.json');
+
+const STATES = ['NEW', 'DISPATCHED', 'EN_ROUTE', 'ON_SCENE', 'TRANSPORTING', 'AT_HOSPITAL', 'CLOSED'];
+const TRIAGE = ['RED', 'YELLOW', 'GREEN'];
+// The driver app speaks criticality; incidents keep the dashboard's triage colours
+const CRITICALITY_TO_TRIAGE = { HIGH: 'RED', MEDIUM: 'YELLOW', LOW: 'GREEN' };
+
+function normalizeTriage(value) {
+    const v = String(value || 'RED').toUpperCase();
+    const triage = CRITICALITY_TO_TRIAGE[v] || v;
+    if (!TRIAGE.includes(triage)) throw fail(400, `triage must be one of ${TRIAGE.join(', ')}`);
+    return triage;
+}
+
+/** Editable fields, validated; lifecycle fields are left to the registry. */
+function normalize(input, existing = {}) {
+    const merged = { ...existing, ...input };
+    const lat = Number(merged.lat), lon = Number(merged.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw fail(400, 'lat and lon must be numbers');
+    return {
+        lat,
+        lon,
+        address: merged.address ? String(merged.address).slice(0, 200) : null,
+        notes: merged.notes ? String(merged.notes).slice(0, 2000) : '',
+        callerPhone: merged.callerPhone ? String(merged.callerPhone).slice(0, 32) : null,
+        triage: normalizeTriage(merged.triage),
+        hospitalId: merged.hospitalId || null,
+    };
+}
+
+function createIncidentRegistry({ file = INCIDENTS_FILE } = {}) {
+    const store = createJsonStore(file, { incidents: [] });
+    const items = new Map(store.load().incidents.map(i => [i.id, i]));
+
+    const persist = () => store.save({ incidents: Array.from(items.values()) });
+
+    function mustGet(id) {
+        const incident = items.get(id);
+        if (!incident) throw fail(404, `Incident ${id} not found`);
+        return incident;
+    }
+
+    /** Newest first. `open` drops CLOSED ones; `vehicleId` keeps those the vehicle is assigned to. */
+    function list({ open = false, vehicleId } = {}) {
+        return Array.from(items.values())
+            .filter(i => (!open || i.state !== 'CLOSED') && (!vehicleId || i.vehicles.some(v => v.vehicleId === vehicleId)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    function get(id) {
+        return items.get(id) || null;
+    }
+
+    function create(input, by = 'operator') {
+        const now = new Date().toISOString();
+        const incident = {
+            id: `INC-${now.slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`,
+            ...normalize(input),
+            state: 'NEW',
+            vehicles: [], // [{ vehicleId, tripId, assignedAt }]
+            history: [{ state: 'NEW', at: now, by }],
+            createdAt: now,
+            updatedAt: now,
+            closedAt: null,
+            closeReason: null,
+        };
+        items.set(incident.id, incident);
+        persist();
+        return incident;
+    }
+
+    function update(id, patch) {
+        const incident = mustGet(id);
+        if (incident.state === 'CLOSED') throw fail(409, `Incident ${id} is closed`);
+        Object.assign(incident, normalize(patch, incident), { updatedAt: new Date().toISOString() });
+        persist();
+        return incident;
+    }
+
+    /**
+     * Move to `state`. Forward only; vehicles (by !== 'operator') may not close.
+     * @returns {object} the incident
+     */
+    function transition(id, state, { by = 'operator', vehicleId = null, reason = null } = {}) {
+        const incident = mustGet(id);
+        const target = String(state || '').toUpperCase();
+        if (!STATES.includes(target)) throw fail(400, `state must be one of ${STATES.join(', ')}`);
+        if (incident.state === 'CLOSED') throw fail(409, `Incident ${id} is closed`);
+        if (STATES.indexOf(target) <= STATES.indexOf(incident.state)) {
+            throw fail(409, `Incident ${id} is ${incident.state}; it cannot go back to ${target}`);
+        }
+        if (target === 'CLOSED' && by !== 'operator') throw fail(403, 'Only the control room closes incidents');
+        if (vehicleId && !incident.vehicles.some(v => v.vehicleId === vehicleId)) {
+            throw fail(403, `${vehicleId} is not assigned to incident ${id}`);
+        }
+
+        const at = new Date().toISOString();
+        incident.state = target;
+        incident.updatedAt = at;
+        incident.history.push({ state: target, at, by, ...(vehicleId ? { vehicleId } : {}), ...(reason ? { reason } : {}) });
+        if (target === 'CLOSED') {
+            incident.closedAt = at;
+            incident.closeReason = reason;
+        }
+        persist();
+        return incident;
+    }
+
+    /** A vehicle was dispatched to the incident (again, for a re-dispatch). */
+    function assign(id, vehicleId, tripId, by = 'operator') {
+        const incident = mustGet(id);
+        if (incident.state === 'CLOSED') throw fail(409, `Incident ${id} is closed`);
+        const at = new Date().toISOString();
+        incident.vehicles = incident.vehicles.filter(v => v.vehicleId !== vehicleId)
+            .concat({ vehicleId, tripId, assignedAt: at });
+        incident.updatedAt = at;
+        if (incident.state === 'NEW') return transition(id, 'DISPATCHED', { by, vehicleId });
+        persist();
+        return incident;
+    }
+
+    return { list, get, create, update, transition, assign };
+}
+
+module.exports = { createIncidentRegistry, STATES, TRIAGE };
@@ -0,0 +1,178 @@
+/**
+ * intersections.js
+ * Persistent registry of managed (signal-controlled) intersections.
+ *
+ * Single source of truth for the corridor engine (/route merges the ones on
+ * its path into the corridor), the map endpoints and both UIs.
+ */
+
+const path = require('path');
+const { DATA_DIR, createJsonStore } = require('./store');
+const { fail } = require('./httpErrors');
+
+const INTERSECTIONS_FILE = process.env.INTERSECTIONS_FILE || path.join(DATA_DIR, 'intersections.json');
+
+// Compass bearing of each leg, measured from the junction centre outwards
+const COMPASS_BEARINGS = { N: 0, NE: 45, E: 90, SE: 135, S: 180, SW: 225, W: 270, NW: 315 };
+const DEFAULT_APPROACHES = ['N', 'E', 'S', 'W'];
+
+const SEED = [
+    { id: 'INT-MAIN', name: 'C-Scheme Area', lat: 26.8860, lon: 75.7880 },
+    { id: 'INT-NORTH', name: 'Sindhi Camp', lat: 26.9350, lon: 75.7860 },
+    { id: 'INT-EAST', name: 'Jaipur Junction', lat: 26.9124, lon: 75.8050 },
+];
+
+/** Accept "N" or { id, bearing } and return { id, bearing }. */
+function normalizeApproach(approach) {
+    if (typeof approach === 'string') {
+        const bearing = COMPASS_BEARINGS[approach.toUpperCase()];
+        if (bearing == null) throw fail(400, `Unknown approach "${approach}" — give { id, bearing } for non-compass legs`);
+        return { id: approach.toUpperCase(), bearing };
+    }
+    if (!approach || !approach.id || typeof approach.bearing !== 'number') {
+        throw fail(400, 'Each approach needs an id and a numeric bearing');
+    }
+    return { id: String(approach.id), bearing: ((approach.bearing % 360) + 360) % 360 };
+}
+
+/** null when unset, otherwise a finite number above zero. */
+function positiveSeconds(value, field) {
+    if (value == null) return null;
+    const sec = Number(value);
+    if (value === '' || !Number.isFinite(sec) || sec <= 0) throw fail(400, `${field} must be a positive number of seconds`);
+    return sec;
+}
+
+/**
+ * Validate and fill in one intersection. `drivers` lists the controller
+ * drivers available; when given, the controller must be one of them.
+ */
+function normalize(input, existing = {}, drivers = null) {
+    const merged = { ...existing, ...input };
+    const lat = Number(merged.lat), lon = Number(merged.lon);
+    if (!merged.id) throw fail(400, 'id is required');
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw fail(400, 'lat and lon must be numbers');
+    if (merged.approaches != null && !Array.isArray(merged.approaches)) throw fail(400, 'approaches must be a list');
+    const controller = merged.controller || 'simulated';
+    if (drivers && !drivers.includes(controller)) {
+        throw fail(400, `Unknown controller "${controller}" (available: ${drivers.join(', ')})`);
+    }
+
+    return {
+        id: String(merged.id),
+        name: merged.name || String(merged.id),
+        lat,
+        lon,
+        approaches: (merged.approaches || DEFAULT_APPROACHES).map(normalizeApproach),
+        controller,
+        enabled: merged.enabled !== false,
+        maxHoldSec: positiveSeconds(merged.maxHoldSec, 'maxHoldSec'), // null → engine default
+        cycleSec: positiveSeconds(merged.cycleSec, 'cycleSec'),       // signal cycle, for time-saved baselines
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+function createIntersectionRegistry({ file = INTERSECTIONS_FILE, controllers = null } = {}) {
+    const store = createJsonStore(file, () => ({ intersections: SEED.map(s => normalize(s)) }));
+    const items = new Map(store.load().intersections.map(ix => [ix.id, ix]));
+
+    const persist = () => store.save({ intersections: Array.from(items.values()) });
+    // Only what an operator sends is checked against the drivers; saved entries
+    // naming a driver that is not configured now fall back when bound
+    const check = (input, existing) => normalize(input, existing, controllers?.drivers());
+
+    /** Keep the controller layer's bindings in step with the registry. */
+    function bindController(ix) {
+        if (!controllers) return;
+        try { controllers.bind(ix.id, ix.controller); }
+        catch (e) { console.warn(`[intersections] ${ix.id}: ${e.message} — using default driver`); }
+    }
+    items.forEach(bindController);
+
+    function list({ enabled } = {}) {
+        const all = Array.from(items.values());
+        return enabled == null ? all : all.filter(ix => ix.enabled === enabled);
+    }
+
+    function get(id) {
+        return items.get(id) || null;
+    }
+
+    function create(input) {
+        const ix = check(input);
+        if (items.has(ix.id)) throw fail(409, `Intersection ${ix.id} already exists`);
+        items.set(ix.id, ix);
+        bindController(ix);
+        persist();
+        return ix;
+    }
+
+    function update(id, patch) {
+        const existing = items.get(id);
+        if (!existing) throw fail(404, `Intersection ${id} not found`);
+        const ix = check({ ...patch, id }, existing);
+        items.set(id, ix);
+        bindController(ix);
+        persist();
+        return ix;
+    }
+
+    function remove(id) {
+        const existing = items.get(id);
+        if (!existing) throw fail(404, `Intersection ${id} not found`);
+        items.delete(id);
+        controllers?.unbind(id);
+        persist();
+        return existing;
+    }
+
+    /**
+     * Bulk upsert from a GeoJSON FeatureCollection of Point features.
+     * Feature properties carry id, name, approaches, controller and enabled.
+     */
+    function importGeoJSON(collection) {
+        if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+            throw fail(400, 'Body must be a GeoJSON FeatureCollection');
+        }
+
+        const result = { created: 0, updated: 0, skipped: [] };
+        collection.features.forEach((feature, i) => {
+            const props = feature?.properties || {};
+            const id = props.id ?? feature?.id;
+            const coordinates = feature?.geometry?.coordinates;
+            if (feature?.geometry?.type !== 'Point' || !Array.isArray(coordinates) || !id) {
+                result.skipped.push({ index: i, reason: 'Point geometry with [lon, lat] coordinates and id required' });
+                return;
+            }
+            const [lon, lat] = coordinates;
+            try {
+                const ix = check({ ...props, id, lat, lon }, items.get(String(id)));
+                result[items.has(ix.id) ? 'updated' : 'created']++;
+                items.set(ix.id, ix);
+                bindController(ix);
+            } catch (e) {
+                result.skipped.push({ index: i, id, reason: e.message });
+            }
+        });
+        persist();
+        return result;
+    }
+
+    /** Managed intersections in the node shape /route merges into corridors. */
+    function asRouteNodes() {
+        return list({ enabled: true }).map(ix => ({
+            id: ix.id,
+            name: ix.name,
+            lat: ix.lat,
+            lon: ix.lon,
+            highway: 'traffic_signals',
+            managed: true,
+            approaches: ix.approaches,
+            maxHoldSec: ix.maxHoldSec,
+        }));
+    }
+
+    return { list, get, create, update, remove, importGeoJSON, asRouteNodes };
+}
+
+module.exports = { createIntersectionRegistry, normalizeApproach, COMPASS_BEARINGS };
@@ -0,0 +1,110 @@
+/**
+ * junctionFeed.js
+ * Live feed for traffic marshals posted at a junction.
+ *
+ * Every corridor vehicle within the approach horizon of an intersection on
+ * its route is announced to that intersection's Socket.io room
+ * (`intersection:<id>`) on each telemetry fix: distance along the route, TTI,
+ * the approach it enters on and its criticality. It leaves the room's list
+ * once it has driven through (vehicle_passed) or when its corridor ends or
+ * stops going there (approach_cancelled).
+ *
+ * Events: vehicle_approaching, vehicle_passed, approach_cancelled.
+ */
+
+const { approachFor } = require('./approach');
+
+// Vehicles further than this along the route are not announced yet
+const APPROACH_HORIZON_M = parseInt(process.env.MARSHAL_HORIZON_METERS, 10) || 1500;
+
+const room = intersectionId => `intersection:${intersectionId}`;
+
+function createJunctionFeed(io, { horizonM = APPROACH_HORIZON_M } = {}) {
+    const approaching = new Map(); // intersectionId → Map(vehicleId → last vehicle_approaching payload)
+
+    function approachPayload(session, ix, along) {
+        const stats = session.lastStats || {};
+        // The corridor engine's TTI for the next junction; speed-based for the ones after it
+        const ttiSec = stats.nextIntersectionId === ix.id && stats.ttiSeconds != null
+            ? stats.ttiSeconds
+            : session.speedMps > 0 ? Math.round((along / session.speedMps) * 10) / 10 : null;
+        const pos = session.match || session.position;
+        return {
+            intersectionId: ix.id,
+            name: ix.name || null,
+            vehicleId: session.vehicleId,
+            tripId: session.tripId,
+            vehicleType: session.vehicleType,
+            criticality: session.criticality,
+            distanceM: Math.round(along),
+            ttiSec,
+            approach: approachFor(ix, session.position) || null,
+            travelBearing: ix.approach?.travelBearing ?? null,
+            speedKmh: Math.round(session.speedMps * 3.6),
+            preempted: session.preempted.has(ix.id),
+            held: session.holds.has(ix.id),
+            status: session.status,
+            lat: pos?.lat ?? null,
+            lon: pos?.lon ?? null,
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    function drop(intersectionId, vehicleId, event, extra = {}) {
+        const vehicles = approaching.get(intersectionId);
+        const last = vehicles?.get(vehicleId);
+        if (!last) return;
+        vehicles.delete(vehicleId);
+        if (!vehicles.size) approaching.delete(intersectionId);
+        io.to(room(intersectionId)).emit(event, {
+            intersectionId,
+            vehicleId,
+            tripId: last.tripId,
+            ...extra,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    /** After each telemetry fix of a corridor vehicle. */
+    function progress(session) {
+        const current = new Set();
+        session.intersections.forEach(ix => {
+            const along = session.routeDistances.get(ix.id);
+            if (along == null || along < 0 || along > horizonM || session.cleared.has(ix.id)) return;
+            current.add(ix.id);
+            const payload = approachPayload(session, ix, along);
+            if (!approaching.has(ix.id)) approaching.set(ix.id, new Map());
+            approaching.get(ix.id).set(session.vehicleId, payload);
+            io.to(room(ix.id)).emit('vehicle_approaching', payload);
+        });
+
+        // Junctions this vehicle was approaching and no longer is: driven through, or re-routed away
+        approaching.forEach((vehicles, intersectionId) => {
+            if (current.has(intersectionId) || !vehicles.has(session.vehicleId)) return;
+            if (session.cleared.has(intersectionId)) drop(intersectionId, session.vehicleId, 'vehicle_passed');
+            else drop(intersectionId, session.vehicleId, 'approach_cancelled', { reason: 'LEFT_ROUTE' });
+        });
+    }
+
+    /** The corridor ended (or was replaced): no junction expects this trip any more. */
+    function ended(corridor, reason) {
+        if (!corridor) return;
+        approaching.forEach((vehicles, intersectionId) => {
+            if (vehicles.get(corridor.vehicleId)?.tripId === corridor.tripId) {
+                drop(intersectionId, corridor.vehicleId, 'approach_cancelled', { reason });
+            }
+        });
+    }
+
+    /** What a marshal joining now should see. */
+    function snapshot(intersectionId) {
+        return Array.from(approaching.get(intersectionId)?.values() || []);
+    }
+
+    /** The trip currently approaching `intersectionId`, if that vehicle is. */
+    const approachOf = (intersectionId, vehicleId) => approaching.get(intersectionId)?.get(vehicleId) || null;
+
+    return { progress, ended, snapshot, approachOf, room };
+}
+
+module.exports = { createJunctionFeed };
@@ -0,0 +1,118 @@
+/**
+ * mapMatcher.js
+ * Snaps raw GPS fixes onto a vehicle's route with an online HMM matcher.
+ *
+ * Hidden states are the route's edges (consecutive graph nodes returned by
+ * the router over the mapLoader graph); observations are the raw fixes.
+ * Emission favours edges close to the fix, transition favours moves whose
+ * along-route distance matches the distance actually travelled, and moving
+ * backwards along the route is penalised. Viterbi scores carry over from fix
+ * to fix, so one drifted fix cannot pull the match onto another edge that
+ * merely happens to be nearer.
+ */
+
+const { haversineM } = require('./geo');
+
+const DEFAULTS = {
+    sigmaM: 10,               // GPS noise (m)
+    betaM: 30,                // tolerated mismatch between route and straight-line travel (m)
+    candidateRadiusM: 60,     // edges further than this from the fix are not candidates
+    backtrackToleranceM: 15,  // small backward moves are GPS jitter, larger ones are penalised
+};
+const BACKTRACK_PENALTY = 20; // log-probability, recoverable if the vehicle really turned back
+
+/** Project a point onto segment a→b (local equirectangular plane). */
+function projectOnSegment(p, a, b) {
+    const mPerDegLat = 111320;
+    const mPerDegLon = 111320 * Math.cos(a.lat * Math.PI / 180);
+    const bx = (b.lon - a.lon) * mPerDegLon, by = (b.lat - a.lat) * mPerDegLat;
+    const px = (p.lon - a.lon) * mPerDegLon, py = (p.lat - a.lat) * mPerDegLat;
+    const len2 = bx * bx + by * by;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / len2)) : 0;
+    const lat = a.lat + (b.lat - a.lat) * t;
+    const lon = a.lon + (b.lon - a.lon) * t;
+    return { t, lat, lon, distM: haversineM(p.lat, p.lon, lat, lon) };
+}
+
+/** Along-route distance (m) from the first waypoint to each waypoint. */
+function cumulativeDistances(waypoints) {
+    const cum = [0];
+    for (let i = 1; i < waypoints.length; i++) {
+        cum.push(cum[i - 1] + haversineM(waypoints[i - 1].lat, waypoints[i - 1].lon, waypoints[i].lat, waypoints[i].lon));
+    }
+    return cum;
+}
+
+/**
+ * @param {Array} waypoints  ordered route nodes ({ lat, lon })
+ * @returns {{ match(fix), offsetAt(index), reset(), lengthM }}
+ */
+function createMapMatcher(waypoints, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const cum = cumulativeDistances(waypoints);
+    let previous = null; // { fix, states: [{ segmentIndex, offsetM, lat, lon, distM, score }] }
+
+    function candidates(fix) {
+        const out = [];
+        for (let i = 0; i < waypoints.length - 1; i++) {
+            const proj = projectOnSegment(fix, waypoints[i], waypoints[i + 1]);
+            if (proj.distM > opts.candidateRadiusM) continue;
+            out.push({
+                segmentIndex: i,
+                lat: proj.lat,
+                lon: proj.lon,
+                distM: proj.distM,
+                offsetM: cum[i] + proj.t * (cum[i + 1] - cum[i]),
+            });
+        }
+        return out;
+    }
+
+    const emission = c => -0.5 * (c.distM / opts.sigmaM) ** 2;
+
+    function transition(from, to, travelledM) {
+        const routeDelta = to.offsetM - from.offsetM;
+        const backtrack = routeDelta < -opts.backtrackToleranceM ? BACKTRACK_PENALTY : 0;
+        return -Math.abs(Math.max(routeDelta, 0) - travelledM) / opts.betaM - backtrack;
+    }
+
+    /**
+     * Match one fix. Returns the snapped position, or null when no route edge
+     * is within candidateRadiusM (the vehicle is off the route).
+     */
+    function match(fix) {
+        const states = candidates(fix);
+        if (!states.length) return null;
+
+        const travelledM = previous ? haversineM(previous.fix.lat, previous.fix.lon, fix.lat, fix.lon) : 0;
+        states.forEach(c => {
+            const prior = previous
+                ? Math.max(...previous.states.map(p => p.score + transition(p, c, travelledM)))
+                : 0;
+            c.score = prior + emission(c);
+        });
+
+        // Normalise so scores stay bounded over a long trip
+        const best = states.reduce((a, b) => (b.score > a.score ? b : a));
+        const top = best.score;
+        states.forEach(c => { c.score -= top; });
+        previous = { fix, states };
+
+        return {
+            lat: best.lat,
+            lon: best.lon,
+            segmentIndex: best.segmentIndex,
+            offsetM: Math.round(best.offsetM * 10) / 10,
+            offRouteM: Math.round(best.distM * 10) / 10,
+        };
+    }
+
+    return {
+        match,
+        offsetAt: index => cum[Math.max(0, Math.min(cum.length - 1, index))] ?? 0,
+        reset: () => { previous = null; },
+        lengthM: cum[cum.length - 1] || 0,
+    };
+}
+
+module.exports = { createMapMatcher, projectOnSegment, cumulativeDistances };
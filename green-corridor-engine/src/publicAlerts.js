@@ -0,0 +1,196 @@
+/**
+ * publicAlerts.js
+ * "Ambulance approaching" warnings for ordinary road users.
+ *
+ * Anyone may connect to the unauthenticated `/public` Socket.io namespace and
+ * register where they are. On each telemetry fix of a corridor vehicle, the
+ * route still ahead of it (the session's waypoints from its map-matched
+ * position on, see mapMatcher.js) is checked against every registered
+ * location; clients within the alert radius of that remaining route are sent
+ * ambulance_approaching with the direction and ETA, then ambulance_passed once
+ * the vehicle is past them or its corridor ends. Alerts describe only the
+ * route near the client — never where the vehicle is now or how critical
+ * its patient is.
+ *
+ * Client locations live only in this process's memory, keyed by socket id,
+ * and are dropped on disconnect — never written to disk or logged.
+ *
+ * Rate limits: connections per address, location updates per client, and
+ * alerts per client (per vehicle and overall).
+ */
+
+const crypto = require('crypto');
+const { bearingDeg } = require('./geo');
+const { projectOnSegment } = require('./mapMatcher');
+
+const NAMESPACE = '/public';
+const DEFAULTS = {
+    radiusM: parseInt(process.env.PUBLIC_ALERT_RADIUS_METERS, 10) || 300,
+    maxRadiusM: 1000,             // a client may ask for a wider radius, up to this
+    maxClients: parseInt(process.env.PUBLIC_MAX_CLIENTS, 10) || 10000,
+    maxPerAddress: parseInt(process.env.PUBLIC_MAX_PER_ADDRESS, 10) || 5,
+    registerIntervalSec: 5,       // location updates more frequent than this are refused
+    alertIntervalSec: parseInt(process.env.PUBLIC_ALERT_INTERVAL_SECONDS, 10) || 20, // per client, per vehicle
+    maxAlertsPerMin: 6,           // per client, all vehicles together
+};
+
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const compass = bearing => COMPASS[Math.round((((bearing % 360) + 360) % 360) / 45) % 8];
+
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * The gateway proxies sockets from loopback; trust its X-Forwarded-For only
+ * then, and only the last entry — the one the gateway appended. Earlier ones
+ * are whatever the client sent.
+ */
+function clientAddress(socket) {
+    const direct = socket.handshake.address;
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    return forwarded && LOOPBACK.has(direct) ? String(forwarded).split(',').pop().trim() : direct;
+}
+
+function createPublicAlerts(io, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const nsp = io.of(NAMESPACE);
+    const clients = new Map();     // socket.id → { socket, lat, lon, radiusM, registeredAt, alerts: Map(key → { at, etaSec }), recent: [ms] }
+    const perAddress = new Map();  // address → open connections
+    // Trip ids stay internal; the public sees a per-process opaque key instead
+    const salt = crypto.randomBytes(16);
+    const publicKey = tripId => crypto.createHmac('sha256', salt).update(String(tripId)).digest('hex').slice(0, 12);
+
+    nsp.on('connection', socket => {
+        const address = clientAddress(socket);
+        const open = perAddress.get(address) || 0;
+        if (clients.size >= opts.maxClients || open >= opts.maxPerAddress) {
+            socket.emit('rate_limited', { error: 'Too many connections — try again later' });
+            return socket.disconnect(true);
+        }
+        perAddress.set(address, open + 1);
+
+        // register { lat, lon, radiusM? } — reply(result) is the socket.io ack
+        socket.on('register', (data, reply) => {
+            const respond = typeof reply === 'function' ? reply : () => {};
+            const lat = Number(data?.lat), lon = Number(data?.lon);
+            if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+                return respond({ error: 'lat and lon must be valid coordinates' });
+            }
+            const now = Date.now();
+            const existing = clients.get(socket.id);
+            if (existing && now - existing.registeredAt < opts.registerIntervalSec * 1000) {
+                return respond({ error: `At most one location update every ${opts.registerIntervalSec}s`, retryInSec: opts.registerIntervalSec });
+            }
+            const radiusM = Math.min(opts.maxRadiusM, Math.max(50, Number(data.radiusM) || opts.radiusM));
+            clients.set(socket.id, {
+                socket,
+                lat,
+                lon,
+                radiusM,
+                registeredAt: now,
+                alerts: existing?.alerts || new Map(),
+                recent: existing?.recent || [],
+            });
+            respond({ ok: true, radiusM });
+        });
+
+        socket.on('unregister', () => clients.delete(socket.id));
+
+        socket.on('disconnect', () => {
+            clients.delete(socket.id);
+            const left = (perAddress.get(address) || 1) - 1;
+            if (left > 0) perAddress.set(address, left);
+            else perAddress.delete(address);
+        });
+    });
+
+    /** Whether this client may be sent another alert about `key` now. */
+    function allowed(client, key, now) {
+        client.recent = client.recent.filter(t => now - t < 60000);
+        if (client.recent.length >= opts.maxAlertsPerMin) return false;
+        const last = client.alerts.get(key);
+        return !last || now - last.at >= opts.alertIntervalSec * 1000;
+    }
+
+    /**
+     * Closest point of the remaining route to `p`, or null when none is within
+     * `radiusM`. `from` is the index of the segment the vehicle is on.
+     */
+    function closestAhead(session, from, vehicleOffsetM, p, radiusM) {
+        const wps = session.waypoints;
+        let best = null;
+        for (let i = from; i < wps.length - 1; i++) {
+            const proj = projectOnSegment(p, wps[i], wps[i + 1]);
+            if (proj.distM > radiusM || (best && proj.distM >= best.distM)) continue;
+            const segStart = session.matcher.offsetAt(i);
+            const alongM = segStart + proj.t * (session.matcher.offsetAt(i + 1) - segStart) - vehicleOffsetM;
+            if (alongM < 0) continue; // behind the vehicle on its current segment
+            best = { distM: proj.distM, alongM, heading: bearingDeg(wps[i].lat, wps[i].lon, wps[i + 1].lat, wps[i + 1].lon) };
+        }
+        return best;
+    }
+
+    /** After each telemetry fix of a corridor vehicle. */
+    function progress(session) {
+        if (!clients.size || !session.matcher || session.waypoints.length < 2) return;
+        const pos = session.match || session.position;
+        if (!pos) return;
+        const from = session.match ? session.match.segmentIndex : Math.max(0, session.routeIndex - 1);
+        const vehicleOffsetM = session.match ? session.match.offsetM : session.matcher.offsetAt(from);
+
+        // Cheap pre-filter: the remaining route's bounding box, grown by the widest radius
+        const ahead = session.waypoints.slice(from);
+        const padLat = opts.maxRadiusM / 111320;
+        const padLon = padLat / Math.max(0.1, Math.cos(pos.lat * Math.PI / 180));
+        const box = ahead.reduce((b, w) => ({
+            minLat: Math.min(b.minLat, w.lat), maxLat: Math.max(b.maxLat, w.lat),
+            minLon: Math.min(b.minLon, w.lon), maxLon: Math.max(b.maxLon, w.lon),
+        }), { minLat: Infinity, maxLat: -Infinity, minLon: Infinity, maxLon: -Infinity });
+
+        const key = publicKey(session.tripId);
+        const now = Date.now();
+        clients.forEach(client => {
+            const inBox = client.lat >= box.minLat - padLat && client.lat <= box.maxLat + padLat
+                && client.lon >= box.minLon - padLon && client.lon <= box.maxLon + padLon;
+            const hit = inBox ? closestAhead(session, from, vehicleOffsetM, client, client.radiusM) : null;
+
+            if (!hit) {
+                // Alerted before and no longer ahead of the vehicle: it has gone past
+                if (client.alerts.delete(key)) client.socket.emit('ambulance_passed', { id: key, reason: 'PASSED' });
+                return;
+            }
+            if (!allowed(client, key, now)) return;
+
+            const totalM = session.matcher.lengthM || session.distanceM;
+            const etaSec = session.speedMps > 1 ? hit.alongM / session.speedMps
+                : session.durationSec && totalM ? session.durationSec * (hit.alongM / totalM)
+                : null;
+            client.alerts.set(key, { at: now });
+            client.recent.push(now);
+            client.socket.emit('ambulance_approaching', {
+                id: key,
+                vehicleType: session.vehicleType,
+                etaSec: etaSec == null ? null : Math.round(etaSec),
+                distanceM: Math.round(hit.alongM),       // along the route to where it passes you
+                passDistanceM: Math.round(hit.distM),    // how close the route comes to you
+                heading: compass(hit.heading),           // its direction of travel there
+                timestamp: new Date(now).toISOString(),
+            });
+        });
+    }
+
+    /** The corridor ended: everyone it was approaching can stand down. */
+    function ended(corridor, reason) {
+        if (!corridor?.tripId) return;
+        const key = publicKey(corridor.tripId);
+        clients.forEach(client => {
+            if (client.alerts.delete(key)) client.socket.emit('ambulance_passed', { id: key, reason });
+        });
+    }
+
+    /** Counts only — never locations. */
+    const stats = () => ({ clients: clients.size, addresses: perAddress.size, radiusM: opts.radiusM });
+
+    return { progress, ended, stats };
+}
+
+module.exports = { createPublicAlerts, NAMESPACE };
@@ -0,0 +1,93 @@
+/**
+ * recovery.js
+ * Returns an intersection to normal operation after a preemption.
+ *
+ * A release is always issued first; the configured recovery plan then runs,
+ * e.g. "compensate:15" gives the cross street a 15 s green to work off the
+ * queue that built up while the emergency vehicle held the junction.
+ *
+ * Plan steps (comma-separated):
+ *   compensate:<sec>  green the cross-street approaches for <sec>, then release
+ *   wait:<sec>        pause before the next step
+ */
+
+const { bearingDiff } = require('./geo');
+
+function parseRecoveryPlan(spec) {
+    return String(spec || '')
+        .split(',')
+        .map(step => step.trim().split(':'))
+        .filter(([type]) => type === 'compensate' || type === 'wait')
+        .map(([type, seconds]) => ({ type, seconds: Math.max(0, parseFloat(seconds) || 0) }));
+}
+
+/** Legs roughly perpendicular to the approach that had the green. */
+function crossStreet(approaches, servedId) {
+    const served = (approaches || []).find(a => a.id === servedId);
+    if (!served) return [];
+    return approaches
+        .filter(a => {
+            const diff = bearingDiff(a.bearing, served.bearing);
+            return diff >= 45 && diff <= 135;
+        })
+        .map(a => a.id);
+}
+
+function createRecoveryPlanner(controllers, { plan = [] } = {}) {
+    const running = new Map(); // intersectionId → { cancelled }
+
+    // cancel() wakes a pending sleep early, so a cancelled run() settles instead of hanging
+    const sleep = (ms, run) => new Promise(resolve => {
+        run.wake = resolve;
+        run.timer = setTimeout(resolve, ms);
+    });
+
+    /** Stop a recovery in progress, e.g. because a new preemption arrived. */
+    function cancel(intersectionId) {
+        const run = running.get(intersectionId);
+        if (!run) return;
+        run.cancelled = true;
+        clearTimeout(run.timer);
+        run.wake?.();
+        running.delete(intersectionId);
+    }
+
+    /**
+     * @param {object} args { intersectionId, vehicleId, approach, approaches, plan? }
+     * @returns {Promise<Array>} the steps that were executed
+     */
+    async function run({ intersectionId, vehicleId, approach, approaches, plan: override }) {
+        cancel(intersectionId);
+        const current = { cancelled: false, timer: null, wake: null };
+        running.set(intersectionId, current);
+
+        const executed = [{ type: 'release' }];
+        await controllers.release({ intersectionId, vehicleId });
+
+        for (const step of override || plan) {
+            if (current.cancelled) break;
+            if (step.type === 'wait') {
+                await sleep(step.seconds * 1000, current);
+            } else if (step.type === 'compensate') {
+                const legs = crossStreet(approaches, approach);
+                if (!legs.length || !step.seconds) continue;
+                await controllers.requestPreempt({
+                    intersectionId, vehicleId: 'RECOVERY', approach: legs, approaches, mode: 'RECOVERY',
+                });
+                await sleep(step.seconds * 1000, current);
+                // Cancelled by a new preemption: that one owns the junction now, so no release
+                if (current.cancelled) return executed;
+                await controllers.release({ intersectionId, vehicleId: 'RECOVERY' });
+            }
+            if (current.cancelled) return executed;
+            executed.push(step);
+        }
+
+        if (running.get(intersectionId) === current) running.delete(intersectionId);
+        return executed;
+    }
+
+    return { run, cancel, plan };
+}
+
+module.exports = { createRecoveryPlanner, parseRecoveryPlan, crossStreet };
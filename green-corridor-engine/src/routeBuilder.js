@@ -0,0 +1,142 @@
+/**
+ * routeBuilder.js
+ * Turns a list of waypoints into a corridor: the road-graph path through
+ * them, every intersection along it (managed signals included), and the
+ * geometry and turn-by-turn steps to drive it (see directions.js).
+ *
+ * Shared by POST /route, the alternatives endpoints and off-route
+ * re-routing in sessions.js.
+ */
+
+const { annotateApproaches } = require('./approach');
+const { buildDirections } = require('./directions');
+const { projectOnSegment } = require('./mapMatcher');
+
+// Alternatives: each found path's edges cost this much more in the next search
+const ALTERNATIVE_PENALTY = 1.4;
+// A managed intersection off the path's nodes still counts this close to the route line
+const ROUTE_SNAP_M = 20;
+
+const edgeKeys = legs => new Set(legs.flatMap(p => p.slice(1).map((id, i) => `${p[i]}|${id}`)));
+
+/**
+ * @param {object} deps { getGraph, findNearestNode, findRoute, intersections (registry), managedNodeIds }
+ */
+function createRouteBuilder({ getGraph, findNearestNode, findRoute, intersections, managedNodeIds = () => new Set() }) {
+    /**
+     * @param {Array} waypointsCoords  [{ lat, lon }, ...] (at least 2)
+     * @param {object} opts            { profile, edgePenalty } see timeRouter.js
+     * @returns {{ distanceM, durationSec, profile, intersections, waypoints, geometry, steps, legs,
+     *             nodeCount, graphIntersectionCount, managedCount, unmanagedCount }}
+     */
+    function build(waypointsCoords, { profile, edgePenalty } = {}) {
+        let totalDistanceM = 0;
+        let totalDurationSec = 0;
+        let usedProfile = profile;
+        let allIntersections = [];
+        let allWaypoints = [];
+        let totalNodesCount = 0;
+        const legs = []; // node-id path per routed leg
+
+        for (let i = 0; i < waypointsCoords.length - 1; i++) {
+            const p1 = waypointsCoords[i];
+            const p2 = waypointsCoords[i + 1];
+
+            const srcNode = findNearestNode(p1.lat, p1.lon);
+            const dstNode = findNearestNode(p2.lat, p2.lon);
+
+            if (!srcNode || !dstNode) {
+                console.warn(`[route] No road nodes near ${p1.lat},${p1.lon} or ${p2.lat},${p2.lon}. Skipping graphml segment.`);
+                continue;
+            }
+
+            console.log(`[route leg ${i + 1}] src node ${srcNode.id} → dst node ${dstNode.id}`);
+
+            const route = findRoute(srcNode.id, dstNode.id, { profile, edgePenalty });
+            if (!route) {
+                console.warn(`[route] No graphml path found between node ${srcNode.id} and ${dstNode.id}. Skipping segment.`);
+                continue;
+            }
+
+            totalDistanceM += route.distanceM;
+            totalDurationSec += route.durationSec || 0;
+            usedProfile = route.profile || usedProfile;
+            allIntersections = allIntersections.concat(route.intersections);
+
+            if (i > 0 && allWaypoints.length > 0 && route.waypoints.length > 0) {
+                allWaypoints = allWaypoints.concat(route.waypoints.slice(1));
+            } else {
+                allWaypoints = allWaypoints.concat(route.waypoints);
+            }
+            totalNodesCount += route.path.length;
+            legs.push(route.path);
+        }
+
+        // ── Merge graphml intersections + managed signal intersections ─────────────
+        // Only the managed ones this route actually drives through
+        const managed = managedNodeIds();
+        const pathManaged = new Set(legs.flat().map(String).filter(id => managed.has(id)));
+        const nearRoute = mi => allWaypoints.slice(1).some((w, i) => projectOnSegment(mi, allWaypoints[i], w).distM <= ROUTE_SNAP_M);
+        const onRoute = mi => pathManaged.has(String(findNearestNode(mi.lat, mi.lon)?.id)) || nearRoute(mi);
+        const managedAsNodes = intersections.asRouteNodes().filter(onRoute);
+
+        const graphmlIds = new Set(allIntersections.map(i => i.id));
+        // Each intersection learns which approach the route enters it from
+        const mergedIntersections = annotateApproaches([
+            ...allIntersections,
+            ...managedAsNodes.filter(mi => !graphmlIds.has(mi.id)),
+        ], allWaypoints);
+
+        const { geometry, steps } = buildDirections(getGraph(), legs);
+        // No edge data (e.g. every leg skipped): still hand back a drawable line
+        if (!geometry.coordinates.length) geometry.coordinates = allWaypoints.map(w => [w.lon, w.lat]);
+
+        // Junctions on the path: managed ones can be preempted, the rest cannot
+        const managedCount = pathManaged.size;
+
+        return {
+            distanceM: totalDistanceM,
+            durationSec: totalDurationSec,
+            profile: usedProfile,
+            intersections: mergedIntersections,
+            waypoints: allWaypoints,
+            geometry,
+            steps,
+            legs,
+            nodeCount: totalNodesCount,
+            graphIntersectionCount: allIntersections.length,
+            managedCount,
+            unmanagedCount: Math.max(0, allIntersections.length - managedCount),
+        };
+    }
+
+    /**
+     * Up to k distinct routes through the same waypoints, fastest first.
+     * Each search penalises the edges already used; a candidate sharing more
+     * than maxOverlap of its edges with an accepted route is discarded.
+     */
+    function alternatives(waypointsCoords, { profile, k = 3, maxOverlap = 0.6 } = {}) {
+        const edgePenalty = new Map();
+        const accepted = []; // { route, keys }
+
+        for (let attempt = 0; attempt < k * 3 && accepted.length < k; attempt++) {
+            const route = build(waypointsCoords, { profile, edgePenalty });
+            const keys = edgeKeys(route.legs);
+            if (!keys.size) break;
+
+            const distinct = accepted.every(a => {
+                let shared = 0;
+                keys.forEach(key => { if (a.keys.has(key)) shared++; });
+                return shared / keys.size <= maxOverlap;
+            });
+            if (distinct) accepted.push({ route, keys });
+            keys.forEach(key => edgePenalty.set(key, (edgePenalty.get(key) ?? 1) * ALTERNATIVE_PENALTY));
+        }
+
+        return accepted.map(a => a.route).sort((a, b) => a.durationSec - b.durationSec);
+    }
+
+    return { build, alternatives };
+}
+
+module.exports = { createRouteBuilder };
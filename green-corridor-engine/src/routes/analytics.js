@@ -0,0 +1,58 @@
+/**
+ * routes/analytics.js
+ * Corridor performance measured from trip records (see analytics.js).
+ */
+
+const express = require('express');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function createAnalyticsRoutes(analytics) {
+    const router = express.Router();
+
+    /**
+     * GET /analytics?from=YYYY-MM-DD&to=YYYY-MM-DD[&format=csv]
+     * Daily aggregates: trips, intersections preempted, median TTI at
+     * trigger, time saved. CSV with format=csv or Accept: text/csv.
+     */
+    router.get('/', (req, res) => {
+        const { from, to } = req.query;
+        if ([from, to].some(d => d != null && !DATE_RE.test(d))) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+        }
+        const days = analytics.daily({ from, to });
+
+        if (req.query.format === 'csv' || (!req.query.format && req.accepts(['json', 'text/csv']) === 'text/csv')) {
+            res.type('text/csv');
+            res.attachment(`corridor-analytics${from ? `-${from}` : ''}${to ? `-${to}` : ''}.csv`);
+            return res.send(analytics.toCsv(days));
+        }
+
+        const sum = key => days.reduce((total, d) => total + (d[key] || 0), 0);
+        res.json({
+            from: from || null,
+            to: to || null,
+            totals: {
+                trips: sum('trips'),
+                intersectionsPreempted: sum('intersectionsPreempted'),
+                timeSavedSec: Math.round(sum('timeSavedSec')),
+            },
+            days,
+        });
+    });
+
+    router.get('/intersections', (_req, res) => {
+        const rows = analytics.byIntersection();
+        res.json({ count: rows.length, intersections: rows });
+    });
+
+    router.get('/trips/:id', (req, res) => {
+        const result = analytics.trip(req.params.id);
+        if (!result) return res.status(404).json({ error: `Trip ${req.params.id} not found` });
+        res.json(result);
+    });
+
+    return router;
+}
+
+module.exports = { createAnalyticsRoutes };
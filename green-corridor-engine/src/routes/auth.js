@@ -0,0 +1,76 @@
+/**
+ * routes/auth.js
+ * Operator endpoints for issuing and revoking vehicle, hospital and marshal credentials.
+ */
+
+const express = require('express');
+const { HOSPITAL_PREFIX, MARSHAL_PREFIX } = require('../auth');
+
+function createAuthRoutes(auth) {
+    const router = express.Router();
+    router.use(auth.requireOperator);
+
+    router.get('/vehicles', (_req, res) => {
+        const vehicles = auth.list();
+        res.json({ count: vehicles.length, vehicles });
+    });
+
+    /**
+     * POST /auth/vehicles/:vehicleId/credentials
+     * Issue (or rotate) the vehicle's signing secret. The secret is only
+     * ever returned here — hand it to the driver app once.
+     */
+    router.post('/vehicles/:vehicleId/credentials', (req, res) => {
+        const prefix = [HOSPITAL_PREFIX, MARSHAL_PREFIX].find(p => req.params.vehicleId.startsWith(p));
+        if (prefix) return res.status(400).json({ error: `Vehicle ids may not start with "${prefix}"` });
+        try { res.status(201).json(auth.issue(req.params.vehicleId)); }
+        catch (e) { res.status(400).json({ error: e.message }); }
+    });
+
+    router.delete('/vehicles/:vehicleId/credentials', (req, res) => {
+        if (!auth.revoke(req.params.vehicleId)) {
+            return res.status(404).json({ error: `No credentials for ${req.params.vehicleId}` });
+        }
+        res.json({ success: true, vehicleId: req.params.vehicleId });
+    });
+
+    // Hospital pages sign as "hospital:<id>"
+    router.get('/hospitals', (_req, res) => {
+        const hospitals = auth.list({ hospitals: true });
+        res.json({ count: hospitals.length, hospitals });
+    });
+
+    router.post('/hospitals/:hospitalId/credentials', (req, res) => {
+        const { secret, issuedAt } = auth.issue(`${HOSPITAL_PREFIX}${req.params.hospitalId}`);
+        res.status(201).json({ hospitalId: req.params.hospitalId, clientId: `${HOSPITAL_PREFIX}${req.params.hospitalId}`, secret, issuedAt });
+    });
+
+    router.delete('/hospitals/:hospitalId/credentials', (req, res) => {
+        if (!auth.revoke(`${HOSPITAL_PREFIX}${req.params.hospitalId}`)) {
+            return res.status(404).json({ error: `No credentials for hospital ${req.params.hospitalId}` });
+        }
+        res.json({ success: true, hospitalId: req.params.hospitalId });
+    });
+
+    // Junction marshal pages sign as "marshal:<intersectionId>"
+    router.get('/marshals', (_req, res) => {
+        const marshals = auth.list({ marshals: true });
+        res.json({ count: marshals.length, marshals });
+    });
+
+    router.post('/marshals/:intersectionId/credentials', (req, res) => {
+        const { secret, issuedAt } = auth.issue(`${MARSHAL_PREFIX}${req.params.intersectionId}`);
+        res.status(201).json({ intersectionId: req.params.intersectionId, clientId: `${MARSHAL_PREFIX}${req.params.intersectionId}`, secret, issuedAt });
+    });
+
+    router.delete('/marshals/:intersectionId/credentials', (req, res) => {
+        if (!auth.revoke(`${MARSHAL_PREFIX}${req.params.intersectionId}`)) {
+            return res.status(404).json({ error: `No credentials for the marshal at ${req.params.intersectionId}` });
+        }
+        res.json({ success: true, intersectionId: req.params.intersectionId });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRoutes };
@@ -0,0 +1,136 @@
+/**
+ * routes/dispatch.js
+ * Control-room dispatch: fleet status, nearest-available-vehicle ranking for
+ * an incident (see dispatch.js), and one-click assignment that starts the
+ * vehicle's corridor and pushes the trip to its driver app. With an
+ * incidentId (see incidents.js) the incident supplies the location, triage
+ * and hospital, and the vehicle is assigned to it.
+ */
+
+const express = require('express');
+const { handle } = require('../httpErrors');
+const { haversineM } = require('../geo');
+
+// Waypoints closer than this to the previous one are dropped (no zero-length legs)
+const MIN_LEG_M = 50;
+
+const parsePoint = p => (p && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon))
+    ? { lat: Number(p.lat), lon: Number(p.lon) }
+    : null);
+
+/**
+ * @param {object} deps { dispatcher, fleet, hospitals, incidents, notifyIncident, io, trips,
+ *                        startCorridor(vehicleId, waypoints, body) → { corridor } | { error, status } }
+ */
+function createDispatchRoutes({ dispatcher, fleet, hospitals, incidents, notifyIncident, io, trips, startCorridor }) {
+    const router = express.Router();
+    const announce = () => io.to('dashboard').emit('fleet_updated', { vehicles: dispatcher.status() });
+
+    router.get('/fleet', (_req, res) => {
+        const vehicles = dispatcher.status();
+        res.json({ count: vehicles.length, vehicles });
+    });
+
+    router.post('/fleet', handle((req, res) => {
+        const v = fleet.create(req.body);
+        announce();
+        res.status(201).json(v);
+    }));
+
+    // e.g. { inService: false } to take a vehicle off the recommendations
+    router.put('/fleet/:id', handle((req, res) => {
+        const v = fleet.update(req.params.id, req.body);
+        announce();
+        res.json(v);
+    }));
+
+    router.delete('/fleet/:id', handle((req, res) => {
+        const v = fleet.remove(req.params.id);
+        announce();
+        res.json({ success: true, vehicle: v });
+    }));
+
+    /** The incident named by body.incidentId: { incident } when it can take a vehicle, else { error, status }. */
+    function openIncident(body) {
+        if (!body.incidentId) return { incident: null };
+        const incident = incidents.get(body.incidentId);
+        if (!incident) return { error: `Incident ${body.incidentId} not found`, status: 404 };
+        if (incident.state === 'CLOSED') return { error: `Incident ${incident.id} is closed`, status: 409 };
+        return { incident };
+    }
+
+    /**
+     * POST /dispatch/recommend  { incidentId } | { lat, lon }, plus { vehicleType?, limit? }
+     * Available vehicles ranked by road travel time to the incident.
+     */
+    router.post('/recommend', (req, res) => {
+        const { incident: record, error, status } = openIncident(req.body);
+        if (error) return res.status(status).json({ error });
+        const incident = parsePoint(record || req.body);
+        if (!incident) return res.status(400).json({ error: 'incidentId, or lat and lon of the incident, is required' });
+        const limit = Math.min(20, Math.max(1, parseInt(req.body.limit, 10) || 5));
+        res.json(dispatcher.recommend({ ...incident, vehicleType: req.body.vehicleType, limit }));
+    });
+
+    /**
+     * POST /dispatch  { vehicleId, incidentId | incident: { lat, lon }, hospitalId?, criticality?, reassign? }
+     * Corridor from the vehicle's last known position to the incident (then on
+     * to the hospital when given), announced to the driver app as dispatch_assigned.
+     */
+    router.post('/', (req, res) => {
+        const { vehicleId } = req.body;
+        const vehicle = vehicleId && fleet.get(vehicleId);
+        if (!vehicle) return res.status(404).json({ error: `Vehicle ${vehicleId || '(none)'} is not in the fleet` });
+        if (!vehicle.inService) return res.status(409).json({ error: `${vehicleId} is out of service` });
+        const { incident: record, error: incidentError, status: incidentStatus } = openIncident(req.body);
+        if (incidentError) return res.status(incidentStatus).json({ error: incidentError });
+        const incident = parsePoint(record || req.body.incident);
+        if (!incident) return res.status(400).json({ error: 'incidentId or incident { lat, lon } is required' });
+        const hospitalId = req.body.hospitalId || record?.hospitalId || null;
+
+        const busy = dispatcher.status().find(v => v.id === vehicleId);
+        if (!busy.available && req.body.reassign !== true) {
+            return res.status(409).json({ error: `${vehicleId} is already on trip ${busy.tripId} — set reassign to replace it` });
+        }
+
+        const hospital = hospitalId ? hospitals.get(hospitalId) : null;
+        const waypoints = [fleet.position(vehicleId), incident, hospital]
+            .filter(Boolean)
+            .map(p => ({ lat: p.lat, lon: p.lon }))
+            .filter((p, i, all) => i === 0 || haversineM(all[i - 1].lat, all[i - 1].lon, p.lat, p.lon) > MIN_LEG_M);
+        if (waypoints.length < 2) return res.status(400).json({ error: `${vehicleId} is already at the incident` });
+
+        const { corridor, error, status } = startCorridor(vehicleId, waypoints, {
+            ...req.body,
+            hospitalId,
+            criticality: req.body.criticality || record?.triage,
+            vehicleType: vehicle.type,
+        });
+        if (error) return res.status(status || 400).json({ error });
+
+        const assigned = record ? incidents.assign(record.id, vehicleId, corridor.tripId) : null;
+        if (assigned) notifyIncident(assigned);
+
+        const assignment = {
+            vehicleId,
+            tripId: corridor.tripId,
+            incidentId: assigned?.id || null,
+            incident: assigned || incident,
+            hospitalId: corridor.hospitalId || null,
+            destination: hospital ? { id: hospital.id, name: hospital.name, lat: hospital.lat, lon: hospital.lon } : { ...incident, name: 'Incident' },
+            criticality: corridor.criticality,
+            dispatchedAt: new Date().toISOString(),
+            route: corridor,
+        };
+        trips.record(corridor.tripId, 'dispatched', { incidentId: assignment.incidentId, incident, hospitalId: assignment.hospitalId, plannedEtaSec: corridor.durationSec });
+
+        io.to(`vehicle:${vehicleId}`).emit('dispatch_assigned', assignment);
+        io.to('dashboard').emit('vehicle_dispatched', { vehicleId, tripId: corridor.tripId, incidentId: assignment.incidentId, incident, hospitalId: assignment.hospitalId });
+        console.log(`[dispatch] ${vehicleId} → incident ${incident.lat.toFixed(5)},${incident.lon.toFixed(5)}${hospital ? ` → ${hospital.id}` : ''}`);
+        res.status(201).json(assignment);
+    });
+
+    return router;
+}
+
+module.exports = { createDispatchRoutes };
@@ -0,0 +1,152 @@
+/**
+ * routes/fieldAlerts.js
+ * Police requests and emergency broadcasts from crews (see fieldAlerts.js).
+ * Crews raise them over Socket.io (`raise_alert`, wired in server.js); the
+ * control room works the queue here — acknowledge, assign a police unit from
+ * the fleet, escalate, resolve — and every step is pushed back to the crew
+ * as field_alert_updated.
+ */
+
+const express = require('express');
+const { handle } = require('../httpErrors');
+const { haversineM } = require('../geo');
+
+// Emergency broadcasts reach fleet vehicles within this distance of the sender
+const BROADCAST_RADIUS_M = parseInt(process.env.BROADCAST_RADIUS_METERS, 10) || 2000;
+
+/**
+ * @param {object} deps { alerts, fleet, io, trips, getSessions }
+ * @returns {{ router, raise(vehicleId, data) → alert }}
+ */
+function createFieldAlertRoutes({ alerts, fleet, io, trips, getSessions }) {
+    const router = express.Router();
+
+    /** What the vehicle is doing right now: its active corridor, if any. */
+    function routeSnapshot(corridor) {
+        if (!corridor) return null;
+        const stats = corridor.lastStats || {};
+        return {
+            tripId: corridor.tripId,
+            destination: corridor.destination || null,
+            hospitalId: corridor.hospitalId || null,
+            criticality: corridor.criticality,
+            etaSec: stats.etaSec ?? null,
+            remainingM: stats.remainingM ?? null,
+            nextIntersections: corridor.intersections
+                .filter(ix => !corridor.cleared.has(ix.id))
+                .slice(0, 5)
+                .map(ix => ix.id),
+        };
+    }
+
+    /** Dashboard, the raising crew and the assigned unit's crew. */
+    function notify(alert, action) {
+        const rooms = ['dashboard', `vehicle:${alert.vehicleId}`];
+        if (alert.assignedUnit) rooms.push(`vehicle:${alert.assignedUnit.id}`);
+        io.to(rooms).emit('field_alert_updated', { action, alert });
+        if (alert.route?.tripId) {
+            trips.record(alert.route.tripId, 'field_alert_update', { alertId: alert.id, action, status: alert.status, escalation: alert.escalation });
+        }
+    }
+
+    /** Every other in-fleet vehicle last seen near the sender. */
+    function broadcastNearby(alert) {
+        const reached = fleet.list()
+            .filter(v => v.id !== alert.vehicleId)
+            .filter(v => {
+                const p = fleet.position(v.id);
+                return p && haversineM(p.lat, p.lon, alert.position.lat, alert.position.lon) <= BROADCAST_RADIUS_M;
+            })
+            .map(v => v.id);
+        if (reached.length) {
+            io.to(reached.map(id => `vehicle:${id}`)).emit('nearby_broadcast', {
+                alertId: alert.id,
+                from: alert.vehicleId,
+                position: alert.position,
+                reason: alert.reason,
+                route: alert.route,
+                timestamp: alert.updatedAt,
+            });
+        }
+        return reached;
+    }
+
+    /**
+     * A crew pressed a panic button. `data` is { type, lat?, lon?, reason? };
+     * the position falls back to the last telemetry fix.
+     */
+    function raise(vehicleId, data = {}) {
+        const corridor = getSessions()?.get(vehicleId) || null;
+        const position = Number.isFinite(Number(data.lat)) && Number.isFinite(Number(data.lon))
+            ? { lat: Number(data.lat), lon: Number(data.lon) }
+            : fleet.position(vehicleId);
+
+        const { alert, repeated } = alerts.raise({
+            type: data.type,
+            vehicleId,
+            position,
+            route: routeSnapshot(corridor),
+            reason: data.reason,
+        });
+        const reached = alert.type === 'BROADCAST' ? broadcastNearby(alert) : [];
+        if (corridor) {
+            trips.record(corridor.tripId, 'field_alert', { alertId: alert.id, type: alert.type, reason: alert.reason, position: alert.position, repeated });
+        }
+
+        io.to('dashboard').emit('field_alert', { alert, repeated, reached });
+        console.log(`[alert] ${alert.type} from ${vehicleId}${repeated ? ` (repeat ${alert.repeats})` : ''}${reached.length ? ` → ${reached.length} nearby` : ''}`);
+        return { ...alert, reached };
+    }
+
+    /** GET /alerts?open=true&vehicleId= */
+    router.get('/', (req, res) => {
+        const list = alerts.list({ open: req.query.open === 'true', vehicleId: req.query.vehicleId });
+        res.json({ count: list.length, alerts: list });
+    });
+
+    router.get('/:id', (req, res) => {
+        const alert = alerts.get(req.params.id);
+        if (!alert) return res.status(404).json({ error: `Alert ${req.params.id} not found` });
+        res.json(alert);
+    });
+
+    const note = body => (body?.note ? String(body.note).slice(0, 500) : null);
+
+    router.post('/:id/ack', handle((req, res) => {
+        const alert = alerts.acknowledge(req.params.id, { note: note(req.body) });
+        notify(alert, 'ACKNOWLEDGED');
+        res.json(alert);
+    }));
+
+    /** POST /alerts/:id/assign  { unitId, note? } — a police unit from the fleet */
+    router.post('/:id/assign', handle((req, res) => {
+        const unit = req.body.unitId && fleet.get(req.body.unitId);
+        if (!unit) return res.status(404).json({ error: `Vehicle ${req.body.unitId || '(none)'} is not in the fleet` });
+        if (unit.type !== 'police') return res.status(400).json({ error: `${unit.id} is not a police unit` });
+        if (!unit.inService) return res.status(409).json({ error: `${unit.id} is out of service` });
+
+        const alert = alerts.assign(req.params.id, unit, { note: note(req.body) });
+        notify(alert, 'ASSIGNED');
+        console.log(`[alert] ${alert.id} assigned to ${unit.id}`);
+        res.json(alert);
+    }));
+
+    /** POST /alerts/:id/escalate  { reason? } */
+    router.post('/:id/escalate', handle((req, res) => {
+        const reason = req.body?.reason ? String(req.body.reason).slice(0, 500) : null;
+        const alert = alerts.escalate(req.params.id, { reason });
+        notify(alert, 'ESCALATED');
+        console.log(`[alert] ${alert.id} escalated to level ${alert.escalation}`);
+        res.json(alert);
+    }));
+
+    router.post('/:id/resolve', handle((req, res) => {
+        const alert = alerts.resolve(req.params.id, { note: note(req.body) });
+        notify(alert, 'RESOLVED');
+        res.json(alert);
+    }));
+
+    return { router, raise };
+}
+
+module.exports = { createFieldAlertRoutes };
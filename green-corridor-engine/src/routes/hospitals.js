@@ -0,0 +1,128 @@
+/**
+ * routes/hospitals.js
+ * Hospital registry CRUD, hospital-side status updates, and pre-arrival
+ * alerts from vehicles with hospital acknowledgement.
+ *
+ * Reading the registry is public (both UIs list hospitals); changing it is
+ * for the operator; status, the incoming list and alerts are for the
+ * hospital itself (signed as "hospital:<id>") or the operator.
+ */
+
+const express = require('express');
+const { handle } = require('../httpErrors');
+
+/**
+ * @param {object} deps { hospitals, auth, io, trips, feed, getSessions }
+ */
+function createHospitalRoutes({ hospitals, auth, io, trips, feed, getSessions }) {
+    const router = express.Router();
+
+    const announce = h => {
+        // Every signed-in client picks destinations from this list, not only the control room
+        io.emit('hospitals_updated', { hospitals: hospitals.list() });
+        if (h) io.to(feed.room(h.id)).emit('hospital_updated', h);
+    };
+    const asHospital = auth.requireHospital(req => req.params.id);
+    const corridorsTo = id => (getSessions()?.list() || []).filter(c => c.hospitalId === id);
+
+    router.get('/', handle((req, res) => {
+        const list = hospitals.list({ specialty: req.query.specialty, accepting: req.query.accepting === 'true' });
+        res.json({ count: list.length, hospitals: list });
+    }));
+
+    router.get('/:id', handle((req, res) => {
+        const h = hospitals.get(req.params.id);
+        if (!h) return res.status(404).json({ error: `Hospital ${req.params.id} not found` });
+        res.json(h);
+    }));
+
+    router.post('/', auth.requireOperator, handle((req, res) => {
+        const h = hospitals.create(req.body);
+        announce(h);
+        res.status(201).json(h);
+    }));
+
+    router.put('/:id', auth.requireOperator, handle((req, res) => {
+        const h = hospitals.update(req.params.id, req.body);
+        announce(h);
+        res.json(h);
+    }));
+
+    router.delete('/:id', auth.requireOperator, handle((req, res) => {
+        const h = hospitals.remove(req.params.id);
+        announce();
+        res.json({ success: true, hospital: h });
+    }));
+
+    /**
+     * PATCH /hospitals/:id/status  { capacity?, diversion? }
+     * The hospital reports free beds or goes on / off diversion.
+     */
+    router.patch('/:id/status', asHospital, handle((req, res) => {
+        const patch = {};
+        if (req.body.capacity !== undefined) patch.capacity = req.body.capacity;
+        if (req.body.diversion !== undefined) patch.diversion = req.body.diversion === true;
+        const h = hospitals.update(req.params.id, patch);
+        announce(h);
+        console.log(`[hospital] ${h.id} status: capacity ${h.capacity ?? '—'}${h.diversion ? ', ON DIVERSION' : ''}`);
+        res.json(h);
+    }));
+
+    /** GET /hospitals/:id/incoming — vehicles currently heading here, with their ETA. */
+    router.get('/:id/incoming', asHospital, handle((req, res) => {
+        const incoming = corridorsTo(req.params.id).map(c => ({
+            tripId: c.tripId,
+            vehicleId: c.vehicleId,
+            vehicleType: c.vehicleType,
+            criticality: c.criticality,
+            startedAt: c.startedAt,
+            etaSec: c.lastStats?.etaSec ?? (c.durationSec != null ? Math.round(c.durationSec) : null),
+            remainingM: c.lastStats?.remainingM ?? (c.distanceM != null ? Math.round(c.distanceM) : null),
+        }));
+        res.json({ count: incoming.length, incoming });
+    }));
+
+    router.get('/:id/alerts', asHospital, handle((req, res) => {
+        const alerts = hospitals.listAlerts(req.params.id);
+        res.json({ count: alerts.length, alerts });
+    }));
+
+    /**
+     * POST /hospitals/:id/alerts  { vehicleId, message?, criticality? }
+     * Pre-arrival alert from a vehicle; the hospital page acknowledges it.
+     */
+    router.post('/:id/alerts', auth.requireSigned(req => req.body.vehicleId), handle((req, res) => {
+        const { vehicleId } = req.body;
+        if (!vehicleId) return res.status(400).json({ error: 'vehicleId is required' });
+        const corridor = getSessions()?.get(vehicleId) || null;
+
+        const alert = hospitals.createAlert(req.params.id, {
+            vehicleId,
+            tripId: corridor?.tripId || null,
+            criticality: req.body.criticality || corridor?.criticality || null,
+            message: String(req.body.message || 'Patient en route').slice(0, 500),
+            etaSec: corridor?.lastStats?.etaSec ?? (corridor?.durationSec != null ? Math.round(corridor.durationSec) : null),
+        });
+        if (corridor) trips.record(corridor.tripId, 'hospital_alert', { hospitalId: alert.hospitalId, alertId: alert.id, message: alert.message });
+
+        io.to(feed.room(alert.hospitalId)).to('dashboard').emit('hospital_alert', alert);
+        console.log(`[hospital] alert ${alert.id} from ${vehicleId} to ${alert.hospitalId}`);
+        res.status(201).json(alert);
+    }));
+
+    /** POST /hospitals/:id/alerts/:alertId/ack  { note? } */
+    router.post('/:id/alerts/:alertId/ack', asHospital, handle((req, res) => {
+        const by = req.auth.role === 'hospital' ? req.params.id : 'operator';
+        const alert = hospitals.acknowledgeAlert(req.params.id, req.params.alertId, by);
+        if (req.body?.note) alert.note = String(req.body.note).slice(0, 500);
+        if (alert.tripId) trips.record(alert.tripId, 'hospital_ack', { hospitalId: alert.hospitalId, alertId: alert.id, note: alert.note || null });
+
+        io.to(feed.room(alert.hospitalId)).to('dashboard').to(`vehicle:${alert.vehicleId}`).emit('hospital_alert_ack', alert);
+        console.log(`[hospital] ${alert.hospitalId} acknowledged alert ${alert.id}`);
+        res.json(alert);
+    }));
+
+    return router;
+}
+
+module.exports = { createHospitalRoutes };
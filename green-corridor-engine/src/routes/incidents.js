@@ -0,0 +1,78 @@
+/**
+ * routes/incidents.js
+ * Incidents (see incidents.js): the control room creates and closes them,
+ * assigned crews read theirs and report stage transitions from the driver app.
+ * Vehicles are assigned through POST /dispatch with an incidentId.
+ */
+
+const express = require('express');
+const { handle } = require('../httpErrors');
+
+/**
+ * @param {object} deps { incidents, auth, io, trips, getSessions }
+ * @returns {{ router, notify(incident) }}
+ */
+function createIncidentRoutes({ incidents, auth, io, trips, getSessions }) {
+    const router = express.Router();
+
+    /** Live update to the dashboard and to every assigned vehicle. */
+    function notify(incident) {
+        const rooms = incident.vehicles.map(v => `vehicle:${v.vehicleId}`);
+        io.to(['dashboard', ...rooms]).emit('incident_updated', incident);
+    }
+
+    const isAssigned = (incident, vehicleId) => incident.vehicles.some(v => v.vehicleId === vehicleId);
+
+    /** GET /incidents?open=true&vehicleId=  — a vehicle only ever sees its own. */
+    router.get('/', auth.requireSigned(), (req, res) => {
+        const vehicleId = req.auth.role === 'vehicle' ? req.auth.vehicleId : req.query.vehicleId;
+        const list = incidents.list({ open: req.query.open === 'true', vehicleId });
+        res.json({ count: list.length, incidents: list });
+    });
+
+    router.get('/:id', auth.requireSigned(), (req, res) => {
+        const incident = incidents.get(req.params.id);
+        if (!incident) return res.status(404).json({ error: `Incident ${req.params.id} not found` });
+        if (req.auth.role === 'vehicle' && !isAssigned(incident, req.auth.vehicleId)) {
+            return res.status(403).json({ error: `${req.auth.vehicleId} is not assigned to incident ${incident.id}` });
+        }
+        res.json(incident);
+    });
+
+    /** POST /incidents  { lat, lon, address?, notes?, callerPhone?, triage?, hospitalId? } */
+    router.post('/', auth.requireOperator, handle((req, res) => {
+        const incident = incidents.create(req.body);
+        notify(incident);
+        console.log(`[incident] ${incident.id} NEW (${incident.triage}) at ${incident.lat.toFixed(5)},${incident.lon.toFixed(5)}`);
+        res.status(201).json(incident);
+    }));
+
+    router.patch('/:id', auth.requireOperator, handle((req, res) => {
+        const incident = incidents.update(req.params.id, req.body);
+        notify(incident);
+        res.json(incident);
+    }));
+
+    /**
+     * POST /incidents/:id/state  { state, vehicleId?, reason? }
+     * Crews report EN_ROUTE, ON_SCENE, TRANSPORTING, AT_HOSPITAL for the
+     * incident they are assigned to; the operator may also close it.
+     */
+    router.post('/:id/state', auth.requireSigned(req => req.body.vehicleId), handle((req, res) => {
+        const vehicleId = req.auth.role === 'vehicle' ? req.auth.vehicleId : req.body.vehicleId || null;
+        const by = req.auth.role === 'vehicle' ? vehicleId : 'operator';
+        const reason = req.body.reason ? String(req.body.reason).slice(0, 200) : null;
+        const incident = incidents.transition(req.params.id, req.body.state, { by, vehicleId, reason });
+
+        const tripId = vehicleId && getSessions()?.get(vehicleId)?.tripId;
+        if (tripId) trips.record(tripId, 'incident_state', { incidentId: incident.id, state: incident.state, by });
+
+        notify(incident);
+        console.log(`[incident] ${incident.id} → ${incident.state} (${by})`);
+        res.json(incident);
+    }));
+
+    return { router, notify };
+}
+
+module.exports = { createIncidentRoutes };
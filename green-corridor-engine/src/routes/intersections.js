@@ -0,0 +1,99 @@
+/**
+ * routes/intersections.js
+ * CRUD + GeoJSON import for the managed intersection registry, plus
+ * operator preempt / release on a single intersection.
+ */
+
+const express = require('express');
+const { handle } = require('../httpErrors');
+
+function createIntersectionRoutes(registry, io, controllers) {
+    const router = express.Router();
+
+    // Controller commands are async; a driver failure is the controller's fault, not ours
+    const command = fn => async (req, res) => {
+        try { await fn(req, res); }
+        catch (e) { res.status(e.status || 502).json({ error: e.message }); }
+    };
+
+    const announce = () => io.to('dashboard').emit('intersections_updated', { intersections: registry.list() });
+
+    router.get('/', handle((req, res) => {
+        const enabled = req.query.enabled == null ? undefined : req.query.enabled === 'true';
+        const intersections = registry.list({ enabled });
+        res.json({ count: intersections.length, intersections });
+    }));
+
+    router.get('/:id', handle((req, res) => {
+        const ix = registry.get(req.params.id);
+        if (!ix) return res.status(404).json({ error: `Intersection ${req.params.id} not found` });
+        res.json(ix);
+    }));
+
+    router.post('/', handle((req, res) => {
+        const ix = registry.create(req.body);
+        announce();
+        res.status(201).json(ix);
+    }));
+
+    /**
+     * POST /intersections/import
+     * Bulk upsert from a GeoJSON FeatureCollection of Points.
+     */
+    router.post('/import', handle((req, res) => {
+        const result = registry.importGeoJSON(req.body);
+        announce();
+        res.json(result);
+    }));
+
+    /**
+     * POST /intersections/:id/preempt  { approach }
+     * Operator override: green one approach, every other leg HARD_RED.
+     */
+    router.post('/:id/preempt', command(async (req, res) => {
+        const ix = registry.get(req.params.id);
+        if (!ix) return res.status(404).json({ error: `Intersection ${req.params.id} not found` });
+        const approach = String(req.body?.approach || '').toUpperCase();
+        if (!ix.approaches.some(a => a.id === approach)) {
+            return res.status(400).json({ error: `approach must be one of ${ix.approaches.map(a => a.id).join(', ')}` });
+        }
+        const state = await controllers.requestPreempt({
+            intersectionId: ix.id,
+            vehicleId: req.body?.vehicleId || 'OPERATOR',
+            approach,
+            approaches: ix.approaches,
+        });
+        if (!state) return res.status(502).json({ error: 'Controller did not accept the preempt request' });
+        res.json({ intersectionId: ix.id, approach, ...state });
+    }));
+
+    router.post('/:id/release', command(async (req, res) => {
+        const ix = registry.get(req.params.id);
+        if (!ix) return res.status(404).json({ error: `Intersection ${req.params.id} not found` });
+        const state = await controllers.release({ intersectionId: ix.id, vehicleId: req.body?.vehicleId || 'OPERATOR' });
+        if (!state) return res.status(502).json({ error: 'Controller did not accept the release' });
+        res.json({ intersectionId: ix.id, ...state });
+    }));
+
+    router.put('/:id', handle((req, res) => {
+        const ix = registry.update(req.params.id, req.body);
+        announce();
+        res.json(ix);
+    }));
+
+    router.patch('/:id', handle((req, res) => {
+        const ix = registry.update(req.params.id, req.body);
+        announce();
+        res.json(ix);
+    }));
+
+    router.delete('/:id', handle((req, res) => {
+        const ix = registry.remove(req.params.id);
+        announce();
+        res.json({ success: true, intersection: ix });
+    }));
+
+    return router;
+}
+
+module.exports = { createIntersectionRoutes };
@@ -0,0 +1,47 @@
+/**
+ * routes/trips.js
+ * Read-only review of recorded trips (see trips.js).
+ */
+
+const express = require('express');
+
+function createTripRoutes(trips) {
+    const router = express.Router();
+
+    /**
+     * GET /trips?vehicleId=&limit=
+     * Trip summaries, newest first.
+     */
+    router.get('/', (req, res) => {
+        const limit = Math.max(1, Math.min(500, parseInt(req.query.limit, 10) || 50));
+        const list = trips.list({ vehicleId: req.query.vehicleId, limit });
+        res.json({ count: list.length, trips: list });
+    });
+
+    router.get('/:id', (req, res) => {
+        const trip = trips.get(req.params.id);
+        if (!trip) return res.status(404).json({ error: `Trip ${req.params.id} not found` });
+        res.json({
+            ...trip,
+            elapsedSec: Math.round((Date.parse(trip.endedAt || new Date().toISOString()) - Date.parse(trip.startedAt)) / 1000),
+            // Latest route driven: the original one, or the last re-route
+            route: trips.route(trip.id) || [],
+        });
+    });
+
+    /**
+     * GET /trips/:id/timeline?types=telemetry,signal_trigger&sinceSeq=
+     * Every recorded event of a trip, in order.
+     */
+    router.get('/:id/timeline', (req, res) => {
+        const types = req.query.types ? String(req.query.types).split(',').map(t => t.trim()) : undefined;
+        const sinceSeq = parseInt(req.query.sinceSeq, 10) || 0;
+        const events = trips.timeline(req.params.id, { types, sinceSeq });
+        if (!events) return res.status(404).json({ error: `Trip ${req.params.id} not found` });
+        res.json({ tripId: req.params.id, count: events.length, events });
+    });
+
+    return router;
+}
+
+module.exports = { createTripRoutes };
@@ -7,132 +7,397 @@ require('dotenv').config();
 
 const express = require('express');
 const http = require('http');
+const crypto = require('crypto');
 const cors = require('cors');
 const { Server } = require('socket.io');
 
-const { createCorridorEngine } = require('./corridor');
+const { createSessionManager, normalizePositionSource } = require('./sessions');
+const { createAuth } = require('./auth');
+const { createAuthRoutes } = require('./routes/auth');
+const { createControllerRegistry, parseBindings } = require('./controllers');
+const { createIntersectionRegistry } = require('./intersections');
+const { createIntersectionRoutes } = require('./routes/intersections');
+const { createTripLog } = require('./trips');
+const { createTripRoutes } = require('./routes/trips');
+const { createAnalytics } = require('./analytics');
+const { createAnalyticsRoutes } = require('./routes/analytics');
+const { createHospitalRegistry } = require('./hospitals');
+const { createHospitalRoutes } = require('./routes/hospitals');
+const { createHospitalFeed } = require('./hospitalFeed');
+const { createJunctionFeed } = require('./junctionFeed');
+const { createPublicAlerts } = require('./publicAlerts');
+const { createFleetRegistry } = require('./fleet');
+const { createDispatcher } = require('./dispatch');
+const { createDispatchRoutes } = require('./routes/dispatch');
+const { createIncidentRegistry } = require('./incidents');
+const { createIncidentRoutes } = require('./routes/incidents');
+const { createFieldAlertQueue } = require('./fieldAlerts');
+const { createFieldAlertRoutes } = require('./routes/fieldAlerts');
+const { createRouteBuilder } = require('./routeBuilder');
+const { createTimeRouter } = require('./timeRouter');
+const { createSpatialIndex } = require('./spatialIndex');
+const { normalizeVehicleType } = require('./arbitration');
+const { haversineM } = require('./geo');
+const { createRecoveryPlanner, parseRecoveryPlan } = require('./recovery');
+const { startTelemetryWatchdog } = require('./watchdog');
 const { loadGraph, getGraph, findNearestNode,
     getIntersectionNodes } = require('./mapLoader');
-const { buildAdjacency, findRoute } = require('./router');
 
 const PORT = parseInt(process.env.PORT, 10) || 3001;
 const PROXIMITY_THRESHOLD_M = parseInt(process.env.PROXIMITY_THRESHOLD_METERS, 10) || 500;
 const TTI_THRESHOLD_SEC = parseInt(process.env.TTI_THRESHOLD_SECONDS, 10) || 20;
 const SMOOTHING_WINDOW = parseInt(process.env.VELOCITY_SMOOTHING_WINDOW, 10) || 5;
+const CONFLICT_WINDOW_SEC = parseInt(process.env.CONFLICT_WINDOW_SECONDS, 10) || 10;
+const ARBITRATION_HORIZON_SEC = parseInt(process.env.ARBITRATION_HORIZON_SECONDS, 10) || 120;
+const DEFAULT_CONTROLLER = process.env.DEFAULT_CONTROLLER || 'simulated';
+const NTCIP_BASE_URL = process.env.NTCIP_BASE_URL || null; // e.g. http://localhost:3161 (controllers/ntcipStandIn.js)
+const CONTROLLER_BINDINGS = parseBindings(process.env.CONTROLLER_BINDINGS); // "INT-MAIN:ntcip,INT-EAST:simulated"
+const MAX_HOLD_SEC = parseInt(process.env.MAX_HOLD_SECONDS, 10) || 60;
+const TELEMETRY_STALE_SEC = parseInt(process.env.TELEMETRY_STALE_SECONDS, 10) || 15;
+const RECOVERY_PLAN = parseRecoveryPlan(process.env.RECOVERY_PLAN ?? 'compensate:15'); // see recovery.js
+const OFF_ROUTE_DISTANCE_M = parseInt(process.env.OFF_ROUTE_DISTANCE_METERS, 10) || 50;
+const OFF_ROUTE_SEC = parseInt(process.env.OFF_ROUTE_SECONDS, 10) || 10;
+// Fixes older than this when they were sent were queued offline: replayed, never triggering (see sessions.replayTelemetry).
+const LATE_TELEMETRY_SEC = parseInt(process.env.LATE_TELEMETRY_SECONDS, 10) || 30;
+const MAX_TELEMETRY_BATCH = 500;
+const AUTH_MAX_SKEW_SEC = parseInt(process.env.AUTH_MAX_SKEW_SECONDS, 10) || 30;
+// Control-room signing key; a throwaway one is generated (and printed) for local runs
+const OPERATOR_TOKEN = process.env.OPERATOR_TOKEN || crypto.randomBytes(24).toString('hex');
 
 const app = express();
 const server = http.createServer(app);
 app.use(cors());
-app.use(express.json());
+// Keep the raw body: signatures are computed over the exact bytes sent
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
-const io = new Server(server, { cors: { origin: '*', methods: ['GET', 'POST'] } });
+const io = new Server(server, { cors: { origin: '*', methods: ['GET', 'POST', 'DELETE'] } });
 
-let corridorEngine = null; // { processTelemetry, setRoute }
+const auth = createAuth({ operatorToken: OPERATOR_TOKEN, maxSkewSec: AUTH_MAX_SKEW_SEC });
+io.use(auth.authenticateSocket);
+
+let sessions = null; // vehicleId → corridor session, see sessions.js
+let spatial = null;  // grid index over the loaded graph, see spatialIndex.js
+
+// Indexed lookups once the graph is loaded; mapLoader's full scan until then
+const nearestNode = (lat, lon) => (spatial ? spatial.nearestNode(lat, lon) : findNearestNode(lat, lon));
+
+// Controllers and the managed-intersection registry do not need the road graph
+const controllers = createControllerRegistry(io, {
+    defaultDriver: DEFAULT_CONTROLLER,
+    ntcipBaseUrl: NTCIP_BASE_URL,
+    bindings: CONTROLLER_BINDINGS,
+});
+const intersections = createIntersectionRegistry({ controllers });
+const recovery = createRecoveryPlanner(controllers, { plan: RECOVERY_PLAN });
+const trips = createTripLog();
+const analytics = createAnalytics({ trips, intersections });
+const hospitals = createHospitalRegistry();
+const hospitalFeed = createHospitalFeed(io, { hospitals });
+const junctionFeed = createJunctionFeed(io);
+// Unauthenticated /public namespace: io.use(auth.authenticateSocket) guards the main namespace only
+const publicAlerts = createPublicAlerts(io);
+const fleet = createFleetRegistry();
+const incidents = createIncidentRegistry();
+const fieldAlerts = createFieldAlertQueue();
+// Graph nodes the managed intersections sit on: these signals can be preempted, so cost little
+const MANAGED_SNAP_M = 30;
+const managedNodeIds = () => new Set(intersections.list({ enabled: true })
+    .map(ix => ({ ix, node: nearestNode(ix.lat, ix.lon) }))
+    .filter(({ ix, node }) => node && haversineM(ix.lat, ix.lon, node.lat, node.lon) <= MANAGED_SNAP_M)
+    .map(({ node }) => String(node.id)));
+const timeRouter = createTimeRouter({ getGraph, getIntersectionNodes, managedNodeIds });
+const routeBuilder = createRouteBuilder({ getGraph, findNearestNode: nearestNode, findRoute: timeRouter.findRoute, intersections, managedNodeIds });
+const dispatcher = createDispatcher({ fleet, getSessions: () => sessions, nearestNode, findRoute: timeRouter.findRoute });
+
+app.use('/auth', createAuthRoutes(auth));
+// Reading the registry is public (map layers); changing it or driving signals is not
+app.use('/intersections',
+    (req, res, next) => (req.method === 'GET' ? next() : auth.requireOperator(req, res, next)),
+    createIntersectionRoutes(intersections, io, controllers));
+// Trip records are the control room's to review
+app.use('/trips', auth.requireOperator, createTripRoutes(trips));
+app.use('/analytics', auth.requireOperator, createAnalyticsRoutes(analytics));
+app.use('/hospitals', createHospitalRoutes({ hospitals, auth, io, trips, feed: hospitalFeed, getSessions: () => sessions }));
+const incidentRoutes = createIncidentRoutes({ incidents, auth, io, trips, getSessions: () => sessions });
+app.use('/incidents', incidentRoutes.router);
+// Crews raise alerts over Socket.io (raise_alert below); the control room works the queue
+const fieldAlertRoutes = createFieldAlertRoutes({ alerts: fieldAlerts, fleet, io, trips, getSessions: () => sessions });
+app.use('/alerts', auth.requireOperator, fieldAlertRoutes.router);
+// Dispatch routes over the graph and starts corridors, so it waits for the engine to load
+app.use('/dispatch',
+    auth.requireOperator,
+    (_req, res, next) => (sessions ? next() : res.status(503).json({ error: 'Engine still loading' })),
+    createDispatchRoutes({
+        dispatcher, fleet, hospitals, incidents, io, trips,
+        notifyIncident: incidentRoutes.notify,
+        startCorridor: dispatchCorridor,
+    }));
 
 app.get('/health', (_req, res) => {
     res.json({
-        status: corridorEngine ? 'ready' : 'loading',
+        status: sessions ? 'ready' : 'loading',
         service: 'green-corridor-engine',
-        thresholds: { proximityM: PROXIMITY_THRESHOLD_M, ttiSec: TTI_THRESHOLD_SEC },
+        thresholds: {
+            proximityM: PROXIMITY_THRESHOLD_M,
+            ttiSec: TTI_THRESHOLD_SEC,
+            conflictWindowSec: CONFLICT_WINDOW_SEC,
+            maxHoldSec: MAX_HOLD_SEC,
+            telemetryStaleSec: TELEMETRY_STALE_SEC,
+            offRouteM: OFF_ROUTE_DISTANCE_M,
+            offRouteSec: OFF_ROUTE_SEC,
+        },
+        recoveryPlan: RECOVERY_PLAN,
+        routingProfiles: timeRouter.profiles,
+        publicAlerts: publicAlerts.stats(),
         timestamp: new Date().toISOString(),
     });
 });
 
-/**
- * POST /route
- * Find the road-network path and extract all intersections along it.
- */
-app.post('/route', (req, res) => {
-    if (!corridorEngine) return res.status(503).json({ error: 'Engine still loading' });
+// ── Route helpers (shared by /route and the alternatives endpoints) ──────────
 
+/** Waypoints from `waypoints`, or from srcLat/srcLon/dstLat/dstLon. Returns { waypoints } or { error }. */
+function parseWaypoints(body) {
     let waypointsCoords = [];
 
-    if (req.body.waypoints && Array.isArray(req.body.waypoints)) {
-        waypointsCoords = req.body.waypoints;
+    if (body.waypoints && Array.isArray(body.waypoints)) {
+        waypointsCoords = body.waypoints;
     } else {
-        const { srcLat, srcLon, dstLat, dstLon } = req.body;
+        const { srcLat, srcLon, dstLat, dstLon } = body;
         if ([srcLat, srcLon, dstLat, dstLon].some(v => v == null || isNaN(v))) {
-            return res.status(400).json({ error: 'Body must include waypoints array OR srcLat, srcLon, dstLat, dstLon' });
+            return { error: 'Body must include waypoints array OR srcLat, srcLon, dstLat, dstLon' };
         }
         waypointsCoords = [{ lat: srcLat, lon: srcLon }, { lat: dstLat, lon: dstLon }];
     }
 
-    if (waypointsCoords.length < 2) {
-        return res.status(400).json({ error: 'At least 2 waypoints are required' });
-    }
-
-    let totalDistanceM = 0;
-    let allIntersections = [];
-    let allWaypoints = [];
-    let totalNodesCount = 0;
-
-    for (let i = 0; i < waypointsCoords.length - 1; i++) {
-        const p1 = waypointsCoords[i];
-        const p2 = waypointsCoords[i + 1];
-
-        const srcNode = findNearestNode(p1.lat, p1.lon);
-        const dstNode = findNearestNode(p2.lat, p2.lon);
-
-        if (!srcNode || !dstNode) {
-            console.warn(`[route] No road nodes near ${p1.lat},${p1.lon} or ${p2.lat},${p2.lon}. Skipping graphml segment.`);
-            continue;
-        }
-
-        console.log(`[route leg ${i + 1}] src node ${srcNode.id} → dst node ${dstNode.id}`);
+    if (waypointsCoords.length < 2) return { error: 'At least 2 waypoints are required' };
+    return { waypoints: waypointsCoords };
+}
 
-        const route = findRoute(srcNode.id, dstNode.id);
-        if (!route) {
-            console.warn(`[route] No graphml path found between node ${srcNode.id} and ${dstNode.id}. Skipping segment.`);
-            continue;
-        }
-
-        totalDistanceM += route.distanceM;
-        allIntersections = allIntersections.concat(route.intersections);
+/** Cost profile: explicit, else the vehicle type's own (amb | fire | police), see timeRouter.js. */
+function routingProfile(body, vehicleId) {
+    const profile = body.profile || normalizeVehicleType(body.vehicleType, vehicleId);
+    if (!timeRouter.profiles.includes(profile)) {
+        return { error: `Unknown profile "${profile}" — one of ${timeRouter.profiles.join(', ')}` };
+    }
+    return { profile };
+}
 
-        if (i > 0 && allWaypoints.length > 0 && route.waypoints.length > 0) {
-            allWaypoints = allWaypoints.concat(route.waypoints.slice(1));
-        } else {
-            allWaypoints = allWaypoints.concat(route.waypoints);
-        }
-        totalNodesCount += route.path.length;
+/**
+ * Receiving hospital named in a /route body: { hospitalId } when usable,
+ * { error, status } when unknown or on diversion (unless overrideDiversion).
+ */
+function receivingHospital(body) {
+    if (!body.hospitalId) return { hospitalId: null };
+    const hospital = hospitals.get(body.hospitalId);
+    if (!hospital) return { error: `Unknown hospital "${body.hospitalId}"`, status: 400 };
+    if (hospital.diversion && body.overrideDiversion !== true) {
+        return { error: `${hospital.name} is on diversion — choose another hospital or set overrideDiversion`, status: 409 };
     }
+    return { hospitalId: hospital.id };
+}
 
-    // ── Merge graphml intersections + managed signal intersections ─────────────
-    const managedAsNodes = [
-        { id: 'INT-MAIN', lat: 26.8860, lon: 75.7880, highway: 'traffic_signals' },   // C-Scheme Area
-        { id: 'INT-NORTH', lat: 26.9350, lon: 75.7860, highway: 'traffic_signals' },   // Sindhi Camp
-        { id: 'INT-EAST', lat: 26.9124, lon: 75.8050, highway: 'traffic_signals' },   // Jaipur Junction
-    ];
+/** Load a built route into the vehicle's corridor, announce it, and return the response body. */
+function activateCorridor(vehicleId, route, destination, { criticality, vehicleType, hospitalId, positionSource }) {
+    const { distanceM: totalDistanceM, intersections: mergedIntersections, waypoints: allWaypoints } = route;
 
-    const graphmlIds = new Set(allIntersections.map(i => i.id));
-    const mergedIntersections = [
-        ...allIntersections,
-        ...managedAsNodes.filter(mi => !graphmlIds.has(mi.id)),
-    ];
+    // The replaced trip is over at its hospital, even when the new one heads there too
+    const previous = sessions.get(vehicleId);
+    hospitalFeed.ended(previous, 'REPLACED');
+    junctionFeed.ended(previous, 'REPLACED');
+    publicAlerts.ended(previous, 'REPLACED');
 
-    // Load merged intersections into the corridor engine
-    corridorEngine.setRoute(mergedIntersections);
+    // Load merged intersections into this vehicle's corridor
+    const session = sessions.start(vehicleId, mergedIntersections, {
+        distanceM: totalDistanceM,
+        durationSec: route.durationSec,
+        profile: route.profile,
+        waypoints: allWaypoints,
+        destination, // off-route re-routing aims here
+        criticality,
+        vehicleType,
+        hospitalId,
+        positionSource,
+    });
+    hospitalFeed.incoming(session);
 
     // Broadcast to dashboard
     io.to('dashboard').emit('route_set', {
+        vehicleId,
+        tripId: session.tripId,
+        vehicleType: session.vehicleType,
+        criticality: session.criticality,
+        hospitalId: session.hospitalId,
+        positionSource: session.positionSource,
         distanceM: totalDistanceM,
+        durationSec: route.durationSec,
+        profile: route.profile,
         intersectionCount: mergedIntersections.length,
         intersections: mergedIntersections,
     });
 
-    console.log(`[route total] Path: ${totalNodesCount} nodes | ${mergedIntersections.length} intersections (${allIntersections.length} graphml) | ${totalDistanceM.toFixed(0)} m`);
+    console.log(`[route total] ${vehicleId} | ${route.profile} | Path: ${route.nodeCount} nodes | ${mergedIntersections.length} intersections (${route.graphIntersectionCount} graphml) | ${totalDistanceM.toFixed(0)} m, ${Math.round(route.durationSec)} s`);
 
-    res.json({
+    return {
+        vehicleId,
+        tripId: session.tripId, // GET /trips/:id for the record
+        vehicleType: session.vehicleType,
+        criticality: session.criticality,
+        hospitalId: session.hospitalId,
         distanceM: parseFloat(totalDistanceM.toFixed(2)),
+        durationSec: Math.round(route.durationSec),
+        profile: route.profile,
         waypointCount: allWaypoints.length,
         intersectionCount: mergedIntersections.length,
         intersections: mergedIntersections,
         waypoints: allWaypoints,
+        geometry: route.geometry, // GeoJSON LineString of the full edge geometry
+        steps: route.steps,       // turn-by-turn, see directions.js
+    };
+}
+
+/**
+ * POST /route
+ * Find the road-network path and extract all intersections along it.
+ * The corridor is stored per vehicle, so concurrent vehicles keep their own.
+ */
+app.post('/route', auth.requireSigned(req => req.body.vehicleId || req.body.id), (req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
+
+    const vehicleId = req.body.vehicleId || req.body.id;
+    if (!vehicleId) return res.status(400).json({ error: 'vehicleId is required' });
+    const { criticality, vehicleType, positionSource } = req.body; // criticality and type are used for conflict arbitration
+
+    const { profile, error: profileError } = routingProfile(req.body, vehicleId);
+    if (profileError) return res.status(400).json({ error: profileError });
+    const { waypoints, error } = parseWaypoints(req.body);
+    if (error) return res.status(400).json({ error });
+    const { hospitalId, error: hospitalError, status } = receivingHospital(req.body);
+    if (hospitalError) return res.status(status).json({ error: hospitalError });
+
+    const route = routeBuilder.build(waypoints, { profile });
+    res.json(activateCorridor(vehicleId, route, waypoints[waypoints.length - 1], { criticality, vehicleType, hospitalId, positionSource }));
+});
+
+/** POST /dispatch's corridor: same checks and activation as POST /route, for waypoints it chose. */
+function dispatchCorridor(vehicleId, waypoints, body) {
+    const { profile, error: profileError } = routingProfile(body, vehicleId);
+    if (profileError) return { error: profileError, status: 400 };
+    const { hospitalId, error, status } = receivingHospital(body);
+    if (error) return { error, status };
+
+    const route = routeBuilder.build(waypoints, { profile });
+    const { criticality, vehicleType } = body;
+    return { corridor: activateCorridor(vehicleId, route, waypoints[waypoints.length - 1], { criticality, vehicleType, hospitalId }) };
+}
+
+// Alternatives wait here until the dispatcher activates one
+const ALTERNATIVES_TTL_MS = 10 * 60 * 1000;
+const alternativeCache = new Map(); // id → { vehicleId, route, destination, expiresAt }
+
+/**
+ * POST /route/alternatives
+ * Up to k distinct routes between the same waypoints, for the dispatcher to
+ * compare. Nothing is activated; see /route/alternatives/:id/activate.
+ */
+app.post('/route/alternatives', auth.requireSigned(req => req.body.vehicleId || req.body.id), (req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
+
+    const vehicleId = req.body.vehicleId || req.body.id;
+    if (!vehicleId) return res.status(400).json({ error: 'vehicleId is required' });
+    const { profile, error: profileError } = routingProfile(req.body, vehicleId);
+    if (profileError) return res.status(400).json({ error: profileError });
+    const { waypoints, error } = parseWaypoints(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const k = Math.min(5, Math.max(1, parseInt(req.body.k, 10) || 3));
+    const maxOverlap = Math.min(1, Math.max(0, parseFloat(req.body.maxOverlap) || 0.6));
+    const routes = routeBuilder.alternatives(waypoints, { profile, k, maxOverlap });
+
+    const now = Date.now();
+    alternativeCache.forEach((alt, id) => { if (alt.expiresAt < now) alternativeCache.delete(id); });
+    const expiresAt = now + ALTERNATIVES_TTL_MS;
+
+    const alternatives = routes.map((route, rank) => {
+        const id = crypto.randomBytes(6).toString('hex');
+        alternativeCache.set(id, { vehicleId, route, destination: waypoints[waypoints.length - 1], expiresAt });
+        return {
+            id,
+            rank: rank + 1,
+            profile: route.profile,
+            distanceM: Math.round(route.distanceM),
+            durationSec: Math.round(route.durationSec),
+            managedCount: route.managedCount,
+            unmanagedCount: route.unmanagedCount,
+            intersectionCount: route.intersections.length,
+            geometry: route.geometry,
+        };
     });
+
+    res.json({ count: alternatives.length, expiresAt: new Date(expiresAt).toISOString(), alternatives });
 });
 
-app.post('/telemetry', (req, res) => {
-    if (!corridorEngine) return res.status(503).json({ error: 'Engine still loading' });
+/**
+ * POST /route/alternatives/:id/activate
+ * Commit one alternative as the vehicle's corridor, exactly like POST /route.
+ */
+app.post('/route/alternatives/:id/activate', auth.requireSigned(req => req.body.vehicleId || req.body.id), (req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
+
+    const vehicleId = req.body.vehicleId || req.body.id;
+    if (!vehicleId) return res.status(400).json({ error: 'vehicleId is required' });
+    const alt = alternativeCache.get(req.params.id);
+    if (!alt || alt.expiresAt < Date.now()) {
+        return res.status(404).json({ error: `Alternative ${req.params.id} not found or expired — request alternatives again` });
+    }
+    // Computed from that vehicle's origin; another vehicle must ask for its own
+    if (alt.vehicleId !== vehicleId) {
+        return res.status(403).json({ error: `Alternative ${req.params.id} was computed for ${alt.vehicleId}, not ${vehicleId}` });
+    }
+
+    const { hospitalId, error: hospitalError, status } = receivingHospital(req.body);
+    if (hospitalError) return res.status(status).json({ error: hospitalError });
+
+    const { criticality, vehicleType } = req.body;
+    res.json(activateCorridor(vehicleId, alt.route, alt.destination, { criticality, vehicleType, hospitalId }));
+});
+
+/** A live fix: through the vehicle's corridor, then to the dashboard and the feeds. */
+function applyLiveFix(fix) {
+    // null when this vehicle has no active corridor — position is still relayed
+    const stats = sessions.processTelemetry(fix);
+    fleet.track(fix.id, fix); // last known position for dispatch
+
+    // ── Broadcast position to dashboard so ambulance marker updates ──
+    // The dashboard listens to 'fleet_update' to show/move ambulance markers.
+    io.to('dashboard').emit('fleet_update', {
+        id: fix.id,
+        lat: fix.lat,
+        lon: fix.lon,
+        timestamp: fix.timestamp,
+        speed: stats?.velocity ?? null,
+        snapped: stats?.snapped ?? null, // map-matched position on the route, null when off-route
+        positionSource: sessions.get(fix.id)?.positionSource ?? null, // SIMULATION marks a drill
+    });
+    const corridor = sessions.get(fix.id);
+    if (corridor) {
+        hospitalFeed.progress(corridor, corridor.lastStats);
+        junctionFeed.progress(corridor);
+        publicAlerts.progress(corridor);
+    }
+    return stats;
+}
+
+/**
+ * Age is taken at sending: the request's signing time (X-Timestamp, already
+ * held to AUTH_MAX_SKEW_SEC of ours) minus the fix's timestamp. Both come from
+ * the phone's clock, so a clock running behind does not make a fresh fix late
+ * and one running ahead does not make a queued fix fresh.
+ */
+const sentAt = req => Number(req.get('X-Timestamp')) || Date.now() / 1000;
+const isLate = (fix, req) => sentAt(req) - fix.timestamp > LATE_TELEMETRY_SEC;
+
+app.post('/telemetry', auth.requireSigned(req => req.body.id), (req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
 
     const { id, lat, lon, timestamp } = req.body;
 
@@ -144,25 +409,141 @@ app.post('/telemetry', (req, res) => {
     }
 
     try {
-        const stats = corridorEngine.processTelemetry({ id, lat, lon, timestamp });
+        const fix = { id, lat, lon, timestamp };
+        // A fix delivered late only moves the vehicle along; it triggers nothing
+        if (isLate(fix, req)) return res.json({ success: true, late: true, applied: sessions.replayTelemetry(fix) });
+        const stats = applyLiveFix(fix);
+        return res.json({ success: true, snapped: stats?.snapped ?? null, stats });
+    } catch (err) {
+        console.error('[/telemetry]', err.message);
+        return res.status(500).json({ error: err.message });
+    }
+});
 
-        // ── Broadcast position to dashboard so ambulance marker updates ──
-        // The dashboard listens to 'fleet_update' to show/move ambulance markers.
-        io.to('dashboard').emit('fleet_update', {
-            id,
-            lat,
-            lon,
-            timestamp,
-            speed: stats?.velocity ?? null,
-        });
+/**
+ * POST /telemetry/batch  { id, fixes: [{ seq, lat, lon, timestamp }] }
+ * Fixes the driver app queued while offline, flushed in order once it is
+ * back. Late ones are replayed (route progress, cleared junctions, trip
+ * record) without triggering anything; only a newest fix that is still
+ * fresh is handled live. Fixes not newer than the vehicle's last are
+ * duplicates of an earlier flush and are skipped. The response's lastSeq
+ * tells the app which outbox entries it may delete.
+ */
+app.post('/telemetry/batch', auth.requireSigned(req => req.body.id), (req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
+
+    const { id, fixes } = req.body;
+    if (!id || !Array.isArray(fixes) || !fixes.length) return res.status(400).json({ error: 'id and a non-empty fixes array required' });
+    if (fixes.length > MAX_TELEMETRY_BATCH) return res.status(413).json({ error: `At most ${MAX_TELEMETRY_BATCH} fixes per batch` });
+    const invalid = fixes.find(f => !Number.isInteger(f?.seq) || typeof f.lat !== 'number' || typeof f.lon !== 'number' || typeof f.timestamp !== 'number');
+    if (invalid) return res.status(400).json({ error: 'every fix needs an integer seq, numeric lat, lon and timestamp' });
 
-        return res.json({ success: true, stats });
+    try {
+        const ordered = fixes.slice().sort((a, b) => a.seq - b.seq);
+        const newest = ordered[ordered.length - 1];
+        let replayed = 0, skipped = 0, stats = null, latest = null;
+        ordered.forEach(f => {
+            const fix = { id, lat: f.lat, lon: f.lon, timestamp: f.timestamp };
+            if (f === newest && !isLate(fix, req)) { stats = applyLiveFix(fix); return; }
+            if (sessions.replayTelemetry(fix)) { replayed++; latest = fix; }
+            else skipped++;
+        });
+        // Dispatch and the dashboard map only need where the vehicle is now;
+        // without a corridor there is no trip to replay onto, only a position
+        if (!stats && !sessions.get(id)) latest = { id, lat: newest.lat, lon: newest.lon, timestamp: newest.timestamp };
+        if (!stats && latest) {
+            fleet.track(id, latest);
+            io.to('dashboard').emit('fleet_update', { ...latest, speed: null, snapped: sessions.get(id)?.match ?? null, positionSource: sessions.get(id)?.positionSource ?? null });
+        }
+        if (replayed) {
+            io.to('dashboard').emit('telemetry_backfilled', {
+                vehicleId: id,
+                count: replayed,
+                from: ordered[0].timestamp,
+                to: newest.timestamp,
+                tripId: sessions.get(id)?.tripId ?? null,
+            });
+            console.log(`[telemetry] ${id}: ${replayed} late fix(es) replayed${skipped ? `, ${skipped} skipped` : ''}`);
+        }
+        return res.json({ success: true, lastSeq: newest.seq, live: !!stats, replayed, skipped, stats });
     } catch (err) {
-        console.error('[/telemetry]', err.message);
+        console.error('[/telemetry/batch]', err.message);
         return res.status(500).json({ error: err.message });
     }
 });
 
+/**
+ * GET /corridors
+ * List every active per-vehicle corridor.
+ */
+app.get('/corridors', auth.requireOperator, (_req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
+    const corridors = sessions.list();
+    res.json({ count: corridors.length, corridors });
+});
+
+/**
+ * DELETE /corridors/:vehicleId  { reason? }
+ * End one vehicle's corridor without touching the others. The reason
+ * (ARRIVED, STOPPED, CANCELLED, ...) is kept on the trip record.
+ */
+app.delete('/corridors/:vehicleId', auth.requireSigned(req => req.params.vehicleId), (req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
+    const reason = String(req.body?.reason || 'ENDED').toUpperCase();
+    if (!/^[A-Z_]{1,32}$/.test(reason)) return res.status(400).json({ error: 'reason must be a word such as ARRIVED or STOPPED' });
+    const ended = sessions.end(req.params.vehicleId, reason);
+    if (!ended) return res.status(404).json({ error: `No active corridor for ${req.params.vehicleId}` });
+
+    io.to('dashboard').emit('corridor_ended', { vehicleId: ended.vehicleId, tripId: ended.tripId, reason });
+    hospitalFeed.ended(ended, reason);
+    junctionFeed.ended(ended, reason);
+    publicAlerts.ended(ended, reason);
+    console.log(`[corridor] ended for ${ended.vehicleId} (${reason})`);
+    res.json({ success: true, corridor: ended });
+});
+
+/**
+ * POST /corridors/:vehicleId/position-source  { source: SIMULATION | LIVE }
+ * The driver app says whether it is driving its route simulator (a drill) or
+ * following the phone's GPS, so the dashboard and the trip record can tell
+ * the two apart. Sent when a corridor starts and whenever the driver switches.
+ */
+app.post('/corridors/:vehicleId/position-source', auth.requireSigned(req => req.params.vehicleId), (req, res) => {
+    if (!sessions) return res.status(503).json({ error: 'Engine still loading' });
+    const source = normalizePositionSource(req.body?.source);
+    if (!source) return res.status(400).json({ error: 'source must be SIMULATION or LIVE' });
+    const session = sessions.get(req.params.vehicleId);
+    if (!session) return res.status(404).json({ error: `No active corridor for ${req.params.vehicleId}` });
+
+    const changed = session.positionSource !== source;
+    sessions.setPositionSource(session.vehicleId, source);
+    if (changed) {
+        io.to('dashboard').emit('position_source', { vehicleId: session.vehicleId, tripId: session.tripId, source });
+        console.log(`[corridor] ${session.vehicleId} now on ${source === 'LIVE' ? 'live GPS' : 'simulation'}`);
+    }
+    res.json({ success: true, vehicleId: session.vehicleId, positionSource: source });
+});
+
+/**
+ * GET /controllers
+ * Available controller drivers and intersection bindings.
+ */
+app.get('/controllers', (_req, res) => {
+    res.json({ default: DEFAULT_CONTROLLER, drivers: controllers.drivers(), bindings: controllers.bindings() });
+});
+
+/**
+ * GET /controllers/:intersectionId/state
+ * Current signal state as reported by the intersection's controller.
+ */
+app.get('/controllers/:intersectionId/state', async (req, res) => {
+    try {
+        const driver = controllers.driverFor(req.params.intersectionId);
+        const state = await controllers.getState(req.params.intersectionId);
+        res.json({ intersectionId: req.params.intersectionId, controller: driver.type, ...state });
+    } catch (e) { res.status(502).json({ error: e.message }); }
+});
+
 app.get('/map/nodes', (_req, res) => {
     const graph = getGraph();
     if (!graph) return res.status(503).json({ error: 'Map not loaded' });
@@ -170,7 +551,7 @@ app.get('/map/nodes', (_req, res) => {
 });
 
 app.get('/map/intersections', (_req, res) => {
-    try { res.json({ nodes: getIntersectionNodes() }); }
+    try { res.json({ nodes: getIntersectionNodes(), managed: intersections.list({ enabled: true }) }); }
     catch (e) { res.status(503).json({ error: e.message }); }
 });
 
@@ -178,39 +559,141 @@ app.get('/map/intersections/nearby', (req, res) => {
     const lat = parseFloat(req.query.lat), lon = parseFloat(req.query.lon);
     const radius = parseFloat(req.query.radius) || 1000;
     if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: 'lat and lon required' });
-    try {
-        const nearby = getIntersectionNodes().filter(n => {
-            const dLat = (n.lat - lat) * Math.PI / 180;
-            const dLon = (n.lon - lon) * Math.PI / 180;
-            const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat * Math.PI / 180) * Math.cos(n.lat * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
-            return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) <= radius;
-        });
-        res.json({ count: nearby.length, nodes: nearby });
-    } catch (e) { res.status(503).json({ error: e.message }); }
+    if (!spatial) return res.status(503).json({ error: 'Map not loaded' });
+    const nearby = spatial.intersectionsWithin(lat, lon, radius);
+    res.json({ count: nearby.length, nodes: nearby });
 });
 
 app.get('/map/nearest', (req, res) => {
     const lat = parseFloat(req.query.lat), lon = parseFloat(req.query.lon);
     if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: 'lat and lon required' });
-    res.json(findNearestNode(lat, lon) || { error: 'No node found' });
+    res.json(nearestNode(lat, lon) || { error: 'No node found' });
+});
+
+// Viewport queries larger than this are refused; zoom in instead
+const MAX_BBOX_DEG = 0.1;
+
+/**
+ * GET /map/bbox?minLat=&minLon=&maxLat=&maxLon=[&limit=]
+ * Nodes, edges (with geometry) and intersections inside a viewport, so the
+ * dashboard can load the network as the map moves instead of all at once.
+ */
+app.get('/map/bbox', (req, res) => {
+    const [minLat, minLon, maxLat, maxLon] = ['minLat', 'minLon', 'maxLat', 'maxLon'].map(k => parseFloat(req.query[k]));
+    if ([minLat, minLon, maxLat, maxLon].some(isNaN)) {
+        return res.status(400).json({ error: 'minLat, minLon, maxLat and maxLon required' });
+    }
+    if (minLat > maxLat || minLon > maxLon) return res.status(400).json({ error: 'min must not exceed max' });
+    if (maxLat - minLat > MAX_BBOX_DEG || maxLon - minLon > MAX_BBOX_DEG) {
+        return res.status(400).json({ error: `Viewport too large — at most ${MAX_BBOX_DEG}° per side` });
+    }
+    if (!spatial) return res.status(503).json({ error: 'Map not loaded' });
+
+    const limit = Math.min(20000, Math.max(1, parseInt(req.query.limit, 10) || 5000));
+    const box = { minLat, minLon, maxLat, maxLon };
+    const inside = ix => ix.lat >= minLat && ix.lat <= maxLat && ix.lon >= minLon && ix.lon <= maxLon;
+    res.json({
+        bbox: box,
+        ...spatial.bbox(box, { limit }),
+        managed: intersections.list({ enabled: true }).filter(inside),
+    });
 });
 
 io.on('connection', (socket) => {
-    console.log(`[WS] connected: ${socket.id}`);
+    const { role, vehicleId: ownId, hospitalId: ownHospital, intersectionId: ownJunction } = socket.data; // set by auth.authenticateSocket
+    const signedInAs = ownId || (ownHospital && `hospital ${ownHospital}`) || (ownJunction && `marshal at ${ownJunction}`) || role;
+    console.log(`[WS] connected: ${socket.id} (${signedInAs})`);
     
+    // The control room sees every vehicle, hospital alert and caller — operators only
     socket.on('join_dashboard', () => {
+        if (role !== 'operator') {
+            return socket.emit('auth_error', { error: `Signed in as ${signedInAs}, not the control room` });
+        }
         socket.join('dashboard');
         socket.emit('joined', { message: 'Connected to Green Corridor Engine' });
         console.log(`[WS] ${socket.id} joined dashboard`);
     });
+
+    // Driver apps join their own room for per-vehicle events (e.g. conflict holds)
+    socket.on('join_vehicle', data => {
+        if (!data?.id) return;
+        if (role !== 'operator' && !(role === 'vehicle' && data.id === ownId)) {
+            return socket.emit('auth_error', { error: `Signed in as ${signedInAs}, not ${data.id}` });
+        }
+        socket.join(`vehicle:${data.id}`);
+        console.log(`[WS] ${socket.id} joined vehicle:${data.id}`);
+    });
     
+    // Hospital pages join their own room for the pre-arrival feed (see hospitalFeed.js)
+    socket.on('join_hospital', data => {
+        if (!data?.id) return;
+        if (role !== 'operator' && !(role === 'hospital' && data.id === ownHospital)) {
+            return socket.emit('auth_error', { error: `Signed in as ${signedInAs}, not hospital ${data.id}` });
+        }
+        socket.join(hospitalFeed.room(data.id));
+        console.log(`[WS] ${socket.id} joined ${hospitalFeed.room(data.id)}`);
+    });
+
+    // Junction marshal pages join their intersection's room (see junctionFeed.js)
+    socket.on('join_intersection', data => {
+        if (!data?.id) return;
+        if (role !== 'operator' && !(role === 'marshal' && data.id === ownJunction)) {
+            return socket.emit('auth_error', { error: `Signed in as ${signedInAs}, not the marshal at ${data.id}` });
+        }
+        socket.join(junctionFeed.room(data.id));
+        socket.emit('approaching_snapshot', { intersectionId: data.id, vehicles: junctionFeed.snapshot(data.id) });
+        console.log(`[WS] ${socket.id} joined ${junctionFeed.room(data.id)}`);
+    });
+
+    // The marshal has cleared the junction box for an approaching vehicle; reply(result) is the socket.io ack
+    socket.on('box_cleared', (data, reply) => {
+        const respond = typeof reply === 'function' ? reply : () => {};
+        const intersectionId = role === 'marshal' ? ownJunction : role === 'operator' ? data?.intersectionId : null;
+        if (!intersectionId) return respond({ error: 'Only the junction marshal reports a cleared box' });
+        const approach = data?.vehicleId ? junctionFeed.approachOf(intersectionId, data.vehicleId) : null;
+        // A named vehicle must be one the junction actually sees coming, or anyone could be told their box is clear
+        if (data?.vehicleId && !approach) return respond({ error: `${data.vehicleId} is not approaching ${intersectionId}` });
+        const report = {
+            intersectionId,
+            name: approach?.name || intersections.get(intersectionId)?.name || null,
+            vehicleId: data?.vehicleId || null,
+            tripId: approach?.tripId || null,
+            by: role === 'marshal' ? `marshal:${ownJunction}` : 'operator',
+            note: data?.note ? String(data.note).slice(0, 200) : null,
+            timestamp: new Date().toISOString(),
+        };
+        if (report.tripId) trips.record(report.tripId, 'box_cleared', { intersectionId, by: report.by, note: report.note });
+
+        const rooms = ['dashboard', junctionFeed.room(intersectionId)];
+        if (report.vehicleId) rooms.push(`vehicle:${report.vehicleId}`);
+        io.to(rooms).emit('box_cleared', report);
+        console.log(`[marshal] box cleared at ${intersectionId}${report.vehicleId ? ` for ${report.vehicleId}` : ''}`);
+        respond({ report });
+    });
+
+    // Police request / emergency broadcast from a crew; reply(result) is the socket.io ack
+    socket.on('raise_alert', (data, reply) => {
+        const respond = typeof reply === 'function' ? reply : () => {};
+        const vehicleId = role === 'vehicle' ? ownId : role === 'operator' ? data?.vehicleId : null;
+        if (!vehicleId) return respond({ error: role === 'operator' ? 'vehicleId is required' : `${signedInAs} cannot raise field alerts` });
+        try { respond({ alert: fieldAlertRoutes.raise(vehicleId, data) }); }
+        catch (e) { respond({ error: e.message }); }
+    });
+
     // Relay mobile app route geometry to the dashboard
+    // A vehicle can only publish its own route; hospitals and marshals none
+    const asSender = data => (role === 'vehicle' ? { ...data, id: ownId } : role === 'operator' ? data : null);
+
     socket.on('set_fleet_route', data => {
-        io.to('dashboard').emit('fleet_route', data);
+        const route = asSender(data);
+        if (!route) return socket.emit('auth_error', { error: `${signedInAs} cannot publish fleet routes` });
+        io.to('dashboard').emit('fleet_route', route);
     });
     
     socket.on('clear_fleet_route', data => {
-        io.to('dashboard').emit('clear_fleet_route', data);
+        const route = asSender(data);
+        if (!route) return socket.emit('auth_error', { error: `${signedInAs} cannot clear fleet routes` });
+        io.to('dashboard').emit('clear_fleet_route', route);
     });
 
     socket.on('disconnect', () => console.log(`[WS] disconnected: ${socket.id}`));
@@ -218,19 +701,33 @@ io.on('connection', (socket) => {
 
 loadGraph()
     .then((graph) => {
-        buildAdjacency();
+        spatial = createSpatialIndex(graph, getIntersectionNodes());
+        timeRouter.prepare();
 
-        corridorEngine = createCorridorEngine(io, {
+        sessions = createSessionManager(io, {
             proximityThresholdM: PROXIMITY_THRESHOLD_M,
             ttiThresholdSec: TTI_THRESHOLD_SEC,
             smoothingWindow: SMOOTHING_WINDOW,
+        }, {
+            conflictWindowSec: CONFLICT_WINDOW_SEC,
+            arbitrationHorizonSec: ARBITRATION_HORIZON_SEC,
+            controllers,
+            recovery,
+            maxHoldSec: MAX_HOLD_SEC,
+            offRouteDistanceM: OFF_ROUTE_DISTANCE_M,
+            offRouteSec: OFF_ROUTE_SEC,
+            // Off-route: recompute from where the vehicle is to where it was going
+            reroute: (position, destination, opts) => routeBuilder.build([position, destination], opts),
+            trips,
         });
+        startTelemetryWatchdog(sessions, { staleSec: TELEMETRY_STALE_SEC });
 
         server.listen(PORT, () => {
             console.log(`[server] Green Corridor Engine → http://localhost:${PORT}`);
             console.log(`[server] Map: ${graph.nodes.size} nodes, ${graph.edges.length} edges`);
-            console.log(`[server] POST /route  to set the corridor`);
+            console.log(`[server] POST /route  to set a vehicle's corridor`);
             console.log(`[server] POST /telemetry  to move the ambulance`);
+            if (!process.env.OPERATOR_TOKEN) console.log(`[server] OPERATOR_TOKEN not set — this run's operator token: ${OPERATOR_TOKEN}`);
         });
     })
     .catch(err => {
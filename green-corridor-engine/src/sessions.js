@@ -0,0 +1,657 @@
+/**
+ * sessions.js
+ * Per-vehicle corridor sessions.
+ *
+ * Each active vehicle gets its own corridor engine instance, so its
+ * intersections, triggered set and velocity history never collide with
+ * another vehicle's corridor. The manager also arbitrates between corridors
+ * that need the same intersection at the same time (see arbitration.js) and
+ * forwards triggers to the intersection's signal controller (see controllers/),
+ * releasing each one once the vehicle has driven through it (see recovery.js).
+ * Fixes are snapped onto the route first (see mapMatcher.js), so distances to
+ * signals are measured along the route rather than as the crow flies; a
+ * vehicle that stays off its route is re-routed to its original destination.
+ * Each corridor is also recorded as a trip (see trips.js).
+ */
+
+const { createMapMatcher } = require('./mapMatcher');
+const { haversineM } = require('./geo');
+const { approachFor } = require('./approach');
+const { findConflicts, normalizeCriticality, normalizeVehicleType } = require('./arbitration');
+
+// Within this distance, a growing distance means the vehicle has cleared the junction
+const CLEAR_RADIUS_M = 40;
+// How far ahead of the last matched route index to search, so loops never jump back
+const ROUTE_SEARCH_WINDOW = 30;
+
+// Engine events that must not reach the dashboard while an intersection is held
+// or still too far away along the route
+const HELD_EVENTS = new Set(['priority_signal_change', 'signal_state_updated']);
+
+const eventIntersectionId = payload => payload?.intersectionId ?? payload?.id;
+
+// Where the driver app's fixes come from: its route simulator (a drill) or the phone's GPS
+const POSITION_SOURCES = new Set(['SIMULATION', 'LIVE']);
+const normalizePositionSource = value => {
+    const v = String(value || '').toUpperCase();
+    return POSITION_SOURCES.has(v) ? v : null;
+};
+
+/**
+ * Wraps the Socket.io server so every payload a vehicle's engine emits is
+ * tagged with that vehicle's id before it reaches the dashboard. Trigger
+ * events that `shouldDefer` withholds are parked in session.deferred instead;
+ * the rest are handed to `onEmit` so they can reach the signal controller.
+ */
+function createTaggedEmitter(io, session, onEmit, shouldDefer) {
+    const { vehicleId } = session;
+    const tag = payload => (payload && typeof payload === 'object' && !Array.isArray(payload))
+        ? { ...payload, vehicleId }
+        : payload;
+
+    // The dashboard room is the control room only; the vehicle's own events go to its room too
+    const roomsFor = room => (room === 'dashboard' ? ['dashboard', `vehicle:${vehicleId}`] : room);
+
+    const send = (target, event, payload) => {
+        const intersectionId = eventIntersectionId(payload);
+        // A junction the vehicle has driven through never turns green for it again
+        if (HELD_EVENTS.has(event) && session.cleared.has(intersectionId)) return;
+        if (HELD_EVENTS.has(event) && shouldDefer(session, intersectionId)) {
+            session.deferred.set(`${event}|${intersectionId}`, { room: target.room && roomsFor(target.room), event, intersectionId, payload: tag(payload) });
+            return;
+        }
+        (target.room ? io.to(roomsFor(target.room)) : io).emit(event, tag(payload));
+        onEmit(session, event, payload);
+    };
+
+    return {
+        emit: (event, payload) => send({}, event, payload),
+        to: room => ({ emit: (event, payload) => send({ room }, event, payload) }),
+    };
+}
+
+function createSessionManager(io, engineOptions, options = {}) {
+    const sessions = new Map();  // vehicleId → session
+    // Corridors can share a junction, so it is only handed back once the last of them lets go
+    const holders = new Map();   // intersectionId → Map(vehicleId → session) holding a preempt there
+    const decisions = new Map(); // `${intersectionId}|${loserId}` → decision
+    const arbitration = {
+        windowSec: options.conflictWindowSec ?? 10,
+        horizonSec: options.arbitrationHorizonSec ?? 120,
+    };
+    const controllers = options.controllers || null;
+    const recovery = options.recovery || null;
+    const maxHoldSec = options.maxHoldSec ?? 60;
+    // Suspended preemptions closer than this are re-requested when telemetry resumes
+    const resumeRadiusM = engineOptions?.proximityThresholdM ?? 500;
+    // Along-route trigger limits; the engine itself only sees straight-line distance
+    const triggerRadiusM = engineOptions?.proximityThresholdM ?? 500;
+    const triggerTtiSec = engineOptions?.ttiThresholdSec ?? 20;
+    // Off-route = snapped further than this from the route for at least offRouteSec
+    const offRouteDistanceM = options.offRouteDistanceM ?? 50;
+    const offRouteSec = options.offRouteSec ?? 10;
+    const rerouteFn = options.reroute || null; // (position, destination, { profile }) → route, see routeBuilder.js
+    const trips = options.trips || null;       // trip log, see trips.js
+    // (emitter, engineOptions) → corridor engine; tests pass a stand-in
+    const createEngine = options.createEngine || ((emitter, opts) => require('./corridor').createCorridorEngine(emitter, opts));
+
+    const record = (session, type, data) => trips?.record(session.tripId, type, data);
+
+    const createMatcher = waypoints => (waypoints?.length >= 2
+        ? createMapMatcher(waypoints, { candidateRadiusM: Math.max(60, offRouteDistanceM) })
+        : null);
+
+    function summarize(session) {
+        return {
+            vehicleId: session.vehicleId,
+            tripId: session.tripId,
+            vehicleType: session.vehicleType,
+            criticality: session.criticality,
+            status: session.status,
+            startedAt: session.startedAt,
+            lastTelemetryAt: session.lastTelemetryAt,
+            distanceM: session.distanceM,
+            durationSec: session.durationSec,
+            profile: session.profile,
+            hospitalId: session.hospitalId,
+            positionSource: session.positionSource,
+            intersectionCount: session.intersections.length,
+            intersections: session.intersections,
+            reroutes: session.reroutes,
+            holds: Array.from(session.holds.values()),
+            preempted: Array.from(session.preempted.values()),
+            cleared: Array.from(session.cleared),
+            lastStats: session.lastStats,
+        };
+    }
+
+    /** Metres still to drive along the route to an intersection (negative once past), or null unmatched. */
+    function alongRouteM(session, ix) {
+        if (!session.match || ix.routeIndex == null) return null;
+        return session.matcher.offsetAt(ix.routeIndex) - session.match.offsetM;
+    }
+
+    /**
+     * Trigger events wait while the vehicle is holding for another corridor,
+     * or while the intersection is still beyond the trigger limits along the
+     * route (a straight line can cut across a bend or a parallel street).
+     */
+    function shouldDefer(session, intersectionId) {
+        if (session.holds.has(intersectionId)) return true;
+        const along = session.routeDistances.get(intersectionId);
+        if (along == null) return false;
+        if (along > triggerRadiusM) return true;
+        return session.speedMps > 0 && along / session.speedMps > triggerTtiSec;
+    }
+
+    /** Send the deferred events that are no longer withheld. */
+    function flushDeferred(session) {
+        session.deferred.forEach((ev, key) => {
+            if (session.cleared.has(ev.intersectionId)) { session.deferred.delete(key); return; }
+            if (shouldDefer(session, ev.intersectionId)) return;
+            session.deferred.delete(key);
+            (ev.room ? io.to(ev.room) : io).emit(ev.event, ev.payload);
+            onEngineEvent(session, ev.event, ev.payload);
+        });
+    }
+
+    /** Engine trigger → preempt request on the intersection's controller. */
+    function onEngineEvent(session, event, payload) {
+        if (event !== 'priority_signal_change' || !controllers) return;
+        const intersectionId = payload?.intersectionId;
+        const ix = session.intersections.find(i => i.id === intersectionId);
+        if (!ix || session.preempted.has(intersectionId) || session.cleared.has(intersectionId)) return;
+
+        // Only the approach the route enters on goes green; every other leg holds HARD_RED
+        const approach = approachFor(ix, session.position);
+        recovery?.cancel(intersectionId);
+        session.preempted.set(intersectionId, { intersectionId, approach, requestedAt: new Date().toISOString() });
+        if (!holders.has(intersectionId)) holders.set(intersectionId, new Map());
+        holders.get(intersectionId).set(session.vehicleId, session);
+        const along = session.routeDistances.get(intersectionId);
+        record(session, 'signal_trigger', {
+            intersectionId,
+            name: ix.name,
+            approach,
+            distanceToSignalM: Math.round(along ?? session.distances.get(intersectionId) ?? 0),
+            ttiSeconds: along != null && session.speedMps > 0 ? Math.round((along / session.speedMps) * 10) / 10 : null,
+            speedKmh: Math.round(session.speedMps * 3.6),
+        });
+        controllers.requestPreempt({ intersectionId, vehicleId: session.vehicleId, approach, approaches: ix.approaches })
+            .catch(err => console.error(`[preempt] ${intersectionId}:`, err.message));
+
+        // Hard ceiling on how long one vehicle may hold the junction
+        const holdSec = ix.maxHoldSec ?? maxHoldSec;
+        session.holdTimers.set(intersectionId, setTimeout(() => releasePreempt(session, ix, 'MAX_HOLD'), holdSec * 1000));
+    }
+
+    /**
+     * Hand a preempted intersection back: release, then the recovery plan.
+     * While another corridor still holds the junction, its approach is
+     * requested again instead and nothing is released.
+     * reason: PASSED | MAX_HOLD | CORRIDOR_ENDED | TELEMETRY_LOST | REROUTED
+     */
+    function releasePreempt(session, ix, reason) {
+        const preempt = session.preempted.get(ix.id);
+        if (!preempt) return;
+        session.preempted.delete(ix.id);
+        clearTimeout(session.holdTimers.get(ix.id));
+        session.holdTimers.delete(ix.id);
+
+        const others = holders.get(ix.id);
+        others?.delete(session.vehicleId);
+        const next = others?.size ? others.values().next().value : null;
+        if (next) {
+            const held = next.preempted.get(ix.id);
+            controllers.requestPreempt({ intersectionId: ix.id, vehicleId: next.vehicleId, approach: held.approach, approaches: ix.approaches })
+                .catch(err => console.error(`[preempt] ${ix.id}:`, err.message));
+        } else {
+            holders.delete(ix.id);
+            const args = { intersectionId: ix.id, vehicleId: session.vehicleId, approach: preempt.approach, approaches: ix.approaches };
+            const done = recovery ? recovery.run(args) : controllers.release(args);
+            done.catch(err => console.error(`[recovery] ${ix.id}:`, err.message));
+        }
+
+        record(session, 'signal_released', { intersectionId: ix.id, approach: preempt.approach, reason, stillHeldBy: next?.vehicleId ?? null });
+        toVehicles(session.vehicleId).emit('intersection_released', {
+            intersectionId: ix.id,
+            name: ix.name,
+            vehicleId: session.vehicleId,
+            approach: preempt.approach,
+            reason,
+            heldSec: Math.round((Date.now() - Date.parse(preempt.requestedAt)) / 1000),
+            stillHeldBy: next?.vehicleId ?? null, // another corridor keeps the junction; no recovery yet
+            recovery: recovery && !next ? recovery.plan : [],
+            timestamp: new Date().toISOString(),
+        });
+        console.log(`[release] ${ix.id} for ${session.vehicleId} (${reason})${next ? ` — still held by ${next.vehicleId}` : ''}`);
+    }
+
+    function releaseAll(session, reason) {
+        if (!controllers) return;
+        session.intersections
+            .filter(ix => session.preempted.has(ix.id))
+            .forEach(ix => releasePreempt(session, ix, reason));
+    }
+
+    /** Route progress: nearest waypoint, searching forward from the last match. */
+    function advanceRouteIndex(session, fix) {
+        const wps = session.waypoints;
+        if (!wps.length) return;
+        let best = session.routeIndex, bestD = Infinity;
+        const end = Math.min(wps.length, session.routeIndex + ROUTE_SEARCH_WINDOW);
+        for (let i = session.routeIndex; i < end; i++) {
+            const d = haversineM(fix.lat, fix.lon, wps[i].lat, wps[i].lon);
+            if (d < bestD) { bestD = d; best = i; }
+        }
+        session.routeIndex = best;
+    }
+
+    const toVehicles = (...ids) => ids.reduce((target, id) => target.to(`vehicle:${id}`), io.to('dashboard'));
+
+    /**
+     * Start (or replace) the corridor for one vehicle. Replacing a vehicle's
+     * own corridor is allowed; other vehicles' corridors are untouched.
+     */
+    function start(vehicleId, intersections, meta = {}) {
+        if (sessions.has(vehicleId)) end(vehicleId, 'REPLACED');
+
+        const session = {
+            vehicleId,
+            vehicleType: normalizeVehicleType(meta.vehicleType, vehicleId),
+            criticality: normalizeCriticality(meta.criticality),
+            intersections,
+            distanceM: meta.distanceM ?? null,
+            durationSec: meta.durationSec ?? null,
+            profile: meta.profile || null, // routing cost profile, reused when re-routing
+            waypoints: meta.waypoints || [],
+            routeIndex: 0,
+            matcher: createMatcher(meta.waypoints),
+            match: null,          // last snapped position, see mapMatcher.js
+            destination: meta.destination || (meta.waypoints || []).slice(-1)[0] || null,
+            hospitalId: meta.hospitalId || null, // receiving hospital, see hospitals.js
+            positionSource: normalizePositionSource(meta.positionSource), // SIMULATION | LIVE, null until the app says
+            offRoute: null,       // { since } — fix timestamp the vehicle first left the route
+            reroutes: 0,
+            startedAt: new Date().toISOString(),
+            status: 'ACTIVE',     // ACTIVE | STALE (telemetry watchdog)
+            lastTelemetryAt: null,
+            lastStats: null,
+            position: null,
+            lastFix: null,
+            speedMps: 0,
+            distances: new Map(), // intersectionId → last straight-line distance (m)
+            routeDistances: new Map(), // intersectionId → distance along the route (m)
+            cleared: new Set(),   // intersections the vehicle has driven through
+            holds: new Map(),     // intersectionId → decision the vehicle lost
+            deferred: new Map(),  // engine events withheld while holding
+            preempted: new Map(), // intersectionId → preempt request sent to its controller
+            holdTimers: new Map(), // intersectionId → max-hold timeout
+            suspended: new Set(),  // preemptions released while telemetry was lost
+        };
+        session.engine = createEngine(createTaggedEmitter(io, session, onEngineEvent, shouldDefer), engineOptions);
+        session.engine.setRoute(intersections);
+        session.tripId = trips ? trips.begin({
+            ...meta,
+            vehicleId,
+            vehicleType: session.vehicleType,
+            criticality: session.criticality,
+            positionSource: session.positionSource,
+            intersections,
+            destination: session.destination,
+        }) : null;
+
+        sessions.set(vehicleId, session);
+        return session;
+    }
+
+    function get(vehicleId) {
+        return sessions.get(vehicleId) || null;
+    }
+
+    function list() {
+        return Array.from(sessions.values()).map(summarize);
+    }
+
+    /** reason is kept on the trip record: ARRIVED, STOPPED, CANCELLED, REPLACED, ... */
+    function end(vehicleId, reason = 'ENDED') {
+        const session = sessions.get(vehicleId);
+        if (!session) return null;
+        sessions.delete(vehicleId);
+        releaseAll(session, 'CORRIDOR_ENDED');
+        arbitrate(); // anyone held behind this vehicle can go now
+        trips?.finish(session.tripId, reason, { cleared: Array.from(session.cleared) });
+        return summarize(session);
+    }
+
+    function trackPosition(session, fix) {
+        if (session.lastFix && fix.timestamp > session.lastFix.timestamp) {
+            const d = haversineM(session.lastFix.lat, session.lastFix.lon, fix.lat, fix.lon);
+            session.speedMps = d / (fix.timestamp - session.lastFix.timestamp);
+        }
+        session.lastFix = fix;
+
+        // Snap onto the route; off-route fixes (no edge nearby) are used raw
+        session.match = session.matcher ? session.matcher.match(fix) : null;
+        const pos = session.match || fix;
+        session.position = { lat: pos.lat, lon: pos.lon };
+        if (session.match) session.routeIndex = session.match.segmentIndex;
+        else advanceRouteIndex(session, fix);
+
+        // Cleared = distance growing right after the junction, or route progress past its node
+        session.intersections.forEach(ix => {
+            const d = haversineM(pos.lat, pos.lon, ix.lat, ix.lon);
+            const along = alongRouteM(session, ix);
+            const prev = session.distances.get(ix.id);
+            const movingAway = prev != null && prev < CLEAR_RADIUS_M && d > prev;
+            const pastNode = along != null
+                ? along < -CLEAR_RADIUS_M / 2
+                : ix.routeIndex != null && session.routeIndex > ix.routeIndex && d > CLEAR_RADIUS_M / 2;
+            session.distances.set(ix.id, d);
+            if (along == null) session.routeDistances.delete(ix.id);
+            else session.routeDistances.set(ix.id, along);
+            if (session.cleared.has(ix.id) || !(movingAway || pastNode)) return;
+
+            session.cleared.add(ix.id);
+            releasePreempt(session, ix, 'PASSED');
+        });
+    }
+
+    /** True once the vehicle has been off its route for long enough to re-route. */
+    function isOffRoute(session, fix) {
+        if (!session.matcher || !rerouteFn || !session.destination) return false;
+        const offBy = session.match ? session.match.offRouteM : Infinity;
+        if (offBy <= offRouteDistanceM) { session.offRoute = null; return false; }
+        if (!session.offRoute) session.offRoute = { since: fix.timestamp };
+        return fix.timestamp - session.offRoute.since >= offRouteSec;
+    }
+
+    /**
+     * Recompute the corridor from the vehicle's position to its destination
+     * and swap it in. Signals only on the abandoned route are released.
+     */
+    function reroute(session, fix) {
+        session.offRoute = null;
+        let route = null;
+        try { route = rerouteFn({ lat: fix.lat, lon: fix.lon }, session.destination, { profile: session.profile }); }
+        catch (err) { console.error(`[reroute] ${session.vehicleId}:`, err.message); }
+        if (!route || route.waypoints.length < 2) {
+            console.warn(`[reroute] ${session.vehicleId}: no path to destination — keeping the current corridor`);
+            return false;
+        }
+
+        const kept = new Set(route.intersections.map(ix => ix.id));
+        session.intersections
+            .filter(ix => !kept.has(ix.id))
+            .forEach(ix => releasePreempt(session, ix, 'REROUTED'));
+        session.deferred.forEach((ev, key) => { if (!kept.has(ev.intersectionId)) session.deferred.delete(key); });
+        decisions.forEach((decision, key) => {
+            if (kept.has(decision.intersectionId)) return;
+            if (decision.loser.vehicleId === session.vehicleId) {
+                decisions.delete(key);
+                session.holds.delete(decision.intersectionId);
+            } else if (decision.winner.vehicleId === session.vehicleId) {
+                releaseHold(decision); // the other vehicle no longer waits for us here
+            }
+        });
+
+        session.intersections = route.intersections;
+        session.waypoints = route.waypoints;
+        session.distanceM = route.distanceM;
+        session.durationSec = route.durationSec;
+        session.routeIndex = 0;
+        session.matcher = createMatcher(route.waypoints);
+        session.match = null;
+        session.routeDistances.clear();
+        session.reroutes += 1;
+        session.engine.setRoute(route.intersections);
+        record(session, 'rerouted', {
+            from: { lat: fix.lat, lon: fix.lon },
+            distanceM: Math.round(route.distanceM),
+            durationSec: Math.round(route.durationSec),
+            intersections: route.intersections.map(ix => ix.id),
+            route: route.waypoints.map(w => [w.lat, w.lon]),
+        });
+
+        toVehicles(session.vehicleId).emit('route_set', {
+            vehicleId: session.vehicleId,
+            vehicleType: session.vehicleType,
+            criticality: session.criticality,
+            distanceM: route.distanceM,
+            durationSec: route.durationSec,
+            profile: session.profile,
+            intersectionCount: route.intersections.length,
+            intersections: route.intersections,
+            waypoints: route.waypoints,
+            geometry: route.geometry,
+            steps: route.steps,
+            rerouted: true,
+        });
+        io.to('dashboard').emit('fleet_route', {
+            id: session.vehicleId,
+            route: route.geometry.coordinates.map(([lon, lat]) => ({ lat, lon })),
+        });
+        console.log(`[reroute] ${session.vehicleId} left its route — ${route.intersections.length} intersections, ${route.distanceM.toFixed(0)} m to destination`);
+        return true;
+    }
+
+    function releaseHold(decision) {
+        const key = `${decision.intersectionId}|${decision.loser.vehicleId}`;
+        decisions.delete(key);
+
+        const loser = sessions.get(decision.loser.vehicleId);
+        if (loser) {
+            loser.holds.delete(decision.intersectionId);
+            // Replay whatever the engine wanted to send while the vehicle was holding
+            flushDeferred(loser);
+        }
+
+        toVehicles(decision.winner.vehicleId, decision.loser.vehicleId).emit('conflict_released', {
+            intersectionId: decision.intersectionId,
+            vehicleId: decision.loser.vehicleId,
+            clearedBy: decision.winner.vehicleId,
+            timestamp: new Date().toISOString(),
+        });
+        console.log(`[arbitration] ${decision.loser.vehicleId} released at ${decision.intersectionId}`);
+    }
+
+    /** Resolve new conflicts and release holds whose winner has gone through or gone silent. */
+    function arbitrate() {
+        decisions.forEach((decision, key) => {
+            if (!sessions.has(decision.loser.vehicleId)) { decisions.delete(key); return; }
+            const winner = sessions.get(decision.winner.vehicleId);
+            // A winner gone silent may never arrive; nobody waits behind it
+            if (!winner || winner.status === 'STALE' || winner.cleared.has(decision.intersectionId)) releaseHold(decision);
+        });
+
+        findConflicts(Array.from(sessions.values()).filter(s => s.status !== 'STALE'), arbitration).forEach(result => {
+            const { intersectionId, winner, loser } = result;
+            // Decisions stick until the winner clears — never flip mid-approach
+            if (decisions.has(`${intersectionId}|${loser.vehicleId}`) ||
+                decisions.has(`${intersectionId}|${winner.vehicleId}`)) return;
+
+            const decision = { ...result, decidedAt: new Date().toISOString() };
+            decisions.set(`${intersectionId}|${loser.vehicleId}`, decision);
+            sessions.get(loser.vehicleId).holds.set(intersectionId, {
+                intersectionId,
+                state: 'HOLD',
+                heldFor: winner.vehicleId,
+                reason: result.reason,
+            });
+
+            [winner, loser].forEach(v => record(sessions.get(v.vehicleId), 'conflict', {
+                intersectionId, winner: winner.vehicleId, loser: loser.vehicleId, reason: result.reason,
+            }));
+            toVehicles(winner.vehicleId, loser.vehicleId).emit('conflict_resolved', decision);
+            console.log(`[arbitration] ${intersectionId}: ${winner.vehicleId} before ${loser.vehicleId} — ${result.reason}`);
+        });
+    }
+
+    /**
+     * Telemetry went silent: release the vehicle's held greens so cross
+     * traffic is not blocked by a phone that lost signal. Called by the watchdog.
+     */
+    function suspend(vehicleId, silentSec) {
+        const session = sessions.get(vehicleId);
+        if (!session || session.status === 'STALE') return null;
+
+        session.status = 'STALE';
+        session.preempted.forEach((_, intersectionId) => session.suspended.add(intersectionId));
+        releaseAll(session, 'TELEMETRY_LOST');
+        arbitrate(); // anyone held behind this vehicle can go now
+        record(session, 'telemetry_lost', { silentSec: Math.round(silentSec), suspended: Array.from(session.suspended) });
+
+        toVehicles(vehicleId).emit('vehicle_stale', {
+            vehicleId,
+            lastTelemetryAt: session.lastTelemetryAt,
+            silentSec: Math.round(silentSec),
+            suspended: Array.from(session.suspended),
+            timestamp: new Date().toISOString(),
+        });
+        console.warn(`[watchdog] ${vehicleId} STALE after ${Math.round(silentSec)}s — ${session.suspended.size} preemption(s) suspended`);
+        return summarize(session);
+    }
+
+    /** First fix after a silence: back to ACTIVE and re-request what is still ahead. */
+    function resume(session) {
+        session.status = 'ACTIVE';
+        const resumed = [];
+        session.suspended.forEach(intersectionId => {
+            const ix = session.intersections.find(i => i.id === intersectionId);
+            if (!ix || session.cleared.has(intersectionId)) return;
+            if ((session.distances.get(intersectionId) ?? Infinity) > resumeRadiusM) return;
+            onEngineEvent(session, 'priority_signal_change', { intersectionId });
+            resumed.push(intersectionId);
+        });
+        session.suspended.clear();
+        record(session, 'telemetry_resumed', { resumed });
+
+        toVehicles(session.vehicleId).emit('vehicle_resumed', {
+            vehicleId: session.vehicleId,
+            resumed,
+            timestamp: new Date().toISOString(),
+        });
+        console.log(`[watchdog] ${session.vehicleId} telemetry resumed — ${resumed.length} preemption(s) re-requested`);
+    }
+
+    /**
+     * Run a telemetry fix through the vehicle's own corridor.
+     * Returns null when the vehicle has no active corridor.
+     */
+    function processTelemetry(fix) {
+        const session = sessions.get(fix.id);
+        if (!session) return null;
+
+        // Position first, so triggers fired inside the engine see this fix
+        trackPosition(session, fix);
+        if (isOffRoute(session, fix) && reroute(session, fix)) trackPosition(session, fix);
+        const stats = session.engine.processTelemetry(session.match ? { ...fix, lat: session.match.lat, lon: session.match.lon } : fix);
+        if (typeof stats?.velocityKmh === 'number') session.speedMps = stats.velocityKmh / 3.6;
+        flushDeferred(session);
+        arbitrate();
+        if (session.status === 'STALE') resume(session);
+
+        session.lastTelemetryAt = new Date().toISOString();
+        session.lastStats = stats ? {
+            ...stats,
+            ...alongRouteStats(session),
+            ...destinationStats(session),
+            vehicleId: fix.id,
+            snapped: session.match,
+            // Held or not-yet-reached intersections are not green for this vehicle yet
+            signalEvents: (stats.signalEvents || [])
+                .filter(ev => !shouldDefer(session, ev.intersectionId))
+                .map(ev => (session.routeDistances.has(ev.intersectionId)
+                    ? { ...ev, distanceToSignalM: Math.round(session.routeDistances.get(ev.intersectionId)) }
+                    : ev)),
+            holds: Array.from(session.holds.values()),
+        } : null;
+        record(session, 'telemetry', {
+            lat: fix.lat,
+            lon: fix.lon,
+            timestamp: fix.timestamp,
+            snapped: session.match ? { lat: session.match.lat, lon: session.match.lon, offsetM: session.match.offsetM } : null,
+            speedKmh: Math.round(session.speedMps * 36) / 10,
+            nextIntersectionId: session.lastStats?.nextIntersectionId ?? null,
+            distanceToSignalM: session.lastStats?.distanceToSignalM ?? null,
+            ttiSeconds: session.lastStats?.ttiSeconds ?? null,
+        });
+        return session.lastStats;
+    }
+
+    /**
+     * A fix that arrives late — queued by the driver app while offline. It
+     * moves the vehicle along its route (so junctions it drove through are
+     * cleared and released) and goes on the trip record, but never reaches the
+     * corridor engine, so it cannot trigger a signal. Fixes from before the
+     * corridor started, or not newer than the last fix, are ignored.
+     * @returns {boolean} whether the fix was applied
+     */
+    function replayTelemetry(fix) {
+        const session = sessions.get(fix.id);
+        if (!session) return false;
+        if (fix.timestamp * 1000 < Date.parse(session.startedAt)) return false;
+        if (session.lastFix && fix.timestamp <= session.lastFix.timestamp) return false;
+
+        trackPosition(session, fix);
+        record(session, 'telemetry', {
+            lat: fix.lat,
+            lon: fix.lon,
+            timestamp: fix.timestamp,
+            snapped: session.match ? { lat: session.match.lat, lon: session.match.lon, offsetM: session.match.offsetM } : null,
+            speedKmh: Math.round(session.speedMps * 36) / 10,
+            late: true,
+        });
+        return true;
+    }
+
+    /**
+     * The driver app switched between its simulator and real GPS. Recorded on
+     * the trip so drills can be told apart from real calls afterwards.
+     * @returns {object|null} the session, null when there is none
+     */
+    function setPositionSource(vehicleId, source) {
+        const session = sessions.get(vehicleId);
+        const normalized = normalizePositionSource(source);
+        if (!session || !normalized) return null;
+        if (session.positionSource !== normalized) {
+            session.positionSource = normalized;
+            record(session, 'position_source', { source: normalized });
+        }
+        return session;
+    }
+
+    /** Distance and TTI to the next uncleared intersection, measured along the route. */
+    function alongRouteStats(session) {
+        let next = null;
+        session.routeDistances.forEach((along, intersectionId) => {
+            if (along < 0 || session.cleared.has(intersectionId)) return;
+            if (!next || along < next.along) next = { intersectionId, along };
+        });
+        if (!next) return {};
+        return {
+            nextIntersectionId: next.intersectionId,
+            distanceToSignalM: Math.round(next.along),
+            ttiSeconds: session.speedMps > 0 ? Math.round((next.along / session.speedMps) * 10) / 10 : null,
+        };
+    }
+
+    /** Distance left to the destination and the ETA for it (planned pace until the vehicle moves). */
+    function destinationStats(session) {
+        const remainingM = session.match
+            ? Math.max(0, session.matcher.lengthM - session.match.offsetM)
+            : session.destination && session.position
+                ? haversineM(session.position.lat, session.position.lon, session.destination.lat, session.destination.lon)
+                : null;
+        if (remainingM == null) return {};
+        const totalM = session.matcher?.lengthM || session.distanceM;
+        const etaSec = session.speedMps > 1 ? remainingM / session.speedMps
+            : session.durationSec && totalM ? session.durationSec * (remainingM / totalM)
+            : null;
+        return { remainingM: Math.round(remainingM), etaSec: etaSec == null ? null : Math.round(etaSec) };
+    }
+
+    return { start, get, list, end, processTelemetry, replayTelemetry, setPositionSource, suspend, summarize };
+}
+
+module.exports = { createSessionManager, normalizePositionSource };
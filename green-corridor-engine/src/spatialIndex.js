@@ -0,0 +1,152 @@
+/**
+ * spatialIndex.js
+ * Grid index over the road graph for nearest-node, radius and viewport queries.
+ *
+ * Nodes, intersection nodes and edges are bucketed into fixed lat/lon cells
+ * once after loadGraph; queries only touch the cells they overlap instead of
+ * scanning the whole city.
+ */
+
+const { haversineM } = require('./geo');
+const { parseLineString, firstTagValue } = require('./graphIndex');
+
+const DEFAULT_CELL_DEG = 0.0025; // ≈ 280 m north–south
+const M_PER_DEG_LAT = 111320;
+
+/** Lat/lon bucket grid; `bounds` tracks the occupied cell range so searches know when to stop. */
+function createGrid(cellDeg) {
+    const cells = new Map(); // "row:col" → items
+    const bounds = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+    const rowOf = lat => Math.floor(lat / cellDeg);
+    const colOf = lon => Math.floor(lon / cellDeg);
+
+    return {
+        rowOf,
+        colOf,
+        bounds,
+        add(row, col, item) {
+            const key = `${row}:${col}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(item);
+            bounds.minRow = Math.min(bounds.minRow, row); bounds.maxRow = Math.max(bounds.maxRow, row);
+            bounds.minCol = Math.min(bounds.minCol, col); bounds.maxCol = Math.max(bounds.maxCol, col);
+        },
+        cell: (row, col) => cells.get(`${row}:${col}`) || [],
+        /** Items in every cell overlapping the box (may include items just outside it). */
+        range(minLat, minLon, maxLat, maxLon) {
+            const out = [];
+            for (let r = rowOf(minLat); r <= rowOf(maxLat); r++) {
+                for (let c = colOf(minLon); c <= colOf(maxLon); c++) {
+                    const items = cells.get(`${r}:${c}`);
+                    if (items) out.push(...items);
+                }
+            }
+            return out;
+        },
+    };
+}
+
+/** Edge geometry as [[lon, lat]], falling back to the straight line between its nodes. */
+function edgeCoords(graph, edge) {
+    const a = graph.nodes.get(String(edge.source)) || graph.nodes.get(edge.source);
+    const b = graph.nodes.get(String(edge.target)) || graph.nodes.get(edge.target);
+    return parseLineString(edge.geometry) || (a && b ? [[a.lon, a.lat], [b.lon, b.lat]] : []);
+}
+
+/**
+ * @param {object} graph               mapLoader graph ({ nodes: Map, edges: [] })
+ * @param {Array}  intersectionNodes   getIntersectionNodes()
+ * @returns {{ nearestNode, nodesWithin, intersectionsWithin, bbox }}
+ */
+function createSpatialIndex(graph, intersectionNodes, { cellDeg = DEFAULT_CELL_DEG } = {}) {
+    const nodes = createGrid(cellDeg);
+    const junctions = createGrid(cellDeg);
+    const edges = createGrid(cellDeg);
+
+    graph.nodes.forEach(n => nodes.add(nodes.rowOf(n.lat), nodes.colOf(n.lon), n));
+    intersectionNodes.forEach(n => junctions.add(junctions.rowOf(n.lat), junctions.colOf(n.lon), n));
+
+    // An edge goes in every cell its bounding box covers, so a viewport finds
+    // long edges that cross it without either end inside
+    graph.edges.forEach(edge => {
+        const coords = edgeCoords(graph, edge);
+        if (!coords.length) return;
+        const lons = coords.map(c => c[0]), lats = coords.map(c => c[1]);
+        const box = { minLat: Math.min(...lats), maxLat: Math.max(...lats), minLon: Math.min(...lons), maxLon: Math.max(...lons) };
+        const item = { edge, coords, box };
+        for (let r = edges.rowOf(box.minLat); r <= edges.rowOf(box.maxLat); r++) {
+            for (let c = edges.colOf(box.minLon); c <= edges.colOf(box.maxLon); c++) edges.add(r, c, item);
+        }
+    });
+
+    /** Closest item to a point, searching rings of cells outward until nothing nearer can remain. */
+    function nearestIn(grid, lat, lon, maxDistanceM = Infinity) {
+        const row = grid.rowOf(lat), col = grid.colOf(lon);
+        const { minRow, maxRow, minCol, maxCol } = grid.bounds;
+        const maxRing = Math.max(row - minRow, maxRow - row, col - minCol, maxCol - col);
+        // Narrowest cell side: every cell in ring r is at least (r - 1) of these away
+        const cellM = cellDeg * M_PER_DEG_LAT * Math.cos(Math.min(Math.abs(lat) + cellDeg, 89) * Math.PI / 180);
+
+        let best = null, bestM = Infinity;
+        const visit = (r, c) => grid.cell(r, c).forEach(n => {
+            const d = haversineM(lat, lon, n.lat, n.lon);
+            if (d < bestM) { best = n; bestM = d; }
+        });
+        for (let ring = 0; ring <= maxRing; ring++) {
+            if (bestM <= (ring - 1) * cellM || (ring - 1) * cellM > maxDistanceM) break;
+            if (ring === 0) { visit(row, col); continue; }
+            for (let c = col - ring; c <= col + ring; c++) { visit(row - ring, c); visit(row + ring, c); }
+            for (let r = row - ring + 1; r < row + ring; r++) { visit(r, col - ring); visit(r, col + ring); }
+        }
+        return best && bestM <= maxDistanceM ? best : null;
+    }
+
+    function within(grid, lat, lon, radiusM) {
+        const dLat = radiusM / M_PER_DEG_LAT;
+        const dLon = radiusM / (M_PER_DEG_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+        return grid.range(lat - dLat, lon - dLon, lat + dLat, lon + dLon)
+            .filter(n => haversineM(lat, lon, n.lat, n.lon) <= radiusM);
+    }
+
+    /**
+     * Everything inside a viewport. Edges are returned once each, with their
+     * geometry; `limit` caps each list and sets `truncated`.
+     */
+    function bbox({ minLat, minLon, maxLat, maxLon }, { limit = 5000 } = {}) {
+        const inside = n => n.lat >= minLat && n.lat <= maxLat && n.lon >= minLon && n.lon <= maxLon;
+        const nodeList = nodes.range(minLat, minLon, maxLat, maxLon).filter(inside);
+        const junctionList = junctions.range(minLat, minLon, maxLat, maxLon).filter(inside);
+
+        const seen = new Set();
+        const edgeList = [];
+        edges.range(minLat, minLon, maxLat, maxLon).forEach(item => {
+            const { box } = item;
+            if (seen.has(item) || box.maxLat < minLat || box.minLat > maxLat || box.maxLon < minLon || box.minLon > maxLon) return;
+            seen.add(item);
+            edgeList.push({
+                source: String(item.edge.source),
+                target: String(item.edge.target),
+                name: firstTagValue(item.edge.name) || firstTagValue(item.edge.ref),
+                highway: firstTagValue(item.edge.highway),
+                oneway: firstTagValue(item.edge.oneway),
+                coordinates: item.coords,
+            });
+        });
+
+        return {
+            truncated: nodeList.length > limit || edgeList.length > limit || junctionList.length > limit,
+            nodes: nodeList.slice(0, limit),
+            edges: edgeList.slice(0, limit),
+            intersections: junctionList.slice(0, limit),
+        };
+    }
+
+    return {
+        nearestNode: (lat, lon, maxDistanceM) => nearestIn(nodes, lat, lon, maxDistanceM),
+        nodesWithin: (lat, lon, radiusM) => within(nodes, lat, lon, radiusM),
+        intersectionsWithin: (lat, lon, radiusM) => within(junctions, lat, lon, radiusM),
+        bbox,
+    };
+}
+
+module.exports = { createSpatialIndex };
@@ -0,0 +1,36 @@
+/**
+ * store.js
+ * Minimal JSON-file persistence for engine registries.
+ *
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated registry behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+function createJsonStore(filePath, defaults) {
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw new Error(`Cannot read ${filePath}: ${err.message}`);
+            const seeded = typeof defaults === 'function' ? defaults() : defaults;
+            save(seeded);
+            return seeded;
+        }
+    }
+
+    function save(data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, filePath);
+    }
+
+    return { load, save, filePath };
+}
+
+module.exports = { DATA_DIR, createJsonStore };
@@ -0,0 +1,259 @@
+/**
+ * timeRouter.js
+ * Fastest-path routing over the mapLoader graph.
+ *
+ * Edges cost their travel time: length over the posted maxspeed (or a
+ * default for the highway class), scaled by the vehicle profile. One-way
+ * streets are honoured, turn restrictions are enforced, and every junction
+ * adds a turn penalty plus a signal penalty — small for managed intersections
+ * the corridor can preempt, large for unmanaged traffic signals.
+ *
+ * Search is A* over directed edges (state = previous node + node), which is
+ * what turn costs and restrictions need.
+ */
+
+const path = require('path');
+const { haversineM, bearingDeg, bearingDiff } = require('./geo');
+const { firstTagValue } = require('./graphIndex');
+const { DATA_DIR, createJsonStore } = require('./store');
+
+const TURN_RESTRICTIONS_FILE = process.env.TURN_RESTRICTIONS_FILE || path.join(DATA_DIR, 'turn_restrictions.json');
+
+// Typical urban speeds (km/h) when an edge has no maxspeed tag
+const HIGHWAY_SPEED_KMH = {
+    motorway: 80, trunk: 60, primary: 50, secondary: 40, tertiary: 35,
+    unclassified: 25, residential: 20, living_street: 10, service: 15, road: 25,
+};
+const DEFAULT_SPEED_KMH = 25;
+
+const TURN_COSTS = { slight: 2, turn: 6, sharp: 10, uturn: 30 };
+
+/**
+ * Cost profiles. Emergency vehicles beat the posted speed on open road but
+ * still lose time at turns and at signals nobody can preempt.
+ */
+const PROFILES = {
+    amb: { speedFactor: 1.25, maxKmh: 90, signalSec: 25, managedSec: 3, turnSec: TURN_COSTS, highwayFactor: {} },
+    fire: {
+        speedFactor: 1.1, maxKmh: 70, signalSec: 30, managedSec: 5,
+        turnSec: { slight: 3, turn: 10, sharp: 20, uturn: 60 },
+        // A fire engine crawls through narrow lanes
+        highwayFactor: { residential: 0.7, living_street: 0.4, service: 0.5, track: 0.3 },
+    },
+    police: { speedFactor: 1.3, maxKmh: 100, signalSec: 20, managedSec: 3, turnSec: TURN_COSTS, highwayFactor: {} },
+    // Legacy behaviour: shortest distance, durations still estimated with the amb profile
+    shortest: { distanceOnly: true, speedFactor: 1.25, maxKmh: 90, signalSec: 25, managedSec: 3, turnSec: TURN_COSTS, highwayFactor: {} },
+};
+
+/** "50", "50 km/h", "30 mph", "['40', '60']" → km/h, or null. */
+function parseMaxspeed(value) {
+    const raw = firstTagValue(value);
+    const m = raw && raw.match(/(\d+(?:\.\d+)?)\s*(mph)?/i);
+    if (!m) return null;
+    return parseFloat(m[1]) * (m[2] ? 1.609 : 1);
+}
+
+/** 1 = forward only, -1 = reverse only, 0 = both ways. */
+function onewayDirection(value) {
+    const raw = String(firstTagValue(value) ?? '').toLowerCase();
+    if (raw === '-1' || raw === 'reverse') return -1;
+    return ['true', 'yes', '1'].includes(raw) ? 1 : 0;
+}
+
+function turnCost(profile, angle) {
+    if (angle < 20) return 0;
+    if (angle < 60) return profile.turnSec.slight;
+    if (angle < 140) return profile.turnSec.turn;
+    if (angle < 170) return profile.turnSec.sharp;
+    return profile.turnSec.uturn;
+}
+
+/** Minimal binary heap keyed on `f`. */
+function createHeap() {
+    const items = [];
+    const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+    return {
+        get size() { return items.length; },
+        push(item) {
+            items.push(item);
+            for (let i = items.length - 1; i > 0;) {
+                const p = (i - 1) >> 1;
+                if (items[p].f <= items[i].f) break;
+                swap(i, p); i = p;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                for (let i = 0; ;) {
+                    const l = 2 * i + 1, r = l + 1;
+                    let m = i;
+                    if (l < items.length && items[l].f < items[m].f) m = l;
+                    if (r < items.length && items[r].f < items[m].f) m = r;
+                    if (m === i) break;
+                    swap(i, m); i = m;
+                }
+            }
+            return top;
+        },
+    };
+}
+
+/**
+ * @param {object} deps { getGraph, getIntersectionNodes, managedNodeIds: () => Set<nodeId> }
+ */
+function createTimeRouter({ getGraph, getIntersectionNodes, managedNodeIds = () => new Set(), restrictionsFile = TURN_RESTRICTIONS_FILE }) {
+    // [{ from, via, to, type }] with graph node ids; type "no_*" forbids from→via→to, "only_*" forces it
+    const { restrictions = [] } = createJsonStore(restrictionsFile, { restrictions: [] }).load();
+    const banned = new Set();
+    const only = new Map(); // `${from}|${via}` → to
+    restrictions.forEach(r => {
+        const key = `${r.from}|${r.via}`;
+        if (String(r.type).startsWith('only_')) only.set(key, String(r.to));
+        else banned.add(`${key}|${r.to}`);
+    });
+
+    let adjacency = null; // nodeId → [{ to, lengthM, speedKmh, highway }]
+    let adjacencyGraph = null;
+
+    function prepare() {
+        const graph = getGraph();
+        if (adjacency && adjacencyGraph === graph) return adjacency;
+
+        adjacency = new Map();
+        const add = (from, to, info) => {
+            if (!adjacency.has(from)) adjacency.set(from, []);
+            adjacency.get(from).push({ to, ...info });
+        };
+        const stored = new Set(graph.edges.map(e => `${e.source}|${e.target}`));
+
+        graph.edges.forEach(edge => {
+            const u = String(edge.source), v = String(edge.target);
+            const a = graph.nodes.get(u) || graph.nodes.get(edge.source);
+            const b = graph.nodes.get(v) || graph.nodes.get(edge.target);
+            if (!a || !b) return;
+            const highway = firstTagValue(edge.highway);
+            const info = {
+                lengthM: Number(edge.length) || haversineM(a.lat, a.lon, b.lat, b.lon),
+                speedKmh: parseMaxspeed(edge.maxspeed) || HIGHWAY_SPEED_KMH[String(highway).replace(/_link$/, '')] || DEFAULT_SPEED_KMH,
+                highway,
+            };
+            const dir = onewayDirection(edge.oneway);
+            if (dir >= 0) add(u, v, info);
+            // Two-way streets stored once: add the missing reverse direction
+            if (dir <= 0 && !stored.has(`${v}|${u}`)) add(v, u, info);
+        });
+        adjacencyGraph = graph;
+        return adjacency;
+    }
+
+    const profileFor = name => PROFILES[name] || PROFILES.amb;
+
+    function edgeSeconds(profile, edge) {
+        const kmh = Math.min(edge.speedKmh * profile.speedFactor, profile.maxKmh) *
+            (profile.highwayFactor[edge.highway] ?? 1);
+        return edge.lengthM / (kmh / 3.6);
+    }
+
+    /** Seconds spent at `via` going prev → via → next: turn plus signal. */
+    function junctionSeconds(profile, graph, managed, prev, via, next) {
+        const p = graph.nodes.get(prev), n = graph.nodes.get(via), q = graph.nodes.get(next);
+        let sec = 0;
+        if (p && n && q) {
+            const angle = bearingDiff(bearingDeg(p.lat, p.lon, n.lat, n.lon), bearingDeg(n.lat, n.lon, q.lat, q.lon));
+            sec += turnCost(profile, angle);
+        }
+        if (managed.has(via)) sec += profile.managedSec;
+        else if (n?.highway === 'traffic_signals') sec += profile.signalSec;
+        return sec;
+    }
+
+    function allowed(prev, via, next) {
+        if (banned.has(`${prev}|${via}|${next}`)) return false;
+        const forced = only.get(`${prev}|${via}`);
+        return !forced || forced === next;
+    }
+
+    /**
+     * Same shape as router.findRoute, plus durationSec and the profile used.
+     * `edgePenalty` (`${from}|${to}` → factor) inflates search costs only —
+     * used to push alternatives off an already-found path.
+     * @returns {{ path, waypoints, intersections, distanceM, durationSec, profile } | null}
+     */
+    function findRoute(srcId, dstId, { profile: profileName = 'amb', edgePenalty = null } = {}) {
+        const graph = getGraph();
+        const adj = prepare();
+        const profile = profileFor(profileName);
+        const managed = managedNodeIds();
+        const src = String(srcId), dst = String(dstId);
+        const goal = graph.nodes.get(dst);
+        if (!graph.nodes.get(src) || !goal) return null;
+
+        // Admissible: straight line at the fastest speed the profile allows
+        const h = id => {
+            const n = graph.nodes.get(id);
+            const d = n ? haversineM(n.lat, n.lon, goal.lat, goal.lon) : 0;
+            return profile.distanceOnly ? d : d / (profile.maxKmh / 3.6);
+        };
+
+        const startKey = `|${src}`;
+        const best = new Map([[startKey, 0]]);
+        const parent = new Map(); // stateKey → { key, node, edge }
+        const heap = createHeap();
+        heap.push({ key: startKey, prev: null, node: src, g: 0, f: h(src) });
+
+        let found = null;
+        while (heap.size) {
+            const cur = heap.pop();
+            if (cur.g > best.get(cur.key)) continue;
+            if (cur.node === dst) { found = cur; break; }
+
+            (adj.get(cur.node) || []).forEach(edge => {
+                if (cur.prev && !allowed(cur.prev, cur.node, edge.to)) return;
+                const key = `${cur.node}|${edge.to}`;
+                const cost = (profile.distanceOnly ? edge.lengthM : edgeSeconds(profile, edge)) * (edgePenalty?.get(key) ?? 1) +
+                    (!profile.distanceOnly && cur.prev ? junctionSeconds(profile, graph, managed, cur.prev, cur.node, edge.to) : 0);
+                const g = cur.g + cost;
+                if (g >= (best.get(key) ?? Infinity)) return;
+                best.set(key, g);
+                parent.set(key, { key: cur.key, edge });
+                heap.push({ key, prev: cur.node, node: edge.to, g, f: g + h(edge.to) });
+            });
+        }
+        if (!found) return null;
+
+        // Walk back, then total distance and time (time always, even for the distance profile)
+        const nodes = [dst];
+        const edges = [];
+        for (let key = found.key; parent.has(key); key = parent.get(key).key) {
+            const step = parent.get(key);
+            edges.unshift(step.edge);
+            nodes.unshift(step.key.split('|')[1]);
+        }
+        let distanceM = 0, durationSec = 0;
+        edges.forEach((edge, i) => {
+            distanceM += edge.lengthM;
+            durationSec += edgeSeconds(profile, edge);
+            if (i > 0) durationSec += junctionSeconds(profile, graph, managed, nodes[i - 1], nodes[i], nodes[i + 1]);
+        });
+
+        const junctions = new Set(getIntersectionNodes().map(n => String(n.id)));
+        return {
+            path: nodes,
+            waypoints: nodes.map(id => {
+                const n = graph.nodes.get(id);
+                return { id, lat: n.lat, lon: n.lon };
+            }),
+            intersections: nodes.filter(id => junctions.has(id)).map(id => graph.nodes.get(id)),
+            distanceM,
+            durationSec,
+            profile: PROFILES[profileName] ? profileName : 'amb',
+        };
+    }
+
+    return { prepare, findRoute, profiles: Object.keys(PROFILES) };
+}
+
+module.exports = { createTimeRouter, parseMaxspeed, onewayDirection, PROFILES };
@@ -0,0 +1,222 @@
+/**
+ * trips.js
+ * Persistent trip records: one per activated corridor.
+ *
+ * Every event of a trip (telemetry fixes, signal triggers and releases,
+ * re-routes, conflicts, the end reason) is appended to its own JSONL file
+ * under data/trips/, so a trip survives an engine restart and can be
+ * reviewed afterwards. The trip's route travels in its own events
+ * ('started', 'rerouted').
+ *
+ * A small index (data/trips/index.jsonl) keeps one summary per trip for
+ * listing. A summary that changes is appended as a new line, the last line
+ * of a trip wins, and the index is compacted once when the log is opened.
+ *
+ * Events are written through one append stream per open trip, so recording
+ * a telemetry fix never blocks the request that carried it; lines not yet
+ * flushed are still visible to timeline().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { haversineM } = require('./geo');
+const { DATA_DIR } = require('./store');
+
+const TRIPS_DIR = process.env.TRIPS_DIR || path.join(DATA_DIR, 'trips');
+
+const readLines = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+/** Summaries by trip id from index.jsonl, or from the index.json it replaced. */
+function loadIndex(dir) {
+    const index = {};
+    try {
+        readLines(path.join(dir, 'index.jsonl')).forEach(trip => { index[trip.id] = trip; });
+        return index;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8')).trips || index;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        return index;
+    }
+}
+
+/**
+ * @param {object} opts { dir }
+ * @returns {{ begin, record, finish, list, get, route, timeline }}
+ */
+function createTripLog({ dir = TRIPS_DIR } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+    const indexFile = path.join(dir, 'index.jsonl');
+    const index = loadIndex(dir);       // tripId → summary
+    const lastFix = new Map();          // tripId → previous fix, for distance driven
+    const seqs = new Map();             // tripId → last event sequence number (open trips)
+    const streams = new Map();          // tripId → append stream (open trips)
+    const pending = new Map();          // tripId → events written but not yet flushed
+
+    const fileFor = id => path.join(dir, `${id.replace(/[^\w.-]/g, '_')}.jsonl`);
+
+    function readEvents(id) {
+        let events;
+        try {
+            events = readLines(fileFor(id));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            events = [];
+        }
+        const lastSeq = events.length ? events[events.length - 1].seq : 0;
+        return events.concat((pending.get(id) || []).filter(ev => ev.seq > lastSeq));
+    }
+
+    /** Update a summary's counters for one event. */
+    function tally(trip, type, data) {
+        if (type === 'telemetry') {
+            const prev = lastFix.get(trip.id);
+            if (prev) trip.drivenM = Math.round(trip.drivenM + haversineM(prev.lat, prev.lon, data.lat, data.lon));
+            lastFix.set(trip.id, { lat: data.lat, lon: data.lon });
+            trip.fixCount += 1;
+        }
+        if (type === 'signal_trigger') trip.triggerCount += 1;
+        if (type === 'signal_released') trip.releaseCount += 1;
+        if (type === 'conflict') trip.conflicts += 1;
+        if (type === 'rerouted') trip.reroutes += 1;
+        if (type === 'position_source') trip.positionSource = data.source;
+    }
+
+    // Trips still open from a previous run were cut short by the restart;
+    // their counters are only saved now and then, so recount from the events
+    Object.values(index).filter(t => !t.endedAt).forEach(trip => {
+        const events = readEvents(trip.id);
+        Object.assign(trip, { fixCount: 0, drivenM: 0, triggerCount: 0, releaseCount: 0, reroutes: 0, conflicts: 0 });
+        events.forEach(ev => tally(trip, ev.type, ev));
+        lastFix.delete(trip.id);
+        trip.endedAt = events.length ? events[events.length - 1].at : trip.startedAt;
+        trip.endReason = 'ENGINE_RESTARTED';
+    });
+
+    // Compact to one line per trip, then only append from here on
+    const tmp = `${indexFile}.tmp`;
+    fs.writeFileSync(tmp, Object.values(index).map(trip => `${JSON.stringify(trip)}\n`).join(''));
+    fs.renameSync(tmp, indexFile);
+    const indexStream = fs.createWriteStream(indexFile, { flags: 'a' });
+    indexStream.on('error', err => console.error(`[trips] Could not write the index: ${err.message}`));
+
+    /** Append the current summary of one trip to the index. */
+    const persist = trip => indexStream.write(`${JSON.stringify(trip)}\n`);
+
+    function append(id, type, data) {
+        const seq = seqs.get(id) + 1;
+        seqs.set(id, seq);
+        const event = { seq, at: new Date().toISOString(), type, ...data };
+        const queue = pending.get(id);
+        queue.push(event);
+        streams.get(id).write(`${JSON.stringify(event)}\n`, () => queue.splice(queue.indexOf(event), 1));
+    }
+
+    /** Flush and close a trip's stream once it has ended. */
+    function closeStream(id) {
+        const stream = streams.get(id);
+        streams.delete(id);
+        stream.end(() => pending.delete(id));
+    }
+
+    /** Open a trip for a freshly started corridor; returns its id. */
+    function begin(meta) {
+        const id = `${meta.vehicleId}-${Date.now().toString(36)}${crypto.randomBytes(2).toString('hex')}`;
+        const startedAt = new Date().toISOString();
+        index[id] = {
+            id,
+            vehicleId: meta.vehicleId,
+            vehicleType: meta.vehicleType,
+            criticality: meta.criticality,
+            positionSource: meta.positionSource || null, // SIMULATION (a drill) | LIVE, see sessions.js
+            profile: meta.profile,
+            startedAt,
+            endedAt: null,
+            endReason: null,
+            plannedDistanceM: meta.distanceM != null ? Math.round(meta.distanceM) : null,
+            plannedDurationSec: meta.durationSec != null ? Math.round(meta.durationSec) : null,
+            origin: meta.waypoints?.[0] ? { lat: meta.waypoints[0].lat, lon: meta.waypoints[0].lon } : null,
+            destination: meta.destination ? { lat: meta.destination.lat, lon: meta.destination.lon } : null,
+            hospitalId: meta.hospitalId || null,
+            intersectionCount: meta.intersections?.length ?? 0,
+            fixCount: 0,
+            drivenM: 0,
+            triggerCount: 0,
+            releaseCount: 0,
+            reroutes: 0,
+            conflicts: 0,
+        };
+        seqs.set(id, 0);
+        pending.set(id, []);
+        const stream = fs.createWriteStream(fileFor(id), { flags: 'a' });
+        stream.on('error', err => console.error(`[trips] Could not write ${id}: ${err.message}`));
+        streams.set(id, stream);
+        append(id, 'started', {
+            vehicleId: meta.vehicleId,
+            profile: meta.profile,
+            distanceM: meta.distanceM,
+            durationSec: meta.durationSec,
+            intersections: (meta.intersections || []).map(ix => ix.id),
+            route: (meta.waypoints || []).map(w => [w.lat, w.lon]),
+        });
+        persist(index[id]);
+        return id;
+    }
+
+    /**
+     * Append one event. Types: telemetry | signal_trigger | signal_released |
+     * rerouted | conflict | telemetry_lost | telemetry_resumed | position_source.
+     */
+    function record(id, type, data = {}) {
+        const trip = index[id];
+        if (!trip || trip.endedAt) return;
+        tally(trip, type, data);
+        append(id, type, data);
+        if (type === 'rerouted' || type === 'position_source') persist(trip);
+    }
+
+    /** Close a trip with the reason it ended (ARRIVED, STOPPED, REPLACED, ...). */
+    function finish(id, reason, data = {}) {
+        const trip = index[id];
+        if (!trip || trip.endedAt) return null;
+        append(id, 'ended', { reason, ...data });
+        trip.endedAt = new Date().toISOString();
+        trip.endReason = reason;
+        lastFix.delete(id);
+        seqs.delete(id);
+        closeStream(id);
+        persist(trip);
+        return trip;
+    }
+
+    /** Summaries, newest first. */
+    function list({ vehicleId, limit = 50 } = {}) {
+        return Object.values(index)
+            .filter(t => !vehicleId || t.vehicleId === vehicleId)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .slice(0, limit);
+    }
+
+    const get = id => index[id] || null;
+
+    /** Latest planned route of a trip as [[lat, lon], …], or null. */
+    function route(id) {
+        if (!index[id]) return null;
+        const last = timeline(id, { types: ['started', 'rerouted'] }).filter(ev => ev.route).pop();
+        return last ? last.route : null;
+    }
+
+    /** Events of one trip in order, optionally only some types or after a sequence number. */
+    function timeline(id, { types, sinceSeq = 0 } = {}) {
+        if (!index[id]) return null;
+        return readEvents(id).filter(ev => ev.seq > sinceSeq && (!types || types.includes(ev.type)));
+    }
+
+    return { begin, record, finish, list, get, route, timeline };
+}
+
+module.exports = { createTripLog };
@@ -0,0 +1,28 @@
+/**
+ * watchdog.js
+ * Telemetry-loss watchdog for active corridors.
+ *
+ * A phone that drops off the network simply stops calling /telemetry; this
+ * sweep notices the silence and marks the vehicle STALE so its held greens
+ * are released. The corridor resumes on the next fix (sessions.js).
+ */
+
+function startTelemetryWatchdog(sessions, { staleSec = 15, intervalMs } = {}) {
+    const every = intervalMs ?? Math.max(1000, (staleSec * 1000) / 3);
+
+    const timer = setInterval(() => {
+        const now = Date.now();
+        sessions.list().forEach(corridor => {
+            if (corridor.status === 'STALE') return;
+            // A corridor that never received a fix is measured from its start
+            const lastSeen = Date.parse(corridor.lastTelemetryAt || corridor.startedAt);
+            const silentSec = (now - lastSeen) / 1000;
+            if (silentSec > staleSec) sessions.suspend(corridor.vehicleId, silentSec);
+        });
+    }, every);
+    timer.unref();
+
+    return { stop: () => clearInterval(timer), staleSec };
+}
+
+module.exports = { startTelemetryWatchdog };
@@ -0,0 +1,120 @@
+/**
+ * analytics.test.js
+ * Intersection passes cut from trip telemetry, and the time-saved baselines
+ * (historical median vs the signal-cycle model).
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnalytics, extractPasses, median, APPROACH_M } = require('../src/analytics');
+
+// Telemetry approaching `ix`: one fix per [sec, distance] pair, then one past it
+function approach(ix, fixes, { t0 = 1000, next = 'INT-NEXT', speedKmh = 30 } = {}) {
+    const events = fixes.map(([sec, distanceToSignalM]) => ({
+        type: 'telemetry', timestamp: t0 + sec, nextIntersectionId: ix, distanceToSignalM, speedKmh,
+    }));
+    const last = fixes[fixes.length - 1][0];
+    events.push({ type: 'telemetry', timestamp: t0 + last + 5, nextIntersectionId: next, distanceToSignalM: 400, speedKmh });
+    return events;
+}
+
+test('median ignores missing values and averages the middle pair', () => {
+    assert.equal(median([3, 1, 2]), 2);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([null, 5, undefined, NaN]), 5);
+    assert.equal(median([]), null);
+});
+
+test('extractPasses opens within APPROACH_M and closes when the junction is no longer next', () => {
+    const events = approach('INT-1', [[0, 400], [10, 200], [15, APPROACH_M - 10], [20, 60], [25, 10]]);
+    const [pass, ...rest] = extractPasses(events);
+    assert.equal(rest.length, 0);
+    assert.equal(pass.intersectionId, 'INT-1');
+    assert.equal(pass.enterSec, 1015);
+    assert.equal(pass.exitSec, 1030);
+    assert.equal(pass.actualSec, 15);
+    assert.equal(pass.distanceM, APPROACH_M - 10);
+    assert.equal(pass.preempted, false);
+});
+
+test('extractPasses marks triggered junctions as preempted, with the TTI at the trigger', () => {
+    const events = [
+        { type: 'signal_trigger', intersectionId: 'INT-1', ttiSeconds: 14 },
+        ...approach('INT-1', [[0, 120], [8, 30]]),
+    ];
+    const [pass] = extractPasses(events);
+    assert.equal(pass.preempted, true);
+    assert.equal(pass.ttiAtTriggerSec, 14);
+});
+
+test('a pass still open when the trip ends is not counted', () => {
+    const events = [{ type: 'telemetry', timestamp: 1000, nextIntersectionId: 'INT-1', distanceToSignalM: 50 }];
+    assert.deepEqual(extractPasses(events), []);
+});
+
+// trips.js stand-in: every trip is one pass through INT-1, closed 5 s after its last approach fix
+function tripsOf(list) {
+    const byId = new Map(list.map(t => [t.id, t]));
+    return {
+        list: () => list.map(t => t.summary),
+        get: id => byId.get(id)?.summary || null,
+        timeline: id => byId.get(id)?.events || null,
+    };
+}
+function tripThrough(id, sec, preempted) {
+    const events = approach('INT-1', [[0, 100], [sec, 5]]);
+    if (preempted) events.unshift({ type: 'signal_trigger', intersectionId: 'INT-1', ttiSeconds: 10 });
+    return {
+        id,
+        events,
+        summary: { id, vehicleId: 'AMB-001', startedAt: '2026-10-01T08:00:00.000Z', endedAt: '2026-10-01T08:20:00.000Z', triggerCount: preempted ? 1 : 0, drivenM: 1000 },
+    };
+}
+const registry = { get: id => (id === 'INT-1' ? { id, name: 'MI Road', cycleSec: 90, approaches: [1, 2, 3, 4] } : null) };
+
+test('time saved uses the cycle model until there are enough unpreempted passes', () => {
+    const analytics = createAnalytics({ trips: tripsOf([tripThrough('T1', 10, true)]), intersections: registry });
+    const [ix] = analytics.trip('T1').intersections;
+    assert.equal(ix.method, 'cycle_model');
+    // 100 m at 30 km/h = 12 s, plus red² / (2 · cycle) = 67.5² / 180 ≈ 25.3 s
+    assert.equal(ix.actualSec, 15);
+    assert.equal(ix.baselineSec, 37.3);
+    assert.equal(ix.savedSec, 22.3);
+});
+
+test('time saved uses the median of recorded unpreempted passes once there are enough', () => {
+    const trips = tripsOf([
+        tripThrough('T1', 10, true),
+        tripThrough('H1', 40, false),
+        tripThrough('H2', 50, false),
+        tripThrough('H3', 70, false),
+    ]);
+    const analytics = createAnalytics({ trips, intersections: registry });
+    const result = analytics.trip('T1');
+    assert.equal(result.intersections[0].method, 'historical');
+    assert.equal(result.intersections[0].baselineSec, 55); // of 45, 55 and 75 s
+    assert.equal(result.timeSavedSec, 40);
+
+    // Unpreempted passes are the baseline, never savings
+    assert.equal(analytics.trip('H1').timeSavedSec, 0);
+
+    const [row] = analytics.byIntersection();
+    assert.equal(row.name, 'MI Road');
+    assert.equal(row.passes, 4);
+    assert.equal(row.preempted, 1);
+    assert.equal(row.baselineMethod, 'historical');
+
+    const [day] = analytics.daily();
+    assert.equal(day.date, '2026-10-01');
+    assert.equal(day.trips, 4);
+    assert.equal(day.timeSavedSec, 40);
+    assert.match(analytics.toCsv([day]), /^date,trips,.*\n2026-10-01,4,1,10,40,10,4\n$/);
+});
+
+test('a day counts the junctions preempted, not how often they were triggered', () => {
+    // INT-1 re-triggered after a hold ran out: three triggers, one junction
+    const trip = tripThrough('T1', 10, true);
+    trip.summary.triggerCount = 3;
+    const [day] = createAnalytics({ trips: tripsOf([trip]), intersections: registry }).daily();
+    assert.equal(day.intersectionsPreempted, 1);
+});
@@ -0,0 +1,119 @@
+/**
+ * arbitration.test.js
+ * Who goes first when two corridors want the same intersection from
+ * different approaches: criticality, then vehicle type, then arrival.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeCriticality,
+    normalizeVehicleType,
+    estimateArrivals,
+    decide,
+    findConflicts,
+} = require('../src/arbitration');
+
+const JUNCTION = { id: 'INT-1', lat: 26.9000, lon: 75.8000 };
+
+// A vehicle `metres` south (approach S) or west (approach W) of JUNCTION, heading for it
+function sessionAt(vehicleId, side, metres, extra = {}) {
+    const offset = metres / 111320;
+    const position = side === 'S'
+        ? { lat: JUNCTION.lat - offset, lon: JUNCTION.lon }
+        : { lat: JUNCTION.lat, lon: JUNCTION.lon - offset / Math.cos(JUNCTION.lat * Math.PI / 180) };
+    return {
+        vehicleId,
+        vehicleType: normalizeVehicleType(null, vehicleId),
+        criticality: 'MEDIUM',
+        position,
+        speedMps: 10,
+        cleared: new Set(),
+        intersections: [{ ...JUNCTION, approach: { id: side } }],
+        ...extra,
+    };
+}
+
+const claim = (vehicleId, fields) => ({ vehicleId, criticality: 'MEDIUM', vehicleType: 'amb', etaSec: 30, ...fields });
+
+test('normalizeCriticality accepts levels and triage colours', () => {
+    assert.equal(normalizeCriticality('high'), 'HIGH');
+    assert.equal(normalizeCriticality('RED'), 'HIGH');
+    assert.equal(normalizeCriticality('yellow'), 'MEDIUM');
+    assert.equal(normalizeCriticality('GREEN'), 'LOW');
+    assert.equal(normalizeCriticality('urgent'), 'MEDIUM');
+    assert.equal(normalizeCriticality(undefined), 'MEDIUM');
+});
+
+test('normalizeVehicleType falls back to the fleet id prefix, then amb', () => {
+    assert.equal(normalizeVehicleType('FIRE'), 'fire');
+    assert.equal(normalizeVehicleType(null, 'POLICE-001'), 'police');
+    assert.equal(normalizeVehicleType('bus', 'FIRE-002'), 'fire');
+    assert.equal(normalizeVehicleType(null, 'TAXI-9'), 'amb');
+});
+
+test('criticality outranks vehicle type and arrival', () => {
+    const a = claim('FIRE-001', { criticality: 'HIGH', vehicleType: 'fire', etaSec: 60 });
+    const b = claim('AMB-001', { criticality: 'LOW', etaSec: 5 });
+    const { winner, loser, reason } = decide(a, b);
+    assert.equal(winner, a);
+    assert.equal(loser, b);
+    assert.match(reason, /criticality HIGH outranks LOW/);
+});
+
+test('vehicle type breaks a criticality tie', () => {
+    const police = claim('POLICE-001', { vehicleType: 'police', etaSec: 5 });
+    const amb = claim('AMB-001', { etaSec: 50 });
+    assert.equal(decide(police, amb).winner, amb);
+    assert.equal(decide(amb, police).winner, amb);
+});
+
+test('the earlier arrival wins when priority is equal', () => {
+    const late = claim('AMB-001', { etaSec: 40 });
+    const early = claim('AMB-002', { etaSec: 12 });
+    const { winner, reason } = decide(late, early);
+    assert.equal(winner, early);
+    assert.match(reason, /AMB-002 arrives first/);
+});
+
+test('estimateArrivals skips cleared intersections and those beyond the horizon', () => {
+    const near = sessionAt('AMB-001', 'S', 100);
+    assert.equal(estimateArrivals(near, { horizonSec: 60 }).length, 1);
+    assert.equal(estimateArrivals(near, { horizonSec: 5 }).length, 0);
+    assert.equal(estimateArrivals({ ...near, cleared: new Set([JUNCTION.id]) }, { horizonSec: 60 }).length, 0);
+    assert.deepEqual(estimateArrivals({ ...near, position: null }, { horizonSec: 60 }), []);
+});
+
+test('estimateArrivals measures along the route when the session has matched it', () => {
+    // 100 m away as the crow flies, but 400 m round a bend
+    const session = sessionAt('AMB-001', 'S', 100, { routeDistances: new Map([[JUNCTION.id, 400]]) });
+    const [arrival] = estimateArrivals(session, { horizonSec: 60 });
+    assert.equal(arrival.distanceM, 400);
+    assert.equal(arrival.etaSec, 40);
+    assert.equal(estimateArrivals(session, { horizonSec: 30 }).length, 0);
+
+    // Already driven past, even if not yet marked cleared
+    session.routeDistances.set(JUNCTION.id, -10);
+    assert.equal(estimateArrivals(session, { horizonSec: 60 }).length, 0);
+});
+
+test('findConflicts decides overlapping arrivals from different approaches', () => {
+    const sessions = [
+        sessionAt('AMB-001', 'S', 200),
+        sessionAt('FIRE-001', 'W', 220, { criticality: 'HIGH' }),
+    ];
+    const [decision, ...rest] = findConflicts(sessions, { windowSec: 10, horizonSec: 120 });
+    assert.equal(rest.length, 0);
+    assert.equal(decision.intersectionId, JUNCTION.id);
+    assert.equal(decision.winner.vehicleId, 'FIRE-001');
+    assert.equal(decision.loser.vehicleId, 'AMB-001');
+});
+
+test('no conflict on the same approach or far-apart arrivals', () => {
+    const sameLeg = [sessionAt('AMB-001', 'S', 200), sessionAt('AMB-002', 'S', 250)];
+    assert.deepEqual(findConflicts(sameLeg, { windowSec: 10, horizonSec: 120 }), []);
+
+    // 100 m vs 900 m at 10 m/s: 80 s apart, beyond twice the window
+    const apart = [sessionAt('AMB-001', 'S', 100), sessionAt('AMB-002', 'W', 900)];
+    assert.deepEqual(findConflicts(apart, { windowSec: 10, horizonSec: 120 }), []);
+});
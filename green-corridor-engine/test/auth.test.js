@@ -0,0 +1,47 @@
+/**
+ * auth.test.js
+ * HMAC-signed requests: what verify() accepts and what it turns away.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuth, canonicalString } = require('../src/auth');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'suraksha-auth-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const TOKEN = 'operator-secret';
+const auth = createAuth({ operatorToken: TOKEN, file: path.join(tmp, 'credentials.json') });
+
+/** A request signed by the operator, with `timestamp` exactly as sent. */
+function signed(timestamp, { method = 'POST', reqPath = '/route', body = '{}' } = {}) {
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const signature = crypto.createHmac('sha256', TOKEN)
+        .update(canonicalString({ method, path: reqPath, timestamp, nonce, body }))
+        .digest('hex');
+    return { clientId: 'operator', timestamp, nonce, signature, method, path: reqPath, body };
+}
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+test('a request signed now is accepted once', () => {
+    const request = signed(String(nowSec()));
+    assert.deepEqual(auth.verify(request), { ok: true, clientId: 'operator' });
+    assert.deepEqual(auth.verify(request), { ok: false, error: 'Replayed nonce' });
+});
+
+test('timestamps that are not integer unix seconds are refused before the skew check', () => {
+    const now = nowSec();
+    [`${now}.5`, `${now}abc`, ` ${now}`, `0x${now.toString(16)}`, `${now / 1e9}e9`, 'Infinity', '-1'].forEach(timestamp => {
+        // Correctly signed, so only the timestamp format can be the reason
+        assert.deepEqual(auth.verify(signed(timestamp)), { ok: false, error: 'Timestamp must be integer unix seconds' }, timestamp);
+    });
+});
+
+test('a well-formed timestamp outside the window is refused', () => {
+    assert.deepEqual(auth.verify(signed(String(nowSec() - 120))), { ok: false, error: 'Timestamp outside allowed window' });
+});
@@ -0,0 +1,38 @@
+/**
+ * intersections.test.js
+ * What the managed-intersection registry accepts from an operator.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIntersectionRegistry } = require('../src/intersections');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'suraksha-intersections-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Controller layer stand-in with only the simulated driver configured
+const controllers = { drivers: () => ['simulated'], bind: () => {}, unbind: () => {} };
+const registry = () => createIntersectionRegistry({ file: path.join(tmp, `${Date.now()}-${Math.random()}.json`), controllers });
+const junction = extra => ({ id: 'INT-9', lat: 26.9, lon: 75.8, ...extra });
+
+test('an intersection naming an unavailable controller driver is refused', () => {
+    const reg = registry();
+    assert.throws(() => reg.create(junction({ controller: 'ntcip' })), { status: 400, message: /Unknown controller "ntcip"/ });
+    assert.equal(reg.get('INT-9'), null);
+    assert.equal(reg.create(junction({ controller: 'simulated' })).controller, 'simulated');
+});
+
+test('maxHoldSec and cycleSec must be positive numbers when given', () => {
+    const reg = registry();
+    ['abc', 0, -30, Infinity, ''].forEach(bad => {
+        assert.throws(() => reg.create(junction({ maxHoldSec: bad })), { status: 400 });
+        assert.throws(() => reg.create(junction({ cycleSec: bad })), { status: 400 });
+    });
+    const ix = reg.create(junction({ maxHoldSec: '45', cycleSec: 90 }));
+    assert.equal(ix.maxHoldSec, 45);
+    assert.equal(ix.cycleSec, 90);
+    assert.equal(reg.update('INT-9', { maxHoldSec: null }).maxHoldSec, null);
+});
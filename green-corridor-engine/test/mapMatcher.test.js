@@ -0,0 +1,77 @@
+/**
+ * mapMatcher.test.js
+ * Snapping fixes onto a route: projection, along-route offsets and the HMM
+ * keeping a drifted fix on the edge the vehicle is really on.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMapMatcher, projectOnSegment, cumulativeDistances } = require('../src/mapMatcher');
+
+const M_PER_DEG_LAT = 111320;
+const LAT = 26.9000, LON = 75.8000;
+const M_PER_DEG_LON = M_PER_DEG_LAT * Math.cos(LAT * Math.PI / 180);
+
+// A point `east` / `north` metres from (LAT, LON)
+const at = (east, north) => ({ lat: LAT + north / M_PER_DEG_LAT, lon: LON + east / M_PER_DEG_LON });
+const near = (actual, expected, tol, msg) => assert.ok(Math.abs(actual - expected) <= tol, `${msg}: ${actual} vs ${expected}`);
+
+// Out 300 m east, 20 m north, then 300 m back west on a parallel lane
+const uTurn = [at(0, 0), at(300, 0), at(300, 20), at(0, 20)];
+
+test('projectOnSegment clamps to the segment and measures the offset', () => {
+    const a = at(0, 0), b = at(100, 0);
+    const mid = projectOnSegment(at(50, 8), a, b);
+    near(mid.t, 0.5, 0.01, 't');
+    near(mid.distM, 8, 0.2, 'distM');
+
+    const before = projectOnSegment(at(-30, 0), a, b);
+    assert.equal(before.t, 0);
+    near(before.distM, 30, 0.2, 'distM before the start');
+});
+
+test('cumulativeDistances runs from zero along the route', () => {
+    const cum = cumulativeDistances(uTurn);
+    assert.equal(cum[0], 0);
+    near(cum[1], 300, 1, 'first leg');
+    near(cum[3], 620, 2, 'whole route');
+});
+
+test('match snaps a fix onto the route and reports how far off it was', () => {
+    const matcher = createMapMatcher(uTurn);
+    const m = matcher.match(at(100, 5));
+    assert.equal(m.segmentIndex, 0);
+    near(m.offsetM, 100, 1, 'offsetM');
+    near(m.offRouteM, 5, 0.2, 'offRouteM');
+    near(m.lat, LAT, 1e-6, 'snapped lat');
+});
+
+test('match returns null when no edge is within the candidate radius', () => {
+    assert.equal(createMapMatcher(uTurn).match(at(150, 200)), null);
+    assert.equal(createMapMatcher(uTurn, { candidateRadiusM: 3 }).match(at(100, 5)), null);
+});
+
+test('a drifted fix stays on the edge the vehicle has been driving', () => {
+    const drifted = at(110, 12); // 12 m off the outbound lane, only 8 m off the return one
+
+    // With no history the nearest edge wins
+    assert.equal(createMapMatcher(uTurn).match(drifted).segmentIndex, 2);
+
+    const matcher = createMapMatcher(uTurn);
+    [at(70, 0), at(85, 1), at(100, 0)].forEach(fix => matcher.match(fix));
+    const m = matcher.match(drifted);
+    assert.equal(m.segmentIndex, 0);
+    near(m.offsetM, 110, 1, 'offsetM');
+
+    // reset() forgets the history
+    matcher.reset();
+    assert.equal(matcher.match(drifted).segmentIndex, 2);
+});
+
+test('offsetAt clamps the index and lengthM is the route length', () => {
+    const matcher = createMapMatcher(uTurn);
+    assert.equal(matcher.offsetAt(-1), 0);
+    assert.equal(matcher.offsetAt(99), matcher.lengthM);
+    near(matcher.lengthM, 620, 2, 'lengthM');
+    assert.equal(createMapMatcher([]).lengthM, 0);
+});
@@ -0,0 +1,59 @@
+/**
+ * routeBuilder.test.js
+ * Which managed intersections a corridor picks up from the registry.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRouteBuilder } = require('../src/routeBuilder');
+
+const M_PER_DEG_LAT = 111320;
+const LAT = 26.9000, LON = 75.8000;
+const M_PER_DEG_LON = M_PER_DEG_LAT * Math.cos(LAT * Math.PI / 180);
+const at = (eastM, northM = 0) => ({ lat: LAT + northM / M_PER_DEG_LAT, lon: LON + eastM / M_PER_DEG_LON });
+
+// A 600 m eastbound street A → B → C, and D on a parallel street 150 m north of B
+const NODES = { A: at(0), B: at(300), C: at(600), D: at(300, 150) };
+const graph = {
+    nodes: new Map(Object.entries(NODES).map(([id, n]) => [id, { id, ...n }])),
+    edges: [
+        { source: 'A', target: 'B', highway: 'primary' },
+        { source: 'B', target: 'C', highway: 'primary' },
+    ],
+};
+
+function nearest(lat, lon) {
+    let best = null, bestD = Infinity;
+    graph.nodes.forEach(node => {
+        const d = (node.lat - lat) ** 2 + (node.lon - lon) ** 2;
+        if (d < bestD) { best = node; bestD = d; }
+    });
+    return best;
+}
+
+const managedNode = (id, point) => ({ id, name: id, ...point, highway: 'traffic_signals', managed: true, approaches: [], maxHoldSec: 60 });
+
+function builderWith(registry, managed) {
+    return createRouteBuilder({
+        getGraph: () => graph,
+        findNearestNode: nearest,
+        findRoute: () => ({
+            distanceM: 600, durationSec: 60, path: ['A', 'B', 'C'], intersections: [],
+            waypoints: ['A', 'B', 'C'].map(id => ({ ...NODES[id] })),
+        }),
+        intersections: { asRouteNodes: () => registry },
+        managedNodeIds: () => new Set(managed),
+    });
+}
+
+test('a corridor only picks up the managed intersections it drives through', () => {
+    const builder = builderWith([
+        managedNode('INT-B', at(305, 8)),   // snapped to path node B
+        managedNode('INT-MID', at(450, 12)), // between nodes, beside the route line
+        managedNode('INT-D', NODES.D),       // on the parallel street
+    ], ['B', 'D']);
+    const route = builder.build([NODES.A, NODES.C]);
+
+    assert.deepEqual(route.intersections.map(ix => ix.id), ['INT-B', 'INT-MID']);
+    assert.equal(route.managedCount, 1);
+});
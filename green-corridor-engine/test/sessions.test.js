@@ -0,0 +1,196 @@
+/**
+ * sessions.test.js
+ * Corridor sessions against stand-ins for the corridor engine, the signal
+ * controllers and the Socket.io server.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSessionManager } = require('../src/sessions');
+
+const M_PER_DEG_LAT = 111320;
+const LAT = 26.9000, LON = 75.8000;
+const M_PER_DEG_LON = M_PER_DEG_LAT * Math.cos(LAT * Math.PI / 180);
+const east = metres => ({ lat: LAT, lon: LON + metres / M_PER_DEG_LON });
+
+// Straight 400 m eastbound route with INT-1 at its middle waypoint
+const WAYPOINTS = [0, 100, 200, 300, 400].map(east);
+const junction = (approach = 'W') => ({ id: 'INT-1', name: 'MI Road', ...east(200), routeIndex: 2, approach: { id: approach } });
+
+/** Everything a session manager talks to, recording what it was asked to do. */
+function harness(options = {}) {
+    const emitted = [];
+    const io = { to: () => io, emit: (event, payload) => emitted.push({ event, payload }) };
+    const commands = [];
+    const controllers = {
+        requestPreempt: args => { commands.push({ type: 'preempt', ...args }); return Promise.resolve(); },
+        release: args => { commands.push({ type: 'release', ...args }); return Promise.resolve(); },
+    };
+    const engines = new Map(); // vehicleId → stand-in engine
+    const createEngine = emitter => {
+        const engine = {
+            emitter,
+            fixes: [],
+            setRoute: () => {},
+            processTelemetry: fix => { engine.fixes.push(fix); return null; },
+            // What the real engine does when a junction is close enough
+            trigger: intersectionId => emitter.to('dashboard').emit('priority_signal_change', { intersectionId }),
+        };
+        return engine;
+    };
+    const sessions = createSessionManager(io, { proximityThresholdM: 500, ttiThresholdSec: 20 }, { controllers, createEngine, ...options });
+    const start = (vehicleId, intersections, meta = {}) => {
+        const session = sessions.start(vehicleId, intersections, { waypoints: WAYPOINTS, ...meta });
+        engines.set(vehicleId, session.engine);
+        return session;
+    };
+    return { sessions, start, engines, commands, emitted };
+}
+
+test('a junction shared by two corridors is only released when the last one lets go', () => {
+    const { sessions, start, engines, commands, emitted } = harness();
+    start('AMB-001', [junction('W')]);
+    start('FIRE-001', [junction('S')]);
+    engines.get('AMB-001').trigger('INT-1');
+    engines.get('FIRE-001').trigger('INT-1');
+    assert.deepEqual(commands.map(c => `${c.type} ${c.vehicleId} ${c.approach}`), [
+        'preempt AMB-001 W',
+        'preempt FIRE-001 S',
+    ]);
+
+    // The first to leave hands the junction to the other's approach, nothing is released
+    commands.length = 0;
+    sessions.end('AMB-001', 'ARRIVED');
+    assert.deepEqual(commands.map(c => `${c.type} ${c.vehicleId} ${c.approach}`), ['preempt FIRE-001 S']);
+    const first = emitted.filter(e => e.event === 'intersection_released').pop().payload;
+    assert.equal(first.vehicleId, 'AMB-001');
+    assert.equal(first.stillHeldBy, 'FIRE-001');
+
+    // The last one out releases it
+    commands.length = 0;
+    sessions.end('FIRE-001', 'ARRIVED');
+    assert.deepEqual(commands.map(c => `${c.type} ${c.vehicleId} ${c.approach}`), ['release FIRE-001 S']);
+    const last = emitted.filter(e => e.event === 'intersection_released').pop().payload;
+    assert.equal(last.stillHeldBy, null);
+});
+
+test('a junction held once runs the recovery plan instead of a bare release', () => {
+    const runs = [];
+    const recovery = { plan: [{ type: 'release' }], cancel: () => {}, run: args => { runs.push(args); return Promise.resolve([]); } };
+    const { sessions, start, engines, commands, emitted } = harness({ recovery });
+    start('AMB-001', [junction('W')]);
+    engines.get('AMB-001').trigger('INT-1');
+    sessions.end('AMB-001', 'STOPPED');
+
+    assert.deepEqual(commands.map(c => c.type), ['preempt']);
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].approach, 'W');
+    const released = emitted.find(e => e.event === 'intersection_released').payload;
+    assert.equal(released.reason, 'CORRIDOR_ENDED');
+    assert.deepEqual(released.recovery, recovery.plan);
+});
+
+test('a vehicle holds a junction no longer than maxHoldSec', async () => {
+    const { sessions, start, engines, commands } = harness({ maxHoldSec: 0.02 });
+    start('AMB-001', [junction('W')]);
+    engines.get('AMB-001').trigger('INT-1');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(commands.map(c => c.type), ['preempt', 'release']);
+    assert.equal(sessions.get('AMB-001').preempted.size, 0);
+    sessions.end('AMB-001');
+});
+
+// ── Arbitration and the telemetry watchdog ──────────────────────────────────
+
+// Northbound 400 m route through the same junction, entering it from the south
+const north = metres => ({ lat: LAT + (metres - 200) / M_PER_DEG_LAT, lon: east(200).lon });
+const NORTHBOUND = [0, 100, 200, 300, 400].map(north);
+
+test('a winner that goes silent no longer holds up the vehicle it beat', () => {
+    const { sessions, start, emitted } = harness();
+    start('AMB-001', [junction('W')], { criticality: 'MEDIUM' });
+    start('FIRE-001', [{ ...junction('S'), routeIndex: 2 }], { criticality: 'HIGH', waypoints: NORTHBOUND });
+
+    const t0 = soon();
+    sessions.processTelemetry({ id: 'AMB-001', ...east(100), timestamp: t0 });
+    sessions.processTelemetry({ id: 'FIRE-001', ...north(80), timestamp: t0 });
+    const hold = sessions.get('AMB-001').holds.get('INT-1');
+    assert.equal(hold?.heldFor, 'FIRE-001');
+
+    sessions.suspend('FIRE-001', 30);
+    assert.equal(sessions.get('AMB-001').holds.size, 0);
+    assert.equal(emitted.filter(e => e.event === 'conflict_released').pop().payload.clearedBy, 'FIRE-001');
+
+    // Still silent: the next fix from the loser must not put it back on hold
+    sessions.processTelemetry({ id: 'AMB-001', ...east(110), timestamp: t0 + 1 });
+    assert.equal(sessions.get('AMB-001').holds.size, 0);
+    sessions.end('AMB-001');
+    sessions.end('FIRE-001');
+});
+
+// ── Late telemetry replayed from the driver app's outbox ────────────────────
+
+/** trips.js stand-in keeping what each trip recorded. */
+function tripLog() {
+    const events = [];
+    return {
+        events,
+        begin: meta => `${meta.vehicleId}-trip`,
+        record: (tripId, type, data) => events.push({ tripId, type, ...data }),
+        finish: () => {},
+    };
+}
+
+// Fix timestamps are unix seconds and must not predate the corridor
+const soon = () => Math.ceil(Date.now() / 1000) + 1;
+
+test('replayed fixes clear and release a junction without reaching the engine', () => {
+    const trips = tripLog();
+    const { sessions, start, engines, commands } = harness({ trips });
+    start('AMB-001', [junction('W')]);
+    engines.get('AMB-001').trigger('INT-1');
+
+    const t0 = soon();
+    [[50, 0], [150, 10], [260, 20]].forEach(([metres, sec]) => {
+        assert.equal(sessions.replayTelemetry({ id: 'AMB-001', ...east(metres), timestamp: t0 + sec }), true);
+    });
+
+    assert.deepEqual(engines.get('AMB-001').fixes, []);
+    assert.ok(sessions.get('AMB-001').cleared.has('INT-1'));
+    assert.deepEqual(commands.map(c => c.type), ['preempt', 'release']);
+    const late = trips.events.filter(ev => ev.type === 'telemetry');
+    assert.equal(late.length, 3);
+    assert.ok(late.every(ev => ev.late === true));
+    assert.equal(trips.events.find(ev => ev.type === 'signal_released').reason, 'PASSED');
+    sessions.end('AMB-001');
+});
+
+test('a junction passed during a replay never turns green again', () => {
+    const { sessions, start, engines, commands, emitted } = harness();
+    start('AMB-001', [junction('W')]);
+
+    const t0 = soon();
+    sessions.replayTelemetry({ id: 'AMB-001', ...east(150), timestamp: t0 });
+    sessions.replayTelemetry({ id: 'AMB-001', ...east(260), timestamp: t0 + 10 });
+    assert.ok(sessions.get('AMB-001').cleared.has('INT-1'));
+
+    // The engine catching up on the next live fix must not re-trigger it
+    engines.get('AMB-001').trigger('INT-1');
+    assert.deepEqual(commands, []);
+    assert.equal(emitted.filter(e => e.event === 'priority_signal_change').length, 0);
+    sessions.end('AMB-001');
+});
+
+test('replayTelemetry ignores fixes from before the corridor, out of order or without one', () => {
+    const { sessions, start } = harness();
+    start('AMB-001', [junction('W')]);
+    const t0 = soon();
+
+    assert.equal(sessions.replayTelemetry({ id: 'AMB-001', ...east(50), timestamp: t0 - 3600 }), false);
+    assert.equal(sessions.replayTelemetry({ id: 'AMB-001', ...east(100), timestamp: t0 + 10 }), true);
+    assert.equal(sessions.replayTelemetry({ id: 'AMB-001', ...east(80), timestamp: t0 + 5 }), false);
+    assert.equal(sessions.replayTelemetry({ id: 'AMB-001', ...east(100), timestamp: t0 + 10 }), false);
+    assert.equal(sessions.replayTelemetry({ id: 'AMB-404', ...east(100), timestamp: t0 + 20 }), false);
+    assert.equal(sessions.get('AMB-001').lastFix.timestamp, t0 + 10);
+    sessions.end('AMB-001');
+});
@@ -0,0 +1,83 @@
+/**
+ * spatialIndex.test.js
+ * Grid lookups checked against a brute-force scan of the same nodes.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpatialIndex } = require('../src/spatialIndex');
+const { haversineM } = require('../src/geo');
+
+// Deterministic pseudo-random points over a few km of Jaipur
+function seeded(seed) {
+    let s = seed;
+    return () => { s = (s * 1664525 + 1013904223) % 4294967296; return s / 4294967296; };
+}
+const rand = seeded(42);
+const point = () => ({ lat: 26.88 + rand() * 0.05, lon: 75.77 + rand() * 0.05 });
+
+const nodes = new Map();
+for (let i = 0; i < 400; i++) nodes.set(String(i), { id: String(i), ...point() });
+const graph = { nodes, edges: [] };
+const junctionNodes = Array.from(nodes.values()).filter((_, i) => i % 10 === 0);
+const index = createSpatialIndex(graph, junctionNodes);
+
+function bruteNearest(lat, lon) {
+    let best = null, bestM = Infinity;
+    nodes.forEach(n => {
+        const d = haversineM(lat, lon, n.lat, n.lon);
+        if (d < bestM) { best = n; bestM = d; }
+    });
+    return { best, bestM };
+}
+
+test('nearestNode agrees with a full scan, inside and outside the graph', () => {
+    const queries = Array.from({ length: 200 }, point);
+    queries.push({ lat: 26.80, lon: 75.70 }, { lat: 27.00, lon: 75.90 }, { lat: 26.905, lon: 75.60 });
+    queries.forEach(({ lat, lon }) => {
+        const { best } = bruteNearest(lat, lon);
+        assert.equal(index.nearestNode(lat, lon).id, best.id, `nearest to ${lat},${lon}`);
+    });
+});
+
+test('nearestNode honours maxDistanceM', () => {
+    const { best, bestM } = bruteNearest(26.80, 75.70);
+    assert.equal(index.nearestNode(26.80, 75.70, bestM - 1), null);
+    assert.equal(index.nearestNode(26.80, 75.70, bestM + 1).id, best.id);
+});
+
+test('nodesWithin and intersectionsWithin return exactly the nodes in the radius', () => {
+    const centre = { lat: 26.905, lon: 75.795 };
+    const ids = list => list.map(n => n.id).sort();
+    const inRadius = list => list.filter(n => haversineM(centre.lat, centre.lon, n.lat, n.lon) <= 700);
+    assert.deepEqual(ids(index.nodesWithin(centre.lat, centre.lon, 700)), ids(inRadius(Array.from(nodes.values()))));
+    assert.deepEqual(ids(index.intersectionsWithin(centre.lat, centre.lon, 700)), ids(inRadius(junctionNodes)));
+});
+
+test('an empty graph has no nearest node', () => {
+    const empty = createSpatialIndex({ nodes: new Map(), edges: [] }, []);
+    assert.equal(empty.nearestNode(26.9, 75.8), null);
+    assert.deepEqual(empty.nodesWithin(26.9, 75.8, 500), []);
+});
+
+test('bbox finds a long edge crossing the viewport with neither end inside, once', () => {
+    const g = {
+        nodes: new Map([
+            ['W', { id: 'W', lat: 26.900, lon: 75.780 }],
+            ['E', { id: 'E', lat: 26.900, lon: 75.820 }],
+        ]),
+        edges: [{ source: 'W', target: 'E', name: "['MI Road', 'NH 48']", highway: 'primary' }],
+    };
+    const view = createSpatialIndex(g, []).bbox({ minLat: 26.899, minLon: 75.799, maxLat: 26.901, maxLon: 75.801 });
+    assert.deepEqual(view.nodes, []);
+    assert.equal(view.edges.length, 1);
+    assert.equal(view.edges[0].name, 'MI Road');
+    assert.deepEqual(view.edges[0].coordinates, [[75.780, 26.900], [75.820, 26.900]]);
+    assert.equal(view.truncated, false);
+});
+
+test('bbox caps each list at limit and says so', () => {
+    const view = index.bbox({ minLat: 26.88, minLon: 75.77, maxLat: 26.93, maxLon: 75.82 }, { limit: 10 });
+    assert.equal(view.nodes.length, 10);
+    assert.equal(view.truncated, true);
+});
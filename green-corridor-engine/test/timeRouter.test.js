@@ -0,0 +1,132 @@
+/**
+ * timeRouter.test.js
+ * Fastest-path routing: tag parsing, speeds, one-ways, turn restrictions and
+ * signal penalties on small hand-made graphs.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTimeRouter, parseMaxspeed, onewayDirection } = require('../src/timeRouter');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'suraksha-router-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let files = 0;
+function routerFor(graph, { managed = [], junctions = [], restrictions = [] } = {}) {
+    const restrictionsFile = path.join(tmp, `restrictions-${++files}.json`);
+    fs.writeFileSync(restrictionsFile, JSON.stringify({ restrictions }));
+    return createTimeRouter({
+        getGraph: () => graph,
+        getIntersectionNodes: () => junctions.map(id => graph.nodes.get(id)),
+        managedNodeIds: () => new Set(managed),
+        restrictionsFile,
+    });
+}
+
+function graphOf(nodes, edges) {
+    return {
+        nodes: new Map(Object.entries(nodes).map(([id, n]) => [id, { id, ...n }])),
+        edges,
+    };
+}
+
+// A → C directly down a slow lane (~300 m), or through B on a fast main road (~450 m)
+const detour = () => graphOf({
+    A: { lat: 26.9000, lon: 75.8000 },
+    B: { lat: 26.9015, lon: 75.8015 },
+    C: { lat: 26.9000, lon: 75.8030 },
+}, [
+    { source: 'A', target: 'C', highway: 'residential' },
+    { source: 'A', target: 'B', highway: 'primary', maxspeed: '60' },
+    { source: 'B', target: 'C', highway: 'primary', maxspeed: '60' },
+]);
+
+test('parseMaxspeed reads km/h, mph and multi-valued tags', () => {
+    assert.equal(parseMaxspeed('50'), 50);
+    assert.equal(parseMaxspeed('50 km/h'), 50);
+    assert.ok(Math.abs(parseMaxspeed('30 mph') - 48.27) < 0.01);
+    assert.equal(parseMaxspeed("['40', '60']"), 40);
+    assert.equal(parseMaxspeed('none'), null);
+    assert.equal(parseMaxspeed(null), null);
+});
+
+test('onewayDirection tells forward, reverse and two-way apart', () => {
+    assert.equal(onewayDirection('yes'), 1);
+    assert.equal(onewayDirection('True'), 1);
+    assert.equal(onewayDirection('-1'), -1);
+    assert.equal(onewayDirection('reverse'), -1);
+    assert.equal(onewayDirection('no'), 0);
+    assert.equal(onewayDirection(null), 0);
+    assert.equal(onewayDirection("['yes', 'no']"), 1);
+});
+
+test('findRoute takes the faster road over the shorter one', () => {
+    const route = routerFor(detour()).findRoute('A', 'C');
+    assert.deepEqual(route.path, ['A', 'B', 'C']);
+    assert.equal(route.profile, 'amb');
+    assert.ok(route.distanceM > 400);
+    assert.ok(route.durationSec > 0 && route.durationSec < 40);
+});
+
+test('the shortest profile still takes the shorter road', () => {
+    const route = routerFor(detour()).findRoute('A', 'C', { profile: 'shortest' });
+    assert.deepEqual(route.path, ['A', 'C']);
+    assert.equal(route.profile, 'shortest');
+});
+
+test('an unknown profile falls back to amb', () => {
+    assert.equal(routerFor(detour()).findRoute('A', 'C', { profile: 'bicycle' }).profile, 'amb');
+});
+
+test('one-way streets are only driven forwards', () => {
+    const graph = graphOf({
+        A: { lat: 26.9000, lon: 75.8000 },
+        B: { lat: 26.9000, lon: 75.8010 },
+        C: { lat: 26.9010, lon: 75.8005 },
+    }, [
+        { source: 'A', target: 'B', highway: 'primary', oneway: 'yes' },
+        { source: 'B', target: 'C', highway: 'residential' },
+        { source: 'C', target: 'A', highway: 'residential' },
+    ]);
+    const router = routerFor(graph);
+    assert.deepEqual(router.findRoute('A', 'B').path, ['A', 'B']);
+    assert.deepEqual(router.findRoute('B', 'A').path, ['B', 'C', 'A']);
+});
+
+test('a banned turn forces the other way round', () => {
+    const router = routerFor(detour(), { restrictions: [{ from: 'A', via: 'B', to: 'C', type: 'no_right_turn' }] });
+    assert.deepEqual(router.findRoute('A', 'C').path, ['A', 'C']);
+});
+
+test('a managed signal costs less than one nobody can preempt', () => {
+    const graph = graphOf({
+        A: { lat: 26.9000, lon: 75.8000 },
+        M: { lat: 26.9010, lon: 75.8010, highway: 'traffic_signals' },
+        S: { lat: 26.8990, lon: 75.8010, highway: 'traffic_signals' },
+        Z: { lat: 26.9000, lon: 75.8020 },
+    }, [
+        { source: 'A', target: 'M', highway: 'primary' },
+        { source: 'M', target: 'Z', highway: 'primary' },
+        { source: 'A', target: 'S', highway: 'primary' },
+        { source: 'S', target: 'Z', highway: 'primary' },
+    ]);
+    const viaManaged = routerFor(graph, { managed: ['M'], junctions: ['M', 'S'] }).findRoute('A', 'Z');
+    assert.deepEqual(viaManaged.path, ['A', 'M', 'Z']);
+    assert.deepEqual(viaManaged.intersections.map(n => n.id), ['M']);
+
+    const viaOther = routerFor(graph, { managed: ['S'] }).findRoute('A', 'Z');
+    assert.deepEqual(viaOther.path, ['A', 'S', 'Z']);
+});
+
+test('findRoute returns null for unknown or unreachable nodes', () => {
+    const graph = graphOf({
+        A: { lat: 26.9000, lon: 75.8000 },
+        B: { lat: 26.9000, lon: 75.8010 },
+    }, [{ source: 'A', target: 'B', oneway: 'yes' }]);
+    const router = routerFor(graph);
+    assert.equal(router.findRoute('A', 'X'), null);
+    assert.equal(router.findRoute('B', 'A'), null);
+});
@@ -0,0 +1,95 @@
+/**
+ * trips.test.js
+ * Trip records: streamed events, the latest route from the trip's own
+ * events, the append-only index, and trips cut short by an engine restart.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTripLog } = require('../src/trips');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'suraksha-trips-'));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+let dirs = 0;
+const freshDir = () => path.join(tmp, String(++dirs));
+const types = events => events.map(ev => `${ev.seq}:${ev.type}`);
+const flushed = () => new Promise(resolve => setTimeout(resolve, 50));
+
+test('timeline includes events still on their way to disk', () => {
+    const log = createTripLog({ dir: freshDir() });
+    const id = log.begin({ vehicleId: 'AMB-001', waypoints: [{ lat: 26.90, lon: 75.80 }, { lat: 26.91, lon: 75.81 }] });
+    log.record(id, 'telemetry', { lat: 26.90, lon: 75.80 });
+    log.record(id, 'telemetry', { lat: 26.901, lon: 75.80 });
+    assert.deepEqual(types(log.timeline(id)), ['1:started', '2:telemetry', '3:telemetry']);
+    assert.deepEqual(types(log.timeline(id, { types: ['telemetry'], sinceSeq: 2 })), ['3:telemetry']);
+    assert.equal(log.get(id).fixCount, 2);
+    assert.ok(log.get(id).drivenM > 100);
+    log.finish(id, 'ARRIVED');
+});
+
+test('the latest route comes from the trip events and survives a reload', async () => {
+    const dir = freshDir();
+    const log = createTripLog({ dir });
+    const id = log.begin({ vehicleId: 'AMB-001', waypoints: [{ lat: 26.90, lon: 75.80 }, { lat: 26.91, lon: 75.81 }] });
+    assert.deepEqual(log.route(id), [[26.90, 75.80], [26.91, 75.81]]);
+
+    log.record(id, 'rerouted', { route: [[26.905, 75.805], [26.91, 75.81]] });
+    log.finish(id, 'ARRIVED');
+    assert.deepEqual(log.route(id), [[26.905, 75.805], [26.91, 75.81]]);
+    assert.equal(log.route('nope'), null);
+
+    await flushed();
+    const reloaded = createTripLog({ dir });
+    assert.deepEqual(reloaded.route(id), [[26.905, 75.805], [26.91, 75.81]]);
+    assert.deepEqual(types(reloaded.timeline(id)), ['1:started', '2:rerouted', '3:ended']);
+    assert.equal(reloaded.get(id).reroutes, 1);
+});
+
+test('events after a trip ends are dropped', async () => {
+    const dir = freshDir();
+    const log = createTripLog({ dir });
+    const id = log.begin({ vehicleId: 'AMB-001' });
+    assert.equal(log.finish(id, 'STOPPED').endReason, 'STOPPED');
+    log.record(id, 'telemetry', { lat: 26.90, lon: 75.80 });
+    assert.equal(log.finish(id, 'ARRIVED'), null);
+    await flushed();
+    assert.deepEqual(types(log.timeline(id)), ['1:started', '2:ended']);
+});
+
+test('trips left open by a restart are recounted and closed', async () => {
+    const dir = freshDir();
+    const log = createTripLog({ dir });
+    const id = log.begin({ vehicleId: 'AMB-001' });
+    log.record(id, 'telemetry', { lat: 26.90, lon: 75.80 });
+    log.record(id, 'signal_trigger', { intersectionId: 'INT-1' });
+    await flushed();
+
+    const restarted = createTripLog({ dir });
+    const trip = restarted.get(id);
+    assert.equal(trip.endReason, 'ENGINE_RESTARTED');
+    assert.equal(trip.fixCount, 1);
+    assert.equal(trip.triggerCount, 1);
+    assert.equal(trip.endedAt, restarted.timeline(id).pop().at);
+});
+
+test('the index only grows by the summaries that changed and is compacted on reload', async () => {
+    const dir = freshDir();
+    const log = createTripLog({ dir });
+    const first = log.begin({ vehicleId: 'AMB-001' });
+    const second = log.begin({ vehicleId: 'FIRE-001' });
+    log.record(first, 'telemetry', { lat: 26.90, lon: 75.80 });
+    log.finish(first, 'ARRIVED');
+    await flushed();
+
+    const lines = () => fs.readFileSync(path.join(dir, 'index.jsonl'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.deepEqual(lines().map(t => `${t.id === first ? 'first' : 'second'}:${t.endReason}`), ['first:null', 'second:null', 'first:ARRIVED']);
+
+    const reloaded = createTripLog({ dir });
+    assert.deepEqual(lines().map(t => t.endReason), ['ARRIVED', 'ENGINE_RESTARTED']);
+    assert.equal(reloaded.get(first).fixCount, 1);
+    assert.equal(reloaded.get(second).endReason, 'ENGINE_RESTARTED');
+});
@@ -0,0 +1,259 @@
+/**
+ * app.js — Project Suraksha Hospital Pre-Arrival Board
+ *
+ * Signs in as "hospital:<id>" with the key issued by the control room and
+ * joins the hospital's Socket.io room (see green-corridor-engine/src/hospitalFeed.js):
+ *   incoming_vehicle → vehicle_eta … → vehicle_arrived | incoming_cancelled
+ * plus pre-arrival alerts from drivers, acknowledged from here.
+ *
+ * Like the driver app, everything goes through the gateway origin:
+ *   REST   →  /corridor/hospitals/...  (proxied → port 3001)
+ *   Socket →  /socket.io/
+ */
+'use strict';
+
+const CORRIDOR_API = window.location.origin + '/corridor';
+
+// ── State ────────────────────────────────────────────────────────
+let hospitals  = {};        // id → registry entry
+let hospital   = null;      // the one signed in
+let socket     = null;
+let toastTimer = null;
+const incoming = new Map(); // vehicleId → { vehicleId, criticality, etaSec, remainingM, state }
+const alerts   = new Map(); // alertId → alert
+
+// ── Request signing (same scheme as the driver app) ──────────────
+const enc = new TextEncoder();
+const toHex = buf => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+const keyStorageName = id => `suraksha.hospitalKey.${id}`;
+const clientId = () => `hospital:${hospital.id}`;
+
+async function signParts(method, path, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce     = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const bodyHash  = toHex(await crypto.subtle.digest('SHA-256', enc.encode(body)));
+    const secret    = localStorage.getItem(keyStorageName(hospital.id)) || '';
+    const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name:'HMAC', hash:'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, enc.encode([method, path, timestamp, nonce, bodyHash].join('\n')));
+    return { clientId: clientId(), timestamp, nonce, signature: toHex(mac) };
+}
+
+async function engineFetch(path, { method = 'GET', body } = {}) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    const sig = await signParts(method, path, payload);
+    const headers = { 'X-Client-Id':sig.clientId, 'X-Timestamp':sig.timestamp, 'X-Nonce':sig.nonce, 'X-Signature':sig.signature };
+    if (payload) headers['Content-Type'] = 'application/json';
+    const res  = await fetch(`${CORRIDOR_API}${path}`, { method, headers, body: payload || undefined });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+const fmtEta = sec => (sec == null ? '—' : sec < 60 ? `${sec}s` : `${Math.floor(sec / 60)}m ${String(sec % 60).padStart(2, '0')}s`);
+const fmtTime = iso => new Date(iso).toLocaleTimeString();
+
+function showToast(msg) {
+    const t = document.getElementById('toast');
+    t.textContent = msg; t.classList.add('show');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => t.classList.remove('show'), 4000);
+}
+
+// ── Sign in ──────────────────────────────────────────────────────
+async function loadHospitals() {
+    const sel = document.getElementById('hospitalSelect');
+    try {
+        const res  = await fetch(`${CORRIDOR_API}/hospitals`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        hospitals = Object.fromEntries(data.hospitals.map(h => [h.id, h]));
+        sel.innerHTML = data.hospitals.map(h => `<option value="${esc(h.id)}">${esc(h.name)}</option>`).join('');
+        const last = localStorage.getItem('suraksha.hospital');
+        if (hospitals[last]) sel.value = last;
+        onHospitalChange();
+    } catch (e) {
+        sel.innerHTML = '<option value="">— Engine unreachable —</option>';
+        showToast(`⚠ Could not load hospitals\n${e.message}`);
+    }
+}
+
+function onHospitalChange() {
+    const id = document.getElementById('hospitalSelect').value;
+    document.getElementById('hospitalKey').value = localStorage.getItem(keyStorageName(id)) || '';
+}
+
+async function signIn() {
+    const id  = document.getElementById('hospitalSelect').value;
+    const key = document.getElementById('hospitalKey').value.trim();
+    if (!hospitals[id]) return showToast('Select a hospital');
+    if (!key) return showToast(`🔑 Enter the key issued for ${hospitals[id].name}`);
+    if (!window.crypto?.subtle) return showToast('🔒 Open the page over HTTPS or localhost to sign requests');
+    localStorage.setItem(keyStorageName(id), key);
+    localStorage.setItem('suraksha.hospital', id);
+    hospital = hospitals[id];
+
+    try {
+        await refresh();
+    } catch (e) {
+        hospital = null;
+        return showToast(`🔒 ${e.message}`);
+    }
+    document.getElementById('screen-login').classList.add('hidden');
+    document.getElementById('screen-board').classList.remove('hidden');
+    connectSocket();
+}
+
+/** Current state from REST — on sign-in and after every reconnect, so nothing missed while offline lingers. */
+async function refresh() {
+    const base = `/hospitals/${encodeURIComponent(hospital.id)}`;
+    const [h, inc, al] = await Promise.all([
+        engineFetch(base),
+        engineFetch(`${base}/incoming`),
+        engineFetch(`${base}/alerts`),
+    ]);
+    hospital = h;
+    incoming.clear();
+    inc.incoming.forEach(v => incoming.set(v.vehicleId, { ...v, state: 'enroute' }));
+    alerts.clear();
+    al.alerts.forEach(a => alerts.set(a.id, a));
+    renderHeader();
+    renderIncoming();
+    renderAlerts();
+}
+
+// ── Socket ───────────────────────────────────────────────────────
+function connectSocket() {
+    if (socket) return;
+    const script = document.createElement('script');
+    script.src = window.location.origin + '/socket.io/socket.io.js';
+    script.onload = () => {
+        socket = io(window.location.origin, {
+            transports: ['websocket', 'polling'],
+            auth: cb => signParts('SOCKET', '/socket.io', '').then(cb),
+        });
+        const conn = document.getElementById('connState');
+        socket.on('connect', () => {
+            socket.emit('join_hospital', { id: hospital.id });
+            conn.textContent = '● LIVE'; conn.className = 'conn live';
+            refresh().catch(e => showToast(`⚠ ${e.message}`));
+        });
+        socket.on('disconnect', () => { conn.textContent = 'RECONNECTING…'; conn.className = 'conn'; });
+        socket.on('connect_error', err => showToast(`🔒 ${err.message}`));
+        socket.on('auth_error', e => showToast(`🔒 ${e.error}`));
+
+        socket.on('incoming_vehicle', v => {
+            incoming.set(v.vehicleId, { ...v, state: 'enroute' });
+            renderIncoming();
+            showToast(`🚑 ${v.vehicleId} incoming — ${v.criticality}\nETA ${fmtEta(v.etaSec)}`);
+        });
+        socket.on('vehicle_eta', v => {
+            const entry = incoming.get(v.vehicleId);
+            if (!entry || entry.tripId !== v.tripId) return;
+            Object.assign(entry, { etaSec: v.etaSec, remainingM: v.remainingM, speedKmh: v.speedKmh });
+            renderIncoming();
+        });
+        socket.on('vehicle_arrived', v => {
+            incoming.set(v.vehicleId, { ...(incoming.get(v.vehicleId) || v), state: 'arrived', etaSec: 0, remainingM: 0 });
+            renderIncoming();
+            showToast(`✅ ${v.vehicleId} has arrived`);
+            setTimeout(() => dropIfTrip(v), 60000);
+        });
+        socket.on('incoming_cancelled', v => {
+            const entry = incoming.get(v.vehicleId);
+            if (!entry || entry.tripId !== v.tripId) return;
+            entry.state = 'cancelled';
+            renderIncoming();
+            showToast(`✖ ${v.vehicleId} no longer coming (${v.reason})`);
+            setTimeout(() => dropIfTrip(v), 30000);
+        });
+
+        socket.on('hospital_alert', a => {
+            alerts.set(a.id, a);
+            renderAlerts();
+            showToast(`🚨 Alert from ${a.vehicleId}\n${a.message}`);
+        });
+        socket.on('hospital_alert_ack', a => { alerts.set(a.id, a); renderAlerts(); });
+        socket.on('hospital_updated', h => { if (h.id === hospital.id) { hospital = h; renderHeader(); } });
+    };
+    script.onerror = () => showToast('⚠ Failed to load socket.io.js from the gateway');
+    document.head.appendChild(script);
+}
+
+// Finished entries stay on the board a little while, unless a new trip replaced them
+function dropIfTrip(v) {
+    if (incoming.get(v.vehicleId)?.tripId === v.tripId && incoming.get(v.vehicleId).state !== 'enroute') {
+        incoming.delete(v.vehicleId);
+        renderIncoming();
+    }
+}
+
+// ── Render ───────────────────────────────────────────────────────
+function renderHeader() {
+    document.getElementById('hdrName').textContent = hospital.name;
+    document.getElementById('hdrSpecialties').textContent = hospital.specialties.join(' · ') || 'general';
+    const cap = document.getElementById('capacityInput');
+    if (document.activeElement !== cap) cap.value = hospital.capacity ?? '';
+    document.getElementById('diversionBtn').textContent = hospital.diversion ? 'END DIVERSION' : 'GO ON DIVERSION';
+    document.getElementById('diversionBtn').className = `mt ${hospital.diversion ? 'danger' : 'ghost'}`;
+    document.getElementById('diversionNote').classList.toggle('hidden', !hospital.diversion);
+}
+
+function renderIncoming() {
+    const el = document.getElementById('incomingList');
+    const order = { enroute: 0, arrived: 1, cancelled: 2 };
+    const rows = Array.from(incoming.values())
+        .sort((a, b) => order[a.state] - order[b.state] || (a.etaSec ?? Infinity) - (b.etaSec ?? Infinity));
+    if (!rows.length) { el.innerHTML = '<div class="empty">No vehicles heading here.</div>'; return; }
+    el.innerHTML = rows.map(v => `
+        <div class="vehicle ${v.state}">
+            <div>
+                <div class="id">${esc(v.vehicleId)}<span class="crit ${esc(v.criticality)}">${esc(v.criticality)}</span></div>
+                <div class="meta">${esc(v.vehicleType || '')}${v.remainingM != null && v.state === 'enroute' ? ` · ${(v.remainingM / 1000).toFixed(1)} km away` : ''}${v.speedKmh ? ` · ${v.speedKmh} km/h` : ''}</div>
+            </div>
+            <div class="eta">${v.state === 'arrived' ? 'ARRIVED' : v.state === 'cancelled' ? 'CANCELLED' : fmtEta(v.etaSec)}<small>${v.state === 'enroute' ? 'ETA' : ''}</small></div>
+        </div>`).join('');
+}
+
+function renderAlerts() {
+    const el = document.getElementById('alertList');
+    const rows = Array.from(alerts.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    if (!rows.length) { el.innerHTML = '<div class="empty">No alerts.</div>'; return; }
+    el.innerHTML = rows.map(a => `
+        <div class="alert ${a.acknowledgedAt ? 'acked' : ''}">
+            <strong>${esc(a.vehicleId)}</strong>${a.criticality ? `<span class="crit ${esc(a.criticality)}">${esc(a.criticality)}</span>` : ''} — ${esc(a.message)}
+            <div class="when">${fmtTime(a.createdAt)}${a.etaSec != null ? ` · ETA ${fmtEta(a.etaSec)}` : ''}${a.acknowledgedAt ? ` · acknowledged ${fmtTime(a.acknowledgedAt)}` : ''}</div>
+            ${a.acknowledgedAt ? '' : `<button onclick="acknowledge('${esc(a.id)}')">ACKNOWLEDGE</button>`}
+        </div>`).join('');
+}
+
+// ── Actions ──────────────────────────────────────────────────────
+async function acknowledge(alertId) {
+    try {
+        const a = await engineFetch(`/hospitals/${encodeURIComponent(hospital.id)}/alerts/${alertId}/ack`, { method: 'POST', body: {} });
+        alerts.set(a.id, a);
+        renderAlerts();
+    } catch (e) { showToast(`⚠ ${e.message}`); }
+}
+
+async function updateStatus(patch) {
+    try {
+        hospital = await engineFetch(`/hospitals/${encodeURIComponent(hospital.id)}/status`, { method: 'PATCH', body: patch });
+        renderHeader();
+    } catch (e) { showToast(`⚠ ${e.message}`); }
+}
+
+function saveCapacity() {
+    const raw = document.getElementById('capacityInput').value.trim();
+    updateStatus({ capacity: raw === '' ? null : parseInt(raw, 10) });
+}
+
+function toggleDiversion() {
+    updateStatus({ diversion: !hospital.diversion });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('hospitalSelect').addEventListener('change', onHospitalChange);
+    loadHospitals();
+});
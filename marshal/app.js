@@ -0,0 +1,254 @@
+/**
+ * app.js — Project Suraksha Junction Marshal
+ *
+ * For the traffic police clearing a junction by hand. Signs in as
+ * "marshal:<intersectionId>" with the key issued by the control room and
+ * joins the intersection's Socket.io room (see green-corridor-engine/src/junctionFeed.js):
+ *   approaching_snapshot, vehicle_approaching … → vehicle_passed | approach_cancelled
+ * Each vehicle shows a TTI countdown; an alarm sounds once it drops below the
+ * marshal's threshold, and BOX CLEARED is reported back to the control room.
+ *
+ * Like the driver app, everything goes through the gateway origin:
+ *   REST   →  /corridor/intersections  (proxied → port 3001)
+ *   Socket →  /socket.io/
+ */
+'use strict';
+
+const CORRIDOR_API = window.location.origin + '/corridor';
+const DEFAULT_ALERT_TTI_SEC = 30;
+// The direction the vehicle comes from → the way it travels through the box
+const FROM_ARROW = { N: '⬇', S: '⬆', E: '⬅', W: '➡' };
+
+// ── State ────────────────────────────────────────────────────────
+let junctions  = {};        // id → registry entry
+let junction   = null;      // { id, name } signed in
+let socket     = null;
+let audioCtx   = null;
+let toastTimer = null;
+const vehicles = new Map(); // vehicleId → last vehicle_approaching + { receivedAt, state, alerted }
+
+// ── Request signing (same scheme as the driver app) ──────────────
+const enc = new TextEncoder();
+const toHex = buf => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join('');
+const keyStorageName = id => `suraksha.marshalKey.${id}`;
+
+async function signParts(method, path, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const nonce     = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    const bodyHash  = toHex(await crypto.subtle.digest('SHA-256', enc.encode(body)));
+    const secret    = localStorage.getItem(keyStorageName(junction.id)) || '';
+    const key = await crypto.subtle.importKey('raw', enc.encode(secret), { name:'HMAC', hash:'SHA-256' }, false, ['sign']);
+    const mac = await crypto.subtle.sign('HMAC', key, enc.encode([method, path, timestamp, nonce, bodyHash].join('\n')));
+    return { clientId: `marshal:${junction.id}`, timestamp, nonce, signature: toHex(mac) };
+}
+
+// ── Helpers ──────────────────────────────────────────────────────
+const esc = s => String(s ?? '').replace(/[&<>"']/g, c => ({ '&':'&amp;', '<':'&lt;', '>':'&gt;', '"':'&quot;', "'":'&#39;' }[c]));
+const alertTti = () => parseInt(localStorage.getItem('suraksha.marshalAlertTti'), 10) || DEFAULT_ALERT_TTI_SEC;
+
+function showToast(msg) {
+    const t = document.getElementById('toast');
+    t.textContent = msg; t.classList.add('show');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => t.classList.remove('show'), 4000);
+}
+
+/** TTI now, counted down from the last fix so the display moves between updates. */
+function remainingTti(v) {
+    if (v.ttiSec == null) return null;
+    return Math.max(0, v.ttiSec - (Date.now() - v.receivedAt) / 1000);
+}
+
+// ── Alarm ────────────────────────────────────────────────────────
+// Browsers only allow audio after a tap, so the context is created on sign-in
+function beep(times = 3) {
+    if (!audioCtx) return;
+    for (let i = 0; i < times; i++) {
+        const osc = audioCtx.createOscillator(), gain = audioCtx.createGain();
+        osc.type = 'square';
+        osc.frequency.value = 880;
+        gain.gain.value = 0.2;
+        osc.connect(gain).connect(audioCtx.destination);
+        const at = audioCtx.currentTime + i * 0.35;
+        osc.start(at);
+        osc.stop(at + 0.2);
+    }
+    navigator.vibrate?.([200, 150, 200, 150, 200]);
+}
+
+function testSound() {
+    audioCtx?.resume();
+    beep(1);
+}
+
+function saveAlertTti() {
+    const sec = parseInt(document.getElementById('alertTti').value, 10);
+    if (sec > 0) localStorage.setItem('suraksha.marshalAlertTti', String(sec));
+    document.getElementById('alertTti').value = alertTti();
+}
+
+// ── Sign in ──────────────────────────────────────────────────────
+async function loadJunctions() {
+    const sel = document.getElementById('junctionSelect');
+    // ?id=<intersectionId> opens a junction that is not in the registry (e.g. a road-graph node)
+    const wanted = new URLSearchParams(window.location.search).get('id');
+    try {
+        const res  = await fetch(`${CORRIDOR_API}/intersections`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        junctions = Object.fromEntries(data.intersections.map(ix => [ix.id, ix]));
+    } catch (e) {
+        showToast(`⚠ Could not load intersections\n${e.message}`);
+    }
+    if (wanted && !junctions[wanted]) junctions[wanted] = { id: wanted, name: wanted };
+    const ids = Object.keys(junctions);
+    sel.innerHTML = ids.length
+        ? ids.map(id => `<option value="${esc(id)}">${esc(junctions[id].name || id)} (${esc(id)})</option>`).join('')
+        : '<option value="">— No intersections —</option>';
+    const last = wanted || localStorage.getItem('suraksha.marshalJunction');
+    if (junctions[last]) sel.value = last;
+    onJunctionChange();
+}
+
+function onJunctionChange() {
+    const id = document.getElementById('junctionSelect').value;
+    document.getElementById('marshalKey').value = localStorage.getItem(keyStorageName(id)) || '';
+}
+
+function signIn() {
+    const id  = document.getElementById('junctionSelect').value;
+    const key = document.getElementById('marshalKey').value.trim();
+    if (!junctions[id]) return showToast('Select an intersection');
+    if (!key) return showToast(`🔑 Enter the key issued for ${junctions[id].name || id}`);
+    if (!window.crypto?.subtle) return showToast('🔒 Open the page over HTTPS or localhost to sign requests');
+    localStorage.setItem(keyStorageName(id), key);
+    localStorage.setItem('suraksha.marshalJunction', id);
+    junction = { id, name: junctions[id].name || id };
+
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (AudioCtx) audioCtx = new AudioCtx();
+
+    document.getElementById('hdrName').textContent = junction.name;
+    document.getElementById('hdrId').textContent = junction.id;
+    document.getElementById('alertTti').value = alertTti();
+    document.getElementById('screen-login').classList.add('hidden');
+    document.getElementById('screen-board').classList.remove('hidden');
+    connectSocket();
+    setInterval(render, 1000);
+}
+
+// ── Socket ───────────────────────────────────────────────────────
+function connectSocket() {
+    if (socket) return;
+    const script = document.createElement('script');
+    script.src = window.location.origin + '/socket.io/socket.io.js';
+    script.onload = () => {
+        socket = io(window.location.origin, {
+            transports: ['websocket', 'polling'],
+            auth: cb => signParts('SOCKET', '/socket.io', '').then(cb),
+        });
+        const conn = document.getElementById('connState');
+        socket.on('connect', () => {
+            socket.emit('join_intersection', { id: junction.id });
+            conn.textContent = '● LIVE'; conn.className = 'conn live';
+        });
+        socket.on('disconnect', () => { conn.textContent = 'RECONNECTING…'; conn.className = 'conn'; });
+        socket.on('connect_error', err => showToast(`🔒 ${err.message}`));
+        socket.on('auth_error', e => showToast(`🔒 ${e.error}`));
+
+        // On every (re)join: who is on the way right now
+        socket.on('approaching_snapshot', snap => {
+            vehicles.clear();
+            snap.vehicles.forEach(onApproaching);
+            render();
+        });
+        socket.on('vehicle_approaching', v => { onApproaching(v); render(); });
+        socket.on('vehicle_passed', e => finish(e, 'passed', `✅ ${e.vehicleId} has passed`));
+        socket.on('approach_cancelled', e => finish(e, 'cancelled', `✖ ${e.vehicleId} no longer coming (${e.reason})`));
+        socket.on('box_cleared', r => {
+            const v = vehicles.get(r.vehicleId);
+            if (v) { v.state = 'cleared'; render(); }
+        });
+    };
+    script.onerror = () => showToast('⚠ Failed to load socket.io.js from the gateway');
+    document.head.appendChild(script);
+}
+
+function onApproaching(v) {
+    const prev = vehicles.get(v.vehicleId);
+    const sameTrip = prev?.tripId === v.tripId;
+    vehicles.set(v.vehicleId, {
+        ...v,
+        receivedAt: Date.now(),
+        state: sameTrip && prev.state === 'cleared' ? 'cleared' : 'approaching',
+        alerted: sameTrip && prev.alerted,
+    });
+    if (!prev || !sameTrip) showToast(`🚨 ${v.vehicleId} approaching from ${v.approach || '?'}\n${v.criticality} · ${v.distanceM} m`);
+}
+
+// Passed / cancelled vehicles stay greyed out a little while, unless a new trip replaced them
+function finish(e, state, message) {
+    const v = vehicles.get(e.vehicleId);
+    if (!v || v.tripId !== e.tripId) return;
+    v.state = state;
+    render();
+    showToast(message);
+    setTimeout(() => {
+        if (vehicles.get(e.vehicleId)?.tripId === e.tripId && vehicles.get(e.vehicleId).state === state) {
+            vehicles.delete(e.vehicleId);
+            render();
+        }
+    }, 15000);
+}
+
+// ── Render ───────────────────────────────────────────────────────
+function render() {
+    const el = document.getElementById('vehicleList');
+    const live = v => v.state === 'approaching' || v.state === 'cleared';
+    const rows = Array.from(vehicles.values())
+        .sort((a, b) => (live(b) - live(a)) || ((remainingTti(a) ?? Infinity) - (remainingTti(b) ?? Infinity)));
+    if (!rows.length) { el.innerHTML = '<div class="empty">No emergency vehicle approaching.</div>'; return; }
+
+    const threshold = alertTti();
+    rows.forEach(v => {
+        const tti = remainingTti(v);
+        if (v.state === 'approaching' && !v.alerted && tti != null && tti <= threshold) {
+            v.alerted = true;
+            beep();
+        }
+    });
+
+    el.innerHTML = rows.map(v => {
+        const tti = remainingTti(v);
+        const imminent = v.state === 'approaching' && tti != null && tti <= threshold;
+        const cls = !live(v) ? 'gone' : v.state === 'cleared' ? 'cleared' : imminent ? 'imminent' : '';
+        return `
+        <div class="vehicle ${cls}">
+            <div class="row">
+                <div class="from">${FROM_ARROW[v.approach] || '⬤'}<small>FROM ${esc(v.approach || '?')}</small></div>
+                <div style="flex:1">
+                    <div class="id">${esc(v.vehicleId)}<span class="crit ${esc(v.criticality)}">${esc(v.criticality)}</span></div>
+                    <div class="meta">${esc(v.vehicleType || '')} · ${v.distanceM} m · ${v.speedKmh} km/h${v.held ? ' · HOLDING' : ''}${v.status === 'STALE' ? ' · GPS LOST' : ''}</div>
+                </div>
+                <div class="tti">${v.state === 'passed' ? 'PASSED' : v.state === 'cancelled' ? '—' : tti == null ? '—' : `${Math.round(tti)}s`}<small>${live(v) ? 'TTI' : ''}</small></div>
+            </div>
+            ${live(v) ? `<button class="clear-btn" ${v.state === 'cleared' ? 'disabled' : ''} onclick="boxCleared('${esc(v.vehicleId)}')">${v.state === 'cleared' ? '✔ BOX CLEARED' : 'BOX CLEARED'}</button>` : ''}
+        </div>`;
+    }).join('');
+}
+
+// ── Actions ──────────────────────────────────────────────────────
+function boxCleared(vehicleId) {
+    if (!socket?.connected) return showToast('⚠ Not connected — try again');
+    socket.timeout(8000).emit('box_cleared', { vehicleId }, (err, res) => {
+        if (err || res?.error) return showToast(`⚠ ${err ? 'No answer from the engine' : res.error}`);
+        const v = vehicles.get(vehicleId);
+        if (v) { v.state = 'cleared'; render(); }
+        showToast('✔ Control room notified');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('junctionSelect').addEventListener('change', onJunctionChange);
+    loadJunctions();
+});
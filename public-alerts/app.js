@@ -0,0 +1,169 @@
+/**
+ * app.js — Project Suraksha Public Ambulance Alerts
+ *
+ * No sign-in: connects to the engine's unauthenticated `/public` Socket.io
+ * namespace (see green-corridor-engine/src/publicAlerts.js), registers the
+ * phone's location and shows ambulance_approaching warnings until
+ * ambulance_passed. Location updates are throttled here as well as by the
+ * engine, and only sent once the phone has moved.
+ *
+ * Everything goes through the gateway origin:
+ *   Socket →  /socket.io/  (namespace /public, proxied → port 3001)
+ */
+'use strict';
+
+const GPS_OPTIONS       = { enableHighAccuracy: true, timeout: 15000, maximumAge: 5000 };
+// The engine refuses updates more often than every 5 s
+const REGISTER_EVERY_MS = 10000;
+const REGISTER_MOVED_M  = 30;
+// Warnings are re-sent while the vehicle is still coming; one not refreshed for this long is dropped
+const STALE_AFTER_MS    = 90000;
+const DIRECTION_NAMES   = { N:'north', NE:'north-east', E:'east', SE:'south-east', S:'south', SW:'south-west', W:'west', NW:'north-west' };
+
+// ── State ────────────────────────────────────────────────────────
+let socket       = null;
+let watchId      = null;
+let lastSent     = null;       // { lat, lon, at } — last location registered
+let lastFix      = null;
+let audioCtx     = null;
+let tickTimer    = null;
+const approaching = new Map(); // id → last ambulance_approaching + { receivedAt }
+
+// ── Helpers ──────────────────────────────────────────────────────
+function haversineM(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const dLat = (lat2 - lat1) * Math.PI / 180, dLon = (lon2 - lon1) * Math.PI / 180;
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function setStatus(text, live = false) {
+    const el = document.getElementById('status');
+    el.textContent = text;
+    el.className = `status${live ? ' live' : ''}`;
+}
+
+function beep() {
+    if (!audioCtx) return;
+    [0, 0.3, 0.6].forEach(offset => {
+        const osc = audioCtx.createOscillator(), gain = audioCtx.createGain();
+        osc.frequency.value = 960;
+        gain.gain.value = 0.2;
+        osc.connect(gain).connect(audioCtx.destination);
+        osc.start(audioCtx.currentTime + offset);
+        osc.stop(audioCtx.currentTime + offset + 0.18);
+    });
+    navigator.vibrate?.([300, 100, 300, 100, 300]);
+}
+
+// ── On / off ─────────────────────────────────────────────────────
+function toggleAlerts() {
+    if (watchId != null) return stopAlerts();
+    if (!navigator.geolocation) return setStatus('This browser cannot share its location.');
+
+    // Audio needs this tap; notifications help when the page is in the background
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (AudioCtx && !audioCtx) audioCtx = new AudioCtx();
+    if (window.Notification && Notification.permission === 'default') Notification.requestPermission();
+
+    connectSocket();
+    setStatus('Waiting for your location…');
+    watchId = navigator.geolocation.watchPosition(onPosition, err => setStatus(`Location unavailable: ${err.message}`), GPS_OPTIONS);
+    document.getElementById('toggleBtn').textContent = 'TURN ALERTS OFF';
+    document.getElementById('toggleBtn').className = 'ghost';
+    tickTimer = setInterval(render, 1000);
+    render();
+}
+
+function stopAlerts() {
+    navigator.geolocation.clearWatch(watchId);
+    watchId = null;
+    lastSent = null;
+    clearInterval(tickTimer);
+    socket?.emit('unregister');
+    approaching.clear();
+    document.getElementById('toggleBtn').textContent = 'ENABLE ALERTS';
+    document.getElementById('toggleBtn').className = '';
+    document.getElementById('calm').classList.add('hidden');
+    render();
+    setStatus('Alerts are off.');
+}
+
+// ── Location ─────────────────────────────────────────────────────
+function onPosition(pos) {
+    lastFix = { lat: pos.coords.latitude, lon: pos.coords.longitude };
+    register();
+}
+
+function register(force = false) {
+    if (!lastFix || !socket?.connected) return;
+    const now = Date.now();
+    if (!force && lastSent) {
+        const moved = haversineM(lastSent.lat, lastSent.lon, lastFix.lat, lastFix.lon);
+        if (now - lastSent.at < REGISTER_EVERY_MS || moved < REGISTER_MOVED_M) return;
+    }
+    lastSent = { ...lastFix, at: now };
+    const radiusM = parseInt(document.getElementById('radiusSelect').value, 10);
+    socket.emit('register', { lat: lastFix.lat, lon: lastFix.lon, radiusM }, res => {
+        if (res?.error) setStatus(`⚠ ${res.error}`);
+        else setStatus(`● Watching within ${res.radiusM} m`, true);
+    });
+}
+
+// ── Socket ───────────────────────────────────────────────────────
+function connectSocket() {
+    if (socket) return;
+    const script = document.createElement('script');
+    script.src = window.location.origin + '/socket.io/socket.io.js';
+    script.onload = () => {
+        socket = io(window.location.origin + '/public', { transports: ['websocket', 'polling'] });
+        // The engine forgets the location on disconnect, so register again on every connect
+        socket.on('connect', () => { lastSent = null; approaching.clear(); register(true); });
+        socket.on('disconnect', () => { if (watchId != null) setStatus('Reconnecting…'); });
+        socket.on('rate_limited', e => setStatus(`⚠ ${e.error}`));
+
+        socket.on('ambulance_approaching', a => {
+            const isNew = !approaching.has(a.id);
+            approaching.set(a.id, { ...a, receivedAt: Date.now() });
+            if (isNew) {
+                beep();
+                if (document.hidden && window.Notification?.permission === 'granted') {
+                    new Notification('🚑 Ambulance approaching', { body: `Passing you in about ${a.etaSec ?? '?'} s — please clear the way`, tag: a.id });
+                }
+            }
+            render();
+        });
+        socket.on('ambulance_passed', e => {
+            approaching.delete(e.id);
+            render();
+        });
+    };
+    script.onerror = () => setStatus('⚠ Could not reach the alert service');
+    document.head.appendChild(script);
+}
+
+// ── Render ───────────────────────────────────────────────────────
+function render() {
+    const el = document.getElementById('alertList');
+    approaching.forEach((a, id) => { if (Date.now() - a.receivedAt > STALE_AFTER_MS) approaching.delete(id); });
+    const rows = Array.from(approaching.values());
+    document.getElementById('calm').classList.toggle('hidden', watchId == null || rows.length > 0);
+    el.innerHTML = rows.map(a => {
+        const eta = a.etaSec == null ? null : Math.max(0, Math.round(a.etaSec - (Date.now() - a.receivedAt) / 1000));
+        const kind = a.vehicleType === 'fire' ? '🚒 Fire engine' : a.vehicleType === 'police' ? '🚓 Police vehicle' : '🚑 Ambulance';
+        return `
+        <div class="alert">
+            <h2>${kind} approaching</h2>
+            <div class="eta">${eta == null ? '—' : eta < 60 ? `${eta}s` : `${Math.floor(eta / 60)}m ${String(eta % 60).padStart(2, '0')}s`}<small> until it passes you</small></div>
+            <div class="meta">
+                Heading ${DIRECTION_NAMES[a.heading] || a.heading} where it passes you<br>
+                ${a.distanceM} m away along its route · passes within ${a.passDistanceM} m
+            </div>
+            <div class="ask">Please pull over and keep the road clear.</div>
+        </div>`;
+    }).join('');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('radiusSelect').addEventListener('change', () => register(true));
+});
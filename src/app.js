@@ -17,8 +17,8 @@ const server = http.createServer(app);
 // ── CORS ──────────────────────────────────────────────────────
 app.use((req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,SecurityToken');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type,X-Client-Id,X-Timestamp,X-Nonce,X-Signature');
     if (req.method === 'OPTIONS') return res.sendStatus(204);
     next();
 });
@@ -34,6 +34,7 @@ const corridorProxy = createProxyMiddleware({
     target: 'http://localhost:3001',
     changeOrigin: true,
     ws: true,           // ← enables WebSocket (Socket.io) proxying
+    xfwd: true,         // the engine rate-limits public alert clients per X-Forwarded-For address
 });
 
 // HTTP proxy for REST calls  (/corridor/route, /corridor/telemetry, etc.)
@@ -61,6 +62,9 @@ app.use((req, res, next) => {
 // ── Static files ──────────────────────────────────────────────
 app.use(express.static(path.join(__dirname, '../dashboard')));
 app.use('/ambulance-app', express.static(path.join(__dirname, '../ambulance-app')));
+app.use('/hospital', express.static(path.join(__dirname, '../hospital')));
+app.use('/marshal', express.static(path.join(__dirname, '../marshal')));
+app.use('/public', express.static(path.join(__dirname, '../public-alerts')));
 
 // ── Health check ──────────────────────────────────────────────
 app.get('/health', (_req, res) => {